@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+import { runCLI } from '../src/cli.js'
+
+runCLI(process.argv.slice(2)).then(exitCode => {
+  process.exitCode = exitCode
+})
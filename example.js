@@ -1,13 +1,41 @@
 /**
  * Example usage of the HL7 Data Quality Agent Library
- * 
- * Note: This example assumes hl7-parser is installed and available
  */
 
 import { 
   analyzeDataQuality, 
   getSampleADTMessage,
   getUseCases,
+  registerRule,
+  unregisterRule,
+  disableRule,
+  enableRule,
+  listRules,
+  loadProfile,
+  analyzeBatch,
+  aggregateResults,
+  renderMarkdown,
+  renderCSV,
+  locateInMessage,
+  indexMessage,
+  validateDataType,
+  loadValueSet,
+  validateUCUM,
+  remediateMessage,
+  createLongitudinalAnalyzer,
+  findDuplicates,
+  deidentifyMessage,
+  loadScoringModel,
+  parseMessage,
+  getFieldValue,
+  loadSegmentSchemas,
+  createAcknowledgement,
+  startMLLPServer,
+  createMLLPClient,
+  toOperationOutcome,
+  toSARIF,
+  validateMessageStructure,
+  compareTransformation,
   QUALITY_CATEGORIES,
   SEVERITY
 } from './src/hl7DataQualityService.js';
@@ -142,3 +170,480 @@ console.log(`\nCompleteness Issues: ${completenessIssues.length}`);
 completenessIssues.forEach(issue => {
   console.log(`  - ${issue.issue} (${issue.field})`);
 });
+
+console.log('\n\n');
+
+// Example 6: Custom rules
+console.log('=== Example 6: Custom Rules ===\n');
+registerRule({
+  id: 'site-pv1-attending-doctor',
+  name: 'Attending Doctor Present',
+  category: QUALITY_CATEGORIES.COMPLETENESS,
+  severity: SEVERITY.MEDIUM,
+  penalty: 3,
+  check(parsed) {
+    const issues = [];
+    const pv1 = parsed.segments.find(s => s.segmentType === 'PV1');
+    if (pv1 && !pv1.parsed.field7) {
+      issues.push({
+        field: 'PV1-7',
+        issue: 'Missing Attending Doctor',
+        details: 'Attending doctor is required by downstream billing',
+        recommendation: 'Populate PV1-7 with the attending doctor',
+      });
+    }
+    return { issues };
+  },
+});
+disableRule('address-formats');
+
+console.log('Enabled Rules:');
+listRules({ enabled: true }).forEach(rule => {
+  console.log(`  - ${rule.id} (${rule.category}, ${rule.severity}${rule.builtIn ? ', built-in' : ''})`);
+});
+
+const result4 = analyzeDataQuality(getSampleADTMessage());
+console.log(`\nScore with custom rule: ${result4.overallScore}/100`);
+result4.issues.forEach(issue => {
+  console.log(`  - [${issue.ruleId}] ${issue.issue} (${issue.field})`);
+});
+
+unregisterRule('site-pv1-attending-doctor');
+enableRule('address-formats');
+
+console.log('\n\n');
+
+// Example 7: Conformance profiles
+console.log('=== Example 7: Conformance Profile ===\n');
+const profile = loadProfile({
+  name: 'Example ADT Profile',
+  messages: {
+    'ADT^A01': {
+      segments: {
+        MSH: { usage: 'R', max: 1 },
+        EVN: { usage: 'R', max: 1 },
+        PID: {
+          usage: 'R',
+          max: 1,
+          fields: {
+            3: { usage: 'R', name: 'Patient Identifier List', components: [1, 4, 5] },
+            5: { usage: 'R', name: 'Patient Name', components: [1, 2] },
+            19: { usage: 'X', name: 'SSN' },
+          },
+        },
+        PV1: { usage: 'R', max: 1 },
+        OBX: { usage: 'X' },
+      },
+    },
+  },
+});
+
+const result5 = analyzeDataQuality(getSampleADTMessage(), { profile });
+console.log(`Score against "${profile.name}": ${result5.overallScore}/100`);
+result5.issues
+  .filter(issue => issue.ruleId === 'profile-conformance')
+  .forEach(issue => {
+    console.log(`  - [${issue.severity}] ${issue.issue} (${issue.field})`);
+  });
+
+console.log('\n\n');
+
+// Example 8: Batch analysis
+console.log('=== Example 8: Batch Analysis ===\n');
+const batchFile = [
+  'FHS|^~\\&|SendingApp|SendingFacility',
+  'BHS|^~\\&|SendingApp|SendingFacility',
+  getSampleADTMessage(),
+  problematicMessage,
+  'BTS|3',
+  'FTS|1',
+].join('\r');
+
+const batchResult = await analyzeBatch(batchFile);
+console.log(`Messages Analyzed: ${batchResult.summary.messageCount}`);
+batchResult.results.forEach(({ index, result }) => {
+  console.log(`  Message ${index + 1}: ${result.overallScore}/100 (${result.issues.length} issues)`);
+});
+batchResult.batches.forEach(batch => {
+  console.log(`Batch ${batch.batchIndex + 1}: ${batch.messageCount} message(s), BTS-1 declares ${batch.declaredCount}`);
+  batch.issues.forEach(issue => {
+    console.log(`  - [${issue.severity}] ${issue.issue}: ${issue.details}`);
+  });
+});
+
+console.log('\n\n');
+
+// Example 9: Aggregate report
+console.log('=== Example 9: Aggregate Report ===\n');
+const report = aggregateResults([...batchResult.results, ...batchResult.batches, batchResult.summary]);
+console.log(`Messages: ${report.messageCount}`);
+console.log(`Scores: min ${report.scores.min}, median ${report.scores.median}, p95 ${report.scores.p95}`);
+console.log('Issues by Rule:');
+Object.entries(report.issues.byRule).forEach(([ruleId, count]) => {
+  console.log(`  ${ruleId}: ${count}`);
+});
+console.log('PID Fill Rates:');
+Object.entries(report.fillRates.PID.fields).forEach(([field, { fillRate }]) => {
+  console.log(`  ${field}: ${fillRate}%`);
+});
+console.log('By Source:');
+report.bySource.forEach(source => {
+  console.log(`  ${source.sendingApplication} @ ${source.sendingFacility}: ${source.messageCount} message(s), median ${source.scores.median}`);
+});
+
+console.log('\n\n');
+
+// Example 10: Report renderers
+console.log('=== Example 10: Report Renderers ===\n');
+console.log(renderMarkdown(result2, { title: 'Problematic Message' }));
+console.log('CSV:');
+console.log(renderCSV(batchResult.results));
+
+console.log('\n\n');
+
+// Example 11: Auto-remediation
+console.log('=== Example 11: Auto-Remediation ===\n');
+const messyMessage = `MSH|^~\\&|SendingApp|SendingFacility|ReceivingApp|ReceivingFacility|2024-01-01T12:00:00||ADT^A01|12345|P|2.5
+PID|1||MRN123^^^HOSPITAL^MR||DOE^JOHN||1980/01/15|male|||123 MAIN ST^^CITY^ST^12345^USA||555.123.4567||||||123 45 6789`;
+
+const proposed = remediateMessage(messyMessage, { dryRun: true });
+console.log('Proposed Changes:');
+proposed.changes.forEach(change => {
+  console.log(`  ${change.field}: "${change.before}" -> "${change.after}" (${change.description})`);
+});
+
+const remediated = remediateMessage(messyMessage);
+console.log(`\nScore before: ${analyzeDataQuality(messyMessage).overallScore}/100`);
+console.log(`Score after: ${analyzeDataQuality(remediated.message).overallScore}/100`);
+
+// Example 12: Issue locations across repeated segments
+console.log('\n=== Example 12: Issue Locations ===\n');
+const nextOfKinMessage = `MSH|^~\\&|SendingApp|SendingFacility|ReceivingApp|ReceivingFacility|20240101120000||ADT^A01|12345|P|2.5
+PID|1||MRN123^^^HOSPITAL^MR||DOE^JOHN||19800115|M
+NK1|1|DOE^JANE|SPO||(555)123-4567
+NK1|2|DOE^JIM|CHD||unknown`;
+
+const locationResult = analyzeDataQuality(nextOfKinMessage);
+locationResult.issues.forEach(issue => {
+  const { location } = issue;
+  const where = location ? `${location.segment}[${location.sequence ?? 'missing'}]${location.field ? `-${location.field}` : ''}` : 'message';
+  const text = location && location.start !== null ? nextOfKinMessage.substring(location.start, location.end) : '';
+  console.log(`${issue.severity}: ${issue.issue} at ${where} "${text}"`);
+});
+
+const nextOfKinIndex = indexMessage(nextOfKinMessage);
+const secondPhone = locateInMessage(nextOfKinIndex, { segment: 'NK1', sequence: 2, field: 5 });
+console.log(`Second NK1 phone: "${nextOfKinMessage.substring(secondPhone.start, secondPhone.end)}"`);
+
+// Example 13: Data type validation
+console.log('\n=== Example 13: Data Type Validation ===\n');
+[
+  ['20241399', 'TS'],
+  ['20230229', 'DT'],
+  ['555-123-4567', 'XTN'],
+  ['(555)123-4567^PRN^PH', 'XTN'],
+  ['^^^HOSPITAL^MR', 'CX'],
+  ['12.5', 'NM'],
+].forEach(([value, type]) => {
+  const { isValid, errors } = validateDataType(value, type, { version: '2.5' });
+  console.log(`${type} "${value}": ${isValid ? 'valid' : errors.map(error => error.message).join('; ')}`);
+});
+
+// Example 14: Code tables and site value sets
+console.log('\n=== Example 14: Code Tables and Value Sets ===\n');
+const labMessage = `MSH|^~\\&|LabSystem|Lab|EHR|Hospital|20240101120000||ORU^R01|12345|P|2.5
+PID|1||MRN123^^^HOSPITAL^MR||DOE^JOHN||19800115|M
+OBX|1|NM|2160-0^Creatinine^LN||1.1|mg/dL^^UCUM|0.6-1.3|N|||F
+OBX|2|NM|2345-7^Glucose^LN||250|mg/dL^^UCUM|70-99|HIGH|||F
+OBX|3|NM|2161-8^Creatinine Urine^LN||80|mg/dL^^UCUM||N|||F`;
+
+const siteLabTests = loadValueSet({
+  id: 'site-lab-tests',
+  name: 'Site Lab Tests',
+  fields: ['OBX-3'],
+  codingSystem: 'LN',
+  codes: [{ code: '2160-0', display: 'Creatinine' }, { code: '2345-7', display: 'Glucose' }],
+});
+
+const codeResult = analyzeDataQuality(labMessage, { valueSets: [siteLabTests] });
+codeResult.issues
+  .filter(issue => issue.ruleId === 'code-tables')
+  .forEach(issue => console.log(`[${issue.severity}] ${issue.field}: ${issue.issue} - ${issue.details}`));
+
+// Example 15: Result message rules
+console.log('\n=== Example 15: Result Message Rules ===\n');
+const resultMessage = `MSH|^~\\&|LabSystem|Lab|EHR|Hospital|20240101120000||ORU^R01^ORU_R01|12346|P|2.5
+PID|1||MRN123^^^HOSPITAL^MR||DOE^JOHN||19800115|M
+OBR|1|ORD1|FIL1|24331-1^Lipid Panel^LN|||20240101080000|||||||||||||||20240101110000|||F
+OBX|1|NM|2093-3^Cholesterol^LN||245|mg/dL^^UCUM|<200|N|||F
+OBX|2|NM|2571-8^Triglycerides^LN||<50|mg/dL^^UCUM|<150||||F
+OBX|3|NM|2085-9^HDL Cholesterol^LN||38|mcg/dL^^UCUM|>=40|L|||P
+OBX|3|ST|13457-7^LDL Cholesterol^LN||160||||||F`;
+
+const resultAnalysis = analyzeDataQuality(resultMessage);
+resultAnalysis.issues
+  .filter(issue => ['result-set-ids', 'observation-values', 'observation-units', 'reference-ranges', 'result-status'].includes(issue.ruleId))
+  .forEach(issue => console.log(`[${issue.severity}] ${issue.field}: ${issue.issue} - ${issue.details}`));
+
+['mg/dL', '10*3/uL', 'mL/min/{1.73_m2}', 'beats/min'].forEach(unit => {
+  const { isValid, error } = validateUCUM(unit);
+  console.log(`UCUM "${unit}": ${isValid ? 'valid' : error}`);
+});
+
+// Example 16: Message type rule packs
+console.log('\n=== Example 16: Message Type Rule Packs ===\n');
+const packMessages = {
+  'ORM^O01': `MSH|^~\\&|EHR|Hospital|LabSystem|Lab|20240101120000||ORM^O01|20001|P|2.5
+PID|1||MRN123^^^HOSPITAL^MR||DOE^JOHN||19800115|M
+ORC|NW|ORD100^EHR
+OBR|1|ORD101^EHR||24331-1^Lipid Panel^LN`,
+  'SIU^S12': `MSH|^~\\&|Scheduler|Clinic|EHR|Hospital|20240101120000||SIU^S12|20002|P|2.5
+SCH|APT100||||||||30|min|^^^20240102090000^20240102093000
+PID|1||MRN123^^^HOSPITAL^MR||DOE^JOHN||19800115|M
+RGS|1
+AIS|1||99213^Office Visit^C4|20240102091500|||30|min`,
+  'VXU^V04': `MSH|^~\\&|EHR|Clinic|IIS|State|20240101120000||VXU^V04^VXU_V04|20003|P|2.5.1
+PID|1||MRN456^^^HOSPITAL^MR||DOE^JANE||20200115|F
+RXA|0|1|20240101100000||08^Hep B^CVX|0.5|mL^^UCUM||00^New Record^NIP001||||||ABC123||SKB^GlaxoSmithKline^MVX`,
+};
+
+Object.entries(packMessages).forEach(([type, message]) => {
+  const packResult = analyzeDataQuality(message);
+  console.log(`${type}: ${packResult.overallScore}/100`);
+  packResult.issues.forEach(issue => console.log(`  [${issue.ruleId}] ${issue.field}: ${issue.issue}`));
+});
+
+// Example 17: ADT trigger event rules
+console.log('\n=== Example 17: ADT Trigger Event Rules ===\n');
+const dischargeMessage = `MSH|^~\\&|SendingApp|SendingFacility|ReceivingApp|ReceivingFacility|20240105120000||ADT^A03^ADT_A03|30001|P|2.5
+EVN|A02|20240105120000
+PID|1||MRN123456789^^^HOSPITAL^MR||DOE^JOHN||19800115|M
+PV1|1|I|ICU^101^A|||123456^DOCTOR^JOHN^MD^^MD|||SUR|||||||||V123456||||||||||||||||||||||||||20240101100000`;
+
+analyzeDataQuality(dischargeMessage).issues
+  .filter(issue => ['adt-events', 'event-type'].includes(issue.ruleId))
+  .forEach(issue => console.log(`[${issue.severity}] ${issue.field}: ${issue.issue} - ${issue.details}`));
+
+// Example 18: Longitudinal checks across a patient's messages
+console.log('\n=== Example 18: Longitudinal Analysis ===\n');
+const patientStream = [
+  `MSH|^~\\&|SendingApp|SendingFacility|ReceivingApp|ReceivingFacility|20240101100000||ADT^A01^ADT_A01|40001|P|2.5
+EVN|A01|20240101100000
+PID|1||MRN777^^^HOSPITAL^MR||ROE^RICHARD||19700310|M
+PV1|1|I|ICU^101^A||||123456^DOCTOR^JOHN^MD^^MD|||SUR|||||||||V777^^^HOSPITAL`,
+  `MSH|^~\\&|SendingApp|SendingFacility|ReceivingApp|ReceivingFacility|20240102100000||ADT^A01^ADT_A01|40002|P|2.5
+EVN|A01|20240102100000
+PID|1||MRN777^^^HOSPITAL^MR||ROE^RICHARD||19700311|M
+PV1|1|I|ICU^101^A||||123456^DOCTOR^JOHN^MD^^MD|||SUR|||||||||V777^^^HOSPITAL`,
+  `MSH|^~\\&|SendingApp|SendingFacility|ReceivingApp|ReceivingFacility|20240101150000||ADT^A03^ADT_A03|40003|P|2.5
+EVN|A03|20240101150000
+PID|1||MRN777^^^HOSPITAL^MR||ROE^RICHARD||19700311|M
+PV1|1|I|ICU^101^A||||123456^DOCTOR^JOHN^MD^^MD|||SUR|||||||||V888^^^HOSPITAL|||||||||||||||||01|||||||||20240101150000`,
+];
+
+const longitudinal = createLongitudinalAnalyzer();
+for (const message of patientStream) {
+  const longitudinalResult = await longitudinal.analyze(message);
+  console.log(`${longitudinalResult.patientKey} / ${longitudinalResult.visitKey}: ${longitudinalResult.overallScore}/100`);
+  longitudinalResult.issues
+    .filter(issue => issue.ruleId === 'longitudinal-consistency')
+    .forEach(issue => console.log(`  [${issue.severity}] ${issue.field}: ${issue.issue} - ${issue.details}`));
+}
+await longitudinal.close();
+
+// Example 19: Duplicate messages and patients
+console.log('\n=== Example 19: Duplicate Detection ===\n');
+const registration = (controlId, timestamp, pid) => `MSH|^~\\&|SendingApp|SendingFacility|ReceivingApp|ReceivingFacility|${timestamp}||ADT^A04^ADT_A01|${controlId}|P|2.5
+EVN|A04|${timestamp}
+${pid}
+PV1|1|O`;
+const firstPatient = 'PID|1||MRN500^^^HOSPITAL^MR||DOE^JOHN||19800115|M|||123 MAIN ST^^CITY^ST^12345||||||||123-45-6789';
+const secondPatient = 'PID|1||MRN900^^^HOSPITAL^MR||Doe^Jon||19800115|M|||123 Main St.^^City^ST^12345-0001||||||||123456789';
+
+const duplicates = findDuplicates([
+  registration('50001', '20240101120000', firstPatient),
+  registration('50001', '20240101120000', firstPatient),
+  registration('50002', '20240101130000', firstPatient),
+  registration('50002', '20240101140000', secondPatient),
+  ]);
+['duplicateMessages', 'duplicateControlIds', 'resentMessages', 'duplicatePatients'].forEach(group => {
+  duplicates[group].forEach(issue => console.log(`Message ${issue.index + 1} [${issue.severity}] ${issue.issue} - ${issue.details}`));
+});
+
+// Example 20: Redacted reports and de-identified messages
+console.log('\n=== Example 20: PHI Redaction and De-identification ===\n');
+analyzeDataQuality(problematicMessage, { redact: true }).issues
+  .filter(issue => issue.details.includes('[REDACTED]'))
+  .forEach(issue => console.log(`${issue.field}: ${issue.details}`));
+
+const deidentified = await deidentifyMessage(getSampleADTMessage(), { key: 'example-key' });
+console.log(`\nDates shifted by ${deidentified.dateShiftDays} days; ${deidentified.changes.length} fields changed`);
+console.log(deidentified.message.split('\n').filter(line => /^(PID|NK1)/.test(line)).join('\n'));
+
+// Example 21: Scoring models with category weights and grades
+console.log('\n=== Example 21: Scoring Models ===\n');
+const defaultScore = analyzeDataQuality(problematicMessage);
+console.log(`Default: ${defaultScore.overallScore}/100 (grade ${defaultScore.grade})`);
+Object.entries(defaultScore.categoryScores)
+  .forEach(([category, score]) => console.log(`  ${category}: ${score}`));
+
+const registrationDesk = loadScoringModel({
+  name: 'Registration desk',
+  severityPenalties: { [SEVERITY.HIGH]: 8 },
+  rulePenalties: { 'phone-formats': 0 },
+  categoryWeights: { [QUALITY_CATEGORIES.COMPLETENESS]: 2, [QUALITY_CATEGORIES.FORMATTING]: 0.5 },
+  grades: [
+    { grade: 'Pass', minScore: 85 },
+    { grade: 'Review', minScore: 60 },
+    { grade: 'Fail', minScore: 0 },
+  ],
+});
+const deskScore = analyzeDataQuality(problematicMessage, { scoring: registrationDesk });
+console.log(`${registrationDesk.name}: ${deskScore.overallScore}/100 (${deskScore.grade})`);
+
+// Example 22: Custom delimiters, escape sequences and segment terminators
+console.log('\n=== Example 22: Message Parsing ===\n');
+const customDelimiters = [
+  'MSH#$*\\@#SendingApp#SendingFacility#ReceivingApp#ReceivingFacility#20240101120000##ADT$A08$ADT_A01#22001#P#2.5',
+  'EVN#A08#20240101120000',
+  'PID#1##MRN22001$$$HOSPITAL$MR##DOE$JANE##19800115#F###CORNER OF 1ST \\T\\ MAIN$$CITY$ST$12345',
+  'PV1#1#O',
+].join('\r\n');
+const customResult = analyzeDataQuality(customDelimiters);
+console.log(`Score with # $ * \\ @ delimiters and CRLF terminators: ${customResult.overallScore}/100 (${customResult.issues.length} issues)`);
+const customParsed = parseMessage(customDelimiters);
+const customPID = customParsed.segments.find(segment => segment.segmentType === 'PID');
+console.log(`PID-11 street: raw "${customPID.fields[11][0][0][0]}", unescaped "${getFieldValue(customPID, 11, {}, customParsed.encoding)}"`);
+
+// Example 23: Character set validation on raw bytes
+console.log('\n=== Example 23: Character Sets ===\n');
+const latinMessage = getSampleADTMessage()
+  .replace('|P|2.5', '|P|2.5||||||UNICODE UTF-8')
+  .replace('DOE^JOHN', 'MÜLLER^JOHN');
+const latinBytes = new TextEncoder().encode(latinMessage);
+// Corrupt the second byte of Ü so the sequence is no longer valid UTF-8
+const corrupted = latinBytes.slice();
+corrupted[latinMessage.indexOf('Ü') + 1] = 0x20;
+[['Valid UTF-8 bytes', latinBytes], ['Corrupted UTF-8 bytes', corrupted]].forEach(([label, bytes]) => {
+  const bytesResult = analyzeDataQuality(bytes);
+  const characterIssues = bytesResult.issues.filter(issue => issue.ruleId === 'character-set');
+  console.log(`${label}: ${bytesResult.overallScore}/100`);
+  characterIssues.forEach(issue => console.log(`  [${issue.severity}] ${issue.field}: ${issue.details}`));
+});
+
+// Example 24: Schemas for vendor Z-segments
+console.log('\n=== Example 24: Segment Schemas ===\n');
+const segmentSchemas = loadSegmentSchemas({
+  name: 'Vendor Extensions',
+  segments: {
+    ZPI: {
+      name: 'Patient Extension',
+      fields: {
+        1: { name: 'Set ID', type: 'NM', required: true, repeatable: false },
+        2: { name: 'Emergency Contact Relationship', type: 'CWE', table: '0063' },
+        3: { name: 'VIP Indicator', type: 'ID', table: '0136' },
+        4: { name: 'Portal Status', type: 'ST', values: ['ACTIVE', 'INVITED', 'LOCKED'] },
+        5: { name: 'Last Portal Login', type: 'DTM', required: true },
+      },
+    },
+  },
+});
+const zSegmentMessage = `${getSampleADTMessage()}\nZPI|1|FND^Friend^HL70063|V|ACTIVE|202401011260\nZVN|1|VENDOR NOTE`;
+const schemaResult = analyzeDataQuality(zSegmentMessage, { segmentSchemas });
+schemaResult.issues
+  .filter(issue => issue.ruleId === 'segment-schemas')
+  .forEach(issue => console.log(`[${issue.category}/${issue.severity}] ${issue.field}: ${issue.issue} - ${issue.details}`));
+
+// Example 25: Acknowledgements with ERR segments
+console.log('\n=== Example 25: Acknowledgements ===\n');
+const ackMessage = getSampleADTMessage()
+  .replace('|P|2.5', '|P|2.5|||AL|ER')
+  .replace('DOE^JOHN^MIDDLE^JR^^L', '');
+const ackResult = analyzeDataQuality(ackMessage);
+['application', 'accept'].forEach(level => {
+  const { message: ack, code, mode } = createAcknowledgement(ackMessage, ackResult, {
+    level,
+    controlId: 'ACK12345',
+    timestamp: new Date(2024, 0, 1, 12, 0, 5),
+  });
+  console.log(`${level} (${mode} mode): ${code}`);
+  console.log(ack.split('\r').map(segment => `  ${segment}`).join('\n'));
+});
+const cleanAckMessage = getSampleADTMessage().replace('|P|2.5', '|P|2.5|||AL|ER');
+const { message: noAck } = createAcknowledgement(cleanAckMessage, analyzeDataQuality(cleanAckMessage));
+console.log(`Application ACK for a clean message with MSH-16 ER: ${noAck === null ? 'not sent' : 'sent'}`);
+
+// Example 26: MLLP quality gate in front of a downstream interface, all on localhost
+console.log('\n=== Example 26: MLLP Quality Gate ===\n');
+const { mkdtemp, readdir, rm } = await import('fs/promises');
+const { tmpdir } = await import('os');
+const { join } = await import('path');
+const quarantineDir = await mkdtemp(join(tmpdir(), 'hl7-quarantine-'));
+
+const downstreamInterface = await startMLLPServer({
+  onMessage: ({ code }) => console.log(`  downstream received a message and answered ${code}`),
+});
+const gate = await startMLLPServer({
+  forward: { port: downstreamInterface.port },
+  quarantineDir,
+  onMessage: ({ action, code }) => console.log(`  gate: ${action} (${code})`),
+});
+
+const mllpClient = createMLLPClient({ port: gate.port });
+for (const [label, message] of [['Clean message', getSampleADTMessage()], ['Message without patient name', ackMessage]]) {
+  console.log(label);
+  const ack = await mllpClient.send(message);
+  console.log(`  sender got: ${ack.split('\r')[1]}`);
+}
+await mllpClient.close();
+await gate.close();
+await downstreamInterface.close();
+
+console.log(`Quarantined files: ${(await readdir(quarantineDir)).map(file => file.replace(/^\d+-/, '')).sort().join(', ')}`);
+await rm(quarantineDir, { recursive: true });
+
+// Example 27: FHIR OperationOutcome and SARIF export
+console.log('\n=== Example 27: FHIR and SARIF Export ===\n');
+const outcome = toOperationOutcome(ackResult);
+outcome.issue.forEach(issue => console.log(`OperationOutcome: ${issue.severity}/${issue.code} at ${issue.expression?.[0]} - ${issue.details.text}`));
+const sarif = toSARIF([{ source: 'inbound/adt.hl7', index: 0, result: ackResult, message: ackMessage }]);
+sarif.runs[0].results.forEach(({ ruleId, level, locations: [location] }) => {
+  const { startLine, startColumn } = location.physicalLocation.region;
+  console.log(`SARIF: ${level} ${ruleId} at ${location.physicalLocation.artifactLocation.uri}:${startLine}:${startColumn} (${location.logicalLocations[0].fullyQualifiedName})`);
+});
+
+// Example 28: Message structure and version checks
+console.log('\n=== Example 28: Message Structures ===\n');
+const structuredMessage = `MSH|^~\\&|LabSystem|Lab|EHR|Hospital|20240101120000||ORU^R01^ORU_R01|50001|P|2.7
+PID|1||MRN123^^^HOSPITAL^MR||DOE^JOHN||19800115|M|||||||||||123-45-6789
+ORC|RE|ORD1
+OBX|1|NM|2093-3^Cholesterol^LN||245|mg/dL^^UCUM|<200|H|||F
+PV1|1|O
+OBR|2|ORD2|FIL2|24331-1^Lipid Panel^LN
+OBX|1|NM|2571-8^Triglycerides^LN||140|mg/dL^^UCUM|<150|N|||F
+SPM|1|||SER^Serum^HL70487`;
+const { structure, version } = validateMessageStructure(parseMessage(structuredMessage));
+console.log(`Structure: ${structure} (v${version})`);
+analyzeDataQuality(structuredMessage).issues
+  .filter(issue => ['required-segments', 'message-structure', 'version-compliance'].includes(issue.ruleId))
+  .forEach(issue => console.log(`[${issue.ruleId}] ${issue.field}: ${issue.issue} - ${issue.details}`));
+
+// Example 29: Transformation fidelity between an inbound message and the engine's output
+console.log('\n=== Example 29: Transformation Fidelity ===\n');
+const inboundMessage = `MSH|^~\\&|RegSystem|Clinic|Engine|Hospital|20240101120000||ADT^A01|60001|P|2.5
+PID|1||MRN123^^^CLINIC^MR~INS555^^^PAYER^MB||DOE^JOHNATHAN||19800115|M
+PV1|1|I|ICU^101^A`;
+const outboundMessage = `MSH|^~\\&|Engine|Hospital|EHR|Hospital|20240101120001||ADT^A01|60001|P|2.5
+PID|1||INS555^^^PAYER^MB~MRN123^^^CLINIC^MR||DOE^JOHN||19800115|unknown
+PV1|1|I`;
+const fidelity = compareTransformation(inboundMessage, outboundMessage, {
+  name: 'Clinic ADT to EHR',
+  mappings: [
+    { source: 'PID-3.1', target: 'PID-3.1', name: 'Identifiers' },
+    { source: 'PID-5', target: 'PID-5', name: 'Patient name' },
+    { source: 'PID-8', target: 'PID-8', name: 'Sex', valueMap: { M: 'male', F: 'female' } },
+    { source: 'PV1-3', target: 'PV1-3', name: 'Location' },
+  ],
+});
+console.log(`Fidelity score: ${fidelity.overallScore} (${fidelity.grade}), ${fidelity.comparedValues} values compared`);
+fidelity.issues.forEach(issue => console.log(`${issue.severity}: ${issue.issue} - ${issue.details}`));
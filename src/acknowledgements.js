@@ -0,0 +1,287 @@
+/**
+ * Acknowledgements
+ *
+ * Builds the HL7 ACK a receiver returns for a message from its analysis
+ * result. The acknowledgement code follows configurable severity thresholds,
+ * original or enhanced mode is chosen from MSH-15/MSH-16, and every issue is
+ * reported in an ERR segment with its location, HL7 error code (table 0357),
+ * application error code (table 0533) and severity (table 0516).
+ */
+
+import { QUALITY_CATEGORIES, SEVERITY } from './constants.js'
+import { parseMessage, escapeValue, DEFAULT_ENCODING } from './messageParser.js'
+import { decodeMessage } from './characterSets.js'
+import { parseVersion, compareVersions } from './messageHelpers.js'
+
+/**
+ * HL7 table 0357 message error condition codes
+ */
+export const HL7_ERROR_CODES = {
+  0: 'Message accepted',
+  100: 'Segment sequence error',
+  101: 'Required field missing',
+  102: 'Data type error',
+  103: 'Table value not found',
+  104: 'Value too long',
+  200: 'Unsupported message type',
+  201: 'Unsupported event code',
+  202: 'Unsupported processing id',
+  203: 'Unsupported version id',
+  204: 'Unknown key identifier',
+  205: 'Duplicate key identifier',
+  206: 'Application record locked',
+  207: 'Application internal error',
+}
+
+/**
+ * Error codes for issues of rules whose category alone does not pick the right one
+ */
+const RULE_ERROR_CODES = {
+  'required-segments': 100,
+  'message-structure': 100,
+  'version-compliance': 203,
+}
+
+const CATEGORY_ERROR_CODES = {
+  [QUALITY_CATEGORIES.COMPLETENESS]: 101,
+  [QUALITY_CATEGORIES.FORMATTING]: 102,
+  [QUALITY_CATEGORIES.ACCURACY]: 103,
+}
+
+/**
+ * Acknowledgement codes (table 0008) by level: accept (commit) and application
+ */
+const ACK_CODES = {
+  accept: { accept: 'CA', error: 'CE', reject: 'CR' },
+  application: { accept: 'AA', error: 'AE', reject: 'AR' },
+}
+
+const SEVERITY_ORDER = Object.values(SEVERITY)
+
+let controlIdCounter = 0
+
+/**
+ * Builds the acknowledgement for a message from its analysis result
+ * Original mode is used when MSH-15 and MSH-16 are both empty; otherwise the ACK follows the enhanced
+ * mode conditions (AL, NE, ER, SU) of the requested level, an empty field counting as AL.
+ * @param {string|Uint8Array} hl7Message - The message being acknowledged
+ * @param {Object} result - Its analyzeDataQuality result
+ * @param {Object} [options] - Acknowledgement options
+ * @param {string} [options.level='application'] - Enhanced mode level: 'accept' (CA/CE/CR, per MSH-15) or
+ *   'application' (AA/AE/AR, per MSH-16). Original mode always uses AA/AE/AR.
+ * @param {string|null} [options.rejectAt=SEVERITY.CRITICAL] - Reject (AR/CR) when an issue is at or above this severity
+ * @param {string|null} [options.errorAt=SEVERITY.HIGH] - Return an error (AE/CE) when an issue is at or above this severity
+ * @param {string} [options.minSeverity=SEVERITY.INFO] - Lowest severity reported in an ERR segment
+ * @param {Object} [options.errorCodes] - Table 0357 codes by rule ID, overriding the defaults
+ * @param {string} [options.controlId] - MSH-10 of the ACK (generated when omitted)
+ * @param {Date} [options.timestamp] - MSH-7 of the ACK (defaults to now)
+ * @returns {Object} { message, code, mode, level } where message is the ACK text (segments separated by CR),
+ *   or null when the enhanced mode condition says no acknowledgement is sent
+ */
+export function createAcknowledgement(hl7Message, result, {
+  level = 'application',
+  rejectAt = SEVERITY.CRITICAL,
+  errorAt = SEVERITY.HIGH,
+  minSeverity = SEVERITY.INFO,
+  errorCodes = {},
+  controlId,
+  timestamp = new Date(),
+} = {}) {
+  if (!ACK_CODES[level]) {
+    throw new Error(`Unknown acknowledgement level "${level}" (expected accept or application)`)
+  }
+  if (!result || !Array.isArray(result.issues)) {
+    throw new Error('An analyzeDataQuality result is required')
+  }
+  ;[rejectAt, errorAt, minSeverity].forEach(severity => {
+    if (severity !== null && !SEVERITY_ORDER.includes(severity)) {
+      throw new Error(`Unknown severity "${severity}"`)
+    }
+  })
+
+  const header = readHeader(hl7Message)
+  const { encoding } = header
+  const acceptType = header.fields[15] || ''
+  const applicationType = header.fields[16] || ''
+  const mode = acceptType === '' && applicationType === '' ? 'original' : 'enhanced'
+  const ackLevel = mode === 'original' ? 'application' : level
+
+  const outcome = getOutcome(result, { rejectAt, errorAt })
+  const code = ACK_CODES[ackLevel][outcome]
+  if (mode === 'enhanced' && !isAcknowledgementSent(ackLevel === 'accept' ? acceptType : applicationType, outcome)) {
+    return { message: null, code, mode, level: ackLevel }
+  }
+
+  // Without a declared version the ACK is built as for current versions
+  const version = header.fields[12] || ''
+  const declared = parseVersion(version)
+  const isAtLeast = minimum => version === '' || (declared !== null && compareVersions(declared, minimum) >= 0)
+  const [, trigger = ''] = String(header.fields[9] || '').split(encoding.component)
+  const messageType = trigger
+    ? ['ACK', trigger, ...(isAtLeast([2, 3, 1]) ? ['ACK'] : [])].join(encoding.component)
+    : 'ACK'
+
+  const msh = [
+    'MSH',
+    `${encoding.component}${encoding.repetition}${encoding.escape || ''}${encoding.subcomponent}${encoding.truncation || ''}`,
+    header.fields[5] || '',
+    header.fields[6] || '',
+    header.fields[3] || '',
+    header.fields[4] || '',
+    formatTimestamp(timestamp),
+    '',
+    messageType,
+    controlId ?? generateControlId(timestamp),
+    header.fields[11] || 'P',
+    version,
+  ]
+  if (header.fields[18]) {
+    msh.push('', '', '', '', '', header.fields[18])
+  }
+
+  const segments = [
+    msh.join(encoding.field),
+    ['MSA', code, header.fields[10] || ''].join(encoding.field),
+  ]
+
+  const minRank = SEVERITY_ORDER.indexOf(minSeverity)
+  const useErrorLocation = isAtLeast([2, 5])
+  result.issues
+    .filter(issue => SEVERITY_ORDER.indexOf(issue.severity) <= minRank)
+    .forEach(issue => {
+      segments.push(buildErrorSegment(issue, { encoding, errorAt, errorCodes, useErrorLocation }))
+    })
+
+  return { message: segments.join('\r'), code, mode, level: ackLevel }
+}
+
+/**
+ * Reads the MSH fields an acknowledgement echoes, tolerating messages that do not parse
+ */
+function readHeader(hl7Message) {
+  try {
+    const parsed = parseMessage(decodeMessage(hl7Message).text)
+    const msh = parsed.segments.find(segment => segment.segmentType === 'MSH')
+    const fields = {}
+    Object.entries(msh?.parsed || {}).forEach(([key, value]) => {
+      fields[Number(key.replace(/^field/, ''))] = value
+    })
+    return { encoding: parsed.encoding, fields }
+  } catch (error) {
+    return { encoding: { ...DEFAULT_ENCODING }, fields: {} }
+  }
+}
+
+/**
+ * Picks reject, error or accept from the issues of an analysis result
+ */
+function getOutcome(result, { rejectAt, errorAt }) {
+  if (result.isValid === false) {
+    return 'reject'
+  }
+  const isAtOrAbove = threshold => threshold !== null && result.issues.some(issue => {
+    const rank = SEVERITY_ORDER.indexOf(issue.severity)
+    return rank !== -1 && rank <= SEVERITY_ORDER.indexOf(threshold)
+  })
+  if (isAtOrAbove(rejectAt)) {
+    return 'reject'
+  }
+  return isAtOrAbove(errorAt) ? 'error' : 'accept'
+}
+
+/**
+ * Applies an enhanced mode acknowledgement condition (table 0155)
+ */
+function isAcknowledgementSent(condition, outcome) {
+  switch (condition) {
+    case 'NE':
+      return false
+    case 'ER':
+      return outcome !== 'accept'
+    case 'SU':
+      return outcome === 'accept'
+    default:
+      return true
+  }
+}
+
+/**
+ * Builds the ERR segment for one issue: ERR-2 to ERR-8 from v2.5, ERR-1 (ELD) before it
+ */
+function buildErrorSegment(issue, { encoding, errorAt, errorCodes, useErrorLocation }) {
+  const escape = text => escapeValue(text ?? '', encoding)
+  const errorCode = getErrorCode(issue, errorCodes)
+  const location = issue.location || {}
+  const hasLocation = Boolean(location.segment) && /^[A-Z][A-Z0-9]{2}$/.test(location.segment)
+
+  if (!useErrorLocation) {
+    const hl7Error = [errorCode, HL7_ERROR_CODES[errorCode] || '', 'HL70357'].join(encoding.subcomponent)
+    const elementLocation = hasLocation
+      ? [location.segment, location.sequence ?? 1, location.field ?? '', hl7Error]
+      : ['', '', '', hl7Error]
+    return ['ERR', elementLocation.join(encoding.component)].join(encoding.field)
+  }
+
+  const errorLocation = hasLocation
+    ? [location.segment, location.sequence ?? 1, location.field, location.repetition, location.component, location.subcomponent]
+      .map(value => value ?? '')
+      .join(encoding.component)
+      .replace(new RegExp(`${escapeRegExp(encoding.component)}+$`), '')
+    : ''
+  return [
+    'ERR',
+    '',
+    errorLocation,
+    [errorCode, HL7_ERROR_CODES[errorCode] || '', 'HL70357'].join(encoding.component),
+    getErrorSeverity(issue.severity, errorAt),
+    issue.ruleId ? [escape(issue.ruleId), escape(issue.issue), 'HL70533'].join(encoding.component) : '',
+    '',
+    escape(issue.details),
+    escape(issue.recommendation),
+  ].join(encoding.field)
+}
+
+/**
+ * Gets the table 0357 code for an issue: the caller's code for its rule, the rule default, then its category
+ */
+function getErrorCode(issue, errorCodes) {
+  if (errorCodes[issue.ruleId] !== undefined) {
+    return errorCodes[issue.ruleId]
+  }
+  if (RULE_ERROR_CODES[issue.ruleId] !== undefined) {
+    return RULE_ERROR_CODES[issue.ruleId]
+  }
+  // A missing segment, or a message whose structure could not be read
+  if (!issue.location?.field && (issue.category === QUALITY_CATEGORIES.COMPLETENESS || !issue.ruleId)) {
+    return 100
+  }
+  return CATEGORY_ERROR_CODES[issue.category] ?? 207
+}
+
+/**
+ * Maps an issue severity to table 0516: E for issues at or above the error threshold, I for Info, W otherwise
+ */
+function getErrorSeverity(severity, errorAt) {
+  if (severity === SEVERITY.INFO) {
+    return 'I'
+  }
+  const threshold = SEVERITY_ORDER.indexOf(errorAt ?? SEVERITY.HIGH)
+  return SEVERITY_ORDER.indexOf(severity) <= threshold ? 'E' : 'W'
+}
+
+function generateControlId(timestamp) {
+  controlIdCounter = (controlIdCounter + 1) % 1000
+  return `ACK${formatTimestamp(timestamp)}${String(controlIdCounter).padStart(3, '0')}`
+}
+
+function formatTimestamp(date) {
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0')
+}
@@ -0,0 +1,185 @@
+/**
+ * ADT Trigger Event Rules
+ *
+ * Business rules that depend on the ADT trigger event: discharge details for
+ * A03, no discharge for A01, the patient class of A04 registrations, stable
+ * identifiers in A08 updates, prior identifiers in MRG for merges, and the
+ * EVN-1 event type against MSH-9.2.
+ */
+
+import { QUALITY_CATEGORIES, SEVERITY } from './constants.js'
+import { getSegments, getDataTypeOptions, getComponents, getMessageType, createIssue, sumPenalties } from './messageHelpers.js'
+
+/**
+ * Patient classes (table 0004) an A04 registration is expected to carry;
+ * recurring patients are registered like outpatients
+ */
+const REGISTRATION_CLASSES = ['O', 'E', 'R']
+
+/**
+ * MRG fields each merge event identifies the merged record by
+ */
+const MERGE_EVENTS = {
+  A30: [{ field: 1, name: 'Prior Patient Identifier List' }],
+  A34: [{ field: 1, name: 'Prior Patient Identifier List' }],
+  A35: [{ field: 3, name: 'Prior Patient Account Number' }],
+  A36: [{ field: 1, name: 'Prior Patient Identifier List' }, { field: 3, name: 'Prior Patient Account Number' }],
+  A39: [{ field: 4, name: 'Prior Patient ID' }],
+  A40: [{ field: 1, name: 'Prior Patient Identifier List' }],
+  A41: [{ field: 3, name: 'Prior Patient Account Number' }],
+  A42: [{ field: 5, name: 'Prior Visit Number' }],
+}
+
+/**
+ * ADT rules, registered as built-in rules after the general rules
+ */
+export const ADT_RULES = [
+  { id: 'adt-events', name: 'ADT Trigger Event Rules', check: checkADTEvents, category: QUALITY_CATEGORIES.BUSINESS_RULES, severity: SEVERITY.HIGH, penalty: 5, messageTypes: ['ADT'] },
+  { id: 'event-type', name: 'Event Type Consistency', check: checkEventType, category: QUALITY_CATEGORIES.CONSISTENCY, severity: SEVERITY.HIGH, penalty: 5, messageTypes: ['ADT'] },
+]
+
+/**
+ * Checks the visit and identifier rules of the message's trigger event
+ */
+function checkADTEvents(parsed) {
+  const issues = []
+  const { encoding } = getDataTypeOptions(parsed)
+  const { trigger } = getMessageType(parsed)
+
+  getSegments(parsed, 'PV1').forEach(({ segment: pv1, sequence }) => {
+    const location = field => ({ segment: 'PV1', sequence, field })
+    const [patientClass = ''] = getComponents(pv1.parsed.field2, encoding)
+
+    if (trigger === 'A03') {
+      if (!pv1.parsed.field45) {
+        issues.push(createIssue(QUALITY_CATEGORIES.BUSINESS_RULES, SEVERITY.HIGH, location(45),
+          'Missing discharge date',
+          'A03 (discharge) messages must carry the discharge date/time in PV1-45',
+          'Populate PV1-45 with the discharge date/time'))
+      }
+      if (!pv1.parsed.field36) {
+        issues.push(createIssue(QUALITY_CATEGORIES.BUSINESS_RULES, SEVERITY.MEDIUM, location(36),
+          'Missing discharge disposition',
+          'A03 (discharge) messages should state where the patient went in PV1-36',
+          'Populate PV1-36 with the discharge disposition (e.g. 01 home)'))
+      }
+    }
+    if (trigger === 'A01' && pv1.parsed.field45) {
+      issues.push(createIssue(QUALITY_CATEGORIES.BUSINESS_RULES, SEVERITY.HIGH, location(45),
+        'Discharge date on admission',
+        `A01 (admit) message carries a discharge date/time "${pv1.parsed.field45}" in PV1-45`,
+        'Clear PV1-45 on admission; send the discharge as an A03'))
+    }
+    if (trigger === 'A04' && patientClass && !REGISTRATION_CLASSES.includes(patientClass)) {
+      issues.push(createIssue(QUALITY_CATEGORIES.BUSINESS_RULES, SEVERITY.MEDIUM, location(2),
+        'Unexpected patient class for registration',
+        `A04 (register) message has patient class "${patientClass}"; registrations are for outpatient or emergency patients`,
+        'Use A01 to admit inpatients, or correct PV1-2 (O, E or R)'))
+    }
+  })
+
+  if (trigger === 'A08') {
+    checkUpdateIdentifiers(issues, parsed, encoding)
+  }
+
+  if (MERGE_EVENTS[trigger]) {
+    const mergeSegments = getSegments(parsed, 'MRG')
+    if (mergeSegments.length === 0) {
+      issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.HIGH, { segment: 'MRG' },
+        'Missing MRG segment',
+        `${trigger} (merge) messages must carry an MRG segment identifying the record being merged`,
+        'Add an MRG segment with the prior identifiers'))
+    }
+    const pid = parsed.segments.find(s => s.segmentType === 'PID')
+    const survivingIdentifiers = identifiers(pid?.parsed.field3, encoding)
+
+    mergeSegments.forEach(({ segment: mrg, sequence }) => {
+      MERGE_EVENTS[trigger].forEach(({ field, name }) => {
+        if (!mrg.parsed[`field${field}`]) {
+          issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.HIGH, { segment: 'MRG', sequence, field },
+            `Missing ${name}`,
+            `${trigger} merges identify the merged record by MRG-${field}, which is empty`,
+            `Populate MRG-${field} with the ${name.toLowerCase()}`))
+        }
+      })
+      const merged = identifiers(mrg.parsed.field1, encoding).find(prior => survivingIdentifiers.some(current => sameIdentifier(current, prior)))
+      if (merged) {
+        issues.push({
+          ...createIssue(QUALITY_CATEGORIES.BUSINESS_RULES, SEVERITY.HIGH, { segment: 'MRG', sequence, field: 1 },
+            'Record merged into itself',
+            `Prior identifier "${merged.id}" in MRG-1 is also the surviving identifier in PID-3`,
+            'Send the identifier being retired in MRG-1 and the surviving identifier in PID-3'),
+          relatedLocations: [{ segment: 'PID', sequence: 1, field: 3 }],
+        })
+      }
+    })
+  }
+
+  return { issues, scorePenalty: sumPenalties(issues) }
+}
+
+/**
+ * Flags identifier changes carried by an A08 update
+ */
+function checkUpdateIdentifiers(issues, parsed, encoding) {
+  getSegments(parsed, 'MRG').forEach(({ sequence }) => {
+    issues.push(createIssue(QUALITY_CATEGORIES.BUSINESS_RULES, SEVERITY.HIGH, { segment: 'MRG', sequence },
+      'Identifier change in update',
+      'A08 (update patient information) carries an MRG segment, which changes patient identifiers',
+      'Send identifier changes and merges as A40 or A47 rather than A08'))
+  })
+
+  getSegments(parsed, 'PID').forEach(({ segment: pid, sequence }) => {
+    const recordNumbers = identifiers(pid.parsed.field3, encoding).filter(({ type }) => type === 'MR')
+    const authorities = [...new Set(recordNumbers.map(({ authority }) => authority))]
+    authorities.forEach(authority => {
+      const count = recordNumbers.filter(entry => entry.authority === authority).length
+      if (count > 1) {
+        issues.push(createIssue(QUALITY_CATEGORIES.BUSINESS_RULES, SEVERITY.MEDIUM, { segment: 'PID', sequence, field: 3 },
+          'Conflicting medical record numbers in update',
+          `PID-3 carries ${count} MRNs${authority ? ` from assigning authority "${authority}"` : ''}; an A08 must not change the MRN`,
+          'Send a single MRN per assigning authority; send MRN changes as A47 or merges as A40'))
+      }
+    })
+  })
+}
+
+/**
+ * Checks that EVN-1 names the same event as the trigger in MSH-9.2
+ */
+function checkEventType(parsed) {
+  const issues = []
+  const { trigger } = getMessageType(parsed)
+
+  getSegments(parsed, 'EVN').forEach(({ segment: evn, sequence }) => {
+    const eventType = evn.parsed.field1
+    if (eventType && trigger && eventType !== trigger) {
+      issues.push({
+        ...createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.HIGH, { segment: 'EVN', sequence, field: 1 },
+          'Event type does not match trigger event',
+          `EVN-1 "${eventType}" does not match the trigger event "${trigger}" in MSH-9.2`,
+          'Send the same event in EVN-1 and MSH-9.2, or leave EVN-1 empty (it is kept only for backward compatibility)'),
+        relatedLocations: [{ segment: 'MSH', sequence: 1, field: 9, component: 2 }],
+      })
+    }
+  })
+
+  return { issues, scorePenalty: sumPenalties(issues) }
+}
+
+/**
+ * Splits a CX list into { id, authority, type } entries
+ */
+function identifiers(value, encoding) {
+  if (!value) {
+    return []
+  }
+  return String(value).split(encoding.repetition)
+    .map(repetition => repetition.split(encoding.component))
+    .filter(([id]) => id)
+    .map(([id, , , authority = '', type = '']) => ({ id, authority, type }))
+}
+
+function sameIdentifier(a, b) {
+  return a.id === b.id && (!a.authority || !b.authority || a.authority === b.authority)
+}
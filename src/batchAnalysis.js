@@ -0,0 +1,357 @@
+/**
+ * Batch and Streaming Analysis
+ *
+ * Splits multi-message input (FHS/BHS batch envelopes, MLLP framed dumps and
+ * newline-delimited archives) into individual messages and analyzes each one
+ * as it is read, so memory use is bounded by the largest single message.
+ */
+
+import { QUALITY_CATEGORIES, SEVERITY } from './constants.js'
+import { decodeMessage } from './characterSets.js'
+
+const MLLP_START_BLOCK = '\x0b'
+const MLLP_END_BLOCK = '\x1c'
+const ENVELOPE_SEGMENTS = ['FHS', 'BHS', 'BTS', 'FTS']
+const ENVELOPE_RULE_ID = 'batch-envelope'
+
+/**
+ * Creates an incremental splitter that turns text chunks into message and envelope events
+ * @returns {Object} Splitter with write(text) and end() methods, each returning an array of events:
+ *   { type: 'message', message } for each complete message,
+ *   { type: 'envelope', segmentType, segment, fields } for FHS/BHS/BTS/FTS segments and
+ *   { type: 'orphan', segmentType, segment } for segments that appear before any MSH
+ */
+export function createMessageSplitter() {
+  let buffer = ''
+  let currentSegments = null
+  let orphanSegments = 0
+
+  function flushMessage(events) {
+    if (currentSegments) {
+      events.push({ type: 'message', message: currentSegments.join('\r') })
+      currentSegments = null
+    }
+  }
+
+  function processLine(line, events) {
+    if (line.trim() === '') {
+      return
+    }
+    const segmentType = line.substring(0, 3)
+
+    if (segmentType === 'MSH') {
+      flushMessage(events)
+      currentSegments = [line]
+    } else if (ENVELOPE_SEGMENTS.includes(segmentType)) {
+      flushMessage(events)
+      events.push({ type: 'envelope', segmentType, segment: line, fields: line.split(line.charAt(3) || '|') })
+    } else if (currentSegments) {
+      currentSegments.push(line)
+    } else {
+      orphanSegments++
+      events.push({ type: 'orphan', segmentType, segment: line })
+    }
+  }
+
+  function processBuffer(final) {
+    const events = []
+    let start = 0
+
+    for (let i = 0; i < buffer.length; i++) {
+      const char = buffer[i]
+      if (char === '\r' || char === '\n' || char === MLLP_START_BLOCK || char === MLLP_END_BLOCK) {
+        // A trailing CR may be the first half of a CRLF split across chunks
+        if (char === '\r' && i === buffer.length - 1 && !final) {
+          break
+        }
+        processLine(buffer.substring(start, i), events)
+        if (char === '\r' && buffer[i + 1] === '\n') {
+          i++
+        }
+        if (char === MLLP_START_BLOCK || char === MLLP_END_BLOCK) {
+          flushMessage(events)
+        }
+        start = i + 1
+      }
+    }
+
+    buffer = buffer.substring(start)
+    if (final) {
+      processLine(buffer, events)
+      buffer = ''
+      flushMessage(events)
+    }
+    return events
+  }
+
+  return {
+    write(text) {
+      buffer += text
+      return processBuffer(false)
+    },
+    end() {
+      return processBuffer(true)
+    },
+    get orphanSegments() {
+      return orphanSegments
+    },
+  }
+}
+
+/**
+ * Tracks FHS/BHS/BTS/FTS envelopes and produces envelope quality issues
+ */
+function createEnvelopeTracker() {
+  let fileHeader = null
+  let fileTrailer = null
+  let batchCount = 0
+  let openBatch = null
+  let unbatchedCount = 0
+  const fileIssues = []
+
+  function envelopeIssue(severity, field, issue, details, recommendation) {
+    return { ruleId: ENVELOPE_RULE_ID, category: QUALITY_CATEGORIES.COMPLIANCE, severity, field, issue, details, recommendation }
+  }
+
+  function closeBatch(trailer) {
+    // A BTS without a BHS closes an implicit batch of the messages since the last envelope
+    const batch = openBatch || { batchIndex: batchCount++, header: null, messageCount: unbatchedCount }
+    openBatch = null
+    unbatchedCount = 0
+    const issues = []
+
+    if (!batch.header) {
+      issues.push(envelopeIssue(SEVERITY.HIGH, 'BTS', 'Batch trailer without header',
+        'A BTS segment was found without a preceding BHS segment',
+        'Start every batch with a BHS segment'))
+    }
+
+    let declaredCount = null
+    if (!trailer) {
+      issues.push(envelopeIssue(SEVERITY.HIGH, 'BTS', 'Missing batch trailer',
+        'Batch started with BHS was not closed with a BTS segment',
+        'End every batch with a BTS segment'))
+    } else if (trailer.fields[1]) {
+      declaredCount = Number(trailer.fields[1])
+      if (!Number.isInteger(declaredCount)) {
+        issues.push(envelopeIssue(SEVERITY.MEDIUM, 'BTS-1', 'Invalid batch message count',
+          `Batch message count "${trailer.fields[1]}" is not a whole number`,
+          'Populate BTS-1 with the number of messages in the batch'))
+        declaredCount = null
+      } else if (declaredCount !== batch.messageCount) {
+        issues.push(envelopeIssue(SEVERITY.HIGH, 'BTS-1', 'Batch message count mismatch',
+          `BTS-1 declares ${declaredCount} message(s) but the batch contains ${batch.messageCount}`,
+          'Verify that no messages were dropped or duplicated and that BTS-1 is calculated correctly'))
+      }
+    } else {
+      issues.push(envelopeIssue(SEVERITY.LOW, 'BTS-1', 'Missing batch message count',
+        'BTS-1 (Batch Message Count) is not populated',
+        'Populate BTS-1 with the number of messages in the batch'))
+    }
+
+    return {
+      type: 'batch',
+      batchIndex: batch.batchIndex,
+      header: batch.header,
+      messageCount: batch.messageCount,
+      declaredCount,
+      issues,
+    }
+  }
+
+  return {
+    get currentBatchIndex() {
+      return openBatch ? openBatch.batchIndex : null
+    },
+
+    countMessage() {
+      if (openBatch) {
+        openBatch.messageCount++
+      } else {
+        unbatchedCount++
+      }
+    },
+
+    /**
+     * Handles an envelope segment, returning a batch event when a batch is closed
+     */
+    handle({ segmentType, segment, fields }) {
+      switch (segmentType) {
+        case 'FHS':
+          if (fileHeader) {
+            fileIssues.push(envelopeIssue(SEVERITY.MEDIUM, 'FHS', 'Multiple file headers',
+              'More than one FHS segment was found in the file',
+              'Use a single FHS/FTS envelope per file'))
+          }
+          fileHeader = segment
+          return null
+        case 'BHS': {
+          const unterminated = openBatch ? closeBatch(null) : null
+          openBatch = { batchIndex: batchCount++, header: segment, messageCount: 0 }
+          unbatchedCount = 0
+          return unterminated
+        }
+        case 'BTS':
+          return closeBatch({ segment, fields })
+        case 'FTS': {
+          const unterminated = openBatch ? closeBatch(null) : null
+          fileTrailer = { segment, fields }
+          return unterminated
+        }
+        default:
+          return null
+      }
+    },
+
+    /**
+     * Finishes tracking, returning any unterminated batch event and file-level issues
+     */
+    finish() {
+      const unterminated = openBatch ? closeBatch(null) : null
+
+      if (fileHeader && !fileTrailer) {
+        fileIssues.push(envelopeIssue(SEVERITY.HIGH, 'FTS', 'Missing file trailer',
+          'File started with FHS was not closed with an FTS segment',
+          'End the file with an FTS segment'))
+      }
+      if (fileTrailer && !fileHeader) {
+        fileIssues.push(envelopeIssue(SEVERITY.HIGH, 'FTS', 'File trailer without header',
+          'An FTS segment was found without a preceding FHS segment',
+          'Start the file with an FHS segment'))
+      }
+      if (fileTrailer && fileTrailer.fields[1]) {
+        const declaredBatches = Number(fileTrailer.fields[1])
+        if (!Number.isInteger(declaredBatches)) {
+          fileIssues.push(envelopeIssue(SEVERITY.MEDIUM, 'FTS-1', 'Invalid file batch count',
+            `File batch count "${fileTrailer.fields[1]}" is not a whole number`,
+            'Populate FTS-1 with the number of batches in the file'))
+        } else if (declaredBatches !== batchCount) {
+          fileIssues.push(envelopeIssue(SEVERITY.HIGH, 'FTS-1', 'File batch count mismatch',
+            `FTS-1 declares ${declaredBatches} batch(es) but the file contains ${batchCount}`,
+            'Verify that no batches were dropped and that FTS-1 is calculated correctly'))
+        }
+      }
+
+      return { unterminated, batchCount, fileIssues }
+    },
+  }
+}
+
+/**
+ * Analyzes messages from a stream, file or async iterable one at a time
+ * @param {string|Object} source - File path, Buffer, Node Readable stream, or (async) iterable of string/Buffer chunks
+ * Byte chunks are split without decoding them, and each message is passed to analyze as bytes so its
+ * MSH-18 character set decides how it is read; message is then the decoded text.
+ * @param {Function} analyze - Single-message analysis function (analyzeDataQuality)
+ * @param {Object} [options] - Options passed through to the analysis function
+ * @yields {Object} { type: 'message', index, batchIndex, message, result } per message,
+ *   { type: 'batch', batchIndex, header, messageCount, declaredCount, issues } when a batch closes,
+ *   and finally { type: 'summary', messageCount, batchCount, orphanSegments, issues }
+ */
+export async function* analyzeMessageStream(source, analyze, options = {}) {
+  const splitter = createMessageSplitter()
+  const envelope = createEnvelopeTracker()
+  let fromBytes = false
+  let messageCount = 0
+
+  function* handleEvents(events) {
+    for (const event of events) {
+      if (event.type === 'message') {
+        envelope.countMessage()
+        const input = fromBytes ? toBytes(event.message) : event.message
+        yield {
+          type: 'message',
+          index: messageCount++,
+          batchIndex: envelope.currentBatchIndex,
+          message: fromBytes ? decodeMessage(input).text : event.message,
+          result: analyze(input, options),
+        }
+      } else if (event.type === 'envelope') {
+        const batch = envelope.handle(event)
+        if (batch) {
+          yield batch
+        }
+      }
+    }
+  }
+
+  for await (const chunk of await openSource(source)) {
+    if (typeof chunk !== 'string') {
+      fromBytes = true
+    }
+    // One character per byte: the delimiters are ASCII, so splitting never cuts a multi-byte character
+    yield* handleEvents(splitter.write(typeof chunk === 'string' ? chunk : toByteString(chunk)))
+  }
+  yield* handleEvents(splitter.end())
+
+  const { unterminated, batchCount, fileIssues } = envelope.finish()
+  if (unterminated) {
+    yield unterminated
+  }
+
+  const issues = [...fileIssues]
+  if (splitter.orphanSegments > 0) {
+    issues.push({
+      ruleId: ENVELOPE_RULE_ID,
+      category: QUALITY_CATEGORIES.COMPLIANCE,
+      severity: SEVERITY.MEDIUM,
+      field: 'Message Structure',
+      issue: 'Segments outside of a message',
+      details: `${splitter.orphanSegments} segment(s) appeared before any MSH segment and were not analyzed`,
+      recommendation: 'Ensure every message starts with an MSH segment',
+    })
+  }
+
+  yield { type: 'summary', messageCount, batchCount, orphanSegments: splitter.orphanSegments, issues }
+}
+
+/**
+ * Analyzes every message in an in-memory multi-message string
+ * @param {string} text - Batch file contents
+ * @param {Function} analyze - Single-message analysis function (analyzeDataQuality)
+ * @param {Object} [options] - Options passed through to the analysis function
+ * @returns {Promise<Object>} { results, batches, summary }
+ */
+export async function analyzeMessageBatch(text, analyze, options = {}) {
+  const results = []
+  const batches = []
+  let summary = null
+
+  for await (const item of analyzeMessageStream([text], analyze, options)) {
+    if (item.type === 'message') {
+      results.push(item)
+    } else if (item.type === 'batch') {
+      batches.push(item)
+    } else {
+      summary = item
+    }
+  }
+
+  return { results, batches, summary }
+}
+
+async function openSource(source) {
+  if (typeof source === 'string') {
+    const { createReadStream } = await import('fs')
+    return createReadStream(source)
+  }
+  if (source instanceof Uint8Array) {
+    return [source]
+  }
+  if (source && (typeof source[Symbol.asyncIterator] === 'function' || typeof source[Symbol.iterator] === 'function')) {
+    return source
+  }
+  throw new Error('Source must be a file path, readable stream or iterable of chunks')
+}
+
+function toByteString(bytes) {
+  let text = ''
+  for (let i = 0; i < bytes.length; i += 8192) {
+    text += String.fromCharCode(...bytes.subarray(i, i + 8192))
+  }
+  return text
+}
+
+function toBytes(byteString) {
+  return Uint8Array.from(byteString, character => character.charCodeAt(0))
+}
@@ -0,0 +1,548 @@
+/**
+ * Character Sets
+ *
+ * Checks the characters of a message against the character set declared in
+ * MSH-18 (HL7 table 0211). Decodes Buffer input with the declared character
+ * set, and reports invalid UTF-8 sequences, bytes and characters outside the
+ * declared repertoire, control characters, and delimiters left unescaped in
+ * field content, each with the byte and character offset where it occurs.
+ */
+
+import { QUALITY_CATEGORIES, SEVERITY } from './constants.js'
+import { getDataTypeOptions, createIssue } from './messageHelpers.js'
+import { indexMessage, locateOffset } from './messageLocator.js'
+
+/**
+ * Character sets of HL7 table 0211: the decoder label used for them and, for
+ * single-byte sets whose repertoire is a prefix of Unicode, the highest code point allowed
+ */
+export const CHARACTER_SETS = {
+  'ASCII': { encoding: 'latin1', maxCodePoint: 0x7f },
+  '8859/1': { encoding: 'latin1', maxCodePoint: 0xff },
+  '8859/2': { encoding: 'iso-8859-2' },
+  '8859/3': { encoding: 'iso-8859-3' },
+  '8859/4': { encoding: 'iso-8859-4' },
+  '8859/5': { encoding: 'iso-8859-5' },
+  '8859/6': { encoding: 'iso-8859-6' },
+  '8859/7': { encoding: 'iso-8859-7' },
+  '8859/8': { encoding: 'iso-8859-8' },
+  '8859/9': { encoding: 'iso-8859-9' },
+  '8859/15': { encoding: 'iso-8859-15' },
+  'ISO IR6': { encoding: 'latin1', maxCodePoint: 0x7f },
+  'ISO IR14': { encoding: 'shift_jis' },
+  'ISO IR87': { encoding: 'iso-2022-jp' },
+  'ISO IR100': { encoding: 'latin1', maxCodePoint: 0xff },
+  'ISO IR159': { encoding: 'iso-2022-jp' },
+  'ISO IR192': { encoding: 'utf-8' },
+  'UNICODE': { encoding: 'utf-16be' },
+  'UNICODE UTF-8': { encoding: 'utf-8' },
+  'UNICODE UTF-16': { encoding: 'utf-16be' },
+  'UNICODE UTF-32': { encoding: null },
+  'GB 18030-2000': { encoding: 'gb18030' },
+  'KS X 1001': { encoding: 'euc-kr' },
+  'CNS 11643-1992': { encoding: null },
+  'BIG-5': { encoding: 'big5' },
+}
+
+/**
+ * Common non-standard MSH-18 values and the table 0211 code they mean
+ */
+const CHARACTER_SET_ALIASES = {
+  'US-ASCII': 'ASCII',
+  'UTF-8': 'UNICODE UTF-8',
+  'UTF8': 'UNICODE UTF-8',
+  'UTF-16': 'UNICODE UTF-16',
+  'LATIN1': '8859/1',
+  'LATIN-1': '8859/1',
+  'ISO-8859-1': '8859/1',
+  'ISO8859-1': '8859/1',
+  'ISO_8859-1': '8859/1',
+  'BIG5': 'BIG-5',
+  'GB18030': 'GB 18030-2000',
+}
+
+/**
+ * Single-value fields (set IDs, IDs and strings) in which any delimiter must have been escaped
+ */
+const SINGLE_VALUE_FIELDS = [
+  { segment: 'MSH', field: 10, name: 'Message Control ID' },
+  { segment: 'MSH', field: 15, name: 'Accept Acknowledgment Type' },
+  { segment: 'MSH', field: 16, name: 'Application Acknowledgment Type' },
+  { segment: 'PID', field: 1, name: 'Set ID' },
+  { segment: 'PID', field: 19, name: 'SSN Number' },
+  { segment: 'NK1', field: 1, name: 'Set ID' },
+  { segment: 'PV1', field: 1, name: 'Set ID' },
+  { segment: 'ORC', field: 1, name: 'Order Control' },
+  { segment: 'OBR', field: 1, name: 'Set ID' },
+  { segment: 'OBX', field: 1, name: 'Set ID' },
+  { segment: 'OBX', field: 2, name: 'Value Type' },
+  { segment: 'OBX', field: 11, name: 'Observation Result Status' },
+  { segment: 'AL1', field: 1, name: 'Set ID' },
+  { segment: 'DG1', field: 1, name: 'Set ID' },
+  { segment: 'IN1', field: 1, name: 'Set ID' },
+]
+
+/**
+ * Contents of a valid escape sequence: delimiters, highlighting, hex data, locally defined
+ * escapes, character set switches and formatted text commands
+ */
+const ESCAPE_SEQUENCE = /^(?:[FSTREPHN]|X(?:[0-9A-Fa-f]{2})+|Z[^\\]*|C[0-9A-Fa-f]{4}|M[0-9A-Fa-f]{4,6}|\.(?:br|sp ?[+-]?\d*|in ?[+-]?\d+|ti ?[+-]?\d+|sk ?[+-]?\d*|ce|fi|nf))$/
+
+/**
+ * Findings reported per kind before the rest are summarized in one issue
+ */
+const MAX_REPORTED = 20
+
+/**
+ * Character set rules, registered as built-in rules after the general rules
+ */
+export const CHARACTER_SET_RULES = [
+  { id: 'character-set', name: 'Character Set and Encoding', check: checkCharacterSet, category: QUALITY_CATEGORIES.FORMATTING, severity: SEVERITY.MEDIUM, penalty: 2 },
+]
+
+/**
+ * Decodes a message with the character set it declares in MSH-18
+ * Strings are returned as they are. Byte input is decoded as ASCII when MSH-18 is empty, and as UTF-8
+ * when the declared character set is unknown or cannot be decoded in this environment.
+ * @param {string|Uint8Array} input - Raw message (a Buffer is a Uint8Array)
+ * @returns {Object} { text, bytes, characterSet } where bytes is null for string input and characterSet
+ *   is the table 0211 code used
+ */
+export function decodeMessage(input) {
+  if (!(input instanceof Uint8Array)) {
+    return { text: input, bytes: null, characterSet: typeof input === 'string' ? readCharacterSet(input).code : null }
+  }
+
+  const byteOrderMark = getByteOrderMark(input)
+  // Read MSH-18 from the header, which is ASCII in every ASCII-compatible character set
+  const header = byteOrderMark?.encoding.startsWith('utf-16')
+    ? new TextDecoder(byteOrderMark.encoding).decode(input.subarray(0, 2048))
+    : decodeLatin1(input.subarray(0, Math.min(input.length, 2048)))
+  const { code } = readCharacterSet(header)
+  const encoding = byteOrderMark?.encoding || CHARACTER_SETS[code]?.encoding || 'utf-8'
+  return { text: decodeBytes(input, encoding), bytes: input, characterSet: code }
+}
+
+/**
+ * Reads the character set declared in MSH-18
+ * @param {Object|string} message - Parsed message (see parseMessage) or raw message
+ * @returns {Object} { value, code, alias } where value is the first MSH-18 repetition as sent, code the
+ *   table 0211 code it stands for ('ASCII' when empty, null when unknown) and alias whether a non-standard
+ *   name was used
+ */
+export function getDeclaredCharacterSet(message) {
+  return readCharacterSet(message)
+}
+
+/**
+ * Checks the bytes, characters and delimiters of a message against its declared character set
+ */
+function checkCharacterSet(parsed, { rawMessage, rawBytes } = {}) {
+  const issues = []
+  const declared = readCharacterSet(parsed)
+  const mshLocation = { segment: 'MSH', sequence: 1, field: 18 }
+
+  if (declared.code === null) {
+    issues.push(createIssue(QUALITY_CATEGORIES.COMPLIANCE, SEVERITY.MEDIUM, mshLocation,
+      'Unknown character set',
+      `MSH-18 "${declared.value}" is not a character set of HL7 table 0211`,
+      'Declare the character set with a table 0211 code, e.g. ASCII, 8859/1 or UNICODE UTF-8'))
+  } else if (declared.alias) {
+    issues.push(createIssue(QUALITY_CATEGORIES.COMPLIANCE, SEVERITY.LOW, mshLocation,
+      'Non-standard character set name',
+      `MSH-18 "${declared.value}" is not a table 0211 code; it was read as "${declared.code}"`,
+      `Send "${declared.code}" in MSH-18`))
+  }
+
+  const text = typeof rawMessage === 'string' ? rawMessage : parsed.segments.map(segment => segment.raw).join('\r')
+  const index = indexMessage(text)
+  if (rawBytes) {
+    issues.push(...checkBytes(rawBytes, declared, index))
+  }
+  issues.push(...checkCharacters(text, declared, index, Boolean(rawBytes)))
+  issues.push(...checkDelimiters(parsed, index))
+  return { issues }
+}
+
+/**
+ * Checks raw bytes: byte order marks, UTF-8 well-formedness and bytes outside the declared repertoire
+ */
+function checkBytes(bytes, declared, index) {
+  const issues = []
+  const byteOrderMark = getByteOrderMark(bytes)
+  const definition = CHARACTER_SETS[declared.code]
+  const encoding = byteOrderMark?.encoding || definition?.encoding || 'utf-8'
+  const skip = byteOrderMark ? byteOrderMark.length : 0
+
+  if (byteOrderMark) {
+    const matches = byteOrderMark.encoding === definition?.encoding
+      || (byteOrderMark.encoding.startsWith('utf-16') && definition?.encoding?.startsWith('utf-16'))
+    issues.push(createIssue(QUALITY_CATEGORIES.FORMATTING, matches ? SEVERITY.LOW : SEVERITY.MEDIUM, { segment: 'MSH', sequence: 1 },
+      'Byte order mark before MSH',
+      `The message starts with a ${byteOrderMark.name} byte order mark${matches ? '' : ` but MSH-18 declares ${declared.code || declared.value}`}`,
+      'Start the message with MSH and declare the character set in MSH-18 instead'))
+  }
+
+  // Character offsets count the characters the bytes before the run decode to
+  const toPosition = run => ({
+    start: decodeBytes(bytes.subarray(skip, run.offset), encoding).length,
+    length: decodeBytes(bytes.subarray(run.offset, run.offset + run.length), encoding).length,
+    byteOffset: run.offset,
+  })
+  const report = (runs, issue, build) => {
+    runs.slice(0, MAX_REPORTED).forEach(run => issues.push(build(run)))
+    if (runs.length > MAX_REPORTED) {
+      issues.push(summaryIssue(runs.length - MAX_REPORTED, `"${issue}"`))
+    }
+  }
+
+  if (encoding === 'utf-8') {
+    report(findInvalidUTF8(bytes, skip), 'Invalid UTF-8 byte sequence', run => offsetIssue(index, toPosition(run), SEVERITY.HIGH,
+      'Invalid UTF-8 byte sequence',
+      `Bytes ${formatBytes(bytes, run)} at byte ${run.offset} are not valid UTF-8`,
+      'Re-encode the message as UTF-8, or declare the character set it was actually written in'))
+  } else if (definition?.maxCodePoint === 0x7f) {
+    const runs = findRuns(bytes, skip, byte => byte > 0x7f)
+    const looksUTF8 = runs.length > 0 && findInvalidUTF8(bytes, skip).length === 0
+    report(runs, 'Byte outside declared character set', run => offsetIssue(index, toPosition(run), SEVERITY.MEDIUM,
+      'Byte outside declared character set',
+      `Bytes ${formatBytes(bytes, run)} at byte ${run.offset} are not ASCII${declared.value ? '' : ' (MSH-18 is empty, so ASCII applies)'}`,
+      looksUTF8
+        ? 'The message is valid UTF-8: declare UNICODE UTF-8 in MSH-18'
+        : 'Declare the character set the message was written in (e.g. 8859/1) in MSH-18, or remove the characters'))
+  } else if (definition?.encoding && definition.encoding !== 'latin1' && !definition.encoding.startsWith('iso-8859')) {
+    // Multi-byte character sets are checked by decoding, without offsets
+    let message = null
+    try {
+      new TextDecoder(encoding, { fatal: true }).decode(bytes.subarray(skip))
+    } catch (error) {
+      message = error instanceof RangeError
+        ? `Character set ${declared.code} cannot be checked in this environment`
+        : `The message contains bytes that are not valid ${declared.code}`
+    }
+    if (message) {
+      issues.push(createIssue(QUALITY_CATEGORIES.FORMATTING, message.includes('cannot be checked') ? SEVERITY.INFO : SEVERITY.HIGH,
+        { segment: 'MSH', sequence: 1, field: 18 }, 'Bytes invalid for declared character set', message,
+        'Verify the character set in MSH-18 matches the encoding of the message'))
+    }
+  }
+  return issues
+}
+
+/**
+ * Checks decoded text: control characters, lone surrogates and, for text that was never
+ * decoded here, replacement characters and characters outside the declared repertoire
+ */
+function checkCharacters(text, declared, index, fromBytes) {
+  const issues = []
+  const maxCodePoint = CHARACTER_SETS[declared.code]?.maxCodePoint
+  const kinds = {
+    control: {
+      severity: SEVERITY.MEDIUM,
+      issue: 'Control character in message',
+      details: (run, characters) => `Control character ${characters} at character ${run.offset}`,
+      recommendation: 'Remove control characters; only CR separates segments',
+    },
+    surrogate: {
+      severity: SEVERITY.HIGH,
+      issue: 'Invalid character',
+      details: (run, characters) => `Unpaired surrogate ${characters} at character ${run.offset} is not a valid character`,
+      recommendation: 'Fix the conversion that produced the message text',
+    },
+    replacement: {
+      severity: SEVERITY.MEDIUM,
+      issue: 'Replacement character in message',
+      details: (run, characters) => `${characters} at character ${run.offset} usually means bytes were lost converting the message from another character set`,
+      recommendation: 'Decode the message with the character set declared in MSH-18, or analyze the raw bytes',
+    },
+    repertoire: {
+      severity: SEVERITY.MEDIUM,
+      issue: 'Character outside declared character set',
+      details: (run, characters) => `${characters} at character ${run.offset} cannot be represented in ${declared.code}${declared.value ? '' : ' (MSH-18 is empty, so ASCII applies)'}`,
+      recommendation: 'Declare a character set that contains the characters (e.g. UNICODE UTF-8) in MSH-18, or remove them',
+    },
+  }
+
+  // Bytes above 0x7F in an ASCII message were already reported, though they decode to C1 controls
+  const highBytesReported = fromBytes && maxCodePoint === 0x7f
+  const classify = code => {
+    if ((code < 0x20 && code !== 0x0d && code !== 0x0a) || code === 0x7f || (code >= 0x80 && code <= 0x9f && !highBytesReported)) {
+      return 'control'
+    }
+    if (code >= 0xd800 && code <= 0xdfff) {
+      return 'surrogate'
+    }
+    if (!fromBytes && code === 0xfffd) {
+      return 'replacement'
+    }
+    if (!fromBytes && maxCodePoint !== undefined && code > maxCodePoint) {
+      return 'repertoire'
+    }
+    return null
+  }
+
+  const runs = {}
+  let offset = 0
+  for (const character of text) {
+    const kind = classify(character.codePointAt(0))
+    if (kind) {
+      runs[kind] = runs[kind] || []
+      const last = runs[kind][runs[kind].length - 1]
+      if (last && last.offset + last.length === offset) {
+        last.length += character.length
+      } else {
+        runs[kind].push({ offset, length: character.length })
+      }
+    }
+    offset += character.length
+  }
+
+  Object.entries(runs).forEach(([kind, found]) => {
+    const { severity, issue, details, recommendation } = kinds[kind]
+    found.slice(0, MAX_REPORTED).forEach(run => {
+      const characters = [...text.substring(run.offset, run.offset + run.length)].map(formatCodePoint).join(' ')
+      issues.push(offsetIssue(index, { start: run.offset, length: run.length, byteOffset: null }, severity, issue, details(run, characters), recommendation))
+    })
+    if (found.length > MAX_REPORTED) {
+      issues.push(summaryIssue(found.length - MAX_REPORTED, `"${issue}"`))
+    }
+  })
+  return issues
+}
+
+/**
+ * Checks field content for escape characters outside valid escape sequences and
+ * for delimiters inside fields that hold a single value
+ */
+function checkDelimiters(parsed, index) {
+  const issues = []
+  const { text, delimiters } = index
+  const { encoding } = getDataTypeOptions(parsed)
+  const escape = encoding.escape
+  const sequence = escape
+    ? new RegExp(`${escapeRegExp(escape)}([^${escapeRegExp(escape + delimiters.component + delimiters.subcomponent + delimiters.repetition)}\\r\\n]*)${escapeRegExp(escape)}`, 'g')
+    : null
+  const findings = []
+
+  index.segments.forEach(segment => {
+    Object.entries(segment.fields).forEach(([number, span]) => {
+      if (segment.segment === 'MSH' && Number(number) <= 2) {
+        return
+      }
+      const value = text.substring(span.start, span.end)
+      if (sequence && value.includes(escape)) {
+        const covered = new Set()
+        for (const match of value.matchAll(sequence)) {
+          for (let i = 0; i < match[0].length; i++) {
+            covered.add(match.index + i)
+          }
+          if (!ESCAPE_SEQUENCE.test(match[1])) {
+            findings.push({ offset: span.start + match.index, length: match[0].length, kind: 'sequence', value: match[0] })
+          }
+        }
+        for (let i = value.indexOf(escape); i >= 0; i = value.indexOf(escape, i + 1)) {
+          if (!covered.has(i)) {
+            findings.push({ offset: span.start + i, length: 1, kind: 'escape', value: escape })
+          }
+        }
+      }
+      const singleValue = SINGLE_VALUE_FIELDS.find(entry => entry.segment === segment.segment && entry.field === Number(number))
+      if (singleValue) {
+        const position = [...value].findIndex(character => [delimiters.component, delimiters.repetition, delimiters.subcomponent].includes(character))
+        if (position >= 0) {
+          findings.push({ offset: span.start + position, length: 1, kind: 'delimiter', value: value.charAt(position), field: singleValue, segment: segment.segment, number })
+        }
+      }
+    })
+  })
+
+  const position = finding => ({ start: finding.offset, length: finding.length, byteOffset: null })
+  const names = { [delimiters.component]: ['component separator', 'S'], [delimiters.repetition]: ['repetition separator', 'R'], [delimiters.subcomponent]: ['subcomponent separator', 'T'] }
+  findings.slice(0, MAX_REPORTED).forEach(finding => {
+    if (finding.kind === 'sequence') {
+      issues.push(offsetIssue(index, position(finding), SEVERITY.MEDIUM,
+        'Unknown escape sequence',
+        `"${finding.value}" at character ${finding.offset} is not an HL7 escape sequence`,
+        `Escape a literal "${escape}" as ${escape}E${escape}`))
+    } else if (finding.kind === 'escape') {
+      issues.push(offsetIssue(index, position(finding), SEVERITY.MEDIUM,
+        'Unescaped escape character',
+        `The escape character "${escape}" at character ${finding.offset} does not start or end an escape sequence`,
+        `Escape a literal "${escape}" as ${escape}E${escape}`))
+    } else {
+      const [name, code] = names[finding.value]
+      issues.push(offsetIssue(index, position(finding), SEVERITY.MEDIUM,
+        'Unescaped delimiter in field content',
+        `${finding.segment}-${finding.number} (${finding.field.name}) holds a single value but contains the ${name} "${finding.value}" at character ${finding.offset}`,
+        escape ? `Escape the character as ${escape}${code}${escape} or remove it` : 'Remove the character'))
+    }
+  })
+  if (findings.length > MAX_REPORTED) {
+    issues.push(summaryIssue(findings.length - MAX_REPORTED, 'escape sequence and delimiter'))
+  }
+  return issues
+}
+
+/**
+ * Builds an issue located at a character offset, keeping the character and byte offsets on the issue
+ */
+function offsetIssue(index, { start, length, byteOffset }, severity, issue, details, recommendation) {
+  const location = locateOffset(index, start, start + length)
+  const built = location
+    ? createIssue(QUALITY_CATEGORIES.FORMATTING, severity, location, issue, details, recommendation)
+    : { ...createIssue(QUALITY_CATEGORIES.FORMATTING, severity, { segment: 'Message' }, issue, details, recommendation), location: null }
+  return { ...built, characterOffset: start, byteOffset }
+}
+
+function summaryIssue(count, label) {
+  return {
+    ...createIssue(QUALITY_CATEGORIES.FORMATTING, SEVERITY.INFO, { segment: 'Message' }, 'Further character issues not reported',
+      `${count} more ${label} findings were not reported individually`,
+      'Fix the reported findings and analyze the message again'),
+    location: null,
+  }
+}
+
+function readCharacterSet(message) {
+  let value = ''
+  if (typeof message === 'string') {
+    const text = message.replace(/^[\s\u000b\ufeff]+/, '')
+    if (text.startsWith('MSH')) {
+      const separator = text.charAt(3)
+      const repetition = text.charAt(5) || '~'
+      value = (text.split(/\r\n|\r|\n/)[0].split(separator)[17] || '').split(repetition)[0]
+    }
+  } else if (message?.segments) {
+    const msh = message.segments.find(segment => segment.segmentType === 'MSH')
+    value = String(msh?.parsed.field18 || '').split(getDataTypeOptions(message).encoding.repetition)[0]
+  }
+
+  const normalized = value.trim().toUpperCase().replace(/\s+/g, ' ')
+  if (normalized === '') {
+    return { value, code: 'ASCII', alias: false }
+  }
+  if (CHARACTER_SETS[normalized]) {
+    return { value, code: normalized, alias: normalized !== value }
+  }
+  return { value, code: CHARACTER_SET_ALIASES[normalized] || null, alias: true }
+}
+
+function getByteOrderMark(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return { name: 'UTF-8', encoding: 'utf-8', length: 3 }
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return { name: 'UTF-16 big-endian', encoding: 'utf-16be', length: 2 }
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return { name: 'UTF-16 little-endian', encoding: 'utf-16le', length: 2 }
+  }
+  return null
+}
+
+function decodeBytes(bytes, encoding) {
+  if (encoding === 'latin1') {
+    return decodeLatin1(bytes)
+  }
+  try {
+    return new TextDecoder(encoding).decode(bytes)
+  } catch (error) {
+    // Decoder not available in this environment
+    return new TextDecoder('utf-8').decode(bytes)
+  }
+}
+
+/**
+ * Decodes bytes as ISO 8859-1; TextDecoder's "latin1" is windows-1252, which remaps 0x80-0x9F
+ */
+function decodeLatin1(bytes) {
+  let text = ''
+  for (let i = 0; i < bytes.length; i += 8192) {
+    text += String.fromCharCode(...bytes.subarray(i, i + 8192))
+  }
+  return text
+}
+
+/**
+ * Finds ill-formed UTF-8, one run per maximal ill-formed subpart merged with its neighbours
+ */
+function findInvalidUTF8(bytes, start) {
+  const runs = []
+  const invalid = (offset, length) => {
+    const last = runs[runs.length - 1]
+    if (last && last.offset + last.length === offset) {
+      last.length += length
+    } else {
+      runs.push({ offset, length })
+    }
+  }
+
+  let i = start
+  while (i < bytes.length) {
+    const byte = bytes[i]
+    if (byte < 0x80) {
+      i++
+      continue
+    }
+    let needed = 0
+    if (byte >= 0xc2 && byte <= 0xdf) {
+      needed = 1
+    } else if (byte >= 0xe0 && byte <= 0xef) {
+      needed = 2
+    } else if (byte >= 0xf0 && byte <= 0xf4) {
+      needed = 3
+    }
+    if (needed === 0) {
+      invalid(i, 1)
+      i++
+      continue
+    }
+    // The second byte range excludes overlong forms, surrogates and code points above U+10FFFF
+    const lower = byte === 0xe0 ? 0xa0 : byte === 0xf0 ? 0x90 : 0x80
+    const upper = byte === 0xed ? 0x9f : byte === 0xf4 ? 0x8f : 0xbf
+    let length = 1
+    while (length <= needed) {
+      const next = bytes[i + length]
+      if (next === undefined || next < (length === 1 ? lower : 0x80) || next > (length === 1 ? upper : 0xbf)) {
+        break
+      }
+      length++
+    }
+    if (length > needed) {
+      i += length
+    } else {
+      invalid(i, length)
+      i += length
+    }
+  }
+  return runs
+}
+
+function findRuns(bytes, start, test) {
+  const runs = []
+  for (let i = start; i < bytes.length; i++) {
+    if (test(bytes[i])) {
+      const last = runs[runs.length - 1]
+      if (last && last.offset + last.length === i) {
+        last.length++
+      } else {
+        runs.push({ offset: i, length: 1 })
+      }
+    }
+  }
+  return runs
+}
+
+function formatBytes(bytes, run) {
+  return [...bytes.subarray(run.offset, run.offset + Math.min(run.length, 8))]
+    .map(byte => byte.toString(16).toUpperCase().padStart(2, '0'))
+    .join(' ') + (run.length > 8 ? ' ...' : '')
+}
+
+function formatCodePoint(character) {
+  return `U+${character.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&')
+}
@@ -0,0 +1,502 @@
+/**
+ * hl7-dq Command Line Interface
+ *
+ * Analyzes HL7 messages from files, directories, glob patterns or stdin and
+ * exits non-zero when quality thresholds are breached, so message quality
+ * can gate interface deployments in a CI pipeline.
+ */
+
+import { promises as fs, createWriteStream } from 'fs'
+import path from 'path'
+import {
+  analyzeStream,
+  createQualityAggregator,
+  loadProfileFile,
+  loadScoringModelFile,
+  loadSegmentSchemasFile,
+  loadValueSetFile,
+  renderCSV,
+  renderHTML,
+  renderText,
+  SEVERITY,
+  toOperationOutcome,
+  toSARIF,
+} from './hl7DataQualityService.js'
+
+/**
+ * Exit codes returned by runCLI
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  THRESHOLD_BREACHED: 1,
+  USAGE_ERROR: 2,
+}
+
+const FORMATS = ['text', 'json', 'csv', 'html', 'sarif', 'fhir']
+const SEVERITY_ORDER = Object.values(SEVERITY)
+
+const USAGE_TEXT = `Usage: hl7-dq [options] [file|directory|glob ...]
+
+Analyzes every HL7 message in the given files. Reads stdin when no inputs
+are given or an input is "-".
+
+Options:
+  -p, --profile <file>      Conformance profile (.json, .yaml, .yml)
+      --value-set <file>    Site value set (.json, .yaml, .yml); repeatable
+      --segment-schema <file>
+                            Z-segment schemas (.json, .yaml, .yml); repeatable
+      --scoring <file>      Scoring model (.json, .yaml, .yml) for penalties,
+                            category weights and grades
+  -m, --min-score <n>       Fail when any message scores below n
+  -s, --fail-on <severity>  Fail when any issue is at or above severity
+                            (critical, high, medium, low, info)
+  -f, --format <format>     Output format: text (default), json, csv, html,
+                            sarif (SARIF 2.1.0), fhir (FHIR OperationOutcome)
+  -o, --output <file>       Write the report to a file instead of stdout
+      --redact              Replace PHI values in issue text with [REDACTED]
+                            and leave the raw message out of HTML reports
+  -h, --help                Show this help
+
+Exit codes:
+  0  All messages passed
+  1  A --min-score or --fail-on threshold was breached
+  2  Invalid arguments or unreadable input
+`
+
+/**
+ * Runs the CLI
+ * @param {Array<string>} args - Command line arguments (without node and script path)
+ * @param {Object} [io] - Streams to use, defaulting to the process streams
+ * @returns {Promise<number>} Exit code
+ */
+export async function runCLI(args, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = {}) {
+  let options
+  try {
+    options = parseArgs(args)
+  } catch (error) {
+    stderr.write(`hl7-dq: ${error.message}\n\n${USAGE_TEXT}`)
+    return EXIT_CODES.USAGE_ERROR
+  }
+
+  if (options.help) {
+    stdout.write(USAGE_TEXT)
+    return EXIT_CODES.SUCCESS
+  }
+
+  try {
+    const analysisOptions = {}
+    if (options.profile) {
+      analysisOptions.profile = await loadProfileFile(options.profile)
+    }
+    if (options.valueSets.length > 0) {
+      analysisOptions.valueSets = await Promise.all(options.valueSets.map(file => loadValueSetFile(file)))
+    }
+    if (options.segmentSchemas.length > 0) {
+      analysisOptions.segmentSchemas = await Promise.all(options.segmentSchemas.map(file => loadSegmentSchemasFile(file)))
+    }
+    if (options.scoring) {
+      analysisOptions.scoring = await loadScoringModelFile(options.scoring)
+    }
+    if (options.redact) {
+      analysisOptions.redact = true
+    }
+
+    const sources = await resolveInputs(options.inputs)
+    const aggregator = createQualityAggregator()
+    const failures = []
+    const output = await openOutput(options.output, stdout)
+    const writer = createReportWriter(options.format, output)
+
+    try {
+      for (const source of sources) {
+        const input = source === '-' ? stdin : source
+        const label = source === '-' ? 'stdin' : source
+
+        for await (const item of analyzeStream(input, analysisOptions)) {
+          aggregator.add(item)
+          if (item.type === 'message') {
+            failures.push(...checkThresholds(item.result, options, `${label}#${item.index + 1}`))
+            await writer.add({ source: label, index: item.index, result: item.result, message: options.redact ? null : item.message })
+          } else if (item.type !== 'summary' || item.issues.length > 0) {
+            failures.push(...checkThresholds({ issues: item.issues }, options, label))
+            await writer.add({ ...item, source: label })
+          }
+        }
+      }
+      await writer.finish(aggregator.getReport())
+    } finally {
+      await output.close()
+    }
+
+    if (failures.length > 0) {
+      failures.forEach(failure => stderr.write(`hl7-dq: ${failure}\n`))
+      return EXIT_CODES.THRESHOLD_BREACHED
+    }
+    return EXIT_CODES.SUCCESS
+  } catch (error) {
+    stderr.write(`hl7-dq: ${error.message}\n`)
+    return EXIT_CODES.USAGE_ERROR
+  }
+}
+
+/**
+ * Parses command line arguments
+ */
+function parseArgs(args) {
+  const options = { inputs: [], format: 'text', minScore: null, failOn: null, profile: null, valueSets: [], segmentSchemas: [], scoring: null, output: null, redact: false, help: false }
+  const takesValue = {
+    '-p': 'profile', '--profile': 'profile',
+    '-m': 'minScore', '--min-score': 'minScore',
+    '-s': 'failOn', '--fail-on': 'failOn',
+    '-f': 'format', '--format': 'format',
+    '-o': 'output', '--output': 'output',
+    '--value-set': 'valueSets',
+    '--segment-schema': 'segmentSchemas',
+    '--scoring': 'scoring',
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    let arg = args[i]
+    let value = null
+    if (arg.startsWith('--') && arg.includes('=')) {
+      [arg, value] = [arg.substring(0, arg.indexOf('=')), arg.substring(arg.indexOf('=') + 1)]
+    }
+
+    if (arg === '-h' || arg === '--help') {
+      options.help = true
+    } else if (arg === '--redact') {
+      options.redact = true
+    } else if (takesValue[arg]) {
+      if (value === null) {
+        if (i + 1 >= args.length) {
+          throw new Error(`Option ${arg} requires a value`)
+        }
+        value = args[++i]
+      }
+      if (Array.isArray(options[takesValue[arg]])) {
+        options[takesValue[arg]].push(value)
+      } else {
+        options[takesValue[arg]] = value
+      }
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new Error(`Unknown option ${arg}`)
+    } else {
+      options.inputs.push(arg)
+    }
+  }
+
+  if (!FORMATS.includes(options.format)) {
+    throw new Error(`Unknown format "${options.format}" (expected ${FORMATS.join(', ')})`)
+  }
+  if (options.minScore !== null) {
+    const minScore = Number(options.minScore)
+    if (Number.isNaN(minScore) || minScore < 0 || minScore > 100) {
+      throw new Error(`--min-score must be a number between 0 and 100, got "${options.minScore}"`)
+    }
+    options.minScore = minScore
+  }
+  if (options.failOn !== null) {
+    const severity = SEVERITY_ORDER.find(level => level.toLowerCase() === options.failOn.toLowerCase())
+    if (!severity) {
+      throw new Error(`Unknown severity "${options.failOn}" (expected ${SEVERITY_ORDER.join(', ').toLowerCase()})`)
+    }
+    options.failOn = severity
+  }
+  if (options.inputs.length === 0) {
+    options.inputs.push('-')
+  }
+  return options
+}
+
+/**
+ * Returns a description of every threshold a result breaches
+ */
+function checkThresholds(result, { minScore, failOn }, label) {
+  const failures = []
+  if (minScore !== null && typeof result.overallScore === 'number' && result.overallScore < minScore) {
+    failures.push(`${label} scored ${result.overallScore}, below minimum ${minScore}`)
+  }
+  if (failOn !== null) {
+    const threshold = SEVERITY_ORDER.indexOf(failOn)
+    const breaching = (result.issues || []).filter(issue => {
+      const rank = SEVERITY_ORDER.indexOf(issue.severity)
+      return rank !== -1 && rank <= threshold
+    })
+    if (breaching.length > 0) {
+      failures.push(`${label} has ${breaching.length} issue(s) at or above ${failOn} severity`)
+    }
+  }
+  return failures
+}
+
+/**
+ * Creates the writer for a report format: text, json and csv are written as messages arrive, so memory
+ * stays bounded on large archives; the other formats are built once every message has been analyzed
+ */
+function createReportWriter(format, output) {
+  switch (format) {
+    case 'json':
+      return createJSONWriter(output)
+    case 'csv':
+      return createCSVWriter(output)
+    case 'text':
+      return createTextWriter(output)
+    default:
+      return createBufferedWriter(format, output)
+  }
+}
+
+function createTextWriter(output) {
+  return {
+    add(entry) {
+      if (entry.result) {
+        return output.write(`${entry.source}#${entry.index + 1}\n${indent(renderText(entry.result))}\n`)
+      }
+      if (entry.issues.length > 0) {
+        const label = entry.type === 'batch' ? `${entry.source} batch ${entry.batchIndex + 1}` : entry.source
+        return output.write(`${label}\n${entry.issues.map(issue => `    [${issue.severity}] ${issue.field}: ${issue.issue}`).join('\n')}\n\n`)
+      }
+    },
+    finish(report) {
+      return output.write(renderText(report))
+    },
+  }
+}
+
+/**
+ * Writes { messages, envelopes, summary } with messages streamed; envelopes only carry issues and are kept
+ */
+function createJSONWriter(output) {
+  const envelopes = []
+  let messageCount = 0
+
+  return {
+    async add({ source, index, result, ...envelope }) {
+      if (!result) {
+        envelopes.push({ ...envelope, source })
+        return
+      }
+      await output.write(`${messageCount === 0 ? '{\n  "messages": [\n' : ',\n'}    ${toIndentedJSON({ source, index, result }, 4)}`)
+      messageCount++
+    },
+    async finish(report) {
+      await output.write(`${messageCount === 0 ? '{\n  "messages": [],\n' : '\n  ],\n'}  "envelopes": ${toIndentedJSON(envelopes, 2)},\n  "summary": ${toIndentedJSON(report, 2)}\n}\n`)
+    },
+  }
+}
+
+function createCSVWriter(output) {
+  let started = false
+
+  return {
+    async add(entry) {
+      const csv = renderCSV([entry])
+      // Every chunk starts with the header row, which is written once
+      await output.write(started ? csv.substring(csv.indexOf('\r\n') + 2) : csv)
+      started = true
+    },
+    async finish() {
+      if (!started) {
+        await output.write(renderCSV([{ source: '', result: { issues: [] } }]))
+      }
+    },
+  }
+}
+
+/**
+ * Collects entries for the formats built from all of them, keeping raw messages only where the format
+ * uses them: HTML for a single message, and SARIF for line numbers in sources holding one message
+ */
+function createBufferedWriter(format, output) {
+  const entries = []
+  const lastMessageBySource = new Map()
+  let messageCount = 0
+
+  return {
+    add(entry) {
+      if (!entry.result) {
+        entries.push(entry)
+        return
+      }
+      messageCount++
+      const keepMessage = (format === 'html' && messageCount === 1) || (format === 'sarif' && !lastMessageBySource.has(entry.source))
+      const kept = { ...entry, message: keepMessage ? entry.message : null }
+      const previous = lastMessageBySource.get(entry.source)
+      if (previous) {
+        previous.message = null
+      }
+      if (format === 'html') {
+        // The aggregate report is rendered for several messages, so only the first is needed
+        if (messageCount === 1) {
+          entries.push(kept)
+        }
+      } else {
+        entries.push(kept)
+      }
+      lastMessageBySource.set(entry.source, kept)
+    },
+    finish(report) {
+      const messages = entries.filter(entry => entry.result)
+      switch (format) {
+        case 'sarif':
+          return output.write(JSON.stringify(toSARIF(entries), null, 2) + '\n')
+        case 'fhir':
+          return output.write(JSON.stringify(messageCount === 1 ? toOperationOutcome(messages[0].result) : toOperationOutcome(entries), null, 2) + '\n')
+        default:
+          return output.write(messageCount === 1
+            ? renderHTML(messages[0].result, { message: messages[0].message, title: `HL7 Data Quality Report: ${messages[0].source}` })
+            : renderHTML(report))
+      }
+    },
+  }
+}
+
+function toIndentedJSON(value, indentation) {
+  return JSON.stringify(value, null, 2).split('\n').join(`\n${' '.repeat(indentation)}`)
+}
+
+function indent(text) {
+  return text.split('\n').map(line => (line ? `  ${line}` : line)).join('\n')
+}
+
+/**
+ * Opens the report destination, waiting for the stream to drain when it is full
+ */
+async function openOutput(outputPath, stdout) {
+  const stream = outputPath ? createWriteStream(outputPath) : stdout
+  if (outputPath) {
+    await new Promise((resolve, reject) => {
+      stream.once('open', resolve)
+      stream.once('error', reject)
+    })
+  }
+  let failure = null
+  const onError = error => {
+    failure = error
+  }
+  stream.on?.('error', onError)
+
+  return {
+    async write(content) {
+      if (failure) {
+        throw failure
+      }
+      if (stream.write(content) === false) {
+        await new Promise(resolve => {
+          const done = () => {
+            stream.off('drain', done)
+            stream.off('error', done)
+            resolve()
+          }
+          stream.on('drain', done)
+          stream.on('error', done)
+        })
+      }
+    },
+    async close() {
+      if (outputPath && !stream.destroyed) {
+        await new Promise(resolve => stream.end(resolve))
+      }
+      stream.off?.('error', onError)
+      if (failure) {
+        throw failure
+      }
+    },
+  }
+}
+
+/**
+ * Expands directories and glob patterns into a sorted list of files
+ */
+async function resolveInputs(inputs) {
+  const resolved = []
+
+  for (const input of inputs) {
+    if (input === '-') {
+      resolved.push(input)
+      continue
+    }
+
+    const stats = await fs.stat(input).catch(() => null)
+    if (stats && stats.isDirectory()) {
+      resolved.push(...(await listFiles(input)).sort())
+    } else if (stats) {
+      resolved.push(input)
+    } else if (/[*?[]/.test(input)) {
+      const matches = await expandGlob(input)
+      if (matches.length === 0) {
+        throw new Error(`No files match "${input}"`)
+      }
+      resolved.push(...matches)
+    } else {
+      throw new Error(`Cannot read "${input}": no such file or directory`)
+    }
+  }
+
+  return resolved
+}
+
+async function listFiles(directory) {
+  const files = []
+  const entries = await fs.readdir(directory, { withFileTypes: true })
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) {
+      continue
+    }
+    const entryPath = path.join(directory, entry.name)
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(entryPath)))
+    } else if (entry.isFile()) {
+      files.push(entryPath)
+    }
+  }
+  return files
+}
+
+/**
+ * Expands a glob pattern supporting *, ?, [...] and ** (any number of directories)
+ */
+async function expandGlob(pattern) {
+  const normalized = pattern.split(path.sep).join('/')
+  const parts = normalized.split('/')
+  const firstGlob = parts.findIndex(part => /[*?[]/.test(part))
+  const base = parts.slice(0, firstGlob).join('/') || (normalized.startsWith('/') ? '/' : '.')
+  const matcher = globToRegExp(parts.slice(firstGlob).join('/'))
+
+  const stats = await fs.stat(base).catch(() => null)
+  if (!stats || !stats.isDirectory()) {
+    return []
+  }
+
+  const files = await listFiles(base)
+  return files
+    .filter(file => matcher.test(path.relative(base, file).split(path.sep).join('/')))
+    .sort()
+}
+
+function globToRegExp(glob) {
+  let source = ''
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    if (char === '*' && glob[i + 1] === '*') {
+      const followedBySlash = glob[i + 2] === '/'
+      source += followedBySlash ? '(?:.*/)?' : '.*'
+      i += followedBySlash ? 2 : 1
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1)
+      if (end === -1) {
+        source += '\\['
+      } else {
+        source += `[${glob.substring(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`
+        i = end
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&')
+    }
+  }
+  return new RegExp(`^${source}$`)
+}
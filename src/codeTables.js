@@ -0,0 +1,827 @@
+/**
+ * HL7 Code Tables and Value Sets
+ *
+ * Ships the HL7-defined and user-defined tables the quality checks validate
+ * coded fields against, keyed by the version that introduced each code, and
+ * loads site-specific value sets that replace a table or bind allowed codes
+ * to fields. Coded (CWE/CE) fields are also checked for a known coding system
+ * (table 0396) and for codes that are well formed for that system.
+ */
+
+import { QUALITY_CATEGORIES, SEVERITY, SEVERITY_PENALTIES } from './constants.js'
+import { getEncodingCharacters } from './messageParser.js'
+import { parseVersion, compareVersions } from './messageHelpers.js'
+import { loadConfigFile } from './configFiles.js'
+
+/**
+ * Built-in tables; codes carry `since` (first version) and `retired` (first version without the code)
+ */
+const TABLES = {
+  '0001': {
+    name: 'Administrative Sex',
+    type: 'User',
+    codes: [
+      { code: 'M', display: 'Male' },
+      { code: 'F', display: 'Female' },
+      { code: 'O', display: 'Other' },
+      { code: 'U', display: 'Unknown' },
+      { code: 'A', display: 'Ambiguous' },
+      { code: 'N', display: 'Not applicable', since: '2.4' },
+    ],
+  },
+  '0002': {
+    name: 'Marital Status',
+    type: 'User',
+    codes: [
+      { code: 'A', display: 'Separated' },
+      { code: 'B', display: 'Unmarried' },
+      { code: 'C', display: 'Common law' },
+      { code: 'D', display: 'Divorced' },
+      { code: 'E', display: 'Legally Separated' },
+      { code: 'G', display: 'Living together' },
+      { code: 'I', display: 'Interlocutory' },
+      { code: 'M', display: 'Married' },
+      { code: 'N', display: 'Annulled' },
+      { code: 'O', display: 'Other' },
+      { code: 'P', display: 'Domestic partner' },
+      { code: 'R', display: 'Registered domestic partner' },
+      { code: 'S', display: 'Single' },
+      { code: 'T', display: 'Unreported' },
+      { code: 'U', display: 'Unknown' },
+      { code: 'W', display: 'Widowed' },
+    ],
+  },
+  '0004': {
+    name: 'Patient Class',
+    type: 'User',
+    codes: [
+      { code: 'I', display: 'Inpatient' },
+      { code: 'O', display: 'Outpatient' },
+      { code: 'E', display: 'Emergency' },
+      { code: 'P', display: 'Preadmit' },
+      { code: 'R', display: 'Recurring' },
+      { code: 'B', display: 'Obstetrics' },
+      { code: 'C', display: 'Commercial Account', since: '2.5' },
+      { code: 'N', display: 'Newborn' },
+      { code: 'U', display: 'Unknown' },
+    ],
+  },
+  '0007': {
+    name: 'Admission Type',
+    type: 'User',
+    codes: [
+      { code: 'A', display: 'Accident' },
+      { code: 'C', display: 'Elective' },
+      { code: 'E', display: 'Emergency' },
+      { code: 'L', display: 'Labor and Delivery' },
+      { code: 'N', display: 'Newborn' },
+      { code: 'R', display: 'Routine' },
+      { code: 'U', display: 'Urgent' },
+    ],
+  },
+  '0038': {
+    name: 'Order Status',
+    type: 'HL7',
+    codes: [
+      { code: 'A', display: 'Some, but not all, results available' },
+      { code: 'CA', display: 'Order was canceled' },
+      { code: 'CM', display: 'Order is completed' },
+      { code: 'DC', display: 'Order was discontinued' },
+      { code: 'ER', display: 'Error, order not found' },
+      { code: 'HD', display: 'Order is on hold' },
+      { code: 'IP', display: 'In process, unspecified' },
+      { code: 'RP', display: 'Order has been replaced' },
+      { code: 'SC', display: 'In process, scheduled' },
+    ],
+  },
+  '0063': {
+    name: 'Relationship',
+    type: 'User',
+    codes: [
+      { code: 'ASC', display: 'Associate' },
+      { code: 'BRO', display: 'Brother' },
+      { code: 'CGV', display: 'Care giver' },
+      { code: 'CHD', display: 'Child' },
+      { code: 'DEP', display: 'Handicapped dependent' },
+      { code: 'DOM', display: 'Life partner' },
+      { code: 'EMC', display: 'Emergency contact' },
+      { code: 'EME', display: 'Employee' },
+      { code: 'EMR', display: 'Employer' },
+      { code: 'EXF', display: 'Extended family' },
+      { code: 'FCH', display: 'Foster child' },
+      { code: 'FND', display: 'Friend' },
+      { code: 'FTH', display: 'Father' },
+      { code: 'GCH', display: 'Grandchild' },
+      { code: 'GRD', display: 'Guardian' },
+      { code: 'GRP', display: 'Grandparent' },
+      { code: 'MGR', display: 'Manager' },
+      { code: 'MTH', display: 'Mother' },
+      { code: 'NCH', display: 'Natural child' },
+      { code: 'NON', display: 'None' },
+      { code: 'OAD', display: 'Other adult' },
+      { code: 'OTH', display: 'Other' },
+      { code: 'OWN', display: 'Owner' },
+      { code: 'PAR', display: 'Parent' },
+      { code: 'SCH', display: 'Stepchild' },
+      { code: 'SEL', display: 'Self' },
+      { code: 'SIB', display: 'Sibling' },
+      { code: 'SIS', display: 'Sister' },
+      { code: 'SPO', display: 'Spouse' },
+      { code: 'TRA', display: 'Trainer' },
+      { code: 'UNK', display: 'Unknown' },
+      { code: 'WRD', display: 'Ward of court' },
+    ],
+  },
+  '0078': {
+    name: 'Interpretation Codes',
+    type: 'HL7',
+    codes: [
+      { code: 'L', display: 'Below low normal' },
+      { code: 'H', display: 'Above high normal' },
+      { code: 'LL', display: 'Below lower panic limits' },
+      { code: 'HH', display: 'Above upper panic limits' },
+      { code: '<', display: 'Below absolute low-off instrument scale' },
+      { code: '>', display: 'Above absolute high-off instrument scale' },
+      { code: 'N', display: 'Normal' },
+      { code: 'A', display: 'Abnormal' },
+      { code: 'AA', display: 'Very abnormal' },
+      { code: 'U', display: 'Significant change up' },
+      { code: 'D', display: 'Significant change down' },
+      { code: 'B', display: 'Better' },
+      { code: 'W', display: 'Worse' },
+      { code: 'S', display: 'Susceptible' },
+      { code: 'R', display: 'Resistant' },
+      { code: 'I', display: 'Intermediate' },
+      { code: 'MS', display: 'Moderately susceptible' },
+      { code: 'VS', display: 'Very susceptible' },
+    ],
+  },
+  '0085': {
+    name: 'Observation Result Status',
+    type: 'HL7',
+    codes: [
+      { code: 'C', display: 'Correction' },
+      { code: 'D', display: 'Deletes the OBX record' },
+      { code: 'F', display: 'Final results' },
+      { code: 'I', display: 'Specimen in lab; results pending' },
+      { code: 'N', display: 'Not asked' },
+      { code: 'O', display: 'Order detail description only' },
+      { code: 'P', display: 'Preliminary results' },
+      { code: 'R', display: 'Results entered -- not verified' },
+      { code: 'S', display: 'Partial results' },
+      { code: 'U', display: 'Results status change to final without retransmitting results' },
+      { code: 'W', display: 'Post original as wrong' },
+      { code: 'X', display: 'Results cannot be obtained' },
+      { code: 'A', display: 'Amended based on adjustments', since: '2.7' },
+    ],
+  },
+  '0103': {
+    name: 'Processing ID',
+    type: 'HL7',
+    codes: [
+      { code: 'D', display: 'Debugging' },
+      { code: 'P', display: 'Production' },
+      { code: 'T', display: 'Training' },
+    ],
+  },
+  '0104': {
+    name: 'Version ID',
+    type: 'HL7',
+    codes: ['2.0', '2.0D', '2.1', '2.2', '2.3', '2.3.1', '2.4', '2.5', '2.5.1', '2.6', '2.7', '2.7.1', '2.8', '2.8.1', '2.8.2', '2.9']
+      .map(code => ({ code, display: `Release ${code}` })),
+  },
+  '0119': {
+    name: 'Order Control Codes',
+    type: 'HL7',
+    codes: [
+      { code: 'AF', display: 'Order/service refill request approval' },
+      { code: 'CA', display: 'Cancel order/service request' },
+      { code: 'CH', display: 'Child order/service' },
+      { code: 'CN', display: 'Combined result' },
+      { code: 'CR', display: 'Canceled as requested' },
+      { code: 'DC', display: 'Discontinue order/service request' },
+      { code: 'DE', display: 'Data errors' },
+      { code: 'DF', display: 'Order/service refill request denied' },
+      { code: 'DR', display: 'Discontinued as requested' },
+      { code: 'FU', display: 'Order/service refilled, unsolicited' },
+      { code: 'HD', display: 'Hold order request' },
+      { code: 'HR', display: 'On hold as requested' },
+      { code: 'LI', display: 'Link order/service to patient care problem or goal' },
+      { code: 'NA', display: 'Number assigned' },
+      { code: 'NW', display: 'New order/service' },
+      { code: 'OC', display: 'Order/service canceled' },
+      { code: 'OD', display: 'Order/service discontinued' },
+      { code: 'OE', display: 'Order/service released' },
+      { code: 'OF', display: 'Order/service refilled as requested' },
+      { code: 'OH', display: 'Order/service held' },
+      { code: 'OK', display: 'Order/service accepted & OK' },
+      { code: 'OP', display: 'Notification of order for outside dispense' },
+      { code: 'OR', display: 'Released as requested' },
+      { code: 'PA', display: 'Parent order/service' },
+      { code: 'PR', display: 'Previous results with new order/service' },
+      { code: 'PY', display: 'Notification of replacement order for outside dispense' },
+      { code: 'RE', display: 'Observations/Performed Service to follow' },
+      { code: 'RF', display: 'Refill order/service request' },
+      { code: 'RL', display: 'Release previous hold' },
+      { code: 'RO', display: 'Replacement order' },
+      { code: 'RP', display: 'Order/service replace request' },
+      { code: 'RQ', display: 'Replaced as requested' },
+      { code: 'RR', display: 'Request received' },
+      { code: 'RU', display: 'Replaced unsolicited' },
+      { code: 'SC', display: 'Status changed' },
+      { code: 'SN', display: 'Send order/service number' },
+      { code: 'SR', display: 'Response to send order/service status request' },
+      { code: 'SS', display: 'Send order/service status request' },
+      { code: 'UA', display: 'Unable to accept order/service' },
+      { code: 'UC', display: 'Unable to cancel' },
+      { code: 'UD', display: 'Unable to discontinue' },
+      { code: 'UF', display: 'Unable to refill' },
+      { code: 'UH', display: 'Unable to put on hold' },
+      { code: 'UM', display: 'Unable to replace' },
+      { code: 'UN', display: 'Unlink order/service from patient care problem or goal' },
+      { code: 'UR', display: 'Unable to release' },
+      { code: 'UX', display: 'Unable to change' },
+      { code: 'XO', display: 'Change order/service request' },
+      { code: 'XR', display: 'Changed as requested' },
+      { code: 'XX', display: 'Order/service changed, unsol.' },
+    ],
+  },
+  '0125': {
+    name: 'Value Type',
+    type: 'HL7',
+    codes: [
+      { code: 'AD', display: 'Address' },
+      { code: 'CE', display: 'Coded Entry' },
+      { code: 'CF', display: 'Coded Element With Formatted Values' },
+      { code: 'CK', display: 'Composite ID With Check Digit' },
+      { code: 'CN', display: 'Composite ID And Name' },
+      { code: 'CP', display: 'Composite Price' },
+      { code: 'CWE', display: 'Coded with Exceptions' },
+      { code: 'CX', display: 'Extended Composite ID With Check Digit' },
+      { code: 'DT', display: 'Date' },
+      { code: 'DTM', display: 'Time Stamp (Date & Time)' },
+      { code: 'ED', display: 'Encapsulated Data' },
+      { code: 'FT', display: 'Formatted Text (Display)' },
+      { code: 'ID', display: 'Coded Value for HL7 Defined Tables' },
+      { code: 'IS', display: 'Coded Value for User-Defined Tables' },
+      { code: 'MO', display: 'Money' },
+      { code: 'NM', display: 'Numeric' },
+      { code: 'PN', display: 'Person Name' },
+      { code: 'RP', display: 'Reference Pointer' },
+      { code: 'SN', display: 'Structured Numeric' },
+      { code: 'ST', display: 'String Data' },
+      { code: 'TM', display: 'Time' },
+      { code: 'TN', display: 'Telephone Number' },
+      { code: 'TS', display: 'Time Stamp (Date & Time)' },
+      { code: 'TX', display: 'Text Data (Display)' },
+      { code: 'XAD', display: 'Extended Address' },
+      { code: 'XCN', display: 'Extended Composite Name And Number For Persons' },
+      { code: 'XON', display: 'Extended Composite Name And Number For Organizations' },
+      { code: 'XPN', display: 'Extended Person Name' },
+      { code: 'XTN', display: 'Extended Telecommunications Number' },
+    ],
+  },
+  '0136': {
+    name: 'Yes/No Indicator',
+    type: 'HL7',
+    codes: [
+      { code: 'Y', display: 'Yes' },
+      { code: 'N', display: 'No' },
+    ],
+  },
+  '0203': {
+    name: 'Identifier Type',
+    type: 'User',
+    codes: [
+      { code: 'AN', display: 'Account number' },
+      { code: 'BA', display: 'Bank Account Number' },
+      { code: 'BR', display: 'Birth registry number' },
+      { code: 'DL', display: 'Driver\'s license number' },
+      { code: 'DN', display: 'Doctor number' },
+      { code: 'EI', display: 'Employee number' },
+      { code: 'EN', display: 'Employer number' },
+      { code: 'FI', display: 'Facility ID' },
+      { code: 'GI', display: 'Guarantor internal identifier' },
+      { code: 'GN', display: 'Guarantor external identifier' },
+      { code: 'HC', display: 'Health Card Number' },
+      { code: 'JHN', display: 'Jurisdictional health number' },
+      { code: 'LN', display: 'License number' },
+      { code: 'LR', display: 'Local Registry ID' },
+      { code: 'MA', display: 'Patient Medicaid number' },
+      { code: 'MB', display: 'Member Number' },
+      { code: 'MC', display: 'Patient\'s Medicare number' },
+      { code: 'MD', display: 'Medical License number' },
+      { code: 'MI', display: 'Military ID number' },
+      { code: 'MR', display: 'Medical record number' },
+      { code: 'MRT', display: 'Temporary Medical Record Number' },
+      { code: 'NE', display: 'National employer identifier' },
+      { code: 'NH', display: 'National Health Plan Identifier' },
+      { code: 'NI', display: 'National unique individual identifier' },
+      { code: 'NPI', display: 'National provider identifier' },
+      { code: 'PE', display: 'Living Subject Enterprise Number' },
+      { code: 'PI', display: 'Patient internal identifier' },
+      { code: 'PN', display: 'Person number' },
+      { code: 'PPN', display: 'Passport number' },
+      { code: 'PRN', display: 'Provider number' },
+      { code: 'PT', display: 'Patient external identifier' },
+      { code: 'RRI', display: 'Regional registry ID' },
+      { code: 'SL', display: 'State license' },
+      { code: 'SN', display: 'Subscriber Number' },
+      { code: 'SR', display: 'State registry ID' },
+      { code: 'SS', display: 'Social Security number' },
+      { code: 'TAX', display: 'Tax ID number' },
+      { code: 'U', display: 'Unspecified identifier' },
+      { code: 'UPIN', display: 'Medicare/CMS Universal Physician Identification numbers' },
+      { code: 'VN', display: 'Visit number' },
+      { code: 'XX', display: 'Organization identifier' },
+    ],
+  },
+  '0278': {
+    name: 'Filler Status Codes',
+    type: 'User',
+    codes: [
+      { code: 'Pending', display: 'Appointment has not yet been confirmed' },
+      { code: 'Waitlist', display: 'Appointment has been placed on a waiting list' },
+      { code: 'Booked', display: 'The indicated appointment is booked' },
+      { code: 'Started', display: 'The indicated appointment has begun' },
+      { code: 'Complete', display: 'The indicated appointment has completed normally' },
+      { code: 'Cancelled', display: 'The indicated appointment was stopped from occurring' },
+      { code: 'Dc', display: 'The indicated appointment was discontinued' },
+      { code: 'Deleted', display: 'The indicated appointment was deleted from the filler application' },
+      { code: 'Blocked', display: 'The indicated time slot(s) is(are) blocked' },
+      { code: 'Overbook', display: 'The appointment has been confirmed; however it is confirmed in an overbooked state' },
+      { code: 'Noshow', display: 'The patient did not show up for the appointment' },
+    ],
+  },
+  '0322': {
+    name: 'Completion Status',
+    type: 'HL7',
+    codes: [
+      { code: 'CP', display: 'Complete' },
+      { code: 'RE', display: 'Refused' },
+      { code: 'NA', display: 'Not Administered' },
+      { code: 'PA', display: 'Partially Administered' },
+    ],
+  },
+  '0323': {
+    name: 'Action Code',
+    type: 'HL7',
+    codes: [
+      { code: 'A', display: 'Add' },
+      { code: 'D', display: 'Delete' },
+      { code: 'U', display: 'Update' },
+    ],
+  },
+  '0396': {
+    name: 'Coding System',
+    type: 'HL7',
+    codes: [
+      { code: 'C4', display: 'CPT-4' },
+      { code: 'CVX', display: 'CDC Vaccine Codes' },
+      { code: 'I10', display: 'ICD-10' },
+      { code: 'I10C', display: 'ICD-10 Clinical Modification', since: '2.6' },
+      { code: 'I10P', display: 'ICD-10 Procedure Codes' },
+      { code: 'I9C', display: 'ICD-9CM' },
+      { code: 'ICD10AM', display: 'ICD-10 Australian modification' },
+      { code: 'ICD10CA', display: 'ICD-10 Canada' },
+      { code: 'ISO3166_1', display: 'ISO 3166-1 Country Codes' },
+      { code: 'L', display: 'Local general code' },
+      { code: 'LN', display: 'Logical Observation Identifier Names and Codes (LOINC)' },
+      { code: 'MVX', display: 'CDC Vaccine Manufacturer Codes' },
+      { code: 'NDC', display: 'National drug codes' },
+      { code: 'RXNORM', display: 'RxNorm', since: '2.6' },
+      { code: 'SCT', display: 'SNOMED Clinical Terms' },
+      { code: 'SNM', display: 'Systemized Nomenclature of Medicine (SNOMED)' },
+      { code: 'UCUM', display: 'UCUM code set for units of measure' },
+    ],
+    // HL7nnnn names an HL7 table and 99zzz a local coding system
+    patterns: [/^HL7\d{4}$/, /^99[A-Z0-9]{3}$/],
+  },
+}
+
+/**
+ * Fields validated against built-in tables by evaluateCodes. PID-8, PV1-2 and MSH-12 are
+ * covered by the completeness, consistency and version checks. Coded (CWE/CE) fields name
+ * their coding system in component 3.
+ */
+const TABLE_BINDINGS = [
+  { segment: 'MSH', field: 11, component: 1, table: '0103' },
+  { segment: 'PID', field: 3, component: 5, table: '0203' },
+  { segment: 'PID', field: 16, component: 1, systemComponent: 3, table: '0002' },
+  { segment: 'NK1', field: 3, component: 1, systemComponent: 3, table: '0063' },
+  { segment: 'PV1', field: 4, component: 1, table: '0007' },
+  { segment: 'ORC', field: 1, component: 1, table: '0119' },
+  { segment: 'ORC', field: 5, component: 1, table: '0038' },
+  { segment: 'SCH', field: 25, component: 1, systemComponent: 3, table: '0278' },
+  { segment: 'RXA', field: 20, component: 1, table: '0322' },
+  { segment: 'RXA', field: 21, component: 1, table: '0323' },
+  { segment: 'OBX', field: 2, component: 1, table: '0125' },
+  { segment: 'OBX', field: 8, component: 1, table: '0078' },
+  { segment: 'OBX', field: 11, component: 1, table: '0085' },
+]
+
+/**
+ * Coded (CWE/CE) fields whose coding systems are checked against table 0396
+ */
+const CODED_FIELDS = [
+  { segment: 'PID', field: 10 },
+  { segment: 'PID', field: 22 },
+  { segment: 'NK1', field: 3 },
+  { segment: 'OBX', field: 3 },
+  { segment: 'OBX', field: 6 },
+  { segment: 'DG1', field: 3 },
+  { segment: 'AL1', field: 3 },
+  { segment: 'RXE', field: 2 },
+  { segment: 'RXA', field: 5 },
+  { segment: 'RXA', field: 17 },
+]
+
+/**
+ * Code formats for coding systems whose codes can be checked without the terminology itself
+ */
+const CODE_FORMATS = {
+  LN: { description: 'LOINC code (NNNNN-N with a valid check digit)', test: isLOINCCode },
+  SCT: { description: 'SNOMED CT identifier (6-18 digits with a valid check digit)', test: isSNOMEDIdentifier },
+  I10: { description: 'ICD-10 code (A00 to Z99, optionally .N)', test: code => /^[A-Z]\d{2}(\.\d{1,2})?$/.test(code) },
+  I10C: { description: 'ICD-10-CM code (A00 to Z99 with up to four more characters)', test: code => /^[A-Z]\d[0-9A-Z](\.?[0-9A-Z]{1,4})?$/.test(code) },
+  I10P: { description: 'ICD-10-PCS code (seven characters)', test: code => /^[0-9A-HJ-NP-Z]{7}$/.test(code) },
+  CVX: { description: 'CVX vaccine code (1-3 digits)', test: code => /^\d{1,3}$/.test(code) },
+  I9C: { description: 'ICD-9-CM code (NNN, VNN or ENNN, optionally .N[N])', test: code => /^(\d{3}|V\d{2}|E\d{3})(\.\d{1,2})?$/.test(code) },
+}
+
+const loadedValueSets = new WeakSet()
+
+/**
+ * Gets a built-in table as of an HL7 version
+ * @param {string} id - Table number, e.g. '0001'
+ * @param {Object} [options] - Lookup options
+ * @param {string} [options.version] - HL7 version; codes introduced later or retired earlier are excluded.
+ *   All codes are included when omitted.
+ * @returns {Object|null} { id, name, type, codes } or null for an unknown table
+ */
+export function getCodeTable(id, { version } = {}) {
+  const table = TABLES[id]
+  if (!table) {
+    return null
+  }
+  const parsedVersion = parseVersion(version)
+  return {
+    id,
+    name: table.name,
+    type: table.type,
+    codes: table.codes
+      .filter(entry => isInVersion(entry, parsedVersion))
+      .map(({ code, display }) => ({ code, display })),
+  }
+}
+
+/**
+ * Lists the built-in tables
+ * @returns {Array} { id, name, type } for each table
+ */
+export function listCodeTables() {
+  return Object.entries(TABLES).map(([id, { name, type }]) => ({ id, name, type }))
+}
+
+/**
+ * Checks a code against a table, using a value set that replaces the table when one is given
+ * @param {string} code - Code to check
+ * @param {string} tableId - Table number, e.g. '0004'
+ * @param {Object} [options] - Lookup options
+ * @param {string} [options.version] - HL7 version (see getCodeTable)
+ * @param {Array<Object>} [options.valueSets] - Value sets; one declaring `table: tableId` replaces the built-in table
+ * @returns {Object} { isValid, table } where table is the { id, name, codes } list the code was checked against
+ */
+export function validateCode(code, tableId, { version, valueSets = [] } = {}) {
+  const table = resolveTable(tableId, { version, valueSets: normalizeValueSets(valueSets) })
+  if (!table) {
+    throw new Error(`Unknown code table "${tableId}"`)
+  }
+  return {
+    isValid: table.codes.some(entry => entry.code === code) || matchesPattern(tableId, table, code),
+    table,
+  }
+}
+
+/**
+ * Loads and validates a value set
+ * @param {Object|string} source - Value set object or JSON string
+ * @returns {Object} Normalized value set
+ */
+export function loadValueSet(source) {
+  const raw = typeof source === 'string' ? JSON.parse(source) : source
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Value set must be an object')
+  }
+  if (!raw.id) {
+    throw new Error('Value set must have an "id"')
+  }
+  if (!Array.isArray(raw.codes) || raw.codes.length === 0) {
+    throw new Error(`Value set "${raw.id}" must list its "codes"`)
+  }
+  if (!raw.table && !raw.fields) {
+    throw new Error(`Value set "${raw.id}" must replace a "table" or bind "fields"`)
+  }
+  if (raw.severity !== undefined && !Object.values(SEVERITY).includes(raw.severity)) {
+    throw new Error(`Value set "${raw.id}" has unknown severity "${raw.severity}"`)
+  }
+
+  const valueSet = {
+    id: String(raw.id),
+    name: raw.name || String(raw.id),
+    table: raw.table ? String(raw.table).padStart(4, '0') : null,
+    codingSystem: raw.codingSystem || null,
+    fields: (raw.fields || []).map(field => parseFieldBinding(field, raw.id)),
+    severity: raw.severity || null,
+    codes: raw.codes.map(entry => {
+      const { code, display = '' } = typeof entry === 'object' ? entry : { code: entry }
+      if (code === undefined || code === null || code === '') {
+        throw new Error(`Value set "${raw.id}" has an entry without a code`)
+      }
+      return { code: String(code), display: String(display) }
+    }),
+  }
+  loadedValueSets.add(valueSet)
+  return valueSet
+}
+
+/**
+ * Loads a value set from a JSON, YAML or CSV file
+ * CSV files have a header row with `code` and optional `display` columns; the value set
+ * id, table and field bindings are passed in `options`. YAML files require the optional
+ * `js-yaml` package to be installed.
+ * @param {string} filePath - Path to a .json, .yaml, .yml or .csv file
+ * @param {Object} [options] - Value set properties for CSV files ({ id, name, table, fields, codingSystem, severity })
+ * @returns {Promise<Object>} Normalized value set
+ */
+export async function loadValueSetFile(filePath, options = {}) {
+  if (/\.csv$/i.test(filePath)) {
+    const { promises: fs } = await import('fs')
+    const content = await fs.readFile(filePath, 'utf8')
+    return loadValueSet({ id: filePath, ...options, codes: parseCodesCSV(content, filePath) })
+  }
+  return loadValueSet(await loadConfigFile(filePath, 'value sets'))
+}
+
+/**
+ * Validates the coded fields of a parsed message: built-in table bindings, coding systems
+ * and code formats of CWE/CE fields, and value sets bound to fields
+ * @param {Object} parsed - Parsed HL7 message
+ * @param {Object} [options] - Evaluation options
+ * @param {Array<Object>} [options.valueSets] - Value sets (see loadValueSet; raw objects are normalized)
+ * @returns {Object} { issues, scorePenalty }
+ */
+export function evaluateCodes(parsed, { valueSets = [] } = {}) {
+  const issues = []
+  const normalized = normalizeValueSets(valueSets)
+  const mshSegment = parsed.segments.find(s => s.segmentType === 'MSH')
+  const version = String(mshSegment?.parsed.field12 || '').split('^')[0] || undefined
+  const encoding = parsed.encoding || getEncodingCharacters(`MSH${mshSegment?.parsed.field1 || '|'}${mshSegment?.parsed.field2 || '^~\\&'}`)
+  const boundFields = new Set(normalized.flatMap(valueSet => valueSet.fields.map(({ segment, field }) => `${segment}-${field}`)))
+
+  // Built-in tables, unless a value set is bound to the same field
+  TABLE_BINDINGS
+    .filter(binding => !boundFields.has(`${binding.segment}-${binding.field}`))
+    .forEach(binding => {
+      const table = resolveTable(binding.table, { version, valueSets: normalized })
+      forEachCode(parsed, binding, encoding, ({ code, codingSystem, location }) => {
+        // A code from another coding system is not a code from this table
+        if (codingSystem && codingSystem !== `HL7${binding.table}`) {
+          return
+        }
+        if (!table.codes.some(entry => entry.code === code)) {
+          issues.push(codeIssue(SEVERITY.MEDIUM, location,
+            `Invalid ${table.name} code`,
+            `"${code}" is not in table ${binding.table} (${table.name})${version ? ` for version ${version}` : ''}`,
+            table.codes.length <= 12
+              ? `Use a code from table ${binding.table}: ${describeCodes(table)}`
+              : `Use a code from table ${binding.table} (${table.name})`))
+        }
+      })
+    })
+
+  // Value sets bound to fields
+  normalized.forEach(valueSet => {
+    valueSet.fields.forEach(binding => {
+      const systemComponent = binding.component === 1 ? 3 : null
+      forEachCode(parsed, { ...binding, systemComponent }, encoding, ({ code, codingSystem, location }) => {
+        if (valueSet.codingSystem && codingSystem && codingSystem !== valueSet.codingSystem) {
+          issues.push(codeIssue(valueSet.severity || SEVERITY.MEDIUM, location,
+            `Unexpected coding system for ${valueSet.name}`,
+            `"${code}" is coded in ${codingSystem}; value set "${valueSet.id}" uses ${valueSet.codingSystem}`,
+            `Code ${fieldLabel(binding)} in ${valueSet.codingSystem}`))
+          return
+        }
+        if (!valueSet.codes.some(entry => entry.code === code)) {
+          issues.push(codeIssue(valueSet.severity || SEVERITY.MEDIUM, location,
+            `Code not in value set ${valueSet.name}`,
+            `"${code}" is not in value set "${valueSet.id}"`,
+            `Use a code from value set "${valueSet.id}"`))
+        }
+      })
+    })
+  })
+
+  // Coding systems and code formats of coded fields
+  const codingSystems = resolveTable('0396', { version, valueSets: normalized })
+  CODED_FIELDS.forEach(({ segment, field }) => {
+    // Identifier/coding system pairs: CWE-1/CWE-3 and CWE-4/CWE-6
+    [[1, 3], [4, 6]].forEach(([codeComponent, systemComponent]) => {
+      forEachCode(parsed, { segment, field, component: codeComponent, systemComponent }, encoding, ({ code, codingSystem, location }) => {
+        if (!codingSystem) {
+          return
+        }
+        if (!codingSystems.codes.some(entry => entry.code === codingSystem) && !matchesPattern('0396', codingSystems, codingSystem)) {
+          issues.push(codeIssue(SEVERITY.LOW, { ...location, component: systemComponent },
+            'Unknown coding system',
+            `Coding system "${codingSystem}" in ${segment}-${field}.${systemComponent} is not in table 0396`,
+            'Use an HL7 table 0396 coding system name (e.g. LN, SCT, I10), HL7nnnn for HL7 tables or 99zzz for local codes'))
+          return
+        }
+        const format = CODE_FORMATS[codingSystem]
+        if (format && !format.test(code)) {
+          issues.push(codeIssue(SEVERITY.MEDIUM, location,
+            `Malformed ${codingSystem} code`,
+            `"${code}" in ${segment}-${field}.${codeComponent} is not a valid ${format.description}`,
+            `Verify the ${codingSystem} code`))
+        }
+      })
+    })
+  })
+
+  return { issues, scorePenalty: issues.reduce((total, issue) => total + issue.penalty, 0) }
+}
+
+/**
+ * Lists codes as "M (Male), F (Female), ..." for recommendations
+ */
+export function describeCodes(table) {
+  return table.codes.map(({ code, display }) => (display ? `${code} (${display})` : code)).join(', ')
+}
+
+function normalizeValueSets(valueSets) {
+  return valueSets.map(valueSet => (loadedValueSets.has(valueSet) ? valueSet : loadValueSet(valueSet)))
+}
+
+function resolveTable(tableId, { version, valueSets }) {
+  const replacement = valueSets.find(valueSet => valueSet.table === tableId)
+  if (replacement) {
+    return { id: tableId, name: replacement.name, type: 'Local', codes: replacement.codes }
+  }
+  return getCodeTable(tableId, { version })
+}
+
+function matchesPattern(tableId, table, code) {
+  return table.type !== 'Local' && (TABLES[tableId]?.patterns || []).some(pattern => pattern.test(code))
+}
+
+/**
+ * Calls visit for every valued code of a field binding, across segment occurrences and repetitions
+ */
+function forEachCode(parsed, binding, encoding, visit) {
+  const { segment, field, component = 1, systemComponent = null } = binding
+  parsed.segments
+    .filter(s => s.segmentType === segment)
+    .forEach((seg, index) => {
+      const value = seg.parsed[`field${field}`]
+      if (value === undefined || value === null || value === '') {
+        return
+      }
+      String(value).split(encoding.repetition).forEach((repetition, repetitionIndex) => {
+        const components = repetition.split(encoding.component)
+        const code = components[component - 1]
+        if (!code) {
+          return
+        }
+        visit({
+          code,
+          codingSystem: systemComponent ? components[systemComponent - 1] || null : null,
+          location: { segment, sequence: index + 1, field, repetition: repetitionIndex + 1, component },
+        })
+      })
+    })
+}
+
+function codeIssue(severity, location, issue, details, recommendation) {
+  return {
+    category: QUALITY_CATEGORIES.ACCURACY,
+    severity,
+    field: fieldLabel(location),
+    location,
+    issue,
+    details,
+    recommendation,
+    penalty: SEVERITY_PENALTIES[severity] || 0,
+  }
+}
+
+function fieldLabel({ segment, field, component }) {
+  return component && component !== 1 ? `${segment}-${field}.${component}` : `${segment}-${field}`
+}
+
+function parseFieldBinding(field, valueSetId) {
+  const match = /^([A-Z][A-Z0-9]{2})-(\d+)(?:\.(\d+))?$/.exec(String(field))
+  if (!match) {
+    throw new Error(`Value set "${valueSetId}" has invalid field "${field}" (expected e.g. PID-10 or PID-3.5)`)
+  }
+  return { segment: match[1], field: Number(match[2]), component: match[3] ? Number(match[3]) : 1 }
+}
+
+function parseCodesCSV(content, filePath) {
+  const rows = content.split(/\r\n|\r|\n/).filter(line => line.trim() !== '').map(parseCSVLine)
+  const header = (rows.shift() || []).map(column => column.trim().toLowerCase())
+  const codeColumn = header.indexOf('code')
+  const displayColumn = header.indexOf('display')
+  if (codeColumn === -1) {
+    throw new Error(`Value set file "${filePath}" must have a "code" column`)
+  }
+  return rows.map(row => ({ code: row[codeColumn], display: displayColumn === -1 ? '' : row[displayColumn] || '' }))
+}
+
+function parseCSVLine(line) {
+  const cells = []
+  let cell = ''
+  let quoted = false
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      cells.push(cell)
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  cells.push(cell)
+  return cells
+}
+
+/**
+ * LOINC codes end in a mod 10 check digit over the digits before the hyphen
+ */
+function isLOINCCode(code) {
+  const match = /^(\d{1,7})-(\d)$/.exec(code)
+  if (!match) {
+    return false
+  }
+  const sum = [...match[1]].reverse().reduce((total, digit, index) => {
+    const value = index % 2 === 0 ? Number(digit) * 2 : Number(digit)
+    return total + Math.floor(value / 10) + (value % 10)
+  }, 0)
+  return (10 - (sum % 10)) % 10 === Number(match[2])
+}
+
+const VERHOEFF_MULTIPLY = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+]
+
+const VERHOEFF_PERMUTE = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 7, 6, 8, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+]
+
+/**
+ * SNOMED CT identifiers are 6-18 digits ending in a Verhoeff check digit
+ */
+function isSNOMEDIdentifier(code) {
+  if (!/^[1-9]\d{5,17}$/.test(code)) {
+    return false
+  }
+  const check = [...code].reverse().reduce((c, digit, index) => VERHOEFF_MULTIPLY[c][VERHOEFF_PERMUTE[index % 8][Number(digit)]], 0)
+  return check === 0
+}
+
+function isInVersion(entry, version) {
+  if (!version) {
+    return true
+  }
+  if (entry.since && compareVersions(version, parseVersion(entry.since)) < 0) {
+    return false
+  }
+  return !(entry.retired && compareVersions(version, parseVersion(entry.retired)) >= 0)
+}
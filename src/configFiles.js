@@ -0,0 +1,30 @@
+/**
+ * Configuration Files
+ *
+ * Reads the JSON and YAML files that conformance profiles, value sets,
+ * segment schemas, scoring models and field mappings are loaded from.
+ * Node.js only: 'fs' is loaded when a file is read, and YAML support needs
+ * the optional `js-yaml` package.
+ */
+
+/**
+ * Reads and parses a JSON or YAML configuration file
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @param {string} label - What the file holds, for error messages (e.g. 'profiles')
+ * @returns {Promise<*>} Parsed content
+ */
+export async function loadConfigFile(filePath, label) {
+  const { promises: fs } = await import('fs')
+  const content = await fs.readFile(filePath, 'utf8')
+
+  if (!/\.ya?ml$/i.test(filePath)) {
+    return JSON.parse(content)
+  }
+  let yaml
+  try {
+    yaml = await import('js-yaml')
+  } catch (error) {
+    throw new Error(`Loading YAML ${label} requires the "js-yaml" package to be installed`)
+  }
+  return (yaml.default || yaml).load(content)
+}
@@ -0,0 +1,279 @@
+/**
+ * HL7 Conformance Profiles
+ *
+ * Declarative profiles describing, per message type and trigger event, which
+ * segments are required, optional or forbidden, their cardinalities, and which
+ * fields and components must be populated. Profiles can be written as JSON or
+ * YAML and are evaluated by the built-in 'profile-conformance' rule.
+ */
+
+import { QUALITY_CATEGORIES, SEVERITY, SEVERITY_PENALTIES } from './constants.js'
+import { getEncodingCharacters } from './messageParser.js'
+import { loadConfigFile } from './configFiles.js'
+
+/**
+ * Conformance usage codes
+ */
+export const USAGE = {
+  REQUIRED: 'R',
+  REQUIRED_OR_EMPTY: 'RE',
+  OPTIONAL: 'O',
+  FORBIDDEN: 'X',
+}
+
+const loadedProfiles = new WeakSet()
+
+/**
+ * Loads and validates a conformance profile
+ * @param {Object|string} source - Profile object or JSON string
+ * @returns {Object} Normalized profile
+ */
+export function loadProfile(source) {
+  const raw = typeof source === 'string' ? JSON.parse(source) : source
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Conformance profile must be an object')
+  }
+  if (!raw.messages || typeof raw.messages !== 'object') {
+    throw new Error('Conformance profile must declare a "messages" object')
+  }
+
+  const messages = {}
+  Object.entries(raw.messages).forEach(([messageKey, definition]) => {
+    messages[messageKey] = normalizeMessageDefinition(messageKey, definition)
+  })
+
+  const profile = {
+    name: raw.name || 'Unnamed Profile',
+    description: raw.description || '',
+    version: raw.version || null,
+    allowUndeclaredSegments: raw.allowUndeclaredSegments !== false,
+    messages,
+  }
+  loadedProfiles.add(profile)
+  return profile
+}
+
+/**
+ * Loads a conformance profile from a JSON or YAML file
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Promise<Object>} Normalized profile
+ */
+export async function loadProfileFile(filePath) {
+  return loadProfile(await loadConfigFile(filePath, 'profiles'))
+}
+
+/**
+ * Evaluates a parsed message against a conformance profile
+ * @param {Object} parsed - Parsed HL7 message
+ * @param {Object} profile - Profile from loadProfile (raw objects are normalized)
+ * @returns {Object} { issues, scorePenalty }
+ */
+export function evaluateProfile(parsed, profile) {
+  const issues = []
+  const normalized = loadedProfiles.has(profile) ? profile : loadProfile(profile)
+
+  const mshSegment = parsed.segments.find(s => s.segmentType === 'MSH')
+  const messageType = String(mshSegment?.parsed.field9 || parsed.messageType || '')
+  const encoding = parsed.encoding || getEncodingCharacters(`MSH${mshSegment?.parsed.field1 || '|'}${mshSegment?.parsed.field2 || '^~\\&'}`)
+  const definition = findMessageDefinition(normalized, messageType, encoding)
+
+  if (!definition) {
+    issues.push(profileIssue({}, SEVERITY.MEDIUM, 'MSH-9',
+      'Message type not covered by profile',
+      `Profile "${normalized.name}" has no definition for message type "${messageType}"`,
+      'Add a definition for this message type to the profile or verify MSH-9',
+      { segment: 'MSH', sequence: 1, field: 9 }))
+    return { issues, scorePenalty: calculatePenalty(issues) }
+  }
+
+  // Segment presence and cardinality
+  Object.entries(definition.segments).forEach(([segmentId, segmentDef]) => {
+    const occurrences = parsed.segments.filter(s => s.segmentType === segmentId)
+    const count = occurrences.length
+
+    if (segmentDef.usage === USAGE.FORBIDDEN) {
+      if (count > 0) {
+        issues.push(profileIssue(segmentDef, SEVERITY.HIGH, segmentId,
+          `Forbidden ${segmentId} segment present`,
+          `Profile "${normalized.name}" does not allow ${segmentId} in ${definition.key} messages`,
+          `Remove the ${segmentId} segment`,
+          { segment: segmentId, sequence: 1 }))
+      }
+      return
+    }
+
+    if (count < segmentDef.min) {
+      const missing = count === 0
+      issues.push(profileIssue(segmentDef, SEVERITY.HIGH, segmentId,
+        missing ? `Missing required ${segmentId} segment` : `Too few ${segmentId} segments`,
+        `Profile "${normalized.name}" requires at least ${segmentDef.min} ${segmentId} segment(s) in ${definition.key} messages, found ${count}`,
+        `Add the ${segmentId} segment`,
+        { segment: segmentId }))
+    }
+    if (segmentDef.max !== '*' && count > segmentDef.max) {
+      issues.push(profileIssue(segmentDef, SEVERITY.MEDIUM, segmentId,
+        `Too many ${segmentId} segments`,
+        `Profile "${normalized.name}" allows at most ${segmentDef.max} ${segmentId} segment(s) in ${definition.key} messages, found ${count}`,
+        `Reduce ${segmentId} repetitions to ${segmentDef.max} or fewer`,
+        { segment: segmentId, sequence: segmentDef.max + 1 }))
+    }
+
+    occurrences.forEach((segment, index) => {
+      issues.push(...evaluateFields(segmentId, segment, index + 1, segmentDef, encoding, normalized.name))
+    })
+  })
+
+  // Segments the profile does not declare (MSH is always allowed)
+  if (!normalized.allowUndeclaredSegments) {
+    const undeclared = [...new Set(parsed.segments.map(s => s.segmentType))]
+      .filter(segmentId => segmentId !== 'MSH' && !definition.segments[segmentId])
+    undeclared.forEach(segmentId => {
+      issues.push(profileIssue({}, SEVERITY.LOW, segmentId,
+        `Undeclared ${segmentId} segment`,
+        `Profile "${normalized.name}" does not declare ${segmentId} for ${definition.key} messages`,
+        `Remove the ${segmentId} segment or declare it in the profile`,
+        { segment: segmentId, sequence: 1 }))
+    })
+  }
+
+  return { issues, scorePenalty: calculatePenalty(issues) }
+}
+
+/**
+ * Checks field and component usage for one segment occurrence
+ */
+function evaluateFields(segmentId, segment, sequence, segmentDef, encoding, profileName) {
+  const issues = []
+
+  Object.entries(segmentDef.fields).forEach(([fieldNumber, fieldDef]) => {
+    const fieldId = `${segmentId}-${fieldNumber}`
+    const location = { segment: segmentId, sequence, field: Number(fieldNumber) }
+    const label = fieldDef.name ? `${fieldDef.name} (${fieldId})` : fieldId
+    const value = segment.parsed[`field${fieldNumber}`]
+    const populated = value !== undefined && value !== null && String(value) !== ''
+
+    if (fieldDef.usage === USAGE.FORBIDDEN && populated) {
+      issues.push(profileIssue(fieldDef, SEVERITY.MEDIUM, fieldId,
+        `Forbidden field ${label} populated`,
+        `Profile "${profileName}" does not allow ${fieldId} to be valued`,
+        `Leave ${fieldId} empty`,
+        location))
+      return
+    }
+    if (fieldDef.usage === USAGE.REQUIRED && !populated) {
+      issues.push(profileIssue(fieldDef, SEVERITY.HIGH, fieldId,
+        `Missing required field ${label}`,
+        `Profile "${profileName}" requires ${fieldId} to be valued`,
+        `Populate ${fieldId}`,
+        location))
+      return
+    }
+    if (!populated || fieldDef.components.length === 0) {
+      return
+    }
+
+    String(value).split(encoding.repetition).forEach((repetition, index) => {
+      const components = repetition.split(encoding.component)
+      fieldDef.components.forEach(componentNumber => {
+        if (!components[componentNumber - 1]) {
+          const componentId = `${fieldId}.${componentNumber}`
+          issues.push(profileIssue(fieldDef, SEVERITY.MEDIUM, componentId,
+            `Missing required component ${componentId}`,
+            `Profile "${profileName}" requires component ${componentNumber} of ${fieldId}${index > 0 ? ` (repetition ${index + 1})` : ''}`,
+            `Populate component ${componentNumber} of ${fieldId}`,
+            { ...location, repetition: index + 1, component: componentNumber }))
+        }
+      })
+    })
+  })
+
+  return issues
+}
+
+function profileIssue(definition, defaultSeverity, field, issue, details, recommendation, location) {
+  const severity = definition.severity || defaultSeverity
+  return {
+    category: QUALITY_CATEGORIES.COMPLIANCE,
+    severity,
+    field,
+    location,
+    issue,
+    details,
+    recommendation,
+    penalty: SEVERITY_PENALTIES[severity] || 0,
+  }
+}
+
+function calculatePenalty(issues) {
+  return issues.reduce((total, issue) => total + issue.penalty, 0)
+}
+
+/**
+ * Finds the profile definition for a message, trying the most specific key first:
+ * code^trigger (ADT^A01), message structure (ADT_A01), code (ADT), then '*'
+ */
+function findMessageDefinition(profile, messageType, encoding) {
+  const [code = '', trigger = '', structure = ''] = messageType.split(encoding.component)
+  const candidates = [`${code}^${trigger}`, structure, code, '*'].filter(Boolean)
+  const key = candidates.find(candidate => profile.messages[candidate])
+  return key ? profile.messages[key] : null
+}
+
+function normalizeMessageDefinition(messageKey, definition) {
+  if (!definition || typeof definition.segments !== 'object') {
+    throw new Error(`Profile message "${messageKey}" must declare a "segments" object`)
+  }
+
+  const segments = {}
+  Object.entries(definition.segments).forEach(([segmentId, segmentDef]) => {
+    const usage = validateUsage(segmentDef.usage || USAGE.OPTIONAL, `${messageKey} ${segmentId}`)
+    const min = segmentDef.min ?? (usage === USAGE.REQUIRED ? 1 : 0)
+    const max = segmentDef.max ?? '*'
+    if (typeof min !== 'number' || min < 0) {
+      throw new Error(`Profile segment "${messageKey} ${segmentId}" has invalid min cardinality`)
+    }
+    if (max !== '*' && (typeof max !== 'number' || max < min)) {
+      throw new Error(`Profile segment "${messageKey} ${segmentId}" has invalid max cardinality`)
+    }
+
+    const fields = {}
+    Object.entries(segmentDef.fields || {}).forEach(([fieldNumber, fieldDef]) => {
+      if (!/^\d+$/.test(fieldNumber)) {
+        throw new Error(`Profile field "${segmentId}-${fieldNumber}" must be keyed by field number`)
+      }
+      fields[fieldNumber] = {
+        name: fieldDef.name || null,
+        usage: validateUsage(fieldDef.usage || USAGE.OPTIONAL, `${segmentId}-${fieldNumber}`),
+        components: (fieldDef.components || []).map(Number),
+        severity: validateSeverity(fieldDef.severity, `${segmentId}-${fieldNumber}`),
+      }
+    })
+
+    segments[segmentId] = {
+      usage,
+      min,
+      max,
+      fields,
+      severity: validateSeverity(segmentDef.severity, `${messageKey} ${segmentId}`),
+    }
+  })
+
+  return { key: messageKey, description: definition.description || '', segments }
+}
+
+function validateUsage(usage, location) {
+  if (!Object.values(USAGE).includes(usage)) {
+    throw new Error(`Profile element "${location}" has unknown usage "${usage}"`)
+  }
+  return usage
+}
+
+function validateSeverity(severity, location) {
+  if (severity === undefined || severity === null) {
+    return null
+  }
+  if (!Object.values(SEVERITY).includes(severity)) {
+    throw new Error(`Profile element "${location}" has unknown severity "${severity}"`)
+  }
+  return severity
+}
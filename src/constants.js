@@ -0,0 +1,55 @@
+/**
+ * Shared constants for the HL7 Data Quality library
+ */
+
+/**
+ * Quality check categories
+ */
+export const QUALITY_CATEGORIES = {
+  COMPLETENESS: 'Completeness',
+  ACCURACY: 'Accuracy',
+  CONSISTENCY: 'Consistency',
+  COMPLIANCE: 'Compliance',
+  FORMATTING: 'Formatting',
+  BUSINESS_RULES: 'Business Rules',
+}
+
+/**
+ * Severity levels for quality issues
+ */
+export const SEVERITY = {
+  CRITICAL: 'Critical',
+  HIGH: 'High',
+  MEDIUM: 'Medium',
+  LOW: 'Low',
+  INFO: 'Info',
+}
+
+/**
+ * Score penalty per issue for evaluators that derive penalties from severity
+ */
+export const SEVERITY_PENALTIES = {
+  [SEVERITY.CRITICAL]: 15,
+  [SEVERITY.HIGH]: 5,
+  [SEVERITY.MEDIUM]: 2,
+  [SEVERITY.LOW]: 1,
+  [SEVERITY.INFO]: 0,
+}
+
+/**
+ * Date fields the date-formats rule checks and its remediation fixer reformats
+ */
+export const DATE_FIELDS = [
+  { segment: 'MSH', field: 7, type: 'TS', name: 'Date/Time of Message' },
+  { segment: 'PID', field: 7, type: 'TS', name: 'Date of Birth' },
+  { segment: 'PID', field: 29, type: 'TS', name: 'Patient Death Date' },
+  { segment: 'PV1', field: 44, type: 'TS', name: 'Admit Date/Time' },
+  { segment: 'PV1', field: 45, type: 'TS', name: 'Discharge Date/Time' },
+  { segment: 'EVN', field: 2, type: 'TS', name: 'Recorded Date/Time' },
+  { segment: 'NK1', field: 8, type: 'DT', name: 'Next of Kin Start Date' },
+  { segment: 'NK1', field: 9, type: 'DT', name: 'Next of Kin End Date' },
+  { segment: 'OBX', field: 14, type: 'TS', name: 'Date/Time of the Observation' },
+  { segment: 'DG1', field: 5, type: 'TS', name: 'Diagnosis Date/Time' },
+  { segment: 'IN1', field: 12, type: 'DT', name: 'Plan Effective Date' },
+  { segment: 'IN1', field: 13, type: 'DT', name: 'Plan Expiration Date' },
+]
@@ -0,0 +1,509 @@
+/**
+ * HL7 v2 Data Types
+ *
+ * Validates field values against HL7 primitive and composite data types:
+ * real calendar dates and times with time zones and precision (DTM, TS, DT,
+ * TM), numbers (NM), and the component structure, component counts and
+ * lengths of composites (XPN, XAD, XTN, CX, CWE, CE and the types they nest).
+ * Component lists follow HL7 v2.5.1, with components added in later versions
+ * tagged with the version that introduced them.
+ */
+
+import { DEFAULT_ENCODING, unescapeValue } from './messageParser.js'
+import { parseVersion, compareVersions } from './messageHelpers.js'
+
+/**
+ * Precision of DTM values, by number of digits before any fractional seconds
+ */
+export const PRECISION = {
+  YEAR: 'year',
+  MONTH: 'month',
+  DAY: 'day',
+  HOUR: 'hour',
+  MINUTE: 'minute',
+  SECOND: 'second',
+}
+
+const PRECISION_DIGITS = {
+  year: 4,
+  month: 6,
+  day: 8,
+  hour: 10,
+  minute: 12,
+  second: 14,
+}
+
+/**
+ * Primitive types, validated by value
+ */
+const PRIMITIVES = {
+  ST: { name: 'String Data' },
+  ID: { name: 'Coded Value for HL7 Tables' },
+  IS: { name: 'Coded Value for User-Defined Tables' },
+  NM: { name: 'Numeric', validate: validateNumeric },
+  DTM: { name: 'Date/Time', validate: validateDateTime },
+  DT: { name: 'Date', validate: validateDate },
+  TM: { name: 'Time', validate: validateTime },
+}
+
+/**
+ * Composite types: component name, data type, maximum length and, for components
+ * added after v2.5.1, the version that introduced them
+ */
+const COMPOSITES = {
+  TS: {
+    name: 'Time Stamp',
+    components: [
+      { name: 'Time', type: 'DTM', length: 24 },
+      { name: 'Degree of Precision', type: 'ID', length: 1 },
+    ],
+  },
+  XPN: {
+    name: 'Extended Person Name',
+    components: [
+      { name: 'Family Name', type: 'FN', length: 194 },
+      { name: 'Given Name', type: 'ST', length: 30 },
+      { name: 'Second and Further Given Names or Initials Thereof', type: 'ST', length: 30 },
+      { name: 'Suffix', type: 'ST', length: 20 },
+      { name: 'Prefix', type: 'ST', length: 20 },
+      { name: 'Degree', type: 'IS', length: 6 },
+      { name: 'Name Type Code', type: 'ID', length: 1 },
+      { name: 'Name Representation Code', type: 'ID', length: 1 },
+      { name: 'Name Context', type: 'CE', length: 483 },
+      { name: 'Name Validity Range', type: 'DR', length: 53 },
+      { name: 'Name Assembly Order', type: 'ID', length: 1 },
+      { name: 'Effective Date', type: 'TS', length: 26 },
+      { name: 'Expiration Date', type: 'TS', length: 26 },
+      { name: 'Professional Suffix', type: 'ST', length: 199 },
+    ],
+  },
+  XAD: {
+    name: 'Extended Address',
+    components: [
+      { name: 'Street Address', type: 'SAD', length: 184 },
+      { name: 'Other Designation', type: 'ST', length: 120 },
+      { name: 'City', type: 'ST', length: 50 },
+      { name: 'State or Province', type: 'ST', length: 50 },
+      { name: 'Zip or Postal Code', type: 'ST', length: 12 },
+      { name: 'Country', type: 'ID', length: 3 },
+      { name: 'Address Type', type: 'ID', length: 3 },
+      { name: 'Other Geographic Designation', type: 'ST', length: 50 },
+      { name: 'County/Parish Code', type: 'IS', length: 20 },
+      { name: 'Census Tract', type: 'IS', length: 20 },
+      { name: 'Address Representation Code', type: 'ID', length: 1 },
+      { name: 'Address Validity Range', type: 'DR', length: 53 },
+      { name: 'Effective Date', type: 'TS', length: 26 },
+      { name: 'Expiration Date', type: 'TS', length: 26 },
+      { name: 'Expiration Reason', type: 'CWE', length: 705, since: '2.6' },
+      { name: 'Temporary Indicator', type: 'ID', length: 1, since: '2.6' },
+      { name: 'Bad Address Indicator', type: 'ID', length: 1, since: '2.6' },
+      { name: 'Address Usage', type: 'ID', length: 1, since: '2.6' },
+      { name: 'Addressee', type: 'ST', length: 199, since: '2.6' },
+      { name: 'Comment', type: 'ST', length: 199, since: '2.6' },
+      { name: 'Preference Order', type: 'NM', length: 2, since: '2.6' },
+      { name: 'Protection Code', type: 'CWE', length: 705, since: '2.6' },
+      { name: 'Address Identifier', type: 'EI', length: 427, since: '2.6' },
+    ],
+  },
+  XTN: {
+    name: 'Extended Telecommunication Number',
+    components: [
+      { name: 'Telephone Number', type: 'ST', length: 199 },
+      { name: 'Telecommunication Use Code', type: 'ID', length: 3 },
+      { name: 'Telecommunication Equipment Type', type: 'ID', length: 8 },
+      { name: 'Email Address', type: 'ST', length: 199 },
+      { name: 'Country Code', type: 'NM', length: 3 },
+      { name: 'Area/City Code', type: 'NM', length: 5 },
+      { name: 'Local Number', type: 'NM', length: 9 },
+      { name: 'Extension', type: 'NM', length: 5 },
+      { name: 'Any Text', type: 'ST', length: 199 },
+      { name: 'Extension Prefix', type: 'ST', length: 4 },
+      { name: 'Speed Dial Code', type: 'ST', length: 6 },
+      { name: 'Unformatted Telephone Number', type: 'ST', length: 199 },
+      { name: 'Effective Start Date', type: 'DTM', length: 24, since: '2.7' },
+      { name: 'Expiration Date', type: 'DTM', length: 24, since: '2.7' },
+      { name: 'Expiration Reason', type: 'CWE', length: 705, since: '2.7' },
+      { name: 'Protection Code', type: 'CWE', length: 705, since: '2.7' },
+      { name: 'Shared Telecommunication Identifier', type: 'EI', length: 427, since: '2.7' },
+      { name: 'Preference Order', type: 'NM', length: 2, since: '2.7' },
+    ],
+    validate: validateTelecommunication,
+  },
+  CX: {
+    name: 'Extended Composite ID with Check Digit',
+    components: [
+      { name: 'ID Number', type: 'ST', length: 15 },
+      { name: 'Check Digit', type: 'ST', length: 1 },
+      { name: 'Check Digit Scheme', type: 'ID', length: 3 },
+      { name: 'Assigning Authority', type: 'HD', length: 227 },
+      { name: 'Identifier Type Code', type: 'ID', length: 5 },
+      { name: 'Assigning Facility', type: 'HD', length: 227 },
+      { name: 'Effective Date', type: 'DT', length: 8 },
+      { name: 'Expiration Date', type: 'DT', length: 8 },
+      { name: 'Assigning Jurisdiction', type: 'CWE', length: 705 },
+      { name: 'Assigning Agency or Department', type: 'CWE', length: 705 },
+      { name: 'Security Check', type: 'ST', length: 4, since: '2.7' },
+      { name: 'Security Check Scheme', type: 'ID', length: 3, since: '2.7' },
+    ],
+    validate: validateIdentifier,
+  },
+  CWE: {
+    name: 'Coded with Exceptions',
+    components: [
+      { name: 'Identifier', type: 'ST', length: 20 },
+      { name: 'Text', type: 'ST', length: 199 },
+      { name: 'Name of Coding System', type: 'ID', length: 20 },
+      { name: 'Alternate Identifier', type: 'ST', length: 20 },
+      { name: 'Alternate Text', type: 'ST', length: 199 },
+      { name: 'Name of Alternate Coding System', type: 'ID', length: 20 },
+      { name: 'Coding System Version ID', type: 'ST', length: 10 },
+      { name: 'Alternate Coding System Version ID', type: 'ST', length: 10 },
+      { name: 'Original Text', type: 'ST', length: 199 },
+      { name: 'Second Alternate Identifier', type: 'ST', length: 20, since: '2.7' },
+      { name: 'Second Alternate Text', type: 'ST', length: 199, since: '2.7' },
+      { name: 'Name of Second Alternate Coding System', type: 'ID', length: 20, since: '2.7' },
+      { name: 'Second Alternate Coding System Version ID', type: 'ST', length: 10, since: '2.7' },
+      { name: 'Coding System OID', type: 'ST', length: 199, since: '2.7' },
+      { name: 'Value Set OID', type: 'ST', length: 199, since: '2.7' },
+      { name: 'Value Set Version ID', type: 'DTM', length: 8, since: '2.7' },
+      { name: 'Alternate Coding System OID', type: 'ST', length: 199, since: '2.7' },
+      { name: 'Alternate Value Set OID', type: 'ST', length: 199, since: '2.7' },
+      { name: 'Alternate Value Set Version ID', type: 'DTM', length: 8, since: '2.7' },
+      { name: 'Second Alternate Coding System OID', type: 'ST', length: 199, since: '2.7' },
+      { name: 'Second Alternate Value Set OID', type: 'ST', length: 199, since: '2.7' },
+      { name: 'Second Alternate Value Set Version ID', type: 'DTM', length: 8, since: '2.7' },
+    ],
+    validate: validateCoded,
+  },
+  CE: {
+    name: 'Coded Element',
+    components: [
+      { name: 'Identifier', type: 'ST', length: 20 },
+      { name: 'Text', type: 'ST', length: 199 },
+      { name: 'Name of Coding System', type: 'ID', length: 20 },
+      { name: 'Alternate Identifier', type: 'ST', length: 20 },
+      { name: 'Alternate Text', type: 'ST', length: 199 },
+      { name: 'Name of Alternate Coding System', type: 'ID', length: 20 },
+    ],
+    validate: validateCoded,
+  },
+  FN: {
+    name: 'Family Name',
+    components: [
+      { name: 'Surname', type: 'ST', length: 50 },
+      { name: 'Own Surname Prefix', type: 'ST', length: 20 },
+      { name: 'Own Surname', type: 'ST', length: 50 },
+      { name: 'Surname Prefix from Partner/Spouse', type: 'ST', length: 20 },
+      { name: 'Surname from Partner/Spouse', type: 'ST', length: 50 },
+    ],
+  },
+  SAD: {
+    name: 'Street Address',
+    components: [
+      { name: 'Street or Mailing Address', type: 'ST', length: 120 },
+      { name: 'Street Name', type: 'ST', length: 50 },
+      { name: 'Dwelling Number', type: 'ST', length: 12 },
+    ],
+  },
+  HD: {
+    name: 'Hierarchic Designator',
+    components: [
+      { name: 'Namespace ID', type: 'IS', length: 20 },
+      { name: 'Universal ID', type: 'ST', length: 199 },
+      { name: 'Universal ID Type', type: 'ID', length: 6 },
+    ],
+  },
+  EI: {
+    name: 'Entity Identifier',
+    components: [
+      { name: 'Entity Identifier', type: 'ST', length: 199 },
+      { name: 'Namespace ID', type: 'IS', length: 20 },
+      { name: 'Universal ID', type: 'ST', length: 199 },
+      { name: 'Universal ID Type', type: 'ID', length: 6 },
+    ],
+  },
+  DR: {
+    name: 'Date/Time Range',
+    components: [
+      { name: 'Range Start Date/Time', type: 'TS', length: 26 },
+      { name: 'Range End Date/Time', type: 'TS', length: 26 },
+    ],
+  },
+}
+
+/**
+ * Lists the data types validateDataType understands
+ * @returns {Array} { type, name, composite, components } for each data type
+ */
+export function getDataTypes() {
+  return [
+    ...Object.entries(PRIMITIVES).map(([type, { name }]) => ({ type, name, composite: false, components: [] })),
+    ...Object.entries(COMPOSITES).map(([type, { name, components }]) => ({
+      type,
+      name,
+      composite: true,
+      components: components.map(({ name: componentName, type: componentType, length, since }) => ({
+        name: componentName, type: componentType, length, since: since || null,
+      })),
+    })),
+  ]
+}
+
+/**
+ * Validates a field value against an HL7 data type
+ * Each repetition of the field is validated; components are validated against their own
+ * types, and composite components against their subcomponents.
+ * @param {string} value - Raw field value (empty values are valid)
+ * @param {string} type - Data type code, e.g. 'TS', 'XPN', 'NM'
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.version] - HL7 version (MSH-12); components introduced after it are not allowed.
+ *   When omitted or unrecognized, components from every version are allowed.
+ * @param {Object} [options.encoding] - Delimiters { component, repetition, escape, subcomponent } (defaults to ^ ~ \ &)
+ * @param {string} [options.minPrecision] - Minimum precision of date/time values (see PRECISION)
+ * @param {boolean} [options.checkLength=true] - Report values longer than the HL7 maximum length
+ * @returns {Object} { isValid, errors } where each error has message, repetition, component and
+ *   subcomponent (1-based, null when the error is about the whole element)
+ */
+export function validateDataType(value, type, { version, encoding, minPrecision, checkLength = true } = {}) {
+  if (!PRIMITIVES[type] && !COMPOSITES[type]) {
+    throw new Error(`Unknown data type "${type}"`)
+  }
+  const context = {
+    version: parseVersion(version),
+    encoding: { ...DEFAULT_ENCODING, ...encoding },
+    minPrecision,
+    checkLength,
+  }
+  const errors = []
+  const text = value === undefined || value === null ? '' : String(value)
+
+  text.split(context.encoding.repetition).forEach((repetition, index) => {
+    const position = { repetition: index + 1, component: null, subcomponent: null }
+    validateElement(repetition, type, context, position, 0).forEach(error => errors.push(error))
+  })
+
+  return { isValid: errors.length === 0, errors }
+}
+
+/**
+ * Converts an HL7 date/time (DTM, or TS component 1) to a Date for comparisons
+ * Missing parts default to the start of the period; values without a time zone offset are read as UTC.
+ * @param {string} value - Date/time value, e.g. '20240101120000-0500'
+ * @returns {Date|null} The instant, or null when the value is empty or not a valid date/time
+ */
+export function parseDateTime(value) {
+  const text = String(value ?? '')
+  if (text === '' || validateDateTime(text, {})) {
+    return null
+  }
+  const [, digits, fraction = '', zone] = /^(\d+)(\.\d+)?([+-]\d{4})?$/.exec(text)
+  const part = (offset, fallback) => (digits.length > offset ? Number(digits.substring(offset, offset + 2)) : fallback)
+  const time = Date.UTC(Number(digits.substring(0, 4)), part(4, 1) - 1, part(6, 1), part(8, 0), part(10, 0), part(12, 0))
+    + Math.round(Number(`0${fraction}`) * 1000)
+  const offsetMinutes = zone ? (zone[0] === '-' ? -1 : 1) * (Number(zone.substring(1, 3)) * 60 + Number(zone.substring(3, 5))) : 0
+  return new Date(time - offsetMinutes * 60000)
+}
+
+/**
+ * Validates one repetition, component or subcomponent; depth 0 is a field repetition,
+ * 1 a component and 2 a subcomponent
+ */
+function validateElement(value, type, context, position, depth) {
+  if (value === '' || value === '""') {
+    return []
+  }
+  if (PRIMITIVES[type]) {
+    const validate = PRIMITIVES[type].validate
+    const message = validate ? validate(value, context) : null
+    return message ? [{ ...position, message }] : []
+  }
+
+  const { components, validate } = COMPOSITES[type]
+  // A composite nested in a subcomponent has no delimiter left, so only its first component can be valued
+  if (depth >= 2) {
+    return validateElement(value, components[0].type, context, position, depth)
+  }
+  // Composites nested in a component are split on the subcomponent delimiter
+  const delimiter = depth === 0 ? context.encoding.component : context.encoding.subcomponent
+  const parts = value.split(delimiter)
+  const allowed = components.filter(component => isAvailable(component, context.version))
+  const errors = []
+
+  if (parts.length > allowed.length) {
+    errors.push({
+      ...position,
+      message: `${type} has ${parts.length} ${depth === 0 ? 'components' : 'subcomponents'}, at most ${allowed.length} allowed${context.version ? ` in v${context.version.join('.')}` : ''}`,
+    })
+  }
+
+  parts.slice(0, allowed.length).forEach((part, index) => {
+    const component = allowed[index]
+    const partPosition = depth === 0
+      ? { ...position, component: index + 1 }
+      : { ...position, subcomponent: index + 1 }
+    // Escape sequences count as the character they stand for
+    const length = context.checkLength && depth === 0 ? unescapeValue(part, context.encoding).length : 0
+    if (length > component.length) {
+      errors.push({ ...partPosition, message: `${component.name} is ${length} characters, longer than the ${component.length} allowed` })
+    }
+    errors.push(...validateElement(part, component.type, context, partPosition, depth + 1))
+  })
+
+  if (validate && depth === 0) {
+    const message = validate(parts, context)
+    if (message) {
+      errors.push({ ...position, message })
+    }
+  }
+  return errors
+}
+
+/**
+ * DTM: YYYY[MM[DD[HH[MM[SS[.S[S[S[S]]]]]]]]][+/-ZZZZ]
+ */
+function validateDateTime(value, { minPrecision }) {
+  const match = /^(\d{4,14})(\.\d{1,4})?([+-]\d{4})?$/.exec(value)
+  if (!match || match[1].length % 2 !== 0) {
+    return `"${value}" is not a valid date/time (YYYY[MM[DD[HH[MM[SS[.S[S[S[S]]]]]]]]][+/-ZZZZ])`
+  }
+  const [, digits, fraction, zone] = match
+  if (fraction && digits.length !== 14) {
+    return `"${value}" has fractional seconds without seconds`
+  }
+  const problem = checkCalendarDate(digits.substring(0, 8)) || checkClockTime(digits.substring(8)) || checkTimeZone(zone)
+  if (problem) {
+    return `"${value}" is not a valid date/time: ${problem}`
+  }
+  if (minPrecision && digits.length < PRECISION_DIGITS[minPrecision]) {
+    return `"${value}" is less precise than required (at least to the ${minPrecision})`
+  }
+  return null
+}
+
+/**
+ * DT: YYYY[MM[DD]]
+ */
+function validateDate(value, { minPrecision }) {
+  if (!/^(\d{4}|\d{6}|\d{8})$/.test(value)) {
+    return `"${value}" is not a valid date (YYYY[MM[DD]])`
+  }
+  const problem = checkCalendarDate(value)
+  if (problem) {
+    return `"${value}" is not a valid date: ${problem}`
+  }
+  if (minPrecision && PRECISION_DIGITS[minPrecision] <= 8 && value.length < PRECISION_DIGITS[minPrecision]) {
+    return `"${value}" is less precise than required (at least to the ${minPrecision})`
+  }
+  return null
+}
+
+/**
+ * TM: HH[MM[SS[.S[S[S[S]]]]]][+/-ZZZZ]
+ */
+function validateTime(value) {
+  const match = /^(\d{2}|\d{4}|\d{6})(\.\d{1,4})?([+-]\d{4})?$/.exec(value)
+  if (!match || (match[2] && match[1].length !== 6)) {
+    return `"${value}" is not a valid time (HH[MM[SS[.S[S[S[S]]]]]][+/-ZZZZ])`
+  }
+  const problem = checkClockTime(match[1]) || checkTimeZone(match[3])
+  return problem ? `"${value}" is not a valid time: ${problem}` : null
+}
+
+/**
+ * NM: optional sign, digits and an optional decimal point
+ */
+function validateNumeric(value) {
+  return /^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(value) ? null : `"${value}" is not a valid number`
+}
+
+function checkCalendarDate(digits) {
+  const year = Number(digits.substring(0, 4))
+  const month = digits.length >= 6 ? Number(digits.substring(4, 6)) : null
+  const day = digits.length >= 8 ? Number(digits.substring(6, 8)) : null
+  if (month !== null && (month < 1 || month > 12)) {
+    return `month ${digits.substring(4, 6)} is out of range`
+  }
+  if (day !== null) {
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate()
+    if (day < 1 || day > daysInMonth) {
+      return `day ${digits.substring(6, 8)} does not exist in ${year}-${digits.substring(4, 6)}`
+    }
+  }
+  return null
+}
+
+function checkClockTime(digits) {
+  const [hour, minute, second] = [0, 2, 4].map(offset => (digits.length > offset ? Number(digits.substring(offset, offset + 2)) : 0))
+  if (hour > 23) {
+    return `hour ${digits.substring(0, 2)} is out of range`
+  }
+  if (minute > 59) {
+    return `minute ${digits.substring(2, 4)} is out of range`
+  }
+  if (second > 59) {
+    return `second ${digits.substring(4, 6)} is out of range`
+  }
+  return null
+}
+
+function checkTimeZone(zone) {
+  if (!zone) {
+    return null
+  }
+  const hours = Number(zone.substring(1, 3))
+  const minutes = Number(zone.substring(3, 5))
+  // UTC offsets range from -12:00 to +14:00
+  if (hours > 14 || minutes > 59 || (zone[0] === '-' && hours > 12)) {
+    return `time zone ${zone} is out of range`
+  }
+  return null
+}
+
+/**
+ * XTN: a number, email address or unformatted number must be present, and the
+ * deprecated component 1 must follow [NNN][(999)]999-9999[X99999][B99999][C any text]
+ */
+function validateTelecommunication(parts) {
+  const [number, , equipmentType, email, , , localNumber, , , , , unformatted] = parts
+  if (number && !/^(\d{1,3} ?)?(\(\d{3}\))?\d{3}-\d{4}(X\d{1,5})?(B\d{1,5})?(C.*)?$/.test(number)) {
+    return `Telephone number "${number}" does not match [NNN][(999)]999-9999[X99999][B99999][C any text]`
+  }
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return `Email address "${email}" is not valid`
+  }
+  if (equipmentType === 'Internet' && !email) {
+    return 'Internet equipment type without an email address (XTN-4)'
+  }
+  if (!number && !email && !localNumber && !unformatted) {
+    return 'No telephone number, email address or local number'
+  }
+  return null
+}
+
+/**
+ * CX: the ID number is required
+ */
+function validateIdentifier(parts) {
+  return parts[0] ? null : 'Identifier has no ID number (component 1)'
+}
+
+/**
+ * CWE/CE: a coding system names the system of an identifier, so it needs one
+ */
+function validateCoded(parts) {
+  const [identifier, text, codingSystem, alternateIdentifier, , alternateCodingSystem, , , originalText] = parts
+  if (codingSystem && !identifier) {
+    return `Coding system "${codingSystem}" given without an identifier`
+  }
+  if (alternateCodingSystem && !alternateIdentifier) {
+    return `Alternate coding system "${alternateCodingSystem}" given without an alternate identifier`
+  }
+  if (!identifier && !text && !alternateIdentifier && !originalText) {
+    return 'Coded value has no identifier or text'
+  }
+  return null
+}
+
+function isAvailable(component, version) {
+  return !component.since || !version || compareVersions(version, parseVersion(component.since)) >= 0
+}
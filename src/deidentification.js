@@ -0,0 +1,357 @@
+/**
+ * PHI Redaction and De-identification
+ *
+ * Finds the protected health information carried by patient, next of kin,
+ * visit, guarantor and insurance segments. Redacts those values from issue
+ * text, and de-identifies whole messages in the style of HIPAA Safe Harbor:
+ * names, street addresses and contact details are replaced, ZIP codes are
+ * truncated, dates are shifted consistently per patient, and identifiers are
+ * replaced by keyed hashes that keep their format.
+ */
+
+import { getDataTypeOptions, getIdentifierKey } from './messageHelpers.js'
+import { getEncodingCharacters } from './messageParser.js'
+
+/**
+ * Text that replaces redacted values
+ */
+export const REDACTED = '[REDACTED]'
+
+/**
+ * Fields holding PHI, with the transform deidentifyMessage applies to each
+ */
+export const PHI_FIELDS = [
+  { segment: 'PID', field: 2, name: 'Patient ID', transform: 'identifier' },
+  { segment: 'PID', field: 3, name: 'Patient Identifier List', transform: 'identifier' },
+  { segment: 'PID', field: 4, name: 'Alternate Patient ID', transform: 'identifier' },
+  { segment: 'PID', field: 5, name: 'Patient Name', transform: 'name' },
+  { segment: 'PID', field: 6, name: 'Mother\'s Maiden Name', transform: 'name' },
+  { segment: 'PID', field: 7, name: 'Date/Time of Birth', transform: 'date' },
+  { segment: 'PID', field: 9, name: 'Patient Alias', transform: 'name' },
+  { segment: 'PID', field: 11, name: 'Patient Address', transform: 'address' },
+  { segment: 'PID', field: 12, name: 'County Code', transform: 'text' },
+  { segment: 'PID', field: 13, name: 'Phone Number - Home', transform: 'telecom' },
+  { segment: 'PID', field: 14, name: 'Phone Number - Business', transform: 'telecom' },
+  { segment: 'PID', field: 18, name: 'Patient Account Number', transform: 'identifier' },
+  { segment: 'PID', field: 19, name: 'SSN Number', transform: 'identifier' },
+  { segment: 'PID', field: 20, name: 'Driver\'s License Number', transform: 'identifier' },
+  { segment: 'PID', field: 21, name: 'Mother\'s Identifier', transform: 'identifier' },
+  { segment: 'PID', field: 23, name: 'Birth Place', transform: 'text' },
+  { segment: 'PID', field: 29, name: 'Patient Death Date and Time', transform: 'date' },
+  { segment: 'NK1', field: 2, name: 'Next of Kin Name', transform: 'name' },
+  { segment: 'NK1', field: 4, name: 'Next of Kin Address', transform: 'address' },
+  { segment: 'NK1', field: 5, name: 'Next of Kin Phone Number', transform: 'telecom' },
+  { segment: 'NK1', field: 6, name: 'Next of Kin Business Phone Number', transform: 'telecom' },
+  { segment: 'NK1', field: 8, name: 'Next of Kin Start Date', transform: 'date' },
+  { segment: 'NK1', field: 9, name: 'Next of Kin End Date', transform: 'date' },
+  { segment: 'NK1', field: 16, name: 'Next of Kin Date/Time of Birth', transform: 'date' },
+  { segment: 'NK1', field: 30, name: 'Contact Person\'s Name', transform: 'name' },
+  { segment: 'NK1', field: 31, name: 'Contact Person\'s Telephone Number', transform: 'telecom' },
+  { segment: 'NK1', field: 32, name: 'Contact Person\'s Address', transform: 'address' },
+  { segment: 'NK1', field: 33, name: 'Next of Kin Identifiers', transform: 'identifier' },
+  { segment: 'NK1', field: 37, name: 'Contact Person Social Security Number', transform: 'identifier' },
+  { segment: 'PV1', field: 19, name: 'Visit Number', transform: 'identifier' },
+  { segment: 'PV1', field: 44, name: 'Admit Date/Time', transform: 'date' },
+  { segment: 'PV1', field: 45, name: 'Discharge Date/Time', transform: 'date' },
+  { segment: 'PV1', field: 50, name: 'Alternate Visit ID', transform: 'identifier' },
+  { segment: 'GT1', field: 2, name: 'Guarantor Number', transform: 'identifier' },
+  { segment: 'GT1', field: 3, name: 'Guarantor Name', transform: 'name' },
+  { segment: 'GT1', field: 4, name: 'Guarantor Spouse Name', transform: 'name' },
+  { segment: 'GT1', field: 5, name: 'Guarantor Address', transform: 'address' },
+  { segment: 'GT1', field: 6, name: 'Guarantor Ph Num - Home', transform: 'telecom' },
+  { segment: 'GT1', field: 7, name: 'Guarantor Ph Num - Business', transform: 'telecom' },
+  { segment: 'GT1', field: 8, name: 'Guarantor Date/Time of Birth', transform: 'date' },
+  { segment: 'GT1', field: 12, name: 'Guarantor SSN', transform: 'identifier' },
+  { segment: 'GT1', field: 13, name: 'Guarantor Date - Begin', transform: 'date' },
+  { segment: 'GT1', field: 14, name: 'Guarantor Date - End', transform: 'date' },
+  { segment: 'GT1', field: 19, name: 'Guarantor Employee ID Number', transform: 'identifier' },
+  { segment: 'IN1', field: 12, name: 'Plan Effective Date', transform: 'date' },
+  { segment: 'IN1', field: 13, name: 'Plan Expiration Date', transform: 'date' },
+  { segment: 'IN1', field: 16, name: 'Name of Insured', transform: 'name' },
+  { segment: 'IN1', field: 18, name: 'Insured\'s Date of Birth', transform: 'date' },
+  { segment: 'IN1', field: 19, name: 'Insured\'s Address', transform: 'address' },
+  { segment: 'IN1', field: 36, name: 'Policy Number', transform: 'identifier' },
+  { segment: 'IN1', field: 49, name: 'Insured\'s ID Number', transform: 'identifier' },
+]
+
+/**
+ * Three-digit ZIP prefixes covering 20,000 people or fewer, which Safe Harbor requires to be replaced by 000
+ */
+const RESTRICTED_ZIP_PREFIXES = ['036', '059', '063', '102', '203', '556', '692', '790', '821', '823', '830', '831', '878', '879', '884', '890', '893']
+
+/**
+ * XPN components replaced in names (family, given, middle, suffix, prefix); degree, name type and later components are kept
+ */
+const NAME_COMPONENTS = 5
+
+/**
+ * XAD components replaced in addresses: street, other designation, city, county, census tract
+ */
+const ADDRESS_COMPONENTS = [1, 2, 3, 9, 10]
+
+/**
+ * XTN components holding numbers (formatted, area code, local number, extension, unformatted)
+ */
+const TELECOM_NUMBER_COMPONENTS = [1, 6, 7, 8, 12]
+const TELECOM_EMAIL_COMPONENT = 4
+
+/**
+ * Components holding PHI for each transform (null for the whole value)
+ */
+const PHI_COMPONENTS = {
+  identifier: [1],
+  name: Array.from({ length: NAME_COMPONENTS }, (value, index) => index + 1),
+  address: [...ADDRESS_COMPONENTS, 5],
+  telecom: [...TELECOM_NUMBER_COMPONENTS, TELECOM_EMAIL_COMPONENT],
+  date: [1],
+  text: null,
+}
+
+/**
+ * Collects the PHI values carried by a parsed message, for redaction from issue text
+ * Whole repetitions as well as the PHI components and their subcomponents are collected,
+ * so partial values quoted in issues are found too.
+ * @param {Object} parsed - Parsed HL7 message
+ * @returns {Array<string>} Distinct PHI values
+ */
+export function collectPHIValues(parsed) {
+  const { encoding } = getDataTypeOptions(parsed)
+  const values = new Set()
+  parsed.segments.forEach(segment => {
+    PHI_FIELDS.filter(({ segment: segmentType }) => segmentType === segment.segmentType).forEach(({ field, transform }) => {
+      const value = segment.parsed[`field${field}`]
+      if (!value) {
+        return
+      }
+      values.add(String(value))
+      String(value).split(encoding.repetition).forEach(repetition => {
+        values.add(repetition)
+        const positions = PHI_COMPONENTS[transform]
+        repetition.split(encoding.component)
+          .filter((component, index) => !positions || positions.includes(index + 1))
+          .forEach(component => {
+            values.add(component)
+            component.split(encoding.subcomponent).forEach(subcomponent => values.add(subcomponent))
+          })
+      })
+    })
+  })
+  // Single characters (e.g. a middle initial) would redact unrelated text
+  return [...values].filter(value => value.length > 1)
+}
+
+/**
+ * Replaces PHI values in the text of quality issues
+ * @param {Array} issues - Quality issues
+ * @param {Array<string>} values - PHI values (see collectPHIValues)
+ * @returns {Array} Copies of the issues with issue, details and recommendation redacted
+ */
+export function redactIssues(issues, values) {
+  return issues.map(issue => ({
+    ...issue,
+    issue: redactText(issue.issue, values),
+    details: redactText(issue.details, values),
+    recommendation: redactText(issue.recommendation, values),
+  }))
+}
+
+/**
+ * Replaces every occurrence of the given values in a string with [REDACTED]
+ * Values only match whole tokens, so "123" does not redact part of "91234".
+ * @param {string} text - Text to redact
+ * @param {Array<string>} values - Values to remove
+ * @returns {string} Redacted text
+ */
+export function redactText(text, values) {
+  if (typeof text !== 'string' || values.length === 0) {
+    return text
+  }
+  return [...values]
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .reduce((redacted, value) => redacted.replace(new RegExp(`(?<![A-Za-z0-9])${escapeRegExp(value)}(?![A-Za-z0-9])`, 'g'), REDACTED), text)
+}
+
+/**
+ * Replaces every double-quoted passage of a string with [REDACTED]
+ * For error messages about a message that could not be parsed, which may quote its text but have no
+ * PHI values to match against.
+ * @param {string} text - Text to redact
+ * @returns {string} Redacted text
+ */
+export function redactQuotedText(text) {
+  return typeof text === 'string' ? text.replace(/"[^"]*"/g, REDACTED) : text
+}
+
+/**
+ * De-identifies an HL7 message for sharing outside the organization
+ * Names, street addresses, cities, birth places and email addresses are replaced, phone digits are zeroed,
+ * ZIP codes are cut to their first three digits, dates are shifted back by a number of days derived from
+ * the patient identifier, and identifiers are replaced by keyed hashes with the same pattern of digits and
+ * letters. With the same key, a patient gets the same identifiers and date shift in every message.
+ * @param {string} hl7Message - The HL7 message to de-identify
+ * @param {Object} [options] - De-identification options
+ * @param {string} [options.key] - Secret key for hashing and date shifts; a random key is used when omitted,
+ *   so output is only consistent within one call
+ * @param {number} [options.maxShiftDays=365] - Largest date shift in days
+ * @param {Array<string>} [options.segments] - Segments to de-identify (default PID, NK1, PV1, GT1, IN1)
+ * @returns {Promise<Object>} { message, dateShiftDays, changes } where each change has field, segmentIndex and transform
+ */
+export async function deidentifyMessage(hl7Message, { key, maxShiftDays = 365, segments = ['PID', 'NK1', 'PV1', 'GT1', 'IN1'] } = {}) {
+  if (typeof hl7Message !== 'string' || !hl7Message.startsWith('MSH')) {
+    throw new Error('Message must be a string starting with an MSH segment')
+  }
+  if (!Number.isInteger(maxShiftDays) || maxShiftDays < 1) {
+    throw new Error(`maxShiftDays must be a positive whole number, got ${maxShiftDays}`)
+  }
+
+  const delimiters = getEncodingCharacters(hl7Message)
+  const hash = await createKeyedHash(key)
+
+  // Odd indexes hold the original segment terminators so they are preserved on rejoin
+  const parts = hl7Message.split(/(\r\n|\r|\n)/)
+  const pidLine = parts.find((line, i) => i % 2 === 0 && line.startsWith(`PID${delimiters.field}`))
+  const patientKey = pidLine ? getIdentifierKey(pidLine.split(delimiters.field)[3], delimiters, true) : null
+  const dateShiftDays = 1 + (await hash(`date-shift:${patientKey || ''}`)).firstUint32() % maxShiftDays
+  const changes = []
+  const occurrences = {}
+
+  for (let i = 0; i < parts.length; i += 2) {
+    const fields = parts[i].split(delimiters.field)
+    const segmentType = fields[0]
+    const segmentIndex = occurrences[segmentType] || 0
+    occurrences[segmentType] = segmentIndex + 1
+    if (!segments.includes(segmentType)) {
+      continue
+    }
+
+    for (const { field, transform } of PHI_FIELDS.filter(({ segment }) => segment === segmentType)) {
+      if (!fields[field]) {
+        continue
+      }
+      const repetitions = fields[field].split(delimiters.repetition)
+      const transformed = []
+      for (const repetition of repetitions) {
+        transformed.push(await TRANSFORMS[transform](repetition, { delimiters, hash, dateShiftDays }))
+      }
+      const updated = transformed.join(delimiters.repetition)
+      if (updated !== fields[field]) {
+        fields[field] = updated
+        changes.push({ field: `${segmentType}-${field}`, segmentIndex, transform })
+      }
+    }
+    parts[i] = fields.join(delimiters.field)
+  }
+
+  return { message: parts.join(''), dateShiftDays, changes }
+}
+
+/**
+ * Transforms applied to one repetition of a PHI field
+ */
+const TRANSFORMS = {
+  name(value, { delimiters }) {
+    return mapComponents(value, delimiters, (component, position) => (
+      position <= NAME_COMPONENTS && component ? 'REDACTED' : component
+    ))
+  },
+  address(value, { delimiters }) {
+    return mapComponents(value, delimiters, (component, position) => {
+      if (!component) {
+        return component
+      }
+      if (position === 5) {
+        const prefix = component.replace(/\D/g, '').substring(0, 3)
+        return RESTRICTED_ZIP_PREFIXES.includes(prefix) ? '000' : prefix
+      }
+      return ADDRESS_COMPONENTS.includes(position) ? 'REDACTED' : component
+    })
+  },
+  telecom(value, { delimiters }) {
+    return mapComponents(value, delimiters, (component, position) => {
+      if (component && position === TELECOM_EMAIL_COMPONENT) {
+        return 'redacted@example.com'
+      }
+      return TELECOM_NUMBER_COMPONENTS.includes(position) ? component.replace(/\d/g, '0') : component
+    })
+  },
+  date(value, { delimiters, dateShiftDays }) {
+    return mapComponents(value, delimiters, (component, position) => (position === 1 ? shiftDate(component, dateShiftDays) : component))
+  },
+  text(value) {
+    return value ? 'REDACTED' : value
+  },
+  async identifier(value, { delimiters, hash }) {
+    const [id, ...rest] = value.split(delimiters.component)
+    if (!id) {
+      return value
+    }
+    return [await pseudonymize(id, hash), ...rest].join(delimiters.component)
+  },
+}
+
+function mapComponents(value, delimiters, map) {
+  return value.split(delimiters.component).map((component, index) => map(component, index + 1)).join(delimiters.component)
+}
+
+/**
+ * Shifts a DT/DTM value back by a number of days, keeping its time and offset
+ * Values less precise than a day are cut to the year, which Safe Harbor allows.
+ */
+function shiftDate(value, days) {
+  const match = /^(\d{4})(\d{2})(\d{2})(.*)$/.exec(value)
+  if (!match) {
+    return /^\d{4}/.test(value) ? value.substring(0, 4) : value
+  }
+  const [, year, month, day, rest] = match
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day) - days))
+  const shifted = `${String(date.getUTCFullYear()).padStart(4, '0')}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`
+  return `${shifted}${rest}`
+}
+
+/**
+ * Replaces each digit and letter of an identifier with one derived from its keyed hash
+ */
+async function pseudonymize(id, hash) {
+  const digest = await hash(`identifier:${id}`)
+  return [...id].map((char, index) => {
+    const byte = digest.byteAt(index)
+    if (/\d/.test(char)) {
+      return String(byte % 10)
+    }
+    if (/[A-Z]/.test(char)) {
+      return String.fromCharCode(65 + byte % 26)
+    }
+    if (/[a-z]/.test(char)) {
+      return String.fromCharCode(97 + byte % 26)
+    }
+    return char
+  }).join('')
+}
+
+/**
+ * Creates an HMAC-SHA-256 function over Web Crypto, available in browsers and Node.js
+ */
+async function createKeyedHash(key) {
+  const crypto = globalThis.crypto?.subtle ? globalThis.crypto : (await import('crypto')).webcrypto
+  const encoder = new TextEncoder()
+  const keyBytes = key === undefined ? crypto.getRandomValues(new Uint8Array(32)) : encoder.encode(String(key))
+  const hmacKey = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+
+  return async text => {
+    const bytes = new Uint8Array(await crypto.subtle.sign('HMAC', hmacKey, encoder.encode(text)))
+    return {
+      // Identifiers longer than the digest reuse its bytes
+      byteAt: index => bytes[index % bytes.length],
+      firstUint32: () => new DataView(bytes.buffer).getUint32(0),
+    }
+  }
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0')
+}
@@ -0,0 +1,360 @@
+/**
+ * Duplicate Detection
+ *
+ * Finds duplicates across the messages of a batch or stream: repeated message
+ * control IDs (MSH-10), byte-identical and near-identical (resent) payloads,
+ * and probable duplicate patient records that carry different identifiers
+ * but matching demographics.
+ */
+
+import { QUALITY_CATEGORIES, SEVERITY } from './constants.js'
+import { parseMessage } from './messageParser.js'
+import { indexMessage, resolveIssueLocation } from './messageLocator.js'
+import { getDataTypeOptions, getComponents, getIdentifierKey, createIssue } from './messageHelpers.js'
+import { collectPHIValues, redactIssues, REDACTED } from './deidentification.js'
+
+const DUPLICATE_RULE_ID = 'duplicate-detection'
+
+/**
+ * Default weights of the demographics compared between patient records
+ */
+export const PATIENT_MATCH_WEIGHTS = {
+  name: 0.25,
+  dateOfBirth: 0.25,
+  sex: 0.1,
+  ssn: 0.25,
+  address: 0.15,
+}
+
+/**
+ * Fields that change every time a message is resent, ignored when looking for near-identical payloads
+ */
+const VOLATILE_FIELDS = ['MSH-7', 'MSH-10', 'EVN-2']
+
+const FIELD_LABELS = {
+  name: 'name',
+  dateOfBirth: 'date of birth',
+  sex: 'sex',
+  ssn: 'SSN',
+  address: 'address',
+}
+
+/**
+ * Creates a detector that remembers the messages added to it and reports duplicates of earlier ones
+ * @param {Object} [options] - Detector options
+ * @param {number} [options.patientMatchThreshold=0.75] - Minimum match score (0-1) for a probable duplicate patient
+ * @param {Object} [options.weights] - Weights overriding PATIENT_MATCH_WEIGHTS
+ * @param {Array<string>} [options.ignoreFields] - Fields ignored when comparing payloads (default MSH-7, MSH-10, EVN-2)
+ * @param {boolean} [options.redact=false] - Replace PHI values, including the patient identifiers of matches, with [REDACTED]
+ * @returns {Object} Detector with add(entry), addAll(entries) and getReport() methods
+ */
+export function createDuplicateDetector({ patientMatchThreshold = 0.75, weights = {}, ignoreFields = VOLATILE_FIELDS, redact = false } = {}) {
+  const matchWeights = { ...PATIENT_MATCH_WEIGHTS, ...weights }
+  const totalWeight = Object.values(matchWeights).reduce((total, weight) => total + weight, 0)
+  if (!(patientMatchThreshold > 0 && patientMatchThreshold <= 1)) {
+    throw new Error(`patientMatchThreshold must be greater than 0 and at most 1, got ${patientMatchThreshold}`)
+  }
+  if (!(totalWeight > 0)) {
+    throw new Error('Patient match weights must add up to more than 0')
+  }
+
+  const controlIds = new Map()
+  const payloads = new Map()
+  const normalizedPayloads = new Map()
+  const patients = new Map()
+  const blocks = new Map()
+  const findings = []
+  let messageCount = 0
+
+  /**
+   * Adds one message, returning the duplicate issues it raises against earlier messages
+   * @param {string|Object} entry - A raw message, an analyzeStream message item or a { message } pair
+   * @returns {Array} Duplicate issues (rule ID duplicate-detection), each with a relatedMessage
+   */
+  function add(entry) {
+    const message = typeof entry === 'string' ? entry : entry?.message
+    if (entry?.type && entry.type !== 'message') {
+      return []
+    }
+    if (typeof message !== 'string' || message === '') {
+      return []
+    }
+    const index = Number.isInteger(entry.index) ? entry.index : messageCount
+    messageCount++
+
+    let parsed
+    try {
+      parsed = parseMessage(message)
+    } catch (error) {
+      // Unparseable messages are reported by analyzeDataQuality
+      return []
+    }
+    const { encoding } = getDataTypeOptions(parsed)
+    const msh = parsed.segments.find(s => s.segmentType === 'MSH')
+    const controlId = msh?.parsed.field10 || null
+    const current = { index, controlId }
+    let issues = []
+
+    const payloadKey = hashText(normalizeTerminators(message))
+    const normalizedKey = hashText(blankFields(message, ignoreFields))
+    const controlKey = controlId ? [msh.parsed.field3, msh.parsed.field4, controlId].join('\u0000') : null
+
+    if (payloads.has(payloadKey)) {
+      issues.push(duplicateIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.MEDIUM, { segment: 'MSH' },
+        'Duplicate message',
+        `Message is identical to message #${payloads.get(payloadKey).index + 1}`,
+        'Check the sender and interface engine for retransmissions; process each message once',
+        payloads.get(payloadKey)))
+    } else if (controlKey && controlIds.has(controlKey)) {
+      issues.push(duplicateIssue(QUALITY_CATEGORIES.COMPLIANCE, SEVERITY.HIGH, { segment: 'MSH', sequence: 1, field: 10 },
+        'Duplicate message control ID',
+        `MSH-10 "${controlId}" was already used by message #${controlIds.get(controlKey).index + 1} from the same sending application and facility, with different content`,
+        'Give every message from a sending system a unique MSH-10 control ID',
+        controlIds.get(controlKey)))
+    } else if (normalizedPayloads.has(normalizedKey)) {
+      issues.push(duplicateIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.LOW, { segment: 'MSH' },
+        'Resent message',
+        `Message matches message #${normalizedPayloads.get(normalizedKey).index + 1} except for ${ignoreFields.join(', ')}`,
+        'Check whether the sender resends messages it has already delivered',
+        normalizedPayloads.get(normalizedKey)))
+    }
+    // Copies of an earlier message carry its patient, which has already been compared
+    if (!payloads.has(payloadKey) && !normalizedPayloads.has(normalizedKey)) {
+      issues.push(...checkPatient(parsed, encoding, current))
+    }
+
+    if (!payloads.has(payloadKey)) {
+      payloads.set(payloadKey, current)
+    }
+    if (!normalizedPayloads.has(normalizedKey)) {
+      normalizedPayloads.set(normalizedKey, current)
+    }
+    if (controlKey && !controlIds.has(controlKey)) {
+      controlIds.set(controlKey, current)
+    }
+
+    if (redact && issues.length > 0) {
+      const matchedKeys = issues.filter(issue => issue.match).map(issue => issue.match.patientKey)
+      issues = redactIssues(issues, [...collectPHIValues(parsed), ...matchedKeys])
+        .map(issue => (issue.match ? { ...issue, match: { ...issue.match, patientKey: REDACTED } } : issue))
+    }
+    if (issues.length > 0) {
+      const messageIndex = indexMessage(message)
+      issues.forEach(issue => {
+        issue.location = resolveIssueLocation(issue, messageIndex)
+        findings.push({ index, controlId, ...issue })
+      })
+    }
+    return issues
+  }
+
+  /**
+   * Compares the message's patient with earlier patients sharing a date of birth or SSN
+   */
+  function checkPatient(parsed, encoding, current) {
+    const pid = parsed.segments.find(s => s.segmentType === 'PID')
+    const patientKey = pid ? getIdentifierKey(pid.parsed.field3, encoding, true) : null
+    if (!patientKey || patients.has(patientKey)) {
+      return []
+    }
+    const patient = { patientKey, message: current, demographics: getDemographics(pid, encoding) }
+    patients.set(patientKey, patient)
+
+    const candidates = new Set()
+    blockKeys(patient.demographics).forEach(key => {
+      if (!blocks.has(key)) {
+        blocks.set(key, [])
+      }
+      blocks.get(key).forEach(candidate => candidates.add(candidate))
+      blocks.get(key).push(patient)
+    })
+
+    const matches = [...candidates]
+      .map(candidate => ({ candidate, ...scoreMatch(patient.demographics, candidate.demographics, matchWeights, totalWeight) }))
+      .filter(({ score }) => score >= patientMatchThreshold)
+      .sort((a, b) => b.score - a.score)
+
+    return matches.map(({ candidate, score, fields }) => {
+      const agreeing = fields
+        .filter(({ agreement }) => agreement === 'match' || agreement === 'partial')
+        .map(({ field, agreement }) => (agreement === 'partial' ? `${FIELD_LABELS[field]} (first initial only)` : FIELD_LABELS[field]))
+      const conflicting = fields.filter(({ agreement }) => agreement === 'mismatch').map(({ field }) => FIELD_LABELS[field])
+      return {
+        ...duplicateIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.MEDIUM, { segment: 'PID', sequence: 1, field: 3 },
+          'Possible duplicate patient',
+          `Patient ${patientKey} matches patient ${candidate.patientKey} (message #${candidate.message.index + 1}) on ${agreeing.join(', ')}`
+            + `${conflicting.length > 0 ? ` but differs on ${conflicting.join(', ')}` : ''} (score ${score})`,
+          'Review both records in the master patient index and merge them if they are the same person',
+          candidate.message),
+        match: { patientKey: candidate.patientKey, score, threshold: patientMatchThreshold, fields },
+      }
+    })
+  }
+
+  /**
+   * Builds the report of every duplicate found so far
+   * @returns {Object} { messageCount, duplicateMessages, duplicateControlIds, resentMessages, duplicatePatients }
+   */
+  function getReport() {
+    const byIssue = issue => findings.filter(finding => finding.issue === issue)
+    return {
+      messageCount,
+      duplicateMessages: byIssue('Duplicate message'),
+      duplicateControlIds: byIssue('Duplicate message control ID'),
+      resentMessages: byIssue('Resent message'),
+      duplicatePatients: byIssue('Possible duplicate patient'),
+    }
+  }
+
+  return {
+    add,
+    addAll(entries) {
+      const issues = []
+      for (const entry of entries) {
+        issues.push(...add(entry))
+      }
+      return issues
+    },
+    getReport,
+  }
+}
+
+/**
+ * Finds duplicates in a list of messages in one call
+ * @param {Array} entries - Raw messages, analyzeStream items or { message } pairs
+ * @param {Object} [options] - Detector options (see createDuplicateDetector)
+ * @returns {Object} Duplicate report (see createDuplicateDetector)
+ */
+export function findDuplicates(entries, options) {
+  const detector = createDuplicateDetector(options)
+  detector.addAll(entries)
+  return detector.getReport()
+}
+
+function duplicateIssue(category, severity, location, issue, details, recommendation, relatedMessage) {
+  return {
+    ruleId: DUPLICATE_RULE_ID,
+    ...createIssue(category, severity, location, issue, details, recommendation),
+    relatedMessage,
+  }
+}
+
+/**
+ * Normalizes the demographics compared between patient records
+ */
+function getDemographics(pid, encoding) {
+  const [family = '', given = ''] = getComponents(pid.parsed.field5, encoding)
+  const [dateOfBirth = ''] = getComponents(pid.parsed.field7, encoding)
+  const [sex = ''] = getComponents(pid.parsed.field8, encoding)
+  const [street = '', , , , postalCode = ''] = getComponents(pid.parsed.field11, encoding)
+  const ssn = String(pid.parsed.field19 || '').replace(/\D/g, '')
+  const normalizedStreet = normalizeText(street)
+
+  return {
+    family: normalizeText(family),
+    given: normalizeText(given),
+    dateOfBirth: /^\d{8}/.test(dateOfBirth) ? dateOfBirth.substring(0, 8) : '',
+    sex: ['M', 'F'].includes(sex) ? sex : '',
+    // Placeholder SSNs such as 000000000 or 999999999 identify no one
+    ssn: /^(\d)\1{8}$/.test(ssn) || ssn.length !== 9 ? '' : ssn,
+    address: normalizedStreet ? `${normalizedStreet}|${postalCode.substring(0, 5)}` : '',
+  }
+}
+
+/**
+ * Keys a patient is indexed by; only patients sharing a key are compared
+ */
+function blockKeys(demographics) {
+  const keys = []
+  if (demographics.dateOfBirth) {
+    keys.push(`dob:${demographics.dateOfBirth}`)
+  }
+  if (demographics.ssn) {
+    keys.push(`ssn:${demographics.ssn}`)
+  }
+  return keys
+}
+
+/**
+ * Scores two patients: each agreeing field adds its weight, each conflicting field subtracts it,
+ * and a first-initial name match adds half; the total is divided by the sum of all weights
+ */
+function scoreMatch(a, b, weights, totalWeight) {
+  const fields = Object.keys(weights).map(field => {
+    const agreement = compareField(field, a, b)
+    const factor = { match: 1, partial: 0.5, mismatch: -1, missing: 0 }[agreement]
+    return { field, agreement, weight: weights[field], contribution: round(factor * weights[field]) }
+  })
+  const score = round(Math.max(0, fields.reduce((total, { contribution }) => total + contribution, 0) / totalWeight))
+  return { score, fields }
+}
+
+function compareField(field, a, b) {
+  if (field === 'name') {
+    if (!a.family || !b.family || !a.given || !b.given) {
+      return 'missing'
+    }
+    if (a.family !== b.family) {
+      return 'mismatch'
+    }
+    if (a.given === b.given) {
+      return 'match'
+    }
+    return a.given.charAt(0) === b.given.charAt(0) ? 'partial' : 'mismatch'
+  }
+  if (!a[field] || !b[field]) {
+    return 'missing'
+  }
+  return a[field] === b[field] ? 'match' : 'mismatch'
+}
+
+/**
+ * Uppercases and strips accents, punctuation and spaces for comparison
+ */
+function normalizeText(value) {
+  return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase().replace(/[^A-Z0-9]/g, '')
+}
+
+function normalizeTerminators(message) {
+  return message.split(/\r\n|\r|\n/).filter(line => line.trim() !== '').join('\r')
+}
+
+/**
+ * Empties the given fields (e.g. MSH-7) so resent copies of a message compare equal
+ */
+function blankFields(message, fields) {
+  const targets = fields.map(reference => reference.split('-')).map(([segment, field]) => ({ segment, field: Number(field) }))
+  return normalizeTerminators(message).split('\r').map(line => {
+    const segmentType = line.substring(0, 3)
+    const separator = line.charAt(3) || '|'
+    const values = line.split(separator)
+    targets.filter(({ segment }) => segment === segmentType).forEach(({ field }) => {
+      // MSH-1 is the field separator itself, so MSH fields sit one position earlier in the split
+      const position = segmentType === 'MSH' ? field - 1 : field
+      if (position > 0 && position < values.length) {
+        values[position] = ''
+      }
+    })
+    return values.join(separator)
+  }).join('\r')
+}
+
+/**
+ * 53-bit string hash (cyrb53), so payloads can be remembered without keeping every message in memory
+ */
+function hashText(text) {
+  let h1 = 0xdeadbeef
+  let h2 = 0x41c6ce57
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i)
+    h1 = Math.imul(h1 ^ code, 2654435761)
+    h2 = Math.imul(h2 ^ code, 1597334677)
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0)
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100
+}
@@ -0,0 +1,260 @@
+/**
+ * Standard Exporters
+ *
+ * Maps analysis results to formats other tools ingest: a FHIR R4
+ * OperationOutcome for FHIR-based data platforms, and a SARIF 2.1.0 log so
+ * message quality findings appear in code scanning dashboards next to other
+ * static analysis results.
+ */
+
+import { QUALITY_CATEGORIES, SEVERITY } from './constants.js'
+import { listRules } from './ruleRegistry.js'
+
+/**
+ * FHIR OperationOutcome issue severity for each issue severity
+ */
+const FHIR_SEVERITIES = {
+  [SEVERITY.CRITICAL]: 'fatal',
+  [SEVERITY.HIGH]: 'error',
+  [SEVERITY.MEDIUM]: 'warning',
+  [SEVERITY.LOW]: 'warning',
+  [SEVERITY.INFO]: 'information',
+}
+
+/**
+ * FHIR issue type (IssueType value set) for each quality category
+ */
+const FHIR_ISSUE_TYPES = {
+  [QUALITY_CATEGORIES.COMPLETENESS]: 'required',
+  [QUALITY_CATEGORIES.ACCURACY]: 'code-invalid',
+  [QUALITY_CATEGORIES.CONSISTENCY]: 'invariant',
+  [QUALITY_CATEGORIES.COMPLIANCE]: 'structure',
+  [QUALITY_CATEGORIES.FORMATTING]: 'value',
+  [QUALITY_CATEGORIES.BUSINESS_RULES]: 'business-rule',
+}
+
+/**
+ * Issue types for rules whose category alone does not pick the right one
+ */
+const RULE_ISSUE_TYPES = {
+  'duplicate-detection': 'duplicate',
+}
+
+const SARIF_LEVELS = {
+  [SEVERITY.CRITICAL]: 'error',
+  [SEVERITY.HIGH]: 'error',
+  [SEVERITY.MEDIUM]: 'warning',
+  [SEVERITY.LOW]: 'warning',
+  [SEVERITY.INFO]: 'note',
+}
+
+const DEFAULT_SYSTEM = 'urn:hl7-data-quality'
+// Reported for messages that could not be parsed, whose issues carry no rule ID
+const MESSAGE_FORMAT_RULE_ID = 'message-format'
+
+/**
+ * Maps a result to a FHIR R4 OperationOutcome, or several results to a collection Bundle of them
+ * Each issue gets its FHIR severity and issue type, the rule ID and title as details, the issue details
+ * as diagnostics, and the HL7 field in location and expression (e.g. PID[1]-5[1].1).
+ * @param {Object|Array} input - analyzeDataQuality result, or a list of analyzeStream items,
+ *   { source, index, result } entries or results
+ * @param {Object} [options] - Export options
+ * @param {string} [options.system='urn:hl7-data-quality'] - Code system of rule IDs in issue details;
+ *   recommendations use the extension URL `${system}:recommendation`
+ * @returns {Object} OperationOutcome resource, or a Bundle of type collection for a list
+ */
+export function toOperationOutcome(input, { system = DEFAULT_SYSTEM } = {}) {
+  if (!Array.isArray(input)) {
+    return buildOperationOutcome(input.issues || [], system)
+  }
+  return {
+    resourceType: 'Bundle',
+    type: 'collection',
+    entry: getEntries(input).map(({ issues }) => ({ resource: buildOperationOutcome(issues, system) })),
+  }
+}
+
+/**
+ * Maps results to a SARIF 2.1.0 log with one run
+ * Results point at the file each entry came from (its `source`) and at the HL7 field as a logical location.
+ * Line and column are given when the entry carries its message text and is the only message from its source.
+ * @param {Object|Array} input - analyzeDataQuality result, or a list of analyzeStream items,
+ *   { source, index, result, message } entries or results
+ * @param {Object} [options] - Export options
+ * @param {string} [options.toolName='hl7-data-quality'] - Driver name
+ * @param {string} [options.toolVersion] - Driver version
+ * @returns {Object} SARIF log
+ */
+export function toSARIF(input, { toolName = 'hl7-data-quality', toolVersion } = {}) {
+  const entries = getEntries(Array.isArray(input) ? input : [{ result: input }])
+  const messagesPerSource = {}
+  entries.forEach(({ source }) => {
+    messagesPerSource[source] = (messagesPerSource[source] || 0) + 1
+  })
+
+  const registered = new Map(listRules().map(rule => [rule.id, rule]))
+  const rules = []
+  const ruleIndexes = new Map()
+  const getRuleIndex = (ruleId, issue) => {
+    if (!ruleIndexes.has(ruleId)) {
+      ruleIndexes.set(ruleId, rules.length)
+      rules.push(describeSARIFRule(ruleId, registered.get(ruleId), issue))
+    }
+    return ruleIndexes.get(ruleId)
+  }
+
+  const results = []
+  entries.forEach(({ source, index, message, issues }) => {
+    const lineStarts = message && messagesPerSource[source] === 1 ? getLineStarts(message) : null
+    issues.forEach(issue => {
+      const ruleId = issue.ruleId || MESSAGE_FORMAT_RULE_ID
+      const location = {}
+      if (source !== undefined) {
+        location.physicalLocation = { artifactLocation: { uri: toURI(source) } }
+        if (lineStarts && typeof issue.location?.start === 'number') {
+          location.physicalLocation.region = toRegion(lineStarts, issue.location.start, issue.location.end)
+        }
+      }
+      const path = formatPath(issue.location)
+      if (path) {
+        location.logicalLocations = [{ fullyQualifiedName: path, kind: 'element' }]
+      }
+
+      results.push({
+        ruleId,
+        ruleIndex: getRuleIndex(ruleId, issue),
+        level: SARIF_LEVELS[issue.severity] || 'warning',
+        message: { text: `${issue.issue}: ${issue.details}` },
+        ...(Object.keys(location).length > 0 ? { locations: [location] } : {}),
+        partialFingerprints: { 'hl7Issue/v1': [ruleId, issue.field, issue.issue].join('|') },
+        properties: {
+          category: issue.category,
+          severity: issue.severity,
+          field: issue.field,
+          recommendation: issue.recommendation,
+          ...(index !== undefined ? { messageIndex: index } : {}),
+        },
+      })
+    })
+  })
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: toolName, ...(toolVersion ? { version: toolVersion } : {}), rules } },
+      results,
+    }],
+  }
+}
+
+/**
+ * Flattens the accepted input shapes to { source, index, message, issues }
+ */
+function getEntries(input) {
+  return input.filter(Boolean).map((entry, position) => {
+    const isEnvelope = entry.type === 'batch' || entry.type === 'summary'
+    const result = entry.result || entry
+    return {
+      source: entry.source,
+      index: isEnvelope ? undefined : (entry.index ?? position),
+      message: isEnvelope ? null : entry.message,
+      issues: (isEnvelope ? entry.issues : result.issues) || [],
+    }
+  })
+}
+
+function buildOperationOutcome(issues, system) {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: issues.length > 0
+      ? issues.map(issue => buildOutcomeIssue(issue, system))
+      : [{ severity: 'information', code: 'informational', diagnostics: 'No data quality issues found' }],
+  }
+}
+
+function buildOutcomeIssue(issue, system) {
+  const path = formatPath(issue.location)
+  const ruleId = issue.ruleId || MESSAGE_FORMAT_RULE_ID
+  return {
+    ...(issue.recommendation ? { extension: [{ url: `${system}:recommendation`, valueString: issue.recommendation }] } : {}),
+    severity: FHIR_SEVERITIES[issue.severity] || 'warning',
+    code: issue.ruleId ? (RULE_ISSUE_TYPES[issue.ruleId] || FHIR_ISSUE_TYPES[issue.category] || 'processing') : 'structure',
+    details: {
+      coding: [{ system: `${system}:rule`, code: ruleId, display: issue.issue }],
+      text: issue.issue,
+    },
+    diagnostics: issue.details,
+    ...(path ? { location: [issue.field], expression: [path] } : {}),
+  }
+}
+
+function describeSARIFRule(ruleId, rule, issue) {
+  if (!rule) {
+    return { id: ruleId, shortDescription: { text: ruleId === MESSAGE_FORMAT_RULE_ID ? 'Message Format' : issue.issue } }
+  }
+  return {
+    id: ruleId,
+    name: toPascalCase(rule.name),
+    shortDescription: { text: rule.name },
+    defaultConfiguration: { level: SARIF_LEVELS[rule.severity] || 'warning', enabled: rule.enabled },
+    properties: { category: rule.category, severity: rule.severity },
+  }
+}
+
+/**
+ * Formats a location as an HL7 path: segment[occurrence]-field[repetition].component.subcomponent
+ */
+function formatPath(location) {
+  if (!location || !location.segment) {
+    return null
+  }
+  let path = `${location.segment}[${location.sequence || 1}]`
+  if (location.field) {
+    path += `-${location.field}`
+    if (location.repetition) {
+      path += `[${location.repetition}]`
+    }
+    if (location.component) {
+      path += `.${location.component}`
+      if (location.subcomponent) {
+        path += `.${location.subcomponent}`
+      }
+    }
+  }
+  return path
+}
+
+function getLineStarts(text) {
+  const starts = [0]
+  const terminator = /\r\n|\r|\n/g
+  let match
+  while ((match = terminator.exec(text))) {
+    starts.push(match.index + match[0].length)
+  }
+  return starts
+}
+
+/**
+ * Converts message offsets to a 1-based SARIF region
+ */
+function toRegion(lineStarts, start, end) {
+  const position = offset => {
+    let line = 0
+    while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) {
+      line++
+    }
+    return { line: line + 1, column: offset - lineStarts[line] + 1 }
+  }
+  const from = position(start)
+  const to = position(typeof end === 'number' ? end : start)
+  return { startLine: from.line, startColumn: from.column, endLine: to.line, endColumn: to.column }
+}
+
+function toURI(source) {
+  return String(source).replace(/\\/g, '/')
+}
+
+function toPascalCase(name) {
+  return String(name).replace(/[^A-Za-z0-9]+(.)?/g, (match, next) => (next ? next.toUpperCase() : '')).replace(/^./, char => char.toUpperCase())
+}
@@ -6,78 +6,182 @@
  * using rule-based validation and pattern matching.
  */
 
-import { parseHL7Message, validateHL7Message } from 'hl7-parser'
+import { QUALITY_CATEGORIES, SEVERITY, SEVERITY_PENALTIES, DATE_FIELDS } from './constants.js'
+import { parseMessage, validateMessage } from './messageParser.js'
+import { registerRule, runEnabledRules } from './ruleRegistry.js'
+import { evaluateProfile } from './conformanceProfiles.js'
+import { analyzeMessageStream, analyzeMessageBatch } from './batchAnalysis.js'
+import { createLongitudinalAnalyzer as createHistoryAnalyzer } from './longitudinalAnalysis.js'
+import { indexMessage, resolveIssueLocation } from './messageLocator.js'
+import { validateDataType, PRECISION } from './dataTypes.js'
+import { validateCode, describeCodes, evaluateCodes } from './codeTables.js'
+import { getSegments, getDataTypeOptions, getMessageType } from './messageHelpers.js'
+import { collectPHIValues, redactIssues, redactQuotedText, redactText } from './deidentification.js'
+import { loadScoringModel, scoreIssues, getGrade } from './scoring.js'
+import { RESULT_RULES } from './resultRules.js'
+import { ORDER_RULES } from './orderRules.js'
+import { SCHEDULING_RULES } from './schedulingRules.js'
+import { PHARMACY_RULES } from './pharmacyRules.js'
+import { IMMUNIZATION_RULES } from './immunizationRules.js'
+import { ADT_RULES } from './adtRules.js'
+import { CHARACTER_SET_RULES, decodeMessage } from './characterSets.js'
+import { SEGMENT_SCHEMA_RULES } from './segmentSchemas.js'
+import { MESSAGE_STRUCTURE_RULES, validateMessageStructure, evaluateFieldVersions } from './messageStructures.js'
+import { startMLLPServer as startGatingServer } from './mllp.js'
+
+export { QUALITY_CATEGORIES, SEVERITY }
+export {
+  registerRule,
+  unregisterRule,
+  enableRule,
+  disableRule,
+  getRule,
+  listRules,
+} from './ruleRegistry.js'
+export { USAGE, loadProfile, loadProfileFile, evaluateProfile } from './conformanceProfiles.js'
+export { loadSegmentSchemas, loadSegmentSchemasFile, evaluateSegmentSchemas, STANDARD_SEGMENTS } from './segmentSchemas.js'
+export { validateMessageStructure, evaluateFieldVersions, MESSAGE_STRUCTURES, EVENT_STRUCTURES, SEGMENT_FIELDS } from './messageStructures.js'
+export { createMessageSplitter } from './batchAnalysis.js'
+export { createMemoryStore, createFileStore, createSQLiteStore } from './longitudinalStores.js'
+export { createQualityAggregator, aggregateResults } from './qualityAggregator.js'
+export { createDuplicateDetector, findDuplicates, PATIENT_MATCH_WEIGHTS } from './duplicateDetection.js'
+export { compareTransformation, loadFieldMapping, loadFieldMappingFile } from './transformationFidelity.js'
+export { deidentifyMessage, redactText, PHI_FIELDS, REDACTED } from './deidentification.js'
+export { loadScoringModel, loadScoringModelFile, scoreIssues, getGrade, DEFAULT_GRADES } from './scoring.js'
+export { renderHTML, renderCSV, renderMarkdown, renderText } from './reportRenderers.js'
+export { toOperationOutcome, toSARIF } from './exporters.js'
+export { remediateMessage, getFixableRules } from './remediation.js'
+export { createAcknowledgement, HL7_ERROR_CODES } from './acknowledgements.js'
+export { createMLLPClient, frameMessage } from './mllp.js'
+export { indexMessage, locateInMessage } from './messageLocator.js'
+export {
+  parseMessage,
+  validateMessage,
+  setParserAdapter,
+  createHL7ParserAdapter,
+  getEncodingCharacters,
+  getFieldValue,
+  unescapeValue,
+  escapeValue,
+  DEFAULT_ENCODING,
+} from './messageParser.js'
+export { validateDataType, getDataTypes, parseDateTime, PRECISION } from './dataTypes.js'
+export { validateUCUM } from './ucum.js'
+export { decodeMessage, getDeclaredCharacterSet, CHARACTER_SETS } from './characterSets.js'
+export { parseReferenceRange } from './resultRules.js'
+export {
+  getCodeTable,
+  listCodeTables,
+  validateCode,
+  loadValueSet,
+  loadValueSetFile,
+  evaluateCodes,
+} from './codeTables.js'
 
 /**
- * Quality check categories
+ * Built-in quality rules, registered in this order on module load
  */
-export const QUALITY_CATEGORIES = {
-  COMPLETENESS: 'Completeness',
-  ACCURACY: 'Accuracy',
-  CONSISTENCY: 'Consistency',
-  COMPLIANCE: 'Compliance',
-  FORMATTING: 'Formatting',
-  BUSINESS_RULES: 'Business Rules',
-}
+const BUILT_IN_RULES = [
+  { id: 'msh-completeness', name: 'MSH Segment Completeness', check: checkMSHCompleteness, category: QUALITY_CATEGORIES.COMPLETENESS, severity: SEVERITY.HIGH, penalty: 2 },
+  { id: 'required-segments', name: 'Required Segments', check: checkRequiredSegments, category: QUALITY_CATEGORIES.COMPLETENESS, severity: SEVERITY.CRITICAL, penalty: 15 },
+  { id: 'pid-completeness', name: 'PID Segment Completeness', check: checkPIDCompleteness, category: QUALITY_CATEGORIES.COMPLETENESS, severity: SEVERITY.HIGH, penalty: 5 },
+  { id: 'date-formats', name: 'Date Format Validation', check: checkDateFormats, category: QUALITY_CATEGORIES.FORMATTING, severity: SEVERITY.MEDIUM, penalty: 1 },
+  { id: 'identifier-formats', name: 'Identifier Format Validation', check: checkIdentifierFormats, category: QUALITY_CATEGORIES.FORMATTING, severity: SEVERITY.MEDIUM, penalty: 2 },
+  { id: 'address-formats', name: 'Address Format Validation', check: checkAddressFormats, category: QUALITY_CATEGORIES.FORMATTING, severity: SEVERITY.LOW, penalty: 1 },
+  { id: 'phone-formats', name: 'Phone Format Validation', check: checkPhoneFormats, category: QUALITY_CATEGORIES.FORMATTING, severity: SEVERITY.LOW, penalty: 1 },
+  { id: 'data-consistency', name: 'Data Consistency', check: checkDataConsistency, category: QUALITY_CATEGORIES.CONSISTENCY, severity: SEVERITY.MEDIUM, penalty: 2 },
+  { id: 'business-rules', name: 'Business Rules', check: checkBusinessRules, category: QUALITY_CATEGORIES.BUSINESS_RULES, severity: SEVERITY.HIGH, penalty: 5 },
+  { id: 'data-types', name: 'Data Type Validation', check: checkDataTypes, category: QUALITY_CATEGORIES.FORMATTING, severity: SEVERITY.MEDIUM, penalty: 1 },
+  { id: 'code-tables', name: 'Code Table Validation', check: checkCodeTables, category: QUALITY_CATEGORIES.ACCURACY, severity: SEVERITY.MEDIUM, penalty: 2 },
+  { id: 'version-compliance', name: 'Version Compliance', check: checkVersionCompliance, category: QUALITY_CATEGORIES.COMPLIANCE, severity: SEVERITY.MEDIUM, penalty: 2 },
+  { id: 'profile-conformance', name: 'Conformance Profile', check: checkProfileConformance, category: QUALITY_CATEGORIES.COMPLIANCE, severity: SEVERITY.HIGH, penalty: 5 },
+]
+
+BUILT_IN_RULES
+  .concat(MESSAGE_STRUCTURE_RULES, CHARACTER_SET_RULES, SEGMENT_SCHEMA_RULES, ADT_RULES, RESULT_RULES, ORDER_RULES, SCHEDULING_RULES, PHARMACY_RULES, IMMUNIZATION_RULES)
+  .forEach(rule => registerRule({ ...rule, builtIn: true }))
 
 /**
- * Severity levels for quality issues
+ * Segments each message type requires, by message code from MSH-9
  */
-export const SEVERITY = {
-  CRITICAL: 'Critical',
-  HIGH: 'High',
-  MEDIUM: 'Medium',
-  LOW: 'Low',
-  INFO: 'Info',
+const REQUIRED_SEGMENTS = {
+  ADT: [
+    { segment: 'PID', name: 'Patient Identification', severity: SEVERITY.CRITICAL, penalty: 15, details: 'ADT messages require a PID (Patient Identification) segment', recommendation: 'Add PID segment with patient identification information' },
+    { segment: 'PV1', name: 'Patient Visit', severity: SEVERITY.HIGH, penalty: 10, details: 'ADT messages typically require a PV1 (Patient Visit) segment', recommendation: 'Add PV1 segment with patient visit information' },
+  ],
+  ORM: [
+    { segment: 'ORC', name: 'Common Order', severity: SEVERITY.CRITICAL, penalty: 15 },
+  ],
+  OML: [
+    { segment: 'ORC', name: 'Common Order', severity: SEVERITY.CRITICAL, penalty: 15 },
+    { segment: 'OBR', name: 'Observation Request', severity: SEVERITY.CRITICAL, penalty: 15 },
+  ],
+  SIU: [
+    { segment: 'SCH', name: 'Scheduling Activity Information', severity: SEVERITY.CRITICAL, penalty: 15 },
+  ],
+  RDE: [
+    { segment: 'ORC', name: 'Common Order', severity: SEVERITY.CRITICAL, penalty: 15 },
+    { segment: 'RXE', name: 'Pharmacy/Treatment Encoded Order', severity: SEVERITY.CRITICAL, penalty: 15 },
+    { segment: 'RXR', name: 'Pharmacy/Treatment Route', severity: SEVERITY.HIGH, penalty: 10 },
+  ],
+  RAS: [
+    { segment: 'ORC', name: 'Common Order', severity: SEVERITY.CRITICAL, penalty: 15 },
+    { segment: 'RXA', name: 'Pharmacy/Treatment Administration', severity: SEVERITY.CRITICAL, penalty: 15 },
+    { segment: 'RXR', name: 'Pharmacy/Treatment Route', severity: SEVERITY.HIGH, penalty: 10 },
+  ],
+  VXU: [
+    { segment: 'PID', name: 'Patient Identification', severity: SEVERITY.CRITICAL, penalty: 15 },
+    { segment: 'RXA', name: 'Pharmacy/Treatment Administration', severity: SEVERITY.CRITICAL, penalty: 15 },
+  ],
 }
 
 /**
  * Analyzes an HL7 message for data quality issues
- * @param {string} hl7Message - The HL7 message to analyze
+ * @param {string|Uint8Array} hl7Message - The HL7 message to analyze; bytes (e.g. a Buffer) are decoded
+ *   with the character set declared in MSH-18 and checked byte by byte
+ * @param {Object} [options] - Analysis options
+ * @param {Object} [options.profile] - Conformance profile (see loadProfile) to evaluate the message against
+ * @param {Object|Array<Object>} [options.segmentSchemas] - Segment schemas (see loadSegmentSchemas) for Z-segments and other custom segments
+ * @param {Array<Object>} [options.valueSets] - Site value sets (see loadValueSet) that replace HL7 tables or bind codes to fields
+ * @param {boolean} [options.redact=false] - Replace PHI values (see PHI_FIELDS) in issue text with [REDACTED]
+ * @param {Object} [options.scoring] - Scoring model (see loadScoringModel) for penalties, category weights and grades
  * @returns {Object} Quality analysis results
  */
-export function analyzeDataQuality(hl7Message) {
+export function analyzeDataQuality(hl7Message, options = {}) {
   const issues = []
   const recommendations = []
-  let overallScore = 100
+  const scoring = loadScoringModel(options.scoring || {})
 
   try {
+    const { text, bytes } = decodeMessage(hl7Message)
+
     // Validate message structure first
-    const validation = validateHL7Message(hl7Message)
+    const validation = validateMessage(text)
     if (!validation.isValid) {
+      const details = validation.errors?.join('; ') || 'Message does not conform to HL7 standards'
       issues.push({
         category: QUALITY_CATEGORIES.FORMATTING,
         severity: SEVERITY.CRITICAL,
         field: 'Message Structure',
+        location: null,
         issue: 'Invalid HL7 message format',
-        details: validation.errors?.join('; ') || 'Message does not conform to HL7 standards',
+        // Errors may quote segment text, and a message that does not validate has no PHI values to match
+        details: options.redact ? redactQuotedText(details) : details,
         recommendation: 'Ensure message starts with MSH segment and contains proper delimiters',
+        penalty: 30,
       })
-      overallScore -= 30
       return {
-        overallScore: Math.max(0, overallScore),
-        issues,
+        ...scoreIssues(issues, scoring),
         recommendations,
         isValid: false,
       }
     }
 
     // Parse the message
-    const parsed = parseHL7Message(hl7Message)
-
-    // Run quality checks
-    const checks = [
-      checkMSHCompleteness(parsed),
-      checkRequiredSegments(parsed),
-      checkPIDCompleteness(parsed),
-      checkDateFormats(parsed),
-      checkIdentifierFormats(parsed),
-      checkAddressFormats(parsed),
-      checkPhoneFormats(parsed),
-      checkDataConsistency(parsed),
-      checkBusinessRules(parsed),
-      checkVersionCompliance(parsed),
-    ]
+    const parsed = parseMessage(text)
+
+    // Run enabled quality rules; checks that inspect the raw message get it alongside the options
+    const checks = runEnabledRules(parsed, { ...options, rawMessage: text, rawBytes: bytes })
 
     checks.forEach(checkResult => {
       if (checkResult.issues) {
@@ -86,18 +190,27 @@ export function analyzeDataQuality(hl7Message) {
       if (checkResult.recommendations) {
         recommendations.push(...checkResult.recommendations)
       }
-      if (checkResult.scorePenalty) {
-        overallScore -= checkResult.scorePenalty
+    })
+
+    // Resolve every issue to a structured location with offsets in the raw message
+    const messageIndex = indexMessage(text)
+    issues.forEach(issue => {
+      issue.location = resolveIssueLocation(issue, messageIndex)
+      if (issue.relatedLocations) {
+        issue.relatedLocations = issue.relatedLocations.map(location => resolveIssueLocation({ location }, messageIndex))
       }
     })
 
     // Calculate final score
-    overallScore = Math.max(0, Math.min(100, overallScore))
+    const { overallScore, categoryScores, grade, issues: scoredIssues } = scoreIssues(issues, scoring)
 
+    const phiValues = options.redact ? collectPHIValues(parsed) : []
     return {
       overallScore,
-      issues,
-      recommendations: [...new Set(recommendations)], // Remove duplicates
+      categoryScores,
+      grade,
+      issues: options.redact ? redactIssues(scoredIssues, phiValues) : scoredIssues,
+      recommendations: [...new Set(recommendations.map(recommendation => redactText(recommendation, phiValues)))], // Remove duplicates
       isValid: true,
       messageType: parsed.messageType,
       totalSegments: parsed.totalSegments,
@@ -108,30 +221,73 @@ export function analyzeDataQuality(hl7Message) {
       category: QUALITY_CATEGORIES.FORMATTING,
       severity: SEVERITY.CRITICAL,
       field: 'Message Parsing',
+      location: null,
       issue: 'Failed to parse message',
-      details: error.message,
+      details: options.redact ? redactQuotedText(error.message) : error.message,
       recommendation: 'Review message format and ensure it follows HL7 v2.x standards',
+      penalty: 100,
     })
+    // A message that cannot be parsed scores 0 whatever the model's weights
     return {
+      ...scoreIssues(issues, scoring),
       overallScore: 0,
-      issues,
+      grade: getGrade(0, scoring),
       recommendations: ['Fix parsing errors before proceeding with quality analysis'],
       isValid: false,
     }
   }
 }
 
+/**
+ * Analyzes every message read from a file, stream or iterable, one message at a time
+ * @param {string|Object} source - File path, Buffer, Node Readable stream, or (async) iterable of chunks
+ * @param {Object} [options] - Analysis options (see analyzeDataQuality)
+ * @returns {AsyncGenerator<Object>} Message, batch and summary results (see README)
+ */
+export function analyzeStream(source, options = {}) {
+  return analyzeMessageStream(source, analyzeDataQuality, options)
+}
+
+/**
+ * Analyzes every message in a multi-message string (FHS/BHS batch, MLLP dump or archive)
+ * @param {string} hl7Batch - The batch contents
+ * @param {Object} [options] - Analysis options (see analyzeDataQuality)
+ * @returns {Promise<Object>} { results, batches, summary }
+ */
+export function analyzeBatch(hl7Batch, options = {}) {
+  return analyzeMessageBatch(hl7Batch, analyzeDataQuality, options)
+}
+
+/**
+ * Creates an analyzer that checks each message against the patients and visits seen in earlier messages
+ * @param {Object} [options] - Analysis options (see analyzeDataQuality)
+ * @param {Object} [options.store] - State store (see createMemoryStore, createFileStore, createSQLiteStore)
+ * @returns {Object} Analyzer with async analyze(hl7Message) and close()
+ */
+export function createLongitudinalAnalyzer(options = {}) {
+  return createHistoryAnalyzer(analyzeDataQuality, options)
+}
+
+/**
+ * Starts an MLLP server that analyzes and acknowledges every message it receives, forwarding passing
+ * messages downstream and quarantining failing ones (Node.js only)
+ * @param {Object} [options] - Server options (see README), with analysis options in options.analysis
+ * @returns {Promise<Object>} Server with host, port and close()
+ */
+export function startMLLPServer(options = {}) {
+  return startGatingServer(analyzeDataQuality, options)
+}
+
 /**
  * Checks MSH segment completeness
  */
 function checkMSHCompleteness(parsed) {
   const issues = []
   const recommendations = []
-  let scorePenalty = 0
 
   const mshSegment = parsed.segments.find(s => s.segmentType === 'MSH')
   if (!mshSegment) {
-    return { issues: [{ category: QUALITY_CATEGORIES.COMPLETENESS, severity: SEVERITY.CRITICAL, field: 'MSH', issue: 'Missing MSH segment', details: 'All HL7 messages must start with an MSH segment', recommendation: 'Add MSH segment as the first segment' }], scorePenalty: 20 }
+    return { issues: [{ category: QUALITY_CATEGORIES.COMPLETENESS, severity: SEVERITY.CRITICAL, field: 'MSH', location: { segment: 'MSH' }, issue: 'Missing MSH segment', details: 'All HL7 messages must start with an MSH segment', recommendation: 'Add MSH segment as the first segment', penalty: 20 }] }
   }
 
   const msh = mshSegment.parsed
@@ -147,178 +303,196 @@ function checkMSHCompleteness(parsed) {
 
   Object.entries(requiredFields).forEach(([field, name]) => {
     if (!msh[field] || msh[field] === '' || msh[field] === 'Unknown') {
+      const fieldNumber = Number(field.replace('field', ''))
       issues.push({
         category: QUALITY_CATEGORIES.COMPLETENESS,
         severity: SEVERITY.HIGH,
-        field: `MSH-${field.replace('field', '')}`,
+        field: `MSH-${fieldNumber}`,
+        location: { segment: 'MSH', sequence: 1, field: fieldNumber },
         issue: `Missing ${name}`,
         details: `${name} is required in MSH segment`,
-        recommendation: `Populate MSH-${field.replace('field', '')} with appropriate value`,
+        recommendation: `Populate MSH-${fieldNumber} with appropriate value`,
+        penalty: 2,
       })
-      scorePenalty += 2
     }
   })
 
   // Check date/time format
   if (msh.field7 && msh.field7 !== 'Unknown') {
-    const dateTimeRegex = /^\d{14}(\.\d{1,4})?([\+\-]\d{4})?$/
-    if (!dateTimeRegex.test(msh.field7)) {
+    const { isValid, errors } = validateDataType(msh.field7, 'TS', { ...getDataTypeOptions(parsed), minPrecision: PRECISION.SECOND })
+    if (!isValid) {
       issues.push({
         category: QUALITY_CATEGORIES.FORMATTING,
         severity: SEVERITY.MEDIUM,
         field: 'MSH-7',
+        location: errorLocation('MSH', 1, 7, errors),
         issue: 'Invalid Date/Time format',
-        details: `Date/Time should be in format YYYYMMDDHHMMSS[.SSSS][+/-ZZZZ]`,
+        details: `Date/Time should be in format YYYYMMDDHHMMSS[.SSSS][+/-ZZZZ]: ${describeErrors(errors)}`,
         recommendation: 'Format date/time as YYYYMMDDHHMMSS (e.g., 20240101120000)',
+        penalty: 1,
       })
-      scorePenalty += 1
     }
   } else {
     issues.push({
       category: QUALITY_CATEGORIES.COMPLETENESS,
       severity: SEVERITY.HIGH,
       field: 'MSH-7',
+      location: { segment: 'MSH', sequence: 1, field: 7 },
       issue: 'Missing Date/Time of Message',
       details: 'Message timestamp is required',
       recommendation: 'Add Date/Time of Message in MSH-7',
+      penalty: 2,
     })
-    scorePenalty += 2
   }
 
-  return { issues, recommendations, scorePenalty }
+  return { issues, recommendations }
 }
 
 /**
- * Checks for required segments based on message type
+ * Checks for required segments based on message type, and for the required segments
+ * and groups of the message structure when one is bundled for it
  */
 function checkRequiredSegments(parsed) {
   const issues = []
-  let scorePenalty = 0
 
-  const messageType = parsed.messageType || ''
+  const { code } = getMessageType(parsed)
   const segmentTypes = parsed.segments.map(s => s.segmentType)
 
-  // ADT messages require PID and PV1
-  if (messageType.includes('ADT')) {
-    if (!segmentTypes.includes('PID')) {
-      issues.push({
-        category: QUALITY_CATEGORIES.COMPLETENESS,
-        severity: SEVERITY.CRITICAL,
-        field: 'PID',
-        issue: 'Missing PID segment',
-        details: 'ADT messages require a PID (Patient Identification) segment',
-        recommendation: 'Add PID segment with patient identification information',
-      })
-      scorePenalty += 15
-    }
-    if (!segmentTypes.includes('PV1')) {
+  const requirements = REQUIRED_SEGMENTS[code] || []
+  const absent = requirements.filter(({ segment }) => !segmentTypes.includes(segment))
+  absent.forEach(({ segment, name, severity, penalty, details, recommendation }) => {
+    issues.push({
+      category: QUALITY_CATEGORIES.COMPLETENESS,
+      severity,
+      field: segment,
+      location: { segment },
+      issue: `Missing ${segment} segment`,
+      details: details || `${code} messages require the ${segment} (${name}) segment`,
+      recommendation: recommendation || `Add ${segment} segment`,
+      penalty,
+    })
+  })
+
+  const { structure, version, missing } = validateMessageStructure(parsed)
+  missing
+    .filter(({ segment }) => !absent.some(requirement => requirement.segment === segment))
+    .forEach(({ segment, group, before }) => {
+      // Point at where the segment belongs when other segments of its type would otherwise be located
+      const present = segment.split('/').some(id => segmentTypes.includes(id))
       issues.push({
         category: QUALITY_CATEGORIES.COMPLETENESS,
         severity: SEVERITY.HIGH,
-        field: 'PV1',
-        issue: 'Missing PV1 segment',
-        details: 'ADT messages typically require a PV1 (Patient Visit) segment',
-        recommendation: 'Add PV1 segment with patient visit information',
+        field: segment,
+        location: present && before ? before : { segment },
+        issue: `Missing ${segment} segment`,
+        details: `${structure}${version ? ` (v${version})` : ''} requires ${segment}${group ? ` in each ${group} group` : ''}`,
+        recommendation: `Add ${segment} segment${group ? ` to the ${group} group` : ''}`,
+        penalty: SEVERITY_PENALTIES[SEVERITY.HIGH],
       })
-      scorePenalty += 10
-    }
-  }
+    })
 
-  return { issues, scorePenalty }
+  return { issues }
 }
 
 /**
- * Checks PID segment completeness
+ * Checks PID segment completeness for every PID in the message
  */
-function checkPIDCompleteness(parsed) {
+function checkPIDCompleteness(parsed, { valueSets } = {}) {
   const issues = []
   const recommendations = []
-  let scorePenalty = 0
 
-  const pidSegment = parsed.segments.find(s => s.segmentType === 'PID')
-  if (!pidSegment) {
-    return { issues, recommendations, scorePenalty }
-  }
+  const { version } = getDataTypeOptions(parsed)
 
-  const pid = pidSegment.parsed
+  getSegments(parsed, 'PID').forEach(({ segment: pidSegment, sequence }) => {
+    const pid = pidSegment.parsed
 
-  // Check for patient name
-  if (!pid.field5 || pid.field5 === '') {
-    issues.push({
-      category: QUALITY_CATEGORIES.COMPLETENESS,
-      severity: SEVERITY.HIGH,
-      field: 'PID-5',
-      issue: 'Missing Patient Name',
-      details: 'Patient name is typically required for patient identification',
-      recommendation: 'Add patient name in PID-5 (format: Last^First^Middle^Suffix)',
-    })
-    scorePenalty += 5
-  }
+    // Check for patient name
+    if (!pid.field5 || pid.field5 === '') {
+      issues.push({
+        category: QUALITY_CATEGORIES.COMPLETENESS,
+        severity: SEVERITY.HIGH,
+        field: 'PID-5',
+        location: { segment: 'PID', sequence, field: 5 },
+        issue: 'Missing Patient Name',
+        details: 'Patient name is typically required for patient identification',
+        recommendation: 'Add patient name in PID-5 (format: Last^First^Middle^Suffix)',
+        penalty: 5,
+      })
+    }
 
-  // Check for patient identifier
-  if (!pid.field3 || pid.field3 === '') {
-    issues.push({
-      category: QUALITY_CATEGORIES.COMPLETENESS,
-      severity: SEVERITY.HIGH,
-      field: 'PID-3',
-      issue: 'Missing Patient Identifier',
-      details: 'Patient identifier is required for proper patient matching',
-      recommendation: 'Add patient identifier list in PID-3',
-    })
-    scorePenalty += 5
-  }
+    // Check for patient identifier
+    if (!pid.field3 || pid.field3 === '') {
+      issues.push({
+        category: QUALITY_CATEGORIES.COMPLETENESS,
+        severity: SEVERITY.HIGH,
+        field: 'PID-3',
+        location: { segment: 'PID', sequence, field: 3 },
+        issue: 'Missing Patient Identifier',
+        details: 'Patient identifier is required for proper patient matching',
+        recommendation: 'Add patient identifier list in PID-3',
+        penalty: 5,
+      })
+    }
 
-  // Check for date of birth
-  if (!pid.field7 || pid.field7 === '') {
-    issues.push({
-      category: QUALITY_CATEGORIES.COMPLETENESS,
-      severity: SEVERITY.MEDIUM,
-      field: 'PID-7',
-      issue: 'Missing Date of Birth',
-      details: 'Date of birth is important for patient identification and age calculation',
-      recommendation: 'Add date of birth in PID-7 (format: YYYYMMDD)',
-    })
-    scorePenalty += 3
-  } else {
-    // Validate DOB format
-    const dobRegex = /^\d{8}(\d{6})?(\d{1,4})?([\+\-]\d{4})?$/
-    if (!dobRegex.test(pid.field7)) {
+    // Check for date of birth
+    if (!pid.field7 || pid.field7 === '') {
       issues.push({
-        category: QUALITY_CATEGORIES.FORMATTING,
+        category: QUALITY_CATEGORIES.COMPLETENESS,
         severity: SEVERITY.MEDIUM,
         field: 'PID-7',
-        issue: 'Invalid Date of Birth format',
-        details: 'Date of birth should be in format YYYYMMDD',
-        recommendation: 'Format date of birth as YYYYMMDD (e.g., 19800115)',
+        location: { segment: 'PID', sequence, field: 7 },
+        issue: 'Missing Date of Birth',
+        details: 'Date of birth is important for patient identification and age calculation',
+        recommendation: 'Add date of birth in PID-7 (format: YYYYMMDD)',
+        penalty: 3,
       })
-      scorePenalty += 2
+    } else {
+      // Validate DOB format
+      const { isValid, errors } = validateDataType(pid.field7, 'TS', { ...getDataTypeOptions(parsed), minPrecision: PRECISION.DAY })
+      if (!isValid) {
+        issues.push({
+          category: QUALITY_CATEGORIES.FORMATTING,
+          severity: SEVERITY.MEDIUM,
+          field: 'PID-7',
+          location: errorLocation('PID', sequence, 7, errors),
+          issue: 'Invalid Date of Birth format',
+          details: `Date of birth should be in format YYYYMMDD: ${describeErrors(errors)}`,
+          recommendation: 'Format date of birth as YYYYMMDD (e.g., 19800115)',
+          penalty: 2,
+        })
+      }
     }
-  }
 
-  // Check for administrative sex
-  if (!pid.field8 || pid.field8 === '') {
-    issues.push({
-      category: QUALITY_CATEGORIES.COMPLETENESS,
-      severity: SEVERITY.LOW,
-      field: 'PID-8',
-      issue: 'Missing Administrative Sex',
-      details: 'Administrative sex is useful for demographic reporting',
-      recommendation: 'Add administrative sex in PID-8 (M, F, O, U, or A)',
-    })
-    scorePenalty += 1
-  } else if (!['M', 'F', 'O', 'U', 'A'].includes(pid.field8)) {
-    issues.push({
-      category: QUALITY_CATEGORIES.ACCURACY,
-      severity: SEVERITY.MEDIUM,
-      field: 'PID-8',
-      issue: 'Invalid Administrative Sex value',
-      details: `Value "${pid.field8}" is not a valid administrative sex code`,
-      recommendation: 'Use valid codes: M (Male), F (Female), O (Other), U (Unknown), A (Ambiguous)',
-    })
-    scorePenalty += 2
-  }
+    // Check for administrative sex
+    if (!pid.field8 || pid.field8 === '') {
+      issues.push({
+        category: QUALITY_CATEGORIES.COMPLETENESS,
+        severity: SEVERITY.LOW,
+        field: 'PID-8',
+        location: { segment: 'PID', sequence, field: 8 },
+        issue: 'Missing Administrative Sex',
+        details: 'Administrative sex is useful for demographic reporting',
+        recommendation: 'Add administrative sex in PID-8 (M, F, O, U, or A)',
+        penalty: 1,
+      })
+    } else {
+      const { isValid, table } = validateCode(pid.field8, '0001', { version, valueSets })
+      if (!isValid) {
+        issues.push({
+          category: QUALITY_CATEGORIES.ACCURACY,
+          severity: SEVERITY.MEDIUM,
+          field: 'PID-8',
+          location: { segment: 'PID', sequence, field: 8 },
+          issue: 'Invalid Administrative Sex value',
+          details: `Value "${pid.field8}" is not a valid administrative sex code`,
+          recommendation: `Use valid codes: ${describeCodes(table)}`,
+          penalty: 2,
+        })
+      }
+    }
+  })
 
-  return { issues, recommendations, scorePenalty }
+  return { issues, recommendations }
 }
 
 /**
@@ -326,38 +500,32 @@ function checkPIDCompleteness(parsed) {
  */
 function checkDateFormats(parsed) {
   const issues = []
-  let scorePenalty = 0
-
-  const dateFields = [
-    { segment: 'MSH', field: 'field7', name: 'Date/Time of Message' },
-    { segment: 'PID', field: 'field7', name: 'Date of Birth' },
-    { segment: 'PID', field: 'field29', name: 'Patient Death Date' },
-    { segment: 'PV1', field: 'field44', name: 'Admit Date/Time' },
-    { segment: 'PV1', field: 'field45', name: 'Discharge Date/Time' },
-    { segment: 'EVN', field: 'field2', name: 'Recorded Date/Time' },
-  ]
 
-  dateFields.forEach(({ segment, field, name }) => {
-    const seg = parsed.segments.find(s => s.segmentType === segment)
-    if (seg && seg.parsed[field]) {
-      const value = seg.parsed[field]
-      // Check if it's a valid date format (YYYYMMDD or YYYYMMDDHHMMSS)
-      const dateRegex = /^\d{8}(\d{6})?(\d{1,4})?([\+\-]\d{4})?$/
-      if (!dateRegex.test(value)) {
-        issues.push({
-          category: QUALITY_CATEGORIES.FORMATTING,
-          severity: SEVERITY.MEDIUM,
-          field: `${segment}-${field.replace('field', '')}`,
-          issue: `Invalid ${name} format`,
-          details: `Date value "${value}" does not match HL7 date format`,
-          recommendation: 'Format dates as YYYYMMDD or YYYYMMDDHHMMSS',
-        })
-        scorePenalty += 1
+  const options = { ...getDataTypeOptions(parsed), minPrecision: PRECISION.DAY }
+
+  DATE_FIELDS.forEach(({ segment, field: fieldNumber, type, name }) => {
+    getSegments(parsed, segment).forEach(({ segment: seg, sequence }) => {
+      const value = seg.parsed[`field${fieldNumber}`]
+      if (value) {
+        // Dates must be real calendar dates, at least to the day (YYYYMMDD or YYYYMMDDHHMMSS)
+        const { isValid, errors } = validateDataType(value, type, options)
+        if (!isValid) {
+          issues.push({
+            category: QUALITY_CATEGORIES.FORMATTING,
+            severity: SEVERITY.MEDIUM,
+            field: `${segment}-${fieldNumber}`,
+            location: errorLocation(segment, sequence, fieldNumber, errors),
+            issue: `Invalid ${name} format`,
+            details: `Date value "${value}" does not match HL7 date format: ${describeErrors(errors)}`,
+            recommendation: 'Format dates as YYYYMMDD or YYYYMMDDHHMMSS',
+            penalty: 1,
+          })
+        }
       }
-    }
+    })
   })
 
-  return { issues, scorePenalty }
+  return { issues }
 }
 
 /**
@@ -365,27 +533,28 @@ function checkDateFormats(parsed) {
  */
 function checkIdentifierFormats(parsed) {
   const issues = []
-  let scorePenalty = 0
 
-  const pidSegment = parsed.segments.find(s => s.segmentType === 'PID')
-  if (pidSegment && pidSegment.parsed.field19) {
-    const ssn = pidSegment.parsed.field19
-    // SSN should be 9 digits (may be formatted with dashes)
-    const ssnRegex = /^\d{3}-?\d{2}-?\d{4}$/
-    if (!ssnRegex.test(ssn)) {
-      issues.push({
-        category: QUALITY_CATEGORIES.FORMATTING,
-        severity: SEVERITY.MEDIUM,
-        field: 'PID-19',
-        issue: 'Invalid SSN format',
-        details: `SSN "${ssn}" does not match expected format`,
-        recommendation: 'Format SSN as XXX-XX-XXXX or XXXXXXXXX',
-      })
-      scorePenalty += 2
+  getSegments(parsed, 'PID').forEach(({ segment: pidSegment, sequence }) => {
+    if (pidSegment.parsed.field19) {
+      const ssn = pidSegment.parsed.field19
+      // SSN should be 9 digits (may be formatted with dashes)
+      const ssnRegex = /^\d{3}-?\d{2}-?\d{4}$/
+      if (!ssnRegex.test(ssn)) {
+        issues.push({
+          category: QUALITY_CATEGORIES.FORMATTING,
+          severity: SEVERITY.MEDIUM,
+          field: 'PID-19',
+          location: { segment: 'PID', sequence, field: 19 },
+          issue: 'Invalid SSN format',
+          details: `SSN "${ssn}" does not match expected format`,
+          recommendation: 'Format SSN as XXX-XX-XXXX or XXXXXXXXX',
+          penalty: 2,
+        })
+      }
     }
-  }
+  })
 
-  return { issues, scorePenalty }
+  return { issues }
 }
 
 /**
@@ -393,26 +562,54 @@ function checkIdentifierFormats(parsed) {
  */
 function checkAddressFormats(parsed) {
   const issues = []
-  let scorePenalty = 0
 
-  const pidSegment = parsed.segments.find(s => s.segmentType === 'PID')
-  if (pidSegment && pidSegment.parsed.field11) {
-    const address = pidSegment.parsed.field11
-    // Address should have components separated by ^
-    if (typeof address === 'string' && !address.includes('^')) {
-      issues.push({
-        category: QUALITY_CATEGORIES.FORMATTING,
-        severity: SEVERITY.LOW,
-        field: 'PID-11',
-        issue: 'Address may be missing components',
-        details: 'HL7 addresses should have components separated by ^ (Street^City^State^Zip^Country)',
-        recommendation: 'Format address with components: Street^City^State^Zip^Country',
-      })
-      scorePenalty += 1
-    }
-  }
+  const addressFields = [
+    { segment: 'PID', field: 'field11', name: 'Patient Address' },
+    { segment: 'NK1', field: 'field4', name: 'Next of Kin Address' },
+    { segment: 'IN1', field: 'field5', name: 'Insurance Company Address' },
+  ]
+
+  const options = getDataTypeOptions(parsed)
 
-  return { issues, scorePenalty }
+  addressFields.forEach(({ segment, field, name }) => {
+    getSegments(parsed, segment).forEach(({ segment: seg, sequence }) => {
+      const address = seg.parsed[field]
+      if (!address || typeof address !== 'string') {
+        return
+      }
+      const fieldNumber = Number(field.replace('field', ''))
+      const { isValid, errors } = validateDataType(address, 'XAD', options)
+      if (!isValid) {
+        issues.push({
+          category: QUALITY_CATEGORIES.FORMATTING,
+          severity: SEVERITY.LOW,
+          field: `${segment}-${fieldNumber}`,
+          location: errorLocation(segment, sequence, fieldNumber, errors),
+          issue: `Invalid ${name} format`,
+          details: describeErrors(errors),
+          recommendation: 'Format address with components: Street^Other Designation^City^State^Zip^Country',
+          penalty: 1,
+        })
+        return
+      }
+      // An address with no city, state or zip is usually a whole address squeezed into one component
+      const components = address.split(options.encoding.repetition)[0].split(options.encoding.component)
+      if (!components[2] && !components[3] && !components[4]) {
+        issues.push({
+          category: QUALITY_CATEGORIES.FORMATTING,
+          severity: SEVERITY.LOW,
+          field: `${segment}-${fieldNumber}`,
+          location: { segment, sequence, field: fieldNumber },
+          issue: segment === 'PID' ? 'Address may be missing components' : `${name} may be missing components`,
+          details: 'HL7 addresses should have components separated by ^ (Street^City^State^Zip^Country)',
+          recommendation: 'Format address with components: Street^City^State^Zip^Country',
+          penalty: 1,
+        })
+      }
+    })
+  })
+
+  return { issues }
 }
 
 /**
@@ -420,70 +617,126 @@ function checkAddressFormats(parsed) {
  */
 function checkPhoneFormats(parsed) {
   const issues = []
-  let scorePenalty = 0
 
-  const pidSegment = parsed.segments.find(s => s.segmentType === 'PID')
-  if (pidSegment) {
-    const phoneFields = [
-      { field: 'field13', name: 'Phone Number - Home' },
-      { field: 'field14', name: 'Phone Number - Business' },
-    ]
-
-    phoneFields.forEach(({ field, name }) => {
-      if (pidSegment.parsed[field]) {
-        const phone = pidSegment.parsed[field]
+  const phoneFields = [
+    { segment: 'PID', field: 'field13', name: 'Phone Number - Home' },
+    { segment: 'PID', field: 'field14', name: 'Phone Number - Business' },
+    { segment: 'NK1', field: 'field5', name: 'Next of Kin Phone Number' },
+    { segment: 'NK1', field: 'field6', name: 'Next of Kin Business Phone Number' },
+  ]
+
+  const options = getDataTypeOptions(parsed)
+
+  phoneFields.forEach(({ segment, field, name }) => {
+    getSegments(parsed, segment).forEach(({ segment: seg, sequence }) => {
+      if (seg.parsed[field]) {
+        const phone = seg.parsed[field]
+        const fieldNumber = Number(field.replace('field', ''))
         // Phone should be in format [NNN][(999)]999-9999[X99999][B99999][C any text]
-        // Simplified check: should contain digits
-        const phoneRegex = /[\d\-\(\)\s]+/
-        if (!phoneRegex.test(phone)) {
+        const { isValid, errors } = validateDataType(phone, 'XTN', options)
+        if (!isValid) {
           issues.push({
             category: QUALITY_CATEGORIES.FORMATTING,
             severity: SEVERITY.LOW,
-            field: `PID-${field.replace('field', '')}`,
+            field: `${segment}-${fieldNumber}`,
+            location: errorLocation(segment, sequence, fieldNumber, errors),
             issue: `Invalid ${name} format`,
-            details: `Phone number "${phone}" may not be properly formatted`,
+            details: `Phone number "${phone}" may not be properly formatted: ${describeErrors(errors)}`,
             recommendation: 'Format phone as [NNN][(999)]999-9999[X99999]',
+            penalty: 1,
           })
-          scorePenalty += 1
         }
       }
     })
+  })
+
+  return { issues }
+}
+
+/**
+ * Checks identifier, name, coded and numeric fields against their HL7 data types
+ */
+function checkDataTypes(parsed) {
+  const issues = []
+
+  const typedFields = [
+    { segment: 'PID', field: 3, type: 'CX', name: 'Patient Identifier List' },
+    { segment: 'PID', field: 5, type: 'XPN', name: 'Patient Name' },
+    { segment: 'PID', field: 6, type: 'XPN', name: 'Mother\'s Maiden Name' },
+    { segment: 'PID', field: 10, type: 'CWE', name: 'Race' },
+    { segment: 'PID', field: 18, type: 'CX', name: 'Patient Account Number' },
+    { segment: 'PID', field: 22, type: 'CWE', name: 'Ethnic Group' },
+    { segment: 'NK1', field: 2, type: 'XPN', name: 'Next of Kin Name' },
+    { segment: 'NK1', field: 3, type: 'CWE', name: 'Next of Kin Relationship' },
+    { segment: 'PV1', field: 19, type: 'CX', name: 'Visit Number' },
+    { segment: 'OBX', field: 3, type: 'CWE', name: 'Observation Identifier' },
+    { segment: 'OBX', field: 6, type: 'CWE', name: 'Units' },
+    { segment: 'DG1', field: 3, type: 'CWE', name: 'Diagnosis Code' },
+    { segment: 'AL1', field: 3, type: 'CWE', name: 'Allergen Code' },
+    { segment: 'IN1', field: 16, type: 'XPN', name: 'Name of Insured' },
+  ]
+  const options = getDataTypeOptions(parsed)
+
+  const checkField = (segment, sequence, field, type, name, value) => {
+    const { isValid, errors } = validateDataType(value, type, options)
+    if (!isValid) {
+      issues.push({
+        category: QUALITY_CATEGORIES.FORMATTING,
+        severity: SEVERITY.MEDIUM,
+        field: `${segment}-${field}`,
+        location: errorLocation(segment, sequence, field, errors),
+        issue: `Invalid ${name} (${type})`,
+        details: describeErrors(errors),
+        recommendation: `Format ${segment}-${field} as an HL7 ${type} value`,
+        penalty: 1,
+      })
+    }
   }
 
-  return { issues, scorePenalty }
+  typedFields.forEach(({ segment, field, type, name }) => {
+    getSegments(parsed, segment).forEach(({ segment: seg, sequence }) => {
+      if (seg.parsed[`field${field}`]) {
+        checkField(segment, sequence, field, type, name, seg.parsed[`field${field}`])
+      }
+    })
+  })
+
+  return { issues }
 }
 
 /**
  * Checks data consistency across segments
  */
-function checkDataConsistency(parsed) {
+function checkDataConsistency(parsed, { valueSets } = {}) {
   const issues = []
-  let scorePenalty = 0
+  const { version } = getDataTypeOptions(parsed)
 
   // Check if PID and PV1 both exist and have consistent patient class
   const pidSegment = parsed.segments.find(s => s.segmentType === 'PID')
-  const pv1Segment = parsed.segments.find(s => s.segmentType === 'PV1')
-
-  if (pidSegment && pv1Segment) {
-    // Check patient class consistency (if applicable)
-    const recommendations = []
-    if (pv1Segment.parsed.field2) {
-      const patientClass = pv1Segment.parsed.field2
-      if (!['I', 'O', 'E', 'P', 'R', 'B', 'N', 'U'].includes(patientClass)) {
-        issues.push({
-          category: QUALITY_CATEGORIES.CONSISTENCY,
-          severity: SEVERITY.MEDIUM,
-          field: 'PV1-2',
-          issue: 'Invalid Patient Class',
-          details: `Patient class "${patientClass}" is not a valid code`,
-          recommendation: 'Use valid codes: I (Inpatient), O (Outpatient), E (Emergency), P (Preadmit), R (Recurring), B (Obstetrics), N (Newborn), U (Unknown)',
-        })
-        scorePenalty += 2
+
+  if (pidSegment) {
+    getSegments(parsed, 'PV1').forEach(({ segment: pv1Segment, sequence }) => {
+      // Check patient class consistency (if applicable)
+      if (pv1Segment.parsed.field2) {
+        const patientClass = pv1Segment.parsed.field2
+        const { isValid, table } = validateCode(patientClass, '0004', { version, valueSets })
+        if (!isValid) {
+          issues.push({
+            category: QUALITY_CATEGORIES.CONSISTENCY,
+            severity: SEVERITY.MEDIUM,
+            field: 'PV1-2',
+            location: { segment: 'PV1', sequence, field: 2 },
+            issue: 'Invalid Patient Class',
+            details: `Patient class "${patientClass}" is not a valid code`,
+            recommendation: `Use valid codes: ${describeCodes(table)}`,
+            penalty: 2,
+          })
+        }
       }
-    }
+    })
   }
 
-  return { issues, scorePenalty }
+  return { issues }
 }
 
 /**
@@ -491,11 +744,9 @@ function checkDataConsistency(parsed) {
  */
 function checkBusinessRules(parsed) {
   const issues = []
-  let scorePenalty = 0
 
   // Check if discharge date is after admit date
-  const pv1Segment = parsed.segments.find(s => s.segmentType === 'PV1')
-  if (pv1Segment) {
+  getSegments(parsed, 'PV1').forEach(({ segment: pv1Segment, sequence }) => {
     const admitDate = pv1Segment.parsed.field44
     const dischargeDate = pv1Segment.parsed.field45
 
@@ -508,18 +759,19 @@ function checkBusinessRules(parsed) {
           category: QUALITY_CATEGORIES.BUSINESS_RULES,
           severity: SEVERITY.HIGH,
           field: 'PV1-44/45',
+          location: { segment: 'PV1', sequence, field: 45 },
+          relatedLocations: [{ segment: 'PV1', sequence, field: 44 }],
           issue: 'Discharge date before admit date',
           details: 'Discharge date should not be earlier than admit date',
           recommendation: 'Verify and correct admit and discharge dates',
+          penalty: 5,
         })
-        scorePenalty += 5
       }
     }
-  }
+  })
 
   // Check if death date is after birth date
-  const pidSegment = parsed.segments.find(s => s.segmentType === 'PID')
-  if (pidSegment) {
+  getSegments(parsed, 'PID').forEach(({ segment: pidSegment, sequence }) => {
     const birthDate = pidSegment.parsed.field7
     const deathDate = pidSegment.parsed.field29
 
@@ -532,44 +784,76 @@ function checkBusinessRules(parsed) {
           category: QUALITY_CATEGORIES.BUSINESS_RULES,
           severity: SEVERITY.HIGH,
           field: 'PID-7/29',
+          location: { segment: 'PID', sequence, field: 29 },
+          relatedLocations: [{ segment: 'PID', sequence, field: 7 }],
           issue: 'Death date before birth date',
           details: 'Death date should not be earlier than birth date',
           recommendation: 'Verify and correct birth and death dates',
+          penalty: 5,
         })
-        scorePenalty += 5
       }
     }
-  }
+  })
 
-  return { issues, scorePenalty }
+  return { issues }
 }
 
 /**
- * Checks version compliance
+ * Checks coded fields against HL7 tables, coding systems and site value sets
  */
-function checkVersionCompliance(parsed) {
+function checkCodeTables(parsed, { valueSets } = {}) {
+  return evaluateCodes(parsed, { valueSets })
+}
+
+/**
+ * Checks version compliance: MSH-12 against table 0104, and valued fields the declared version does not define
+ */
+function checkVersionCompliance(parsed, { valueSets } = {}) {
   const issues = []
-  let scorePenalty = 0
 
   const mshSegment = parsed.segments.find(s => s.segmentType === 'MSH')
   if (mshSegment && mshSegment.parsed.field12) {
     const version = mshSegment.parsed.field12
-    const validVersions = ['2.1', '2.2', '2.3', '2.3.1', '2.4', '2.5', '2.5.1', '2.6', '2.7', '2.8', '2.8.1', '2.8.2']
-    
-    if (!validVersions.includes(version)) {
+
+    if (!validateCode(version, '0104', { valueSets }).isValid) {
       issues.push({
         category: QUALITY_CATEGORIES.COMPLIANCE,
         severity: SEVERITY.MEDIUM,
         field: 'MSH-12',
+        location: { segment: 'MSH', sequence: 1, field: 12 },
         issue: 'Unusual HL7 version',
         details: `Version "${version}" is not a standard HL7 v2.x version`,
         recommendation: 'Verify version ID matches actual message structure (common versions: 2.3, 2.4, 2.5, 2.8)',
+        penalty: 2,
       })
-      scorePenalty += 2
     }
   }
 
-  return { issues, scorePenalty }
+  issues.push(...evaluateFieldVersions(parsed).issues)
+
+  return { issues }
+}
+
+/**
+ * Points an issue at the element of the first data type error
+ */
+function errorLocation(segment, sequence, field, errors) {
+  const [{ repetition, component, subcomponent }] = errors
+  return { segment, sequence, field, repetition, component, subcomponent }
+}
+
+function describeErrors(errors) {
+  return errors.map(error => error.message).join('; ')
+}
+
+/**
+ * Checks the message against the conformance profile chosen in the analysis options
+ */
+function checkProfileConformance(parsed, { profile } = {}) {
+  if (!profile) {
+    return { issues: [] }
+  }
+  return evaluateProfile(parsed, profile)
 }
 
 /**
@@ -578,10 +862,10 @@ function checkVersionCompliance(parsed) {
 export function getSampleADTMessage() {
   return `MSH|^~\\&|SendingApp|SendingFacility|ReceivingApp|ReceivingFacility|20240101120000||ADT^A01^ADT_A01|12345|P|2.5
 EVN|A01|20240101120000|||SendingUserID
-PID|1||MRN123456789^^^HOSPITAL^MR||DOE^JOHN^MIDDLE^JR^^L||19800115|M|||123 MAIN ST^^CITY^ST^12345^USA||555-123-4567|||SSN123456789||DL123456789^STATE^20250101
-NK1|1|SMITH^JANE^M^||WIFE|456 SECOND ST^^CITY^ST^67890^USA|555-987-6543|555-111-2222|||20200101
+PID|1||MRN123456789^^^HOSPITAL^MR||DOE^JOHN^MIDDLE^JR^^L||19800115|M|||123 MAIN ST^^CITY^ST^12345^USA||(555)123-4567||||||123-45-6789|DL123456789^ST^20250101
+NK1|1|SMITH^JANE^M^|SPO^Spouse^HL70063|456 SECOND ST^^CITY^ST^67890^USA|(555)987-6543|(555)111-2222||20200101
 PV1|1|I|ICU^101^A|||123456^DOCTOR^JOHN^MD^^MD|||SUR|||||123456789|||V123456||20240101100000|20240101120000
-OBX|1|NM|HR^Heart Rate^LN||72|/min^beats per minute^UCUM|N|||F|||20240101120000`
+OBX|1|NM|8867-4^Heart Rate^LN||72|/min^beats per minute^UCUM|60-100|N|||F|||20240101120000`
 }
 
 /**
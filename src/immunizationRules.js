@@ -0,0 +1,115 @@
+/**
+ * Immunization Message Rules
+ *
+ * Quality rules for VXU immunization updates: vaccines coded with CVX, lot
+ * number and manufacturer for administered doses, refusal reasons,
+ * administration after birth, and a next of kin for patients who are minors.
+ */
+
+import { QUALITY_CATEGORIES, SEVERITY } from './constants.js'
+import { parseDateTime } from './dataTypes.js'
+import { getSegments, getDataTypeOptions, getComponents, createIssue, sumPenalties } from './messageHelpers.js'
+
+/**
+ * Age, in years, below which a patient is a minor
+ */
+const AGE_OF_MAJORITY = 18
+
+/**
+ * RXA-9.1 code for a dose recorded from another source (NIP001 '01' historical)
+ */
+const HISTORICAL_SOURCE = '01'
+
+/**
+ * Immunization rules, registered as built-in rules after the general rules
+ */
+export const IMMUNIZATION_RULES = [
+  { id: 'immunization-records', name: 'Immunization Records', check: checkImmunizationRecords, category: QUALITY_CATEGORIES.COMPLETENESS, severity: SEVERITY.MEDIUM, penalty: 2, messageTypes: ['VXU'] },
+]
+
+/**
+ * Checks vaccine coding, administered dose details and responsible parties for minors
+ */
+function checkImmunizationRecords(parsed) {
+  const issues = []
+  const { encoding } = getDataTypeOptions(parsed)
+  const pid = parsed.segments.find(s => s.segmentType === 'PID')
+  const mshSegment = parsed.segments.find(s => s.segmentType === 'MSH')
+  const birthValue = getComponents(pid?.parsed.field7, encoding)[0]
+  const birthDate = parseDateTime(birthValue)
+  let latestAdministration = null
+
+  getSegments(parsed, 'RXA').forEach(({ segment: rxa, sequence }) => {
+    const location = field => ({ segment: 'RXA', sequence, field })
+    const vaccine = getComponents(rxa.parsed.field5, encoding)
+    const [completion = ''] = getComponents(rxa.parsed.field20, encoding)
+    const [source = ''] = getComponents(rxa.parsed.field9, encoding)
+    const [administeredValue = ''] = getComponents(rxa.parsed.field3, encoding)
+    const administered = parseDateTime(administeredValue)
+
+    if (vaccine[0] && vaccine[2] !== 'CVX' && vaccine[5] !== 'CVX') {
+      issues.push(createIssue(QUALITY_CATEGORIES.COMPLIANCE, SEVERITY.MEDIUM, { ...location(5), component: 3 },
+        'Vaccine not coded with CVX',
+        `RXA-5 "${vaccine[0]}" is coded with ${vaccine[2] ? `"${vaccine[2]}"` : 'no coding system'} rather than CVX`,
+        'Send the vaccine code from the CDC CVX code set (RXA-5.3 = CVX), optionally with an alternate code'))
+    }
+
+    if (completion === 'RE' && !rxa.parsed.field18) {
+      issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.MEDIUM, location(18),
+        'Missing refusal reason',
+        `RXA #${sequence} records a refused dose (RXA-20 = RE) without a reason in RXA-18`,
+        'Populate RXA-18 with the substance/treatment refusal reason'))
+    }
+
+    // Lot number and manufacturer are expected for doses given by the sender, not for historical records
+    if (['', 'CP', 'PA'].includes(completion) && source !== HISTORICAL_SOURCE) {
+      [
+        { field: 15, name: 'Lot Number', recommendation: 'Populate RXA-15 with the vaccine lot number' },
+        { field: 17, name: 'Manufacturer', recommendation: 'Populate RXA-17 with the MVX manufacturer code' },
+      ].forEach(({ field, name, recommendation }) => {
+        if (!rxa.parsed[`field${field}`]) {
+          issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.LOW, location(field),
+            `Missing Substance ${name}`,
+            `Administered dose in RXA #${sequence} has no ${name.toLowerCase()}`,
+            recommendation))
+        }
+      })
+    }
+
+    if (administered && birthDate && administered < birthDate) {
+      issues.push({
+        ...createIssue(QUALITY_CATEGORIES.BUSINESS_RULES, SEVERITY.HIGH, location(3),
+          'Vaccination before date of birth',
+          `RXA-3 "${administeredValue}" is earlier than the date of birth "${birthValue}"`,
+          'Verify the administration date and the patient\'s date of birth'),
+        relatedLocations: [{ segment: 'PID', sequence: 1, field: 7 }],
+      })
+    }
+    if (administered && (!latestAdministration || administered > latestAdministration)) {
+      latestAdministration = administered
+    }
+  })
+
+  const asOf = latestAdministration || parseDateTime(getComponents(mshSegment?.parsed.field7, encoding)[0])
+  if (birthDate && asOf && ageInYears(birthDate, asOf) < AGE_OF_MAJORITY && !parsed.segments.some(s => s.segmentType === 'NK1')) {
+    issues.push({
+      ...createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.HIGH, { segment: 'NK1' },
+        'Missing next of kin for minor',
+        `The patient is under ${AGE_OF_MAJORITY} but the message has no NK1 segment`,
+        'Add an NK1 segment for the parent or guardian responsible for the patient'),
+      relatedLocations: [{ segment: 'PID', sequence: 1, field: 7 }],
+    })
+  }
+
+  return { issues, scorePenalty: sumPenalties(issues) }
+}
+
+/**
+ * Whole years between a date of birth and a later date
+ */
+function ageInYears(birthDate, asOf) {
+  const years = asOf.getUTCFullYear() - birthDate.getUTCFullYear()
+  const beforeBirthday = asOf.getUTCMonth() < birthDate.getUTCMonth()
+    || (asOf.getUTCMonth() === birthDate.getUTCMonth() && asOf.getUTCDate() < birthDate.getUTCDate())
+  return beforeBirthday ? years - 1 : years
+}
@@ -0,0 +1,203 @@
+/**
+ * Longitudinal Analysis
+ *
+ * Tracks patients (by PID-3) and visits (by PV1-19) across a sequence of
+ * messages and flags inconsistencies no single message can show: demographics
+ * that change between messages, discharges without an admission, duplicate
+ * admissions, visit numbers reused for another patient, and messages whose
+ * MSH-7 is older than one already seen for the patient.
+ */
+
+import { QUALITY_CATEGORIES, SEVERITY } from './constants.js'
+import { parseDateTime } from './dataTypes.js'
+import { parseMessage } from './messageParser.js'
+import { decodeMessage } from './characterSets.js'
+import { indexMessage, resolveIssueLocation } from './messageLocator.js'
+import { getDataTypeOptions, getComponents, getMessageType, getIdentifierKey, createIssue } from './messageHelpers.js'
+import { createMemoryStore } from './longitudinalStores.js'
+import { collectPHIValues, redactIssues } from './deidentification.js'
+import { scoreIssues } from './scoring.js'
+
+const LONGITUDINAL_RULE_ID = 'longitudinal-consistency'
+
+/**
+ * Visit status after each ADT trigger event
+ */
+const VISIT_TRANSITIONS = {
+  A01: 'admitted',
+  A03: 'discharged',
+  A04: 'registered',
+  A05: 'preadmitted',
+  A11: 'cancelled',
+  A13: 'admitted',
+}
+
+/**
+ * Visit statuses from which a discharge (A03) is expected
+ */
+const DISCHARGEABLE_STATUSES = ['admitted', 'registered']
+
+/**
+ * Creates an analyzer that remembers patients and visits between messages
+ * @param {Function} analyze - Single-message analysis function (analyzeDataQuality)
+ * @param {Object} [options] - Analyzer options; other properties are passed to analyze as analysis options
+ * @param {Object} [options.store] - State store (see createMemoryStore, createFileStore, createSQLiteStore);
+ *   defaults to an in-memory store
+ * @returns {Object} Analyzer with analyze(hl7Message) and close() methods
+ */
+export function createLongitudinalAnalyzer(analyze, { store = createMemoryStore(), ...options } = {}) {
+  if (!store || typeof store.get !== 'function' || typeof store.set !== 'function') {
+    throw new Error('Longitudinal store must implement get(namespace, key) and set(namespace, key, value)')
+  }
+
+  /**
+   * Analyzes one message and checks it against the patient and visit history
+   * Messages must be analyzed one at a time, in the order they were received.
+   * @param {string|Uint8Array} hl7Message - The HL7 message to analyze
+   * @returns {Promise<Object>} The analyze result with longitudinal issues added and the scores recalculated,
+   *   plus patientKey and visitKey (null when the message has no PID-3 or PV1-19)
+   */
+  async function analyzeMessage(hl7Message) {
+    const result = analyze(hl7Message, options)
+    if (!result.isValid) {
+      return { ...result, patientKey: null, visitKey: null }
+    }
+
+    const { text } = decodeMessage(hl7Message)
+    const parsed = parseMessage(text)
+    const { issues: historyIssues, patientKey, visitKey, priorValues } = await checkHistory(parsed, store)
+    const messageIndex = indexMessage(text)
+    historyIssues.forEach(issue => {
+      issue.location = resolveIssueLocation(issue, messageIndex)
+    })
+    // Issues also quote identifiers and dates of birth recorded from earlier messages
+    const issues = options.redact
+      ? redactIssues(historyIssues, [...collectPHIValues(parsed), patientKey, visitKey, ...priorValues].filter(Boolean))
+      : historyIssues
+
+    return {
+      ...result,
+      ...scoreIssues([...result.issues, ...issues], options.scoring),
+      patientKey,
+      visitKey,
+    }
+  }
+
+  async function close() {
+    if (typeof store.close === 'function') {
+      await store.close()
+    }
+  }
+
+  return { analyze: analyzeMessage, close }
+}
+
+async function checkHistory(parsed, store) {
+  const issues = []
+  const { encoding } = getDataTypeOptions(parsed)
+  const msh = parsed.segments.find(s => s.segmentType === 'MSH')
+  const pid = parsed.segments.find(s => s.segmentType === 'PID')
+  const pv1 = parsed.segments.find(s => s.segmentType === 'PV1')
+  const patientKey = pid ? getIdentifierKey(pid.parsed.field3, encoding, true) : null
+  const visitKey = pv1 ? getIdentifierKey(pv1.parsed.field19, encoding) : null
+  const priorValues = []
+  if (!patientKey) {
+    return { issues, patientKey, visitKey, priorValues }
+  }
+
+  const [timestampValue = ''] = getComponents(msh?.parsed.field7, encoding)
+  const message = { controlId: msh?.parsed.field10 || null, timestamp: timestampValue || null }
+  const timestamp = parseDateTime(timestampValue)
+  const [dateOfBirth = ''] = getComponents(pid.parsed.field7, encoding)
+  const [sex = ''] = getComponents(pid.parsed.field8, encoding)
+
+  const patient = await store.get('patients', patientKey)
+  priorValues.push(patient?.dateOfBirth)
+  const outOfOrder = Boolean(patient && timestamp && parseDateTime(patient.lastMessage.timestamp) > timestamp)
+  if (patient) {
+    if (outOfOrder) {
+      issues.push(historyIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.MEDIUM, { segment: 'MSH', sequence: 1, field: 7 },
+        'Message out of order',
+        `MSH-7 "${timestampValue}" is earlier than "${patient.lastMessage.timestamp}" of a message already received for patient ${patientKey}`,
+        'Deliver messages for a patient in the order they occurred, or resequence them before processing',
+        patient.lastMessage))
+    }
+    if (dateOfBirth && patient.dateOfBirth && dateOfBirth.substring(0, 8) !== patient.dateOfBirth.substring(0, 8)) {
+      issues.push(historyIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.HIGH, { segment: 'PID', sequence: 1, field: 7 },
+        'Date of birth changed',
+        `Patient ${patientKey} had date of birth "${patient.dateOfBirth}" in an earlier message and "${dateOfBirth}" now`,
+        'Verify the patient\'s date of birth and whether PID-3 identifies the same person',
+        patient.lastMessage))
+    }
+    if (sex && patient.sex && sex !== patient.sex) {
+      issues.push(historyIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.MEDIUM, { segment: 'PID', sequence: 1, field: 8 },
+        'Administrative sex changed',
+        `Patient ${patientKey} had administrative sex "${patient.sex}" in an earlier message and "${sex}" now`,
+        'Verify the patient\'s administrative sex and whether PID-3 identifies the same person',
+        patient.lastMessage))
+    }
+  }
+  // A late message must not overwrite demographics recorded from newer ones
+  if (!outOfOrder) {
+    await store.set('patients', patientKey, {
+      dateOfBirth: dateOfBirth || patient?.dateOfBirth || null,
+      sex: sex || patient?.sex || null,
+      lastMessage: message,
+    })
+  }
+
+  if (visitKey) {
+    const visit = await checkVisit(issues, parsed, store, { patientKey, visitKey, message, outOfOrder })
+    priorValues.push(visit?.patientKey)
+  }
+
+  return { issues, patientKey, visitKey, priorValues }
+}
+
+async function checkVisit(issues, parsed, store, { patientKey, visitKey, message, outOfOrder }) {
+  const { code, trigger } = getMessageType(parsed)
+  const visit = await store.get('visits', visitKey)
+  const location = { segment: 'PV1', sequence: 1, field: 19 }
+
+  if (visit && visit.patientKey !== patientKey) {
+    issues.push(historyIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.HIGH, location,
+      'Visit number reused for another patient',
+      `Visit ${visitKey} belonged to patient ${visit.patientKey} in an earlier message and to patient ${patientKey} now`,
+      'Verify the visit number in PV1-19 and the patient identifiers in PID-3',
+      visit.lastMessage))
+  }
+  if (code !== 'ADT') {
+    return visit
+  }
+  if (trigger === 'A03' && !DISCHARGEABLE_STATUSES.includes(visit?.status)) {
+    issues.push(historyIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.MEDIUM, location,
+      'Discharge without prior admission',
+      visit
+        ? `Visit ${visitKey} is being discharged but its last known status is ${visit.status}`
+        : `Visit ${visitKey} is being discharged but no admission or registration has been received for it`,
+      'Check for a missing A01/A04 message or a wrong visit number',
+      visit?.lastMessage || null))
+  }
+  if (trigger === 'A01' && visit?.status === 'admitted') {
+    issues.push(historyIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.MEDIUM, location,
+      'Duplicate admission',
+      `Visit ${visitKey} is already admitted`,
+      'Send updates to an admitted visit as A08, or discharge (A03) or cancel (A11) the earlier admission first',
+      visit.lastMessage))
+  }
+
+  // Likewise a late message must not roll the visit back to an earlier status
+  if (!outOfOrder) {
+    const status = VISIT_TRANSITIONS[trigger] || visit?.status || null
+    await store.set('visits', visitKey, { patientKey, status, lastMessage: message })
+  }
+  return visit
+}
+
+function historyIssue(category, severity, location, issue, details, recommendation, relatedMessage) {
+  return {
+    ruleId: LONGITUDINAL_RULE_ID,
+    ...createIssue(category, severity, location, issue, details, recommendation),
+    relatedMessage,
+  }
+}
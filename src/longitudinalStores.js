@@ -0,0 +1,126 @@
+/**
+ * Longitudinal State Stores
+ *
+ * Key-value stores for the patient, visit and message history kept by the
+ * longitudinal analyzer. Every store exposes the same async interface, so a
+ * site can plug in its own (e.g. Redis) by implementing get, set and clear.
+ */
+
+/**
+ * Creates a store that keeps state in memory for the life of the process
+ * @returns {Object} Store with get(namespace, key), set(namespace, key, value) and clear()
+ */
+export function createMemoryStore() {
+  const namespaces = new Map()
+
+  return {
+    async get(namespace, key) {
+      return namespaces.get(namespace)?.get(key) ?? null
+    },
+    async set(namespace, key, value) {
+      if (!namespaces.has(namespace)) {
+        namespaces.set(namespace, new Map())
+      }
+      namespaces.get(namespace).set(key, value)
+    },
+    async clear() {
+      namespaces.clear()
+    },
+  }
+}
+
+/**
+ * Creates a store persisted as a JSON file
+ * The file is read on first use and written by flush() and close(); a missing file starts empty.
+ * @param {string} filePath - Path of the JSON state file
+ * @returns {Object} Store with get, set, clear, flush() and close()
+ */
+export function createFileStore(filePath) {
+  if (typeof filePath !== 'string' || filePath === '') {
+    throw new Error('File store requires a file path')
+  }
+  let state = null
+  let dirty = false
+
+  async function load() {
+    if (state) {
+      return state
+    }
+    const { readFile } = await import('fs/promises')
+    try {
+      state = JSON.parse(await readFile(filePath, 'utf8'))
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Cannot read state file ${filePath}: ${error.message}`)
+      }
+      state = {}
+    }
+    return state
+  }
+
+  async function flush() {
+    if (!dirty) {
+      return
+    }
+    const { writeFile, rename } = await import('fs/promises')
+    // Write to a temporary file first so an interrupted write never leaves a truncated state file
+    const temporaryPath = `${filePath}.tmp`
+    await writeFile(temporaryPath, JSON.stringify(state))
+    await rename(temporaryPath, filePath)
+    dirty = false
+  }
+
+  return {
+    async get(namespace, key) {
+      const data = await load()
+      return data[namespace]?.[key] ?? null
+    },
+    async set(namespace, key, value) {
+      const data = await load()
+      data[namespace] = data[namespace] || {}
+      data[namespace][key] = value
+      dirty = true
+    },
+    async clear() {
+      state = {}
+      dirty = true
+    },
+    flush,
+    close: flush,
+  }
+}
+
+/**
+ * Creates a store in a SQLite table
+ * Works with any synchronous SQLite handle exposing exec() and prepare() with get()/run(),
+ * such as node:sqlite DatabaseSync or better-sqlite3.
+ * @param {Object} database - Open SQLite database handle
+ * @param {Object} [options] - Store options
+ * @param {string} [options.table='hl7_longitudinal_state'] - Table name (created if missing)
+ * @returns {Object} Store with get, set and clear
+ */
+export function createSQLiteStore(database, { table = 'hl7_longitudinal_state' } = {}) {
+  if (!database || typeof database.prepare !== 'function' || typeof database.exec !== 'function') {
+    throw new Error('SQLite store requires a database handle with prepare() and exec()')
+  }
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
+    throw new Error(`Invalid table name "${table}"`)
+  }
+
+  database.exec(`CREATE TABLE IF NOT EXISTS ${table} (namespace TEXT NOT NULL, key TEXT NOT NULL, value TEXT NOT NULL, PRIMARY KEY (namespace, key))`)
+  const select = database.prepare(`SELECT value FROM ${table} WHERE namespace = ? AND key = ?`)
+  const upsert = database.prepare(`INSERT INTO ${table} (namespace, key, value) VALUES (?, ?, ?) ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value`)
+
+  return {
+    async get(namespace, key) {
+      const row = select.get(namespace, key)
+      return row ? JSON.parse(row.value) : null
+    },
+    async set(namespace, key, value) {
+      upsert.run(namespace, key, JSON.stringify(value))
+    },
+    async clear() {
+      database.exec(`DELETE FROM ${table}`)
+    },
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * Message Helpers
+ *
+ * Small accessors over a parsed message shared by the quality rules: segment
+ * occurrences and groups, the message type from MSH-9, identifier keys, and
+ * the version and encoding characters declared in MSH. Also builds issues for
+ * rules whose penalties follow issue severity.
+ */
+
+import { SEVERITY_PENALTIES } from './constants.js'
+import { getEncodingCharacters } from './messageParser.js'
+
+/**
+ * Gets every occurrence of a segment type with its 1-based sequence number
+ * @param {Object} parsed - Parsed HL7 message
+ * @param {string} segmentType - Segment ID, e.g. 'OBX'
+ * @returns {Array} { segment, sequence } for each occurrence
+ */
+export function getSegments(parsed, segmentType) {
+  return parsed.segments
+    .filter(s => s.segmentType === segmentType)
+    .map((segment, index) => ({ segment, sequence: index + 1 }))
+}
+
+/**
+ * Gets the version and encoding characters data type validation needs from MSH
+ * @param {Object} parsed - Parsed HL7 message
+ * @returns {Object} { version, encoding: { field, component, repetition, escape, subcomponent, truncation } }
+ */
+export function getDataTypeOptions(parsed) {
+  const mshSegment = parsed.segments.find(s => s.segmentType === 'MSH')
+  return {
+    version: mshSegment?.parsed.field12,
+    encoding: parsed.encoding || getEncodingCharacters(`MSH${mshSegment?.parsed.field1 || '|'}${mshSegment?.parsed.field2 || '^~\\&'}`),
+  }
+}
+
+/**
+ * Parses an HL7 version such as MSH-12 '2.5.1' into its numeric parts
+ * @param {string} version - Version, optionally followed by components (e.g. '2.5^USA')
+ * @returns {Array<number>|null} [major, minor] or [major, minor, patch], or null when it is not a version
+ */
+export function parseVersion(version) {
+  const match = /^(\d+)\.(\d+)(?:\.(\d+))?/.exec(String(version || '').split('^')[0])
+  return match ? match.slice(1).filter(Boolean).map(Number) : null
+}
+
+/**
+ * Compares two versions from parseVersion, missing parts counting as 0
+ * @param {Array<number>} a - First version
+ * @param {Array<number>} b - Second version
+ * @returns {number} Negative when a is earlier than b, 0 when they are equal, positive when a is later
+ */
+export function compareVersions(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const difference = (a[i] || 0) - (b[i] || 0)
+    if (difference !== 0) {
+      return difference
+    }
+  }
+  return 0
+}
+
+/**
+ * Gets the message type from MSH-9 (falling back to the parser's messageType)
+ * @param {Object} parsed - Parsed HL7 message
+ * @returns {Object} { code, trigger, structure }, e.g. { code: 'ORU', trigger: 'R01', structure: 'ORU_R01' }
+ */
+export function getMessageType(parsed) {
+  const mshSegment = parsed.segments.find(s => s.segmentType === 'MSH')
+  const { encoding } = getDataTypeOptions(parsed)
+  const [code = '', trigger = '', structure = ''] = String(mshSegment?.parsed.field9 || parsed.messageType || '').split(encoding.component)
+  return { code, trigger, structure }
+}
+
+/**
+ * Checks whether a message matches any of a list of message types
+ * @param {Object} parsed - Parsed HL7 message
+ * @param {Array<string>} messageTypes - Message codes ('ORU'), code^trigger ('ORU^R01') or structures ('ORU_R01')
+ * @returns {boolean} True if any entry matches
+ */
+export function matchesMessageType(parsed, messageTypes) {
+  const { code, trigger, structure } = getMessageType(parsed)
+  return messageTypes.some(messageType => (
+    messageType === code || messageType === `${code}^${trigger}` || (structure !== '' && messageType === structure)
+  ))
+}
+
+/**
+ * Splits a field value into the components of its first repetition
+ * @param {*} value - Raw field value
+ * @param {Object} encoding - Encoding characters from getDataTypeOptions
+ * @returns {Array<string>} Components (empty array for an empty field)
+ */
+export function getComponents(value, encoding) {
+  if (value === undefined || value === null || value === '') {
+    return []
+  }
+  return String(value).split(encoding.repetition)[0].split(encoding.component)
+}
+
+/**
+ * Builds a stable key for an entity from a CX identifier list, qualified by its assigning authority
+ * @param {*} value - Raw CX field value, e.g. PID-3 or PV1-19
+ * @param {Object} encoding - Encoding characters from getDataTypeOptions
+ * @param {boolean} [preferRecordNumber=false] - Use the MR (medical record number) identifier when present
+ * @returns {string|null} 'id^authority' (or 'id' without an authority), null when no identifier is valued
+ */
+export function getIdentifierKey(value, encoding, preferRecordNumber = false) {
+  if (!value) {
+    return null
+  }
+  const entries = String(value).split(encoding.repetition)
+    .map(repetition => repetition.split(encoding.component))
+    .filter(([id]) => id)
+  const entry = (preferRecordNumber && entries.find(components => components[4] === 'MR')) || entries[0]
+  if (!entry) {
+    return null
+  }
+  const [id, , , authority] = entry
+  return authority ? `${id}^${authority}` : id
+}
+
+/**
+ * Groups segments under the parent segment that precedes them, e.g. OBR/RXE under ORC
+ * Child segments before the first parent form a group whose parent is null.
+ * @param {Object} parsed - Parsed HL7 message
+ * @param {string} parentType - Segment ID that starts a group
+ * @param {Array<string>} childTypes - Segment IDs collected into the current group
+ * @returns {Array} { parent, children } where parent and each child are { segment, sequence }
+ */
+export function groupSegments(parsed, parentType, childTypes) {
+  const groups = []
+  const occurrences = {}
+  let current = null
+
+  parsed.segments.forEach(segment => {
+    const { segmentType } = segment
+    occurrences[segmentType] = (occurrences[segmentType] || 0) + 1
+    const entry = { segment, sequence: occurrences[segmentType] }
+    if (segmentType === parentType) {
+      current = { parent: entry, children: [] }
+      groups.push(current)
+    } else if (childTypes.includes(segmentType)) {
+      if (!current) {
+        current = { parent: null, children: [] }
+        groups.push(current)
+      }
+      current.children.push(entry)
+    }
+  })
+  return groups
+}
+
+/**
+ * Builds a quality issue whose field reference is derived from its location
+ * and whose penalty follows its severity
+ * @param {string} category - Category from QUALITY_CATEGORIES
+ * @param {string} severity - Severity from SEVERITY
+ * @param {Object} location - { segment, sequence, field, component }
+ * @param {string} issue - Short issue title
+ * @param {string} details - What was found
+ * @param {string} recommendation - How to fix it
+ * @returns {Object} Quality issue
+ */
+export function createIssue(category, severity, location, issue, details, recommendation) {
+  const { segment, field, component } = location
+  return {
+    category,
+    severity,
+    field: field ? `${segment}-${field}${component ? `.${component}` : ''}` : segment,
+    location,
+    issue,
+    details,
+    recommendation,
+    penalty: SEVERITY_PENALTIES[severity] || 0,
+  }
+}
+
+/**
+ * Sums the severity-based score penalties of a list of issues
+ * @param {Array} issues - Quality issues
+ * @returns {number} Total penalty (see SEVERITY_PENALTIES)
+ */
+export function sumPenalties(issues) {
+  return issues.reduce((total, issue) => total + (SEVERITY_PENALTIES[issue.severity] || 0), 0)
+}
@@ -0,0 +1,219 @@
+/**
+ * Message Locator
+ *
+ * Maps structured issue locations (segment, occurrence, field, repetition,
+ * component, subcomponent) to character offsets in the raw HL7 message.
+ */
+
+import { getEncodingCharacters } from './messageParser.js'
+
+/**
+ * Indexes the segments and fields of a raw message
+ * @param {string} hl7Message - Raw HL7 message
+ * @returns {Object} { text, delimiters, segments } where each segment has
+ *   segment, sequence (1-based occurrence), start, end and fields (field number -> { start, end })
+ */
+export function indexMessage(hl7Message) {
+  const text = String(hl7Message || '')
+  const delimiters = getEncodingCharacters(text)
+
+  const segments = []
+  const occurrences = {}
+  const terminator = /\r\n|\r|\n/g
+  let lineStart = 0
+  let match
+
+  do {
+    match = terminator.exec(text)
+    const lineEnd = match ? match.index : text.length
+    if (lineEnd > lineStart && text.substring(lineStart, lineEnd).trim() !== '') {
+      segments.push(indexSegment(text, lineStart, lineEnd, delimiters.field, occurrences))
+    }
+    lineStart = match ? match.index + match[0].length : text.length
+  } while (match)
+
+  return { text, delimiters, segments }
+}
+
+/**
+ * Resolves a structured location to character offsets
+ * @param {Object} index - Result of indexMessage
+ * @param {Object} location - { segment, sequence, field, repetition, component, subcomponent } (1-based positions)
+ * @returns {Object|null} { start, end } offsets (end exclusive), zero-width where an element is absent,
+ *   or null when the segment does not occur in the message
+ */
+export function locateInMessage(index, location) {
+  if (!location || !location.segment) {
+    return null
+  }
+  const candidates = index.segments.filter(s => s.segment === location.segment)
+  const segment = candidates[(location.sequence || 1) - 1]
+  if (!segment) {
+    return null
+  }
+  if (!location.field) {
+    return { start: segment.start, end: segment.end }
+  }
+
+  let span = segment.fields[location.field]
+  if (!span) {
+    return { start: segment.end, end: segment.end }
+  }
+  // MSH-1 and MSH-2 hold the delimiters themselves and have no inner structure
+  if (location.segment === 'MSH' && location.field <= 2) {
+    return span
+  }
+
+  const { delimiters, text } = index
+  if (location.repetition) {
+    span = subSpan(text, span, delimiters.repetition, location.repetition)
+  } else if (location.component || location.subcomponent) {
+    span = subSpan(text, span, delimiters.repetition, 1)
+  }
+  if (location.component) {
+    span = subSpan(text, span, delimiters.component, location.component)
+  }
+  if (location.subcomponent) {
+    span = subSpan(text, span, delimiters.subcomponent, location.subcomponent)
+  }
+  return span
+}
+
+/**
+ * Finds the element that contains a character offset
+ * @param {Object} index - Result of indexMessage
+ * @param {number} start - Character offset in the raw message
+ * @param {number} [end=start+1] - End offset (exclusive)
+ * @returns {Object|null} Location of the innermost element holding the offset, with the given start and end,
+ *   or null when the offset lies outside every segment (e.g. in a segment terminator)
+ */
+export function locateOffset(index, start, end = start + 1) {
+  const segment = index.segments.find(s => start >= s.start && start < s.end)
+  if (!segment) {
+    return null
+  }
+  const location = createLocation({ segment: segment.segment, sequence: segment.sequence, start, end })
+  const fieldNumber = Object.keys(segment.fields).map(Number)
+    .find(number => start >= segment.fields[number].start && start < segment.fields[number].end)
+  if (!fieldNumber) {
+    return location
+  }
+  location.field = fieldNumber
+  if (segment.segment === 'MSH' && fieldNumber <= 2) {
+    return location
+  }
+
+  // Count the delimiters between the start of the field and the offset
+  const { delimiters, text } = index
+  let repetition = 1
+  let component = 1
+  let subcomponent = 1
+  for (let i = segment.fields[fieldNumber].start; i < start; i++) {
+    if (text[i] === delimiters.repetition) {
+      repetition++
+      component = 1
+      subcomponent = 1
+    } else if (text[i] === delimiters.component) {
+      component++
+      subcomponent = 1
+    } else if (text[i] === delimiters.subcomponent) {
+      subcomponent++
+    }
+  }
+  return { ...location, repetition, component, subcomponent }
+}
+
+/**
+ * Parses an issue field reference such as 'PID-7', 'PID-5.1', 'PV1-44/45' or 'PID'
+ * Only the first field of a multi-field reference is used.
+ * @param {string} field - Issue field reference
+ * @returns {Object|null} Location without offsets, or null if the reference is not a segment/field
+ */
+export function parseFieldReference(field) {
+  const match = /^([A-Z][A-Z0-9]{2})(?:-(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:\/\d+)*)?$/.exec(field || '')
+  if (!match) {
+    return null
+  }
+  const [, segment, fieldNumber, component, subcomponent] = match
+  return createLocation({
+    segment,
+    field: fieldNumber ? Number(fieldNumber) : null,
+    component: component ? Number(component) : null,
+    subcomponent: subcomponent ? Number(subcomponent) : null,
+  })
+}
+
+/**
+ * Fills in a complete location, with offsets, for an issue
+ * Issues without a location get one derived from their field reference.
+ * @param {Object} issue - Quality issue
+ * @param {Object} index - Result of indexMessage
+ * @returns {Object|null} Location with start/end offsets, or null when the issue has no segment reference
+ */
+export function resolveIssueLocation(issue, index) {
+  const location = issue.location ? createLocation(issue.location) : parseFieldReference(issue.field)
+  if (!location) {
+    return null
+  }
+  if (location.segment && location.sequence === null && index.segments.some(s => s.segment === location.segment)) {
+    location.sequence = 1
+  }
+  if (location.start === null) {
+    const span = locateInMessage(index, location)
+    if (span) {
+      location.start = span.start
+      location.end = span.end
+    }
+  }
+  return location
+}
+
+/**
+ * Builds a location with every property present (null when not applicable)
+ */
+export function createLocation({ segment = null, sequence = null, field = null, repetition = null, component = null, subcomponent = null, start = null, end = null }) {
+  return { segment, sequence, field, repetition, component, subcomponent, start, end }
+}
+
+function indexSegment(text, start, end, fieldSeparator, occurrences) {
+  const segment = text.substring(start, start + 3)
+  occurrences[segment] = (occurrences[segment] || 0) + 1
+  const fields = {}
+
+  // Field 0 is the segment ID; for MSH the first separator is MSH-1 itself
+  let fieldNumber = 0
+  let fieldStart = start
+  for (let i = start; i <= end; i++) {
+    if (i === end || text[i] === fieldSeparator) {
+      if (fieldNumber > 0) {
+        fields[fieldNumber] = { start: fieldStart, end: i }
+      }
+      if (segment === 'MSH' && fieldNumber === 0 && i < end) {
+        fields[1] = { start: i, end: i + 1 }
+        fieldNumber = 1
+      }
+      fieldNumber++
+      fieldStart = i + 1
+    }
+  }
+
+  return { segment, sequence: occurrences[segment], start, end, fields }
+}
+
+/**
+ * Finds the span of the nth (1-based) delimited part within a span
+ */
+function subSpan(text, span, delimiter, n) {
+  let partStart = span.start
+  let part = 1
+  for (let i = span.start; i <= span.end; i++) {
+    if (i === span.end || text[i] === delimiter) {
+      if (part === n) {
+        return { start: partStart, end: i }
+      }
+      part++
+      partStart = i + 1
+    }
+  }
+  return { start: span.end, end: span.end }
+}
@@ -0,0 +1,312 @@
+/**
+ * Message Parser
+ *
+ * The message model every check works on, independent of any parser package.
+ * The built-in parser reads the delimiters from MSH-1/MSH-2, accepts CR, LF
+ * and CRLF segment terminators, and exposes each field both as its raw
+ * (escaped) text in parsed.fieldN and structurally as repetitions, components
+ * and subcomponents. Another parser can be plugged in through an adapter; its
+ * output is normalized to the same model.
+ */
+
+/**
+ * Delimiters used when a message does not declare its own
+ */
+export const DEFAULT_ENCODING = {
+  field: '|',
+  component: '^',
+  repetition: '~',
+  escape: '\\',
+  subcomponent: '&',
+  truncation: null,
+}
+
+const HEADER_SEGMENTS = ['MSH', 'BHS', 'FHS']
+
+let parserAdapter = null
+
+/**
+ * Plugs in another parser
+ * @param {Object|null} adapter - { parse(hl7Message), validate(hl7Message) }: parse returns an object with
+ *   segments[] of { segmentType, parsed: { field1, field2, ... } }; the optional validate returns { isValid, errors }.
+ *   Pass null to go back to the built-in parser.
+ */
+export function setParserAdapter(adapter) {
+  if (adapter !== null && (!adapter || typeof adapter.parse !== 'function')) {
+    throw new Error('Parser adapter must provide a parse(hl7Message) function')
+  }
+  if (adapter && adapter.validate !== undefined && typeof adapter.validate !== 'function') {
+    throw new Error('Parser adapter validate must be a function')
+  }
+  parserAdapter = adapter
+}
+
+/**
+ * Builds an adapter for a module with the hl7-parser interface
+ * @param {Object} parser - Module exporting parseHL7Message and validateHL7Message, e.g. await import('hl7-parser')
+ * @returns {Object} Adapter for setParserAdapter
+ */
+export function createHL7ParserAdapter({ parseHL7Message, validateHL7Message }) {
+  if (typeof parseHL7Message !== 'function') {
+    throw new Error('Parser module must export parseHL7Message')
+  }
+  return {
+    parse: parseHL7Message,
+    validate: typeof validateHL7Message === 'function' ? validateHL7Message : undefined,
+  }
+}
+
+/**
+ * Reads the delimiters a message declares in its first MSH, BHS or FHS segment
+ * @param {string} hl7Message - Raw HL7 message
+ * @returns {Object} { field, component, repetition, escape, subcomponent, truncation }; an undeclared
+ *   escape or truncation character is null
+ */
+export function getEncodingCharacters(hl7Message) {
+  const text = String(hl7Message || '').replace(/^[\s\u000b\ufeff]+/, '')
+  if (!HEADER_SEGMENTS.includes(text.substring(0, 3)) || text.length < 4) {
+    return { ...DEFAULT_ENCODING }
+  }
+  const field = text.charAt(3)
+  const declared = text.substring(4).split(field)[0].split(/[\r\n]/)[0]
+  return readEncodingField(field, declared)
+}
+
+/**
+ * Splits a message into its segments, accepting CR, LF and CRLF terminators and skipping blank lines
+ * @param {string} hl7Message - Raw HL7 message
+ * @returns {Array<string>} Segment text without terminators
+ */
+export function splitSegments(hl7Message) {
+  return String(hl7Message || '')
+    .split(/\r\n|\r|\n/)
+    .filter(line => line.trim() !== '')
+}
+
+/**
+ * Checks that a message can be parsed: an MSH segment with valid delimiters and well-formed segment IDs
+ * @param {string} hl7Message - Raw HL7 message
+ * @returns {Object} { isValid, errors }
+ */
+export function validateMessage(hl7Message) {
+  if (parserAdapter && parserAdapter.validate) {
+    return parserAdapter.validate(hl7Message)
+  }
+
+  const errors = []
+  if (typeof hl7Message !== 'string' || hl7Message.trim() === '') {
+    return { isValid: false, errors: ['Message is empty'] }
+  }
+  const segments = splitSegments(hl7Message)
+  if (!segments[0].startsWith('MSH')) {
+    errors.push('Message must start with an MSH segment')
+    return { isValid: false, errors }
+  }
+
+  const fieldSeparator = segments[0].charAt(3)
+  const declared = segments[0].substring(4).split(fieldSeparator)[0]
+  if (fieldSeparator === '' || /[A-Za-z0-9\s]/.test(fieldSeparator)) {
+    errors.push('MSH-1 must be a field separator character, such as "|"')
+  } else if (declared.length < 4 || declared.length > 5) {
+    errors.push(`MSH-2 must declare 4 encoding characters (5 with a truncation character), found "${declared}"`)
+  } else if (new Set([fieldSeparator, ...declared]).size !== declared.length + 1 || /[A-Za-z0-9\s]/.test(declared)) {
+    errors.push(`MSH-2 encoding characters "${declared}" must be distinct punctuation characters, different from the field separator`)
+  }
+
+  segments.forEach((segment, index) => {
+    const segmentType = segment.substring(0, 3)
+    if (!/^[A-Z][A-Z0-9]{2}$/.test(segmentType) || (segment.length > 3 && segment.charAt(3) !== fieldSeparator)) {
+      errors.push(`Segment ${index + 1} does not start with a valid segment ID: "${segment.substring(0, 10)}"`)
+    }
+  })
+
+  return { isValid: errors.length === 0, errors }
+}
+
+/**
+ * Parses a message into the model used by the quality checks
+ * @param {string} hl7Message - Raw HL7 message
+ * @returns {Object} { segments, messageType, totalSegments, encoding } where each segment has segmentType, raw,
+ *   parsed (field1 ... fieldN raw text, as in hl7-parser) and fields (fields[n] is an array of repetitions,
+ *   each an array of components, each an array of subcomponents; raw text at the leaves)
+ */
+export function parseMessage(hl7Message) {
+  if (parserAdapter) {
+    return normalizeParsedMessage(parserAdapter.parse(hl7Message), hl7Message)
+  }
+
+  const encoding = getEncodingCharacters(hl7Message)
+  const segments = splitSegments(hl7Message).map(line => {
+    const values = line.split(encoding.field)
+    const segmentType = values[0]
+    const parsed = {}
+    if (HEADER_SEGMENTS.includes(segmentType)) {
+      // MSH-1 is the field separator itself, so MSH-2 is the first value after the segment ID
+      parsed.field1 = encoding.field
+      values.slice(1).forEach((value, index) => {
+        parsed[`field${index + 2}`] = value
+      })
+    } else {
+      values.slice(1).forEach((value, index) => {
+        parsed[`field${index + 1}`] = value
+      })
+    }
+    return { segmentType, raw: line, parsed, fields: structureFields(segmentType, parsed, encoding) }
+  })
+
+  return buildMessage(segments, encoding)
+}
+
+/**
+ * Gets the unescaped text of one element of a parsed segment
+ * @param {Object} segment - Segment from parseMessage
+ * @param {number} field - Field number
+ * @param {Object} [position] - 1-based { repetition, component, subcomponent }, each defaulting to 1
+ * @param {Object} [encoding] - Delimiters (the parsed message's encoding)
+ * @returns {string} Unescaped text, '' when the element is absent
+ */
+export function getFieldValue(segment, field, { repetition = 1, component = 1, subcomponent = 1 } = {}, encoding = DEFAULT_ENCODING) {
+  const value = segment?.fields?.[field]?.[repetition - 1]?.[component - 1]?.[subcomponent - 1]
+  return value === undefined ? '' : unescapeValue(value, encoding)
+}
+
+/**
+ * Replaces escape sequences with the text they stand for
+ * Handles \F\ \S\ \T\ \R\ \E\ (and \P\ for the truncation character), \Xhh...\ hex data (read as UTF-8)
+ * and drops the \H\ and \N\ highlighting markers. Formatting commands such as \.br\ are kept.
+ * @param {string} value - Escaped text of a single element
+ * @param {Object} [encoding] - Delimiters
+ * @returns {string} Unescaped text
+ */
+export function unescapeValue(value, encoding = DEFAULT_ENCODING) {
+  const text = String(value ?? '')
+  const { escape } = encoding
+  if (!escape || !text.includes(escape)) {
+    return text
+  }
+  const delimiters = {
+    F: encoding.field,
+    S: encoding.component,
+    T: encoding.subcomponent,
+    R: encoding.repetition,
+    E: escape,
+    P: encoding.truncation,
+  }
+  const sequence = new RegExp(`${escapeRegExp(escape)}([^${escapeRegExp(escape)}\\r\\n]*)${escapeRegExp(escape)}`, 'g')
+  return text.replace(sequence, (match, content) => {
+    if (delimiters[content]) {
+      return delimiters[content]
+    }
+    if (content === 'H' || content === 'N') {
+      return ''
+    }
+    if (/^X(?:[0-9A-Fa-f]{2})+$/.test(content)) {
+      return decodeHex(content.substring(1))
+    }
+    return match
+  })
+}
+
+/**
+ * Escapes delimiter characters in text so it can be placed in a single element
+ * @param {string} text - Unescaped text
+ * @param {Object} [encoding] - Delimiters
+ * @returns {string} Escaped text
+ */
+export function escapeValue(text, encoding = DEFAULT_ENCODING) {
+  const value = String(text ?? '')
+  if (!encoding.escape) {
+    return value
+  }
+  const sequences = {
+    [encoding.escape]: 'E',
+    [encoding.field]: 'F',
+    [encoding.component]: 'S',
+    [encoding.subcomponent]: 'T',
+    [encoding.repetition]: 'R',
+  }
+  if (encoding.truncation) {
+    sequences[encoding.truncation] = 'P'
+  }
+  return [...value].map(character => (
+    sequences[character] ? `${encoding.escape}${sequences[character]}${encoding.escape}` : character
+  )).join('')
+}
+
+/**
+ * Brings the output of an adapter to the built-in model: fills in encoding, fields, messageType and totalSegments
+ */
+function normalizeParsedMessage(parsed, hl7Message) {
+  if (!parsed || !Array.isArray(parsed.segments)) {
+    throw new Error('Parser adapter must return an object with a segments array')
+  }
+  const header = parsed.segments.find(segment => HEADER_SEGMENTS.includes(segment.segmentType))
+  const encoding = header?.parsed?.field1 && typeof header.parsed.field2 === 'string'
+    ? readEncodingField(header.parsed.field1, header.parsed.field2)
+    : getEncodingCharacters(hl7Message)
+
+  const segments = parsed.segments.map(segment => {
+    const fields = segment.parsed || {}
+    return {
+      ...segment,
+      parsed: fields,
+      fields: segment.fields || structureFields(segment.segmentType, fields, encoding),
+    }
+  })
+  const message = buildMessage(segments, encoding)
+  return { ...parsed, ...message, messageType: parsed.messageType || message.messageType }
+}
+
+function buildMessage(segments, encoding) {
+  const msh = segments.find(segment => segment.segmentType === 'MSH')
+  return {
+    segments,
+    messageType: msh?.parsed.field9 || 'Unknown',
+    totalSegments: segments.length,
+    encoding,
+  }
+}
+
+function structureFields(segmentType, parsed, encoding) {
+  const fields = []
+  Object.entries(parsed).forEach(([key, value]) => {
+    const match = /^field(\d+)$/.exec(key)
+    if (!match) {
+      return
+    }
+    const number = Number(match[1])
+    const text = value === undefined || value === null ? '' : String(value)
+    // The delimiter fields of a header segment are not split
+    fields[number] = HEADER_SEGMENTS.includes(segmentType) && number <= 2
+      ? [[[text]]]
+      : text.split(encoding.repetition).map(repetition => (
+        repetition.split(encoding.component).map(component => component.split(encoding.subcomponent))
+      ))
+  })
+  return fields
+}
+
+function readEncodingField(field, declared) {
+  return {
+    field,
+    component: declared.charAt(0) || DEFAULT_ENCODING.component,
+    repetition: declared.charAt(1) || DEFAULT_ENCODING.repetition,
+    escape: declared.charAt(2) || null,
+    subcomponent: declared.charAt(3) || DEFAULT_ENCODING.subcomponent,
+    truncation: declared.charAt(4) || null,
+  }
+}
+
+function decodeHex(hex) {
+  const bytes = new Uint8Array(hex.match(/../g).map(pair => parseInt(pair, 16)))
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes)
+  } catch (error) {
+    // Not UTF-8: read the bytes as ISO 8859-1
+    return String.fromCharCode(...bytes)
+  }
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
@@ -0,0 +1,477 @@
+/**
+ * Message Structures
+ *
+ * Bundled HL7 v2.3 to v2.8 message structure definitions for common message
+ * types, keyed by MSH-9.3 (ADT_A01, ORU_R01, ...). A message is matched
+ * against the definition for its declared version to find segments out of
+ * order, outside their group, repeated beyond what the structure allows or
+ * not part of the structure at all, and the required segments it lacks.
+ * Field counts and withdrawn fields of common segments catch fields the
+ * declared version does not have.
+ */
+
+import { QUALITY_CATEGORIES, SEVERITY } from './constants.js'
+import { createIssue, getDataTypeOptions, getMessageType, parseVersion, compareVersions } from './messageHelpers.js'
+import { STANDARD_SEGMENTS } from './segmentSchemas.js'
+
+const PATIENT_ADMIT = 'MSH [{SFT@2.5}] [UAC@2.7] EVN PID [PD1] [{ARV@2.6}] [{ROL}] [{PRT@2.7}] [{NK1}] PV1 [PV2] [{ARV@2.6}] [{ROL}] [{PRT@2.7}] [{DB1}] [{OBX}] [{AL1}] [{DG1}] [DRG] [{PROCEDURE: PR1 [{ROL}] [{PRT@2.7}]}] [{GT1}] [{INSURANCE: IN1 [IN2] [{IN3}] [{ROL}] [{PRT@2.7}]}] [ACC] [UB1] [UB2]'
+const PATIENT_ORDER = '[PATIENT: PID [PD1] [{NTE}] [{NK1}] [PATIENT_VISIT: PV1 [PV2]] [{INSURANCE: IN1 [IN2] [IN3]}] [GT1] [{AL1}]]'
+
+/**
+ * Abstract message syntax of each bundled structure, by the version it applies from
+ * [ ] marks an optional and { } a repeating element, NAME: names a group, <A|B> is a choice
+ * and @version marks a segment or group added in that version.
+ */
+export const MESSAGE_STRUCTURES = {
+  ACK: {
+    '2.3': 'MSH [{SFT@2.5}] [UAC@2.7] MSA [{ERR}]',
+  },
+  ADT_A01: {
+    '2.3': `${PATIENT_ADMIT} [PDA@2.5]`,
+  },
+  ADT_A02: {
+    '2.3': 'MSH [{SFT@2.5}] [UAC@2.7] EVN PID [PD1] [{ARV@2.6}] [{ROL}] [{PRT@2.7}] PV1 [PV2] [{ARV@2.6}] [{ROL}] [{PRT@2.7}] [{DB1}] [{OBX}] [PDA@2.5]',
+  },
+  ADT_A03: {
+    '2.3': 'MSH [{SFT@2.5}] [UAC@2.7] EVN PID [PD1] [{ARV@2.6}] [{ROL}] [{PRT@2.7}] [{NK1}] PV1 [PV2] [{ARV@2.6}] [{ROL}] [{PRT@2.7}] [{DB1}] [{AL1}] [{DG1}] [DRG] [{PROCEDURE: PR1 [{ROL}] [{PRT@2.7}]}] [{OBX}] [{GT1}] [{INSURANCE: IN1 [IN2] [{IN3}] [{ROL}] [{PRT@2.7}]}] [ACC] [PDA@2.5]',
+  },
+  ADT_A05: {
+    '2.3': PATIENT_ADMIT,
+  },
+  ADT_A39: {
+    '2.3': 'MSH [{SFT@2.5}] [UAC@2.7] EVN {PATIENT: PID [PD1] MRG [PV1]}',
+  },
+  ORU_R01: {
+    '2.3': 'MSH [{SFT@2.5}] [UAC@2.7] {PATIENT_RESULT: [PATIENT: PID [PD1] [{PRT@2.7}] [{NTE}] [{NK1}] [VISIT: PV1 [PV2] [{PRT@2.7}]]] {ORDER_OBSERVATION: [ORC] OBR [{NTE}] [{PRT@2.7}] [{TIMING_QTY@2.5: TQ1 [{TQ2}]}] [CTD] [{OBSERVATION: OBX [{PRT@2.7}] [{NTE}]}] [{FT1}] [{CTI}] [{SPECIMEN@2.5: SPM [{OBX}]}]}} [DSC]',
+  },
+  ORM_O01: {
+    '2.3': `MSH [{SFT@2.5}] [UAC@2.7] [{NTE}] ${PATIENT_ORDER} {ORDER: ORC [ORDER_DETAIL: <OBR|RQD|RQ1|RXO|ODS|ODT> [{NTE}] [CTD] [{DG1}] [{OBSERVATION: OBX [{NTE}]}]] [{FT1}] [{CTI}] [BLG]}`,
+  },
+  OML_O21: {
+    '2.4': `MSH [{SFT@2.5}] [UAC@2.7] [{NTE}] ${PATIENT_ORDER} {ORDER: ORC [{TIMING@2.5: TQ1 [{TQ2}]}] [OBSERVATION_REQUEST: OBR [TCD] [{NTE}] [CTD] [{DG1}] [{OBSERVATION: OBX [TCD] [{NTE}]}] [{SPECIMEN@2.5: SPM [{OBX}] [{CONTAINER: SAC [{OBX}]}]}]] [{FT1}] [{CTI}] [BLG]}`,
+  },
+  SIU_S12: {
+    '2.3': 'MSH [{SFT@2.5}] [UAC@2.7] SCH [{TQ1@2.5}] [{NTE}] [{PATIENT: PID [PD1] [PV1] [PV2] [{OBX}] [{DG1}]}] {RESOURCES: RGS [{SERVICE: AIS [{NTE}]}] [{GENERAL_RESOURCE: AIG [{NTE}]}] [{LOCATION_RESOURCE: AIL [{NTE}]}] [{PERSONNEL_RESOURCE: AIP [{NTE}]}]}',
+  },
+  RDE_O11: {
+    '2.3': `MSH [{SFT@2.5}] [UAC@2.7] [{NTE}] ${PATIENT_ORDER} {ORDER: ORC [{TIMING@2.5: TQ1 [{TQ2}]}] [ORDER_DETAIL: RXO [{NTE}] {RXR} [{COMPONENT: RXC [{NTE}]}]] RXE [{NTE}] {TIMING_ENCODED@2.5: TQ1 [{TQ2}]} {RXR} [{RXC}] [{OBSERVATION: OBX [{NTE}]}] [{FT1}] [BLG] [{CTI}]}`,
+  },
+  RAS_O17: {
+    '2.3': 'MSH [{SFT@2.5}] [UAC@2.7] [{NTE}] [PATIENT: PID [PD1] [{NTE}] [{AL1}] [PATIENT_VISIT: PV1 [PV2]]] {ORDER: ORC [{TIMING@2.5: TQ1 [{TQ2}]}] [ORDER_DETAIL: RXO [{NTE}] [{RXR}] [{COMPONENT: RXC [{NTE}]}]] [ENCODING: RXE {TIMING_ENCODED@2.5: TQ1 [{TQ2}]} {RXR} [{RXC}]] {ADMINISTRATION: {RXA} RXR [{OBSERVATION: OBX [{NTE}]}]} [{CTI}]}',
+  },
+  VXU_V04: {
+    '2.3': 'MSH PID [PD1] [{NK1}] [PATIENT: PV1 [PV2]] [{GT1}] [{INSURANCE: IN1 [IN2] [IN3]}] [{ORDER: [ORC] RXA [RXR] [{OBSERVATION: OBX [{NTE}]}]}]',
+    '2.5': 'MSH [{SFT}] [UAC@2.7] PID [PD1] [{NK1}] [PATIENT: PV1 [PV2]] [{GT1}] [{INSURANCE: IN1 [IN2] [IN3]}] [{ORDER: ORC [{TIMING: TQ1 [{TQ2}]}] RXA [RXR] [{OBSERVATION: OBX [{NTE}]}]}]',
+  },
+}
+
+/**
+ * Structure of each message type and trigger event, for messages that leave MSH-9.3 empty
+ */
+export const EVENT_STRUCTURES = {
+  ACK: 'ACK',
+  'ADT^A01': 'ADT_A01',
+  'ADT^A04': 'ADT_A01',
+  'ADT^A08': 'ADT_A01',
+  'ADT^A13': 'ADT_A01',
+  'ADT^A02': 'ADT_A02',
+  'ADT^A03': 'ADT_A03',
+  'ADT^A05': 'ADT_A05',
+  'ADT^A14': 'ADT_A05',
+  'ADT^A28': 'ADT_A05',
+  'ADT^A31': 'ADT_A05',
+  'ADT^A39': 'ADT_A39',
+  'ADT^A40': 'ADT_A39',
+  'ADT^A41': 'ADT_A39',
+  'ADT^A42': 'ADT_A39',
+  'ORU^R01': 'ORU_R01',
+  'ORM^O01': 'ORM_O01',
+  'OML^O21': 'OML_O21',
+  ...Object.fromEntries(Array.from({ length: 15 }, (value, index) => [`SIU^S${12 + index}`, 'SIU_S12'])),
+  'RDE^O01': 'RDE_O11',
+  'RDE^O11': 'RDE_O11',
+  'RAS^O01': 'RAS_O17',
+  'RAS^O17': 'RAS_O17',
+  'VXU^V04': 'VXU_V04',
+}
+
+/**
+ * Fields of common segments by version: the field count from each version on (null where it is not
+ * bundled), and fields withdrawn from a version on with where their content belongs instead
+ */
+export const SEGMENT_FIELDS = {
+  MSH: { counts: { '2.3': 19, '2.3.1': 20, '2.4': 21, '2.7': 25 } },
+  EVN: { counts: { '2.3': 6, '2.4': 7 } },
+  PID: {
+    counts: { '2.3': 30, '2.4': 38, '2.5': 39, '2.7': 40 },
+    withdrawn: {
+      2: { version: '2.7', replacement: 'PID-3' },
+      4: { version: '2.7', replacement: 'PID-3' },
+      12: { version: '2.7', replacement: 'the county of PID-11 (component 9)' },
+      19: { version: '2.7', replacement: 'PID-3 with identifier type SS' },
+      20: { version: '2.7', replacement: 'PID-3 with identifier type DL' },
+    },
+  },
+  PV1: { counts: { '2.3': 52, '2.6': null } },
+  OBX: { counts: { '2.3': 17, '2.4': 19, '2.5.1': 25, '2.7': null } },
+}
+
+/**
+ * Quality rules contributed by this module
+ */
+export const MESSAGE_STRUCTURE_RULES = [
+  { id: 'message-structure', name: 'Message Structure', check: checkMessageStructure, category: QUALITY_CATEGORIES.COMPLIANCE, severity: SEVERITY.MEDIUM, penalty: 2 },
+]
+
+// Batch and file envelopes are not part of any message structure
+const ENVELOPE_SEGMENTS = ['BHS', 'BTS', 'FHS', 'FTS']
+
+const definitions = new Map()
+const validations = new WeakMap()
+
+/**
+ * Validates the segment order, group nesting and repetitions of a parsed message against its bundled structure
+ * The structure is taken from MSH-9.3, or from MSH-9 code and trigger event when MSH-9.3 is empty, in its
+ * definition for the version in MSH-12 (the latest one when no version is declared). Z-segments and other
+ * non-standard segments are left to the segment-schemas rule.
+ * @param {Object} parsed - Parsed HL7 message
+ * @returns {Object} { structure, version, issues, missing }: structure is null when none is bundled for the message,
+ *   issues reports misplaced, repeated and unexpected segments, and missing lists required segments that were
+ *   not found as { segment, group, before } (group is null outside groups; before is the { segment, sequence }
+ *   the missing segment belongs in front of, null at the end of the message)
+ */
+export function validateMessageStructure(parsed) {
+  if (validations.has(parsed)) {
+    return validations.get(parsed)
+  }
+  const result = { structure: null, version: null, issues: [], missing: [] }
+  validations.set(parsed, result)
+
+  const { code, trigger, structure: declaredStructure } = getMessageType(parsed)
+  const structure = declaredStructure || EVENT_STRUCTURES[`${code}^${trigger}`] || EVENT_STRUCTURES[code]
+  const declared = parseVersion(getDataTypeOptions(parsed).version)
+  const definition = getDefinition(structure, declared)
+  if (!definition) {
+    return result
+  }
+  result.structure = structure
+  result.version = declared ? declared.join('.') : null
+
+  const occurrences = {}
+  const segments = []
+  parsed.segments.forEach(({ segmentType }) => {
+    occurrences[segmentType] = (occurrences[segmentType] || 0) + 1
+    if (STANDARD_SEGMENTS.has(segmentType) && !ENVELOPE_SEGMENTS.includes(segmentType)) {
+      segments.push({ id: segmentType, sequence: occurrences[segmentType] })
+    }
+  })
+
+  const { misplaced, missing } = matchSegments(definition, segments)
+  const label = result.version ? `${structure} (v${result.version})` : structure
+  misplaced.forEach(({ entry, count, previous, repeated }) => {
+    const { id } = entry
+    const location = { segment: id, sequence: entry.sequence }
+    if (repeated) {
+      result.issues.push(createIssue(QUALITY_CATEGORIES.COMPLIANCE, SEVERITY.MEDIUM, location,
+        `Repeated ${id} segment`,
+        `${label} allows one ${id} at this position, found ${count + 1}`,
+        `Send a single ${id} segment at this position`))
+    } else if (!definition.groupsBySegment.has(id)) {
+      result.issues.push(createIssue(QUALITY_CATEGORIES.COMPLIANCE, SEVERITY.MEDIUM, location,
+        `Unexpected ${id} segment`,
+        `${id} is not part of ${label}${count > 1 ? ` (${count} consecutive segments)` : ''}`,
+        `Remove ${id}, or send it in a message structure that defines it`))
+    } else {
+      const groups = [...definition.groupsBySegment.get(id)].filter(Boolean)
+      result.issues.push(createIssue(QUALITY_CATEGORIES.COMPLIANCE, SEVERITY.MEDIUM, location,
+        `${id} segment out of order`,
+        `${id}${groups.length > 0 ? ` (${groups.join(' or ')} group)` : ''} cannot follow ${previous ? previous.id : 'the start of the message'} in ${label}`,
+        `Move ${id} to its position in the ${structure} structure`))
+    }
+  })
+
+  // A required segment sent in the wrong place is reported as out of order rather than missing: either it was
+  // skipped as misplaced, or it comes after segments it should precede (e.g. OBX before its OBR)
+  const seen = new Set()
+  result.missing = missing.filter(({ segment, group, position }) => {
+    const ids = segment.split('/')
+    const early = segments[position]
+    if (early && segments.slice(position).some(({ id }) => ids.includes(id))) {
+      const key = `${early.id}|${early.sequence}`
+      if (!seen.has(key)) {
+        seen.add(key)
+        const groups = [...definition.groupsBySegment.get(early.id)].filter(Boolean)
+        result.issues.push(createIssue(QUALITY_CATEGORIES.COMPLIANCE, SEVERITY.MEDIUM, { segment: early.id, sequence: early.sequence },
+          `${early.id} segment out of order`,
+          `${early.id}${groups.length > 0 ? ` (${groups.join(' or ')} group)` : ''} cannot precede ${segment}${group ? ` of its ${group} group` : ''} in ${label}`,
+          `Move ${early.id} after the ${segment} segment it belongs to`))
+      }
+      return false
+    }
+    const key = `${segment}|${group}`
+    if (seen.has(key) || misplaced.some(({ entry }) => ids.includes(entry.id))) {
+      return false
+    }
+    seen.add(key)
+    return true
+  }).map(({ segment, group, position }) => ({ segment, group, before: segments[position] ? { segment: segments[position].id, sequence: segments[position].sequence } : null }))
+  return result
+}
+
+/**
+ * Reports valued fields that the declared version does not define or has withdrawn (see SEGMENT_FIELDS)
+ * @param {Object} parsed - Parsed HL7 message
+ * @returns {Object} { issues }
+ */
+export function evaluateFieldVersions(parsed) {
+  const issues = []
+  const declared = parseVersion(getDataTypeOptions(parsed).version)
+  if (!declared) {
+    return { issues }
+  }
+  const version = declared.join('.')
+
+  const occurrences = {}
+  parsed.segments.forEach(segment => {
+    const { segmentType } = segment
+    occurrences[segmentType] = (occurrences[segmentType] || 0) + 1
+    const fields = SEGMENT_FIELDS[segmentType]
+    if (!fields) {
+      return
+    }
+    const fieldCount = getForVersion(fields.counts, declared) ?? null
+
+    Object.entries(segment.parsed).forEach(([key, value]) => {
+      if (value === undefined || value === null || String(value) === '') {
+        return
+      }
+      const field = Number(key.replace(/^field/, ''))
+      const fieldId = `${segmentType}-${field}`
+      const location = { segment: segmentType, sequence: occurrences[segmentType], field }
+      const withdrawn = fields.withdrawn?.[field]
+
+      if (fieldCount !== null && field > fieldCount) {
+        issues.push(createIssue(QUALITY_CATEGORIES.COMPLIANCE, SEVERITY.MEDIUM, location,
+          `${fieldId} not defined in v${version}`,
+          `${segmentType} has ${fieldCount} fields in HL7 v${version}, but ${fieldId} is valued`,
+          `Leave ${fieldId} empty, or declare the version the message follows in MSH-12`))
+      } else if (withdrawn && compareVersions(declared, parseVersion(withdrawn.version)) >= 0) {
+        issues.push(createIssue(QUALITY_CATEGORIES.COMPLIANCE, SEVERITY.MEDIUM, location,
+          `Withdrawn field ${fieldId}`,
+          `${fieldId} was withdrawn in HL7 v${withdrawn.version}, but it is valued in a v${version} message`,
+          `Send this information in ${withdrawn.replacement} instead`))
+      }
+    })
+  })
+
+  return { issues }
+}
+
+/**
+ * Checks the message against its bundled structure; missing segments are reported by required-segments
+ */
+function checkMessageStructure(parsed) {
+  return { issues: validateMessageStructure(parsed).issues }
+}
+
+/**
+ * Gets the parsed definition of a structure for a version (null when none is bundled)
+ */
+function getDefinition(structure, declared) {
+  const grammar = MESSAGE_STRUCTURES[structure] && getForVersion(MESSAGE_STRUCTURES[structure], declared)
+  if (!grammar) {
+    return null
+  }
+  const key = `${structure}|${declared ? declared.join('.') : ''}`
+  if (!definitions.has(key)) {
+    definitions.set(key, parseStructure(structure, grammar, declared))
+  }
+  return definitions.get(key)
+}
+
+/**
+ * Picks the entry of a by-version map that applies to a version: the latest one when no version is given
+ */
+function getForVersion(byVersion, declared) {
+  const versions = Object.keys(byVersion)
+    .map(version => ({ version, parts: parseVersion(version) }))
+    .sort((a, b) => compareVersions(a.parts, b.parts))
+    .filter(({ parts }) => !declared || compareVersions(parts, declared) <= 0)
+  return versions.length > 0 ? byVersion[versions[versions.length - 1].version] : undefined
+}
+
+/**
+ * Parses abstract message syntax into a tree of segment and group nodes, leaving out elements added after
+ * the version. Each group gets the segment IDs that start it and that can start each of its remaining children.
+ */
+function parseStructure(structure, grammar, declared) {
+  const tokens = grammar.match(/[[\]{}<>|]|[A-Z][A-Z0-9_]*(?:@[\d.]+)?:|[A-Z][A-Z0-9]{2}(?:@[\d.]+)?/g)
+  let index = 0
+
+  const isIncluded = since => !since || !declared || compareVersions(parseVersion(since), declared) <= 0
+
+  function parseSequence(closing) {
+    const nodes = []
+    while (index < tokens.length && tokens[index] !== closing) {
+      const node = parseElement()
+      if (node) {
+        nodes.push(node)
+      }
+    }
+    index++
+    return nodes
+  }
+
+  function parseElement() {
+    const token = tokens[index++]
+    if (token === '[' || token === '{') {
+      const [name, since] = /:$/.test(tokens[index]) ? tokens[index++].slice(0, -1).split('@') : []
+      const children = parseSequence(token === '[' ? ']' : '}')
+      if (children.length === 0 || !isIncluded(since)) {
+        return null
+      }
+      const node = !name && children.length === 1
+        ? children[0]
+        : { type: 'group', name: name || 'GROUP', children, optional: false, repeating: false }
+      return token === '[' ? { ...node, optional: true } : { ...node, repeating: true }
+    }
+
+    const ids = []
+    if (token === '<') {
+      while (index < tokens.length && tokens[index] !== '>') {
+        const option = tokens[index++]
+        if (option !== '|') {
+          ids.push(option)
+        }
+      }
+      index++
+    } else {
+      const [id, since] = token.split('@')
+      if (!isIncluded(since)) {
+        return null
+      }
+      ids.push(id)
+    }
+    return { type: 'segment', ids, optional: false, repeating: false }
+  }
+
+  const root = { type: 'group', name: structure, children: parseSequence(), optional: false, repeating: false }
+  prepareGroup(root)
+
+  const groupsBySegment = new Map()
+  const collect = (group, groupName) => group.children.forEach(node => {
+    if (node.type === 'group') {
+      collect(node, node.name)
+      return
+    }
+    node.ids.forEach(id => {
+      if (!groupsBySegment.has(id)) {
+        groupsBySegment.set(id, new Set())
+      }
+      groupsBySegment.get(id).add(groupName)
+    })
+  })
+  collect(root, null)
+  return { root, groupsBySegment }
+}
+
+/**
+ * Stores on each group the IDs that start it (headIds), that start it when its first required element is
+ * missing (startIds), and that can start each child or any child after it (laterIds)
+ */
+function prepareGroup(group) {
+  group.children.filter(node => node.type === 'group').forEach(prepareGroup)
+  group.headIds = getStartIds(group.children, false)
+  group.startIds = getStartIds(group.children, true)
+  group.laterIds = []
+  let later = new Set()
+  for (let i = group.children.length - 1; i >= 0; i--) {
+    const node = group.children[i]
+    later = new Set([...later, ...(node.type === 'group' ? node.startIds : node.ids)])
+    group.laterIds[i] = later
+  }
+}
+
+function getStartIds(nodes, lenient) {
+  const ids = new Set()
+  let skipped = false
+  for (const node of nodes) {
+    ;(node.type === 'group' ? getStartIds(node.children, lenient) : node.ids).forEach(id => ids.add(id))
+    if (!node.optional) {
+      if (!lenient || skipped) {
+        break
+      }
+      skipped = true
+    }
+  }
+  return ids
+}
+
+/**
+ * Matches message segments against a structure, skipping over segments that fit nowhere ahead
+ */
+function matchSegments({ root }, segments) {
+  const misplaced = []
+  const missing = []
+  let position = 0
+  let lastMatched = null
+
+  const current = () => segments[position]
+  const isAhead = (id, idSets) => idSets.some(ids => ids.has(id))
+
+  function skipMisplaced(idSets) {
+    while (position < segments.length && !isAhead(current().id, idSets)) {
+      const entry = current()
+      const previous = segments[position - 1]
+      let count = 0
+      while (position < segments.length && current().id === entry.id) {
+        count++
+        position++
+      }
+      const repeated = Boolean(lastMatched) && lastMatched.id === entry.id && !lastMatched.repeating && previous?.id === entry.id
+      misplaced.push({ entry, count, previous, repeated })
+    }
+  }
+
+  function matchSequence(group, follow) {
+    const groupName = group === root ? null : group.name
+    group.children.forEach((node, index) => {
+      skipMisplaced([group.laterIds[index], ...follow])
+      const nodeFollow = group.laterIds[index + 1] ? [group.laterIds[index + 1], ...follow] : follow
+      if (node.type === 'group') {
+        matchGroup(node, nodeFollow)
+      } else if (position < segments.length && node.ids.includes(current().id)) {
+        do {
+          lastMatched = { id: current().id, repeating: node.repeating }
+          position++
+        } while (node.repeating && position < segments.length && node.ids.includes(current().id))
+      } else if (!node.optional) {
+        missing.push({ segment: node.ids.join('/'), group: groupName, position })
+      }
+    })
+  }
+
+  function matchGroup(group, follow) {
+    let count = 0
+    while (position < segments.length && (count === 0 ? group.startIds : group.headIds).has(current().id)) {
+      const start = position
+      matchSequence(group, group.repeating ? [...follow, group.headIds] : follow)
+      count++
+      if (!group.repeating || position === start) {
+        break
+      }
+    }
+    if (count === 0 && !group.optional) {
+      missing.push({ segment: getFirstRequired(group), group: group.name, position })
+    }
+  }
+
+  matchSequence(root, [])
+  skipMisplaced([])
+  return { misplaced, missing }
+}
+
+function getFirstRequired(group) {
+  const node = group.children.find(child => !child.optional) || group.children[0]
+  return node.type === 'group' ? getFirstRequired(node) : node.ids.join('/')
+}
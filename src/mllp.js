@@ -0,0 +1,400 @@
+/**
+ * MLLP Server and Client
+ *
+ * A validating MLLP listener for quality gating in front of an interface:
+ * every framed message is analyzed and acknowledged, passing messages can be
+ * forwarded to a downstream MLLP endpoint, and failing ones quarantined to
+ * disk. The client sends framed messages and resolves with the ACK, so the
+ * whole flow can be exercised on localhost. Node.js only: 'net' and 'fs' are
+ * loaded when a server or connection is started.
+ */
+
+import { QUALITY_CATEGORIES, SEVERITY } from './constants.js'
+import { createAcknowledgement } from './acknowledgements.js'
+import { decodeMessage, getDeclaredCharacterSet, CHARACTER_SETS } from './characterSets.js'
+import { getEncodingCharacters } from './messageParser.js'
+
+const START_BLOCK = 0x0b
+const END_BLOCK = 0x1c
+const CARRIAGE_RETURN = 0x0d
+const FORWARD_RULE_ID = 'mllp-forward'
+const MIN_SCORE_RULE_ID = 'mllp-min-score'
+const PROCESSING_RULE_ID = 'mllp-processing'
+
+let quarantineCounter = 0
+
+/**
+ * Starts an MLLP server that analyzes, acknowledges and routes every message it receives
+ * Messages from one connection are handled in order, so ACKs are returned in the order the messages arrived.
+ * @param {Function} analyze - analyzeDataQuality(hl7Message, options)
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port=0] - Port to listen on (0 picks a free port)
+ * @param {string} [options.host='127.0.0.1'] - Address to listen on
+ * @param {Object} [options.analysis] - Analysis options (see analyzeDataQuality)
+ * @param {Object} [options.acknowledgement] - Acknowledgement options (see createAcknowledgement)
+ * @param {number} [options.minScore] - Also fail messages scoring below this; they are acknowledged with an error
+ *   (AE/CE) and an ERR naming the threshold
+ * @param {Object} [options.forward] - Downstream endpoint { host, port, timeout } passing messages are sent to;
+ *   its ACK is relayed to the sender
+ * @param {string} [options.quarantineDir] - Directory failing messages are written to, with a .json file holding the result
+ * @param {number} [options.maxMessageBytes=16777216] - Connections sending a larger message are closed
+ * @param {Function} [options.onMessage] - Called with { action, code, result, ack, remoteAddress, quarantinePath, error }
+ *   for every message; action is 'accepted', 'forwarded', 'rejected', 'quarantined', 'undelivered' (forwarding
+ *   failed and there is no quarantine directory) or 'failed' (analysis or quarantine threw; the sender gets an
+ *   error ACK with code 207)
+ * @param {Function} [options.onError] - Called with connection and handler errors
+ * @returns {Promise<Object>} Server with host, port and close()
+ */
+export async function startMLLPServer(analyze, {
+  port = 0,
+  host = '127.0.0.1',
+  analysis = {},
+  acknowledgement = {},
+  minScore = null,
+  forward = null,
+  quarantineDir = null,
+  maxMessageBytes = 16 * 1024 * 1024,
+  onMessage = () => {},
+  onError = () => {},
+} = {}) {
+  const net = await import('net')
+  const downstream = forward ? createMLLPClient({ maxMessageBytes, ...forward }) : null
+  const sockets = new Set()
+
+  async function handleMessage(bytes, remoteAddress) {
+    const event = { action: null, code: null, result: null, ack: null, remoteAddress, quarantinePath: null, error: null }
+    try {
+      await routeMessage(bytes, event)
+    } catch (error) {
+      // Always answer, so the sender keeps the message instead of waiting for an ACK that never comes
+      const issues = [...(event.result?.issues || []), processingIssue(error)]
+      const failed = createAcknowledgement(bytes, { issues }, { ...acknowledgement, rejectAt: null, errorAt: SEVERITY.CRITICAL })
+      Object.assign(event, { ack: failed.message, code: failed.code, error, action: 'failed' })
+      onError(error)
+    }
+    onMessage(event)
+    return event.ack
+  }
+
+  async function routeMessage(bytes, event) {
+    const result = analyze(bytes, analysis)
+    const { message: ack, code } = createAcknowledgement(bytes, result, acknowledgement)
+    const accepted = /^[AC]A$/.test(code)
+    const belowMinScore = minScore !== null && result.overallScore < minScore
+    const passed = accepted && !belowMinScore
+    Object.assign(event, { code, result, ack })
+
+    if (accepted && belowMinScore) {
+      // The message only failed the score gate: the ACK must not tell the sender it was accepted
+      const gated = createAcknowledgement(bytes, { ...result, issues: [...result.issues, minScoreIssue(result.overallScore, minScore)] },
+        { ...acknowledgement, rejectAt: null, errorAt: SEVERITY.CRITICAL })
+      Object.assign(event, { ack: gated.message, code: gated.code })
+    }
+
+    if (passed && downstream) {
+      try {
+        event.ack = await downstream.send(bytes)
+        event.action = 'forwarded'
+      } catch (error) {
+        // Acknowledge with an error so the sender keeps the message, and keep a copy
+        const failed = createAcknowledgement(bytes, { ...result, issues: [...result.issues, deliveryIssue(error, forward)] },
+          { ...acknowledgement, rejectAt: null, errorAt: SEVERITY.CRITICAL })
+        Object.assign(event, { ack: failed.message, code: failed.code, error, action: quarantineDir ? 'quarantined' : 'undelivered' })
+        if (quarantineDir) {
+          event.quarantinePath = await quarantine(quarantineDir, bytes, { reason: 'forward-failed', ...event })
+        }
+      }
+    } else if (passed) {
+      event.action = 'accepted'
+    } else if (quarantineDir) {
+      event.action = 'quarantined'
+      event.quarantinePath = await quarantine(quarantineDir, bytes, { reason: 'quality-gate', ...event })
+    } else {
+      event.action = 'rejected'
+    }
+  }
+
+  const server = net.createServer(socket => {
+    sockets.add(socket)
+    const reader = createFrameReader(maxMessageBytes)
+    let queue = Promise.resolve()
+
+    socket.on('data', chunk => {
+      let messages
+      try {
+        messages = reader.push(chunk)
+      } catch (error) {
+        onError(error)
+        socket.destroy()
+        return
+      }
+      messages.forEach(bytes => {
+        queue = queue
+          .then(() => handleMessage(bytes, socket.remoteAddress))
+          .then(ack => {
+            if (ack && !socket.destroyed) {
+              socket.write(frameMessage(ack))
+            }
+          })
+          .catch(onError)
+      })
+    })
+    socket.on('error', onError)
+    socket.on('close', () => sockets.delete(socket))
+  })
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, host, () => {
+      server.off('error', reject)
+      resolve()
+    })
+  })
+  server.on('error', onError)
+
+  return {
+    host,
+    port: server.address().port,
+    async close() {
+      sockets.forEach(socket => socket.destroy())
+      await new Promise(resolve => server.close(() => resolve()))
+      if (downstream) {
+        await downstream.close()
+      }
+    },
+  }
+}
+
+/**
+ * Creates an MLLP client that sends messages over one connection and resolves with their ACKs
+ * The connection is opened on the first send and reopened after an error; sends are queued so
+ * each waits for the previous ACK.
+ * @param {Object} options - Client options
+ * @param {number} options.port - Port of the MLLP endpoint
+ * @param {string} [options.host='127.0.0.1'] - Host of the MLLP endpoint
+ * @param {number} [options.timeout=10000] - Milliseconds to wait for a connection or an ACK
+ * @param {number} [options.maxMessageBytes=16777216] - Largest ACK accepted
+ * @returns {Object} Client with send(hl7Message) resolving with the ACK text, and close()
+ */
+export function createMLLPClient({ port, host = '127.0.0.1', timeout = 10000, maxMessageBytes = 16 * 1024 * 1024 } = {}) {
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error('MLLP client requires a port between 1 and 65535')
+  }
+  let socket = null
+  let reader = null
+  let pending = null
+  let queue = Promise.resolve()
+
+  function fail(error) {
+    if (pending) {
+      clearTimeout(pending.timer)
+      pending.reject(error)
+      pending = null
+    }
+  }
+
+  async function connect() {
+    if (socket && !socket.destroyed && socket.writable) {
+      return socket
+    }
+    const net = await import('net')
+    reader = createFrameReader(maxMessageBytes)
+    const connection = net.createConnection({ host, port })
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        connection.destroy()
+        reject(new Error(`Timed out connecting to ${host}:${port}`))
+      }, timeout)
+      connection.once('connect', () => {
+        clearTimeout(timer)
+        resolve()
+      })
+      connection.once('error', error => {
+        clearTimeout(timer)
+        reject(error)
+      })
+    })
+
+    connection.on('data', chunk => {
+      let acks
+      try {
+        acks = reader.push(chunk)
+      } catch (error) {
+        fail(error)
+        connection.destroy()
+        if (socket === connection) {
+          socket = null
+        }
+        return
+      }
+      acks.forEach(bytes => {
+        if (pending) {
+          clearTimeout(pending.timer)
+          pending.resolve(decodeMessage(bytes).text)
+          pending = null
+        }
+      })
+    })
+    connection.on('error', fail)
+    connection.on('close', () => {
+      fail(new Error(`Connection to ${host}:${port} closed before an ACK was received`))
+      if (socket === connection) {
+        socket = null
+      }
+    })
+    socket = connection
+    return socket
+  }
+
+  async function exchange(hl7Message) {
+    const connection = await connect()
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        fail(new Error(`Timed out waiting for an ACK from ${host}:${port}`))
+        connection.destroy()
+        if (socket === connection) {
+          socket = null
+        }
+      }, timeout)
+      pending = { resolve, reject, timer }
+      connection.write(frameMessage(hl7Message))
+    })
+  }
+
+  return {
+    send(hl7Message) {
+      const result = queue.then(() => exchange(hl7Message))
+      queue = result.catch(() => {})
+      return result
+    },
+    async close() {
+      await queue
+      if (socket) {
+        const connection = socket
+        socket = null
+        // A destroyed socket never calls back from end()
+        if (!connection.destroyed) {
+          await new Promise(resolve => connection.end(resolve))
+        }
+      }
+    },
+  }
+}
+
+/**
+ * Wraps a message in an MLLP frame: <VT> message <FS><CR>
+ * Strings are encoded in the character set MSH-18 declares (ISO 8859-1 for ASCII and 8859/1, UTF-8 otherwise)
+ * with LF and CRLF segment terminators converted to CR; bytes are framed as they are.
+ * @param {string|Uint8Array} hl7Message - Message to frame
+ * @returns {Buffer} Framed bytes
+ */
+export function frameMessage(hl7Message) {
+  const bytes = typeof hl7Message === 'string' ? encodeMessage(hl7Message.replace(/\r\n|\n/g, '\r')) : hl7Message
+  return Buffer.concat([Buffer.from([START_BLOCK]), Buffer.from(bytes), Buffer.from([END_BLOCK, CARRIAGE_RETURN])])
+}
+
+/**
+ * Collects MLLP frames from a byte stream; bytes outside a frame are skipped
+ */
+function createFrameReader(maxMessageBytes) {
+  let buffer = Buffer.alloc(0)
+
+  return {
+    push(chunk) {
+      buffer = Buffer.concat([buffer, chunk])
+      const messages = []
+      for (;;) {
+        const start = buffer.indexOf(START_BLOCK)
+        if (start === -1) {
+          buffer = Buffer.alloc(0)
+          break
+        }
+        const end = buffer.indexOf(END_BLOCK, start + 1)
+        if (end === -1) {
+          buffer = buffer.subarray(start)
+          if (buffer.length > maxMessageBytes) {
+            throw new Error(`MLLP message exceeds ${maxMessageBytes} bytes`)
+          }
+          break
+        }
+        messages.push(buffer.subarray(start + 1, end))
+        // The CR after the end block is expected but not required
+        buffer = buffer.subarray(buffer[end + 1] === CARRIAGE_RETURN ? end + 2 : end + 1)
+      }
+      return messages
+    },
+  }
+}
+
+/**
+ * Writes a message and a .json record of why it was held to the quarantine directory
+ * @returns {Promise<string>} Path of the message file
+ */
+async function quarantine(directory, bytes, { reason, code, result, remoteAddress, error }) {
+  const { mkdir, writeFile } = await import('fs/promises')
+  const path = await import('path')
+  await mkdir(directory, { recursive: true })
+  const controlId = readControlId(bytes).replace(/[^A-Za-z0-9_-]/g, '_') || 'message'
+  quarantineCounter = (quarantineCounter + 1) % 1000000
+  const base = path.join(directory, `${Date.now()}-${controlId}-${quarantineCounter}`)
+  await writeFile(`${base}.hl7`, bytes)
+  await writeFile(`${base}.json`, JSON.stringify({
+    reason,
+    receivedAt: new Date().toISOString(),
+    remoteAddress,
+    code,
+    error: error ? error.message : null,
+    result,
+  }, null, 2))
+  return `${base}.hl7`
+}
+
+function encodeMessage(text) {
+  const { code } = getDeclaredCharacterSet(text)
+  return Buffer.from(text, CHARACTER_SETS[code]?.encoding === 'latin1' ? 'latin1' : 'utf8')
+}
+
+function readControlId(bytes) {
+  const text = decodeMessage(bytes).text
+  const encoding = getEncodingCharacters(text)
+  return text.split(/[\r\n]/)[0].split(encoding.field)[9] || ''
+}
+
+function minScoreIssue(score, minScore) {
+  return {
+    ruleId: MIN_SCORE_RULE_ID,
+    category: QUALITY_CATEGORIES.BUSINESS_RULES,
+    severity: SEVERITY.CRITICAL,
+    field: 'Quality Score',
+    location: null,
+    issue: 'Quality score below threshold',
+    details: `Quality score ${score} is below the minimum score of ${minScore}`,
+    recommendation: 'Correct the reported issues and resend the message',
+  }
+}
+
+function processingIssue(error) {
+  return {
+    ruleId: PROCESSING_RULE_ID,
+    category: QUALITY_CATEGORIES.COMPLIANCE,
+    severity: SEVERITY.CRITICAL,
+    field: 'Message Processing',
+    location: null,
+    issue: 'Message could not be processed',
+    details: `The quality gate failed while handling the message: ${error.message}`,
+    recommendation: 'Resend the message once the receiving system has been checked',
+  }
+}
+
+function deliveryIssue(error, { host = '127.0.0.1', port }) {
+  return {
+    ruleId: FORWARD_RULE_ID,
+    category: QUALITY_CATEGORIES.COMPLIANCE,
+    severity: SEVERITY.CRITICAL,
+    field: 'Message Delivery',
+    location: null,
+    issue: 'Downstream delivery failed',
+    details: `Could not deliver the message to ${host}:${port}: ${error.message}`,
+    recommendation: 'Resend the message once the downstream system is reachable',
+  }
+}
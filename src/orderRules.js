@@ -0,0 +1,157 @@
+/**
+ * Order Message Rules
+ *
+ * Quality rules for order messages (ORM/OML, and the ORC of pharmacy orders):
+ * order control codes and the order numbers they require, and placer/filler
+ * order number consistency between ORC and OBR.
+ */
+
+import { QUALITY_CATEGORIES, SEVERITY } from './constants.js'
+import { getDataTypeOptions, getComponents, groupSegments, createIssue, sumPenalties } from './messageHelpers.js'
+
+/**
+ * Order control codes (table 0119) that create an order and so need a placer order number
+ */
+const NEW_ORDER_CONTROLS = ['NW', 'RO']
+
+/**
+ * Order control codes that act on an existing order and so need its placer or filler order number
+ */
+const EXISTING_ORDER_CONTROLS = ['CA', 'CR', 'DC', 'DR', 'HD', 'HR', 'OC', 'OD', 'OH', 'OR', 'RL', 'RP', 'RQ', 'RU', 'SC', 'SR', 'XO', 'XR', 'XX']
+
+/**
+ * Order rules, registered as built-in rules after the general rules
+ */
+export const ORDER_RULES = [
+  { id: 'order-control', name: 'Order Control', check: checkOrderControl, category: QUALITY_CATEGORIES.COMPLETENESS, severity: SEVERITY.HIGH, penalty: 5, messageTypes: ['ORM', 'OML', 'RDE', 'RAS'] },
+  { id: 'order-numbers', name: 'Placer and Filler Order Numbers', check: checkOrderNumbers, category: QUALITY_CATEGORIES.CONSISTENCY, severity: SEVERITY.HIGH, penalty: 5, messageTypes: ['ORM', 'OML'] },
+]
+
+/**
+ * Checks that every ORC has an order control code and the order numbers that code requires
+ */
+function checkOrderControl(parsed) {
+  const issues = []
+  const { encoding } = getDataTypeOptions(parsed)
+
+  groupSegments(parsed, 'ORC', ['OBR']).forEach(({ parent: orc, children }) => {
+    if (!orc) {
+      return
+    }
+    const { sequence } = orc
+    const [control = ''] = getComponents(orc.segment.parsed.field1, encoding)
+    const placer = orc.segment.parsed.field2 || children.some(({ segment }) => segment.parsed.field2)
+    const filler = orc.segment.parsed.field3 || children.some(({ segment }) => segment.parsed.field3)
+
+    if (!control) {
+      issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.HIGH, { segment: 'ORC', sequence, field: 1 },
+        'Missing Order Control',
+        `ORC #${sequence} has no order control code in ORC-1`,
+        'Populate ORC-1 with a code from table 0119 (e.g. NW for a new order, CA to cancel)'))
+      return
+    }
+    if (NEW_ORDER_CONTROLS.includes(control) && !placer) {
+      issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.HIGH, { segment: 'ORC', sequence, field: 2 },
+        'Missing Placer Order Number',
+        `ORC #${sequence} places an order (${control}) without a placer order number in ORC-2 or OBR-2`,
+        'Populate ORC-2 with the placer application\'s order number'))
+    }
+    if (EXISTING_ORDER_CONTROLS.includes(control) && !placer && !filler) {
+      issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.HIGH, { segment: 'ORC', sequence, field: 2 },
+        'Missing order number',
+        `ORC #${sequence} order control ${control} refers to an existing order but carries neither a placer (ORC-2) nor a filler (ORC-3) order number`,
+        'Identify the order being changed in ORC-2 or ORC-3'))
+    }
+    if (control === 'SC' && !orc.segment.parsed.field5) {
+      issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.MEDIUM, { segment: 'ORC', sequence, field: 5 },
+        'Missing Order Status',
+        `ORC #${sequence} reports a status change (SC) without an order status in ORC-5`,
+        'Populate ORC-5 with the new order status (table 0038)'))
+    }
+  })
+
+  return { issues, scorePenalty: sumPenalties(issues) }
+}
+
+/**
+ * Checks that OBR segments sit under an ORC whose placer and filler numbers they repeat,
+ * and that placer order numbers are not reused across orders
+ */
+function checkOrderNumbers(parsed) {
+  const issues = []
+  const { encoding } = getDataTypeOptions(parsed)
+  const placerNumbers = new Map()
+
+  groupSegments(parsed, 'ORC', ['OBR']).forEach(({ parent: orc, children }) => {
+    if (!orc) {
+      children.forEach(({ sequence }) => {
+        issues.push(createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.HIGH, { segment: 'OBR', sequence },
+          'Order detail outside an order',
+          `OBR #${sequence} appears before any ORC segment`,
+          'Precede each OBR with the ORC of its order'))
+      })
+      return
+    }
+
+    const [control = ''] = getComponents(orc.segment.parsed.field1, encoding)
+    if (children.length === 0 && NEW_ORDER_CONTROLS.includes(control)) {
+      issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.MEDIUM, { segment: 'ORC', sequence: orc.sequence },
+        'New order has no order detail',
+        `ORC #${orc.sequence} places an order (${control}) but is not followed by an OBR`,
+        'Send the ordered service in an OBR after the ORC'))
+    }
+    if (children.length > 1) {
+      issues.push(createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.MEDIUM, { segment: 'OBR', sequence: children[1].sequence },
+        'Multiple order details in one order',
+        `ORC #${orc.sequence} is followed by ${children.length} OBR segments`,
+        'Send each ordered service as its own ORC/OBR pair'))
+    }
+
+    children.forEach(({ segment: obr, sequence }) => {
+      [
+        { field: 2, name: 'Placer Order Number' },
+        { field: 3, name: 'Filler Order Number' },
+      ].forEach(({ field, name }) => {
+        const orcNumber = orderNumber(orc.segment.parsed[`field${field}`], encoding)
+        const obrNumber = orderNumber(obr.parsed[`field${field}`], encoding)
+        if (orcNumber && obrNumber && orcNumber !== obrNumber) {
+          issues.push({
+            ...createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.HIGH, { segment: 'OBR', sequence, field },
+              `${name} mismatch`,
+              `OBR-${field} "${obrNumber}" does not match ORC-${field} "${orcNumber}" of its order`,
+              `Send the same ${name.toLowerCase()} in ORC-${field} and OBR-${field}`),
+            relatedLocations: [{ segment: 'ORC', sequence: orc.sequence, field }],
+          })
+        }
+      })
+    })
+
+    const placer = orderNumber(orc.segment.parsed.field2, encoding) || orderNumber(children[0]?.segment.parsed.field2, encoding)
+    if (placer) {
+      if (placerNumbers.has(placer)) {
+        issues.push({
+          ...createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.MEDIUM, { segment: 'ORC', sequence: orc.sequence, field: 2 },
+            'Duplicate Placer Order Number',
+            `Placer order number "${placer}" is used by ORC #${placerNumbers.get(placer)} and ORC #${orc.sequence}`,
+            'Give each order in the message its own placer order number'),
+          relatedLocations: [{ segment: 'ORC', sequence: placerNumbers.get(placer), field: 2 }],
+        })
+      } else {
+        placerNumbers.set(placer, orc.sequence)
+      }
+    }
+  })
+
+  return { issues, scorePenalty: sumPenalties(issues) }
+}
+
+/**
+ * Reduces an EI order number to entity identifier and namespace for comparison
+ */
+function orderNumber(value, encoding) {
+  const [identifier = '', namespace = ''] = getComponents(value, encoding)
+  if (!identifier) {
+    return ''
+  }
+  return namespace ? `${identifier}${encoding.component}${namespace}` : identifier
+}
@@ -0,0 +1,167 @@
+/**
+ * Pharmacy Message Rules
+ *
+ * Quality rules for medication doses: the give amount and units of pharmacy
+ * encoded orders (RXE in RDE) and the administered amount and units of
+ * administrations (RXA in RAS and VXU).
+ */
+
+import { QUALITY_CATEGORIES, SEVERITY } from './constants.js'
+import { parseDateTime } from './dataTypes.js'
+import { validateUCUM } from './ucum.js'
+import { getSegments, getDataTypeOptions, getComponents, createIssue, sumPenalties } from './messageHelpers.js'
+
+/**
+ * RXA-6 value meaning the amount is unknown (e.g. historical or refused doses)
+ */
+const UNKNOWN_AMOUNT = '999'
+
+/**
+ * Completion statuses (table 0322) for which no dose was given
+ */
+const NOT_GIVEN_STATUSES = ['NA', 'RE']
+
+/**
+ * Other RXE amounts and the fields holding their units
+ */
+const QUANTITY_UNITS = [
+  { amount: 10, units: 11, name: 'Dispense Units' },
+  { amount: 23, units: 24, name: 'Give Rate Units' },
+]
+
+/**
+ * Pharmacy rules, registered as built-in rules after the general rules
+ */
+export const PHARMACY_RULES = [
+  { id: 'medication-dose', name: 'Medication Dose and Units', check: checkMedicationDose, category: QUALITY_CATEGORIES.COMPLETENESS, severity: SEVERITY.HIGH, penalty: 5, messageTypes: ['RDE', 'RAS', 'VXU'] },
+]
+
+/**
+ * Checks the dose, units and timing of RXE give instructions and RXA administrations
+ */
+function checkMedicationDose(parsed) {
+  const issues = []
+  const { encoding } = getDataTypeOptions(parsed)
+
+  getSegments(parsed, 'RXE').forEach(({ segment: rxe, sequence }) => {
+    const location = field => ({ segment: 'RXE', sequence, field })
+    if (!rxe.parsed.field2) {
+      issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.HIGH, location(2),
+        'Missing Give Code',
+        `RXE #${sequence} does not identify the medication to give`,
+        'Populate RXE-2 with a coded medication (e.g. RxNorm or NDC)'))
+    }
+
+    const minimum = rxe.parsed.field3
+    const maximum = rxe.parsed.field4
+    if (!minimum) {
+      issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.HIGH, location(3),
+        'Missing Give Amount',
+        `RXE #${sequence} has no give amount in RXE-3`,
+        'Populate RXE-3 with the dose to give'))
+    } else if (!isPositiveNumber(minimum)) {
+      issues.push(createIssue(QUALITY_CATEGORIES.ACCURACY, SEVERITY.HIGH, location(3),
+        'Invalid Give Amount',
+        `RXE-3 "${minimum}" is not a positive number`,
+        'Send the dose in RXE-3 as a positive number, with its units in RXE-5'))
+    } else if (maximum && isPositiveNumber(maximum) && Number(maximum) < Number(minimum)) {
+      issues.push({
+        ...createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.MEDIUM, location(4),
+          'Maximum dose below minimum dose',
+          `Give amount maximum ${maximum} (RXE-4) is less than the minimum ${minimum} (RXE-3)`,
+          'Verify the dose range in RXE-3 and RXE-4'),
+        relatedLocations: [location(3)],
+      })
+    }
+    checkUnits(issues, encoding, location(5), rxe.parsed.field5, minimum ? 'Give Units' : null)
+    QUANTITY_UNITS.forEach(({ amount, units, name }) => {
+      if (rxe.parsed[`field${amount}`]) {
+        checkUnits(issues, encoding, location(units), rxe.parsed[`field${units}`], name)
+      }
+    })
+  })
+
+  getSegments(parsed, 'RXA').forEach(({ segment: rxa, sequence }) => {
+    const location = field => ({ segment: 'RXA', sequence, field })
+    const [startValue = ''] = getComponents(rxa.parsed.field3, encoding)
+    const [endValue = ''] = getComponents(rxa.parsed.field4, encoding)
+    const [completion = ''] = getComponents(rxa.parsed.field20, encoding)
+    const amount = String(rxa.parsed.field6 ?? '')
+
+    if (!startValue) {
+      issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.HIGH, location(3),
+        'Missing administration date/time',
+        `RXA #${sequence} has no start of administration in RXA-3`,
+        'Populate RXA-3 with the date/time the dose was given'))
+    } else if (endValue && parseDateTime(endValue) && parseDateTime(startValue) && parseDateTime(endValue) < parseDateTime(startValue)) {
+      issues.push({
+        ...createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.MEDIUM, location(4),
+          'Administration ends before it starts',
+          `RXA-4 "${endValue}" is earlier than RXA-3 "${startValue}"`,
+          'Verify the administration start and end date/time'),
+        relatedLocations: [location(3)],
+      })
+    }
+    if (!rxa.parsed.field5) {
+      issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.HIGH, location(5),
+        'Missing Administered Code',
+        `RXA #${sequence} does not identify what was administered`,
+        'Populate RXA-5 with the administered medication or vaccine code'))
+    }
+
+    if (!amount) {
+      issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.HIGH, location(6),
+        'Missing Administered Amount',
+        `RXA #${sequence} has no administered amount in RXA-6`,
+        `Populate RXA-6 with the amount given (${UNKNOWN_AMOUNT} when unknown)`))
+    } else if (!/^\d+(\.\d+)?$/.test(amount)) {
+      issues.push(createIssue(QUALITY_CATEGORIES.ACCURACY, SEVERITY.HIGH, location(6),
+        'Invalid Administered Amount',
+        `RXA-6 "${amount}" is not a number`,
+        'Send the amount given in RXA-6 as a number, with its units in RXA-7'))
+    } else if (NOT_GIVEN_STATUSES.includes(completion) && Number(amount) > 0 && amount !== UNKNOWN_AMOUNT) {
+      issues.push({
+        ...createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.MEDIUM, location(6),
+          'Amount recorded for a dose not given',
+          `RXA-20 completion status "${completion}" says no dose was given but RXA-6 is ${amount}`,
+          `Send RXA-6 as 0 or ${UNKNOWN_AMOUNT} for refused or not administered doses`),
+        relatedLocations: [location(20)],
+      })
+    } else if (amount !== UNKNOWN_AMOUNT && Number(amount) > 0) {
+      checkUnits(issues, encoding, location(7), rxa.parsed.field7, 'Administered Units')
+    }
+  })
+
+  return { issues, scorePenalty: sumPenalties(issues) }
+}
+
+/**
+ * Checks that units are present (when name is given) and valid UCUM when coded as UCUM
+ */
+function checkUnits(issues, encoding, location, value, name) {
+  const [unit = '', , codingSystem = ''] = getComponents(value, encoding)
+  const fieldName = `${location.segment}-${location.field}`
+  if (!unit) {
+    if (name) {
+      issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.HIGH, location,
+        `Missing ${name}`,
+        `${location.segment} #${location.sequence} gives an amount without units in ${fieldName}`,
+        `Populate ${fieldName} with the units of the amount (e.g. mg, mL)`))
+    }
+    return
+  }
+  if (codingSystem !== 'UCUM') {
+    return
+  }
+  const { isValid, error } = validateUCUM(unit)
+  if (!isValid) {
+    issues.push(createIssue(QUALITY_CATEGORIES.FORMATTING, SEVERITY.LOW, { ...location, component: 1 },
+      'Invalid UCUM unit',
+      `"${unit}" is not a valid UCUM expression: ${error}`,
+      'Use case-sensitive UCUM units (e.g. ug rather than mcg, mL rather than cc)'))
+  }
+}
+
+function isPositiveNumber(value) {
+  return /^\d+(\.\d+)?$/.test(String(value)) && Number(value) > 0
+}
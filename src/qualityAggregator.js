@@ -0,0 +1,259 @@
+/**
+ * Quality Aggregator
+ *
+ * Rolls up many single-message analysis results into a feed-level report:
+ * per-field fill rates, issue frequencies, score distribution and breakdowns
+ * by sending application and facility (MSH-3/MSH-4).
+ */
+
+import { QUALITY_CATEGORIES, SEVERITY } from './constants.js'
+import { parseMessage } from './messageParser.js'
+
+/**
+ * Creates an aggregator that accumulates analysis results
+ * @returns {Object} Aggregator with add(entry), addAll(entries) and getReport() methods
+ */
+export function createQualityAggregator() {
+  const overall = createStatsBucket()
+  const sources = new Map()
+  const segments = new Map()
+  const envelopeIssues = createIssueCounts()
+  let validCount = 0
+  let invalidCount = 0
+  let firstAnalysisDate = null
+  let lastAnalysisDate = null
+
+  /**
+   * Adds one analysis to the aggregate
+   * @param {Object} entry - An analyzeStream item, a { message, result } pair, or a bare analyzeDataQuality result.
+   *   Fill rates and source breakdowns require the raw message; batch and summary stream items
+   *   contribute their envelope issues.
+   */
+  function add(entry) {
+    if (!entry) {
+      return
+    }
+    if (entry.type === 'batch' || entry.type === 'summary') {
+      const issues = entry.issues || []
+      issues.forEach(issue => countIssue(envelopeIssues, issue))
+      return
+    }
+
+    const result = entry.result || entry
+    const message = typeof entry.message === 'string' ? entry.message : null
+
+    if (result.isValid) {
+      validCount++
+    } else {
+      invalidCount++
+    }
+    if (result.analysisDate) {
+      if (!firstAnalysisDate || result.analysisDate < firstAnalysisDate) {
+        firstAnalysisDate = result.analysisDate
+      }
+      if (!lastAnalysisDate || result.analysisDate > lastAnalysisDate) {
+        lastAnalysisDate = result.analysisDate
+      }
+    }
+
+    let source = { sendingApplication: 'Unknown', sendingFacility: 'Unknown' }
+    if (message && result.isValid) {
+      const parsed = parseMessage(message)
+      source = getSource(parsed)
+      countFields(parsed)
+    }
+
+    addToBucket(overall, result)
+    const sourceKey = `${source.sendingApplication}\u0000${source.sendingFacility}`
+    if (!sources.has(sourceKey)) {
+      sources.set(sourceKey, { ...source, stats: createStatsBucket() })
+    }
+    addToBucket(sources.get(sourceKey).stats, result)
+  }
+
+  function countFields(parsed) {
+    parsed.segments.forEach(segment => {
+      const segmentType = segment.segmentType
+      if (!segments.has(segmentType)) {
+        segments.set(segmentType, { segmentCount: 0, fields: new Map() })
+      }
+      const segmentStats = segments.get(segmentType)
+      segmentStats.segmentCount++
+
+      Object.entries(segment.parsed || {}).forEach(([key, value]) => {
+        const match = /^field(\d+)$/.exec(key)
+        if (!match) {
+          return
+        }
+        const fieldNumber = Number(match[1])
+        if (!segmentStats.fields.has(fieldNumber)) {
+          segmentStats.fields.set(fieldNumber, 0)
+        }
+        if (isPopulated(value)) {
+          segmentStats.fields.set(fieldNumber, segmentStats.fields.get(fieldNumber) + 1)
+        }
+      })
+    })
+  }
+
+  /**
+   * Builds the aggregate report from everything added so far
+   * @returns {Object} Aggregate quality report
+   */
+  function getReport() {
+    const fillRates = {}
+    const segmentTypes = [...segments.keys()].sort()
+    segmentTypes.forEach(segmentType => {
+      const { segmentCount, fields } = segments.get(segmentType)
+      const fieldRates = {}
+      const fieldNumbers = [...fields.keys()].sort((a, b) => a - b)
+      fieldNumbers.forEach(fieldNumber => {
+        const populated = fields.get(fieldNumber)
+        fieldRates[`${segmentType}-${fieldNumber}`] = {
+          populated,
+          fillRate: toPercent(populated, segmentCount),
+        }
+      })
+      fillRates[segmentType] = { segmentCount, fields: fieldRates }
+    })
+
+    return {
+      messageCount: overall.scores.length,
+      validCount,
+      invalidCount,
+      firstAnalysisDate,
+      lastAnalysisDate,
+      scores: summarizeScores(overall.scores),
+      issues: summarizeIssues(overall.issues),
+      envelopeIssues: summarizeIssues(envelopeIssues),
+      fillRates,
+      bySource: [...sources.values()]
+        .map(({ sendingApplication, sendingFacility, stats }) => ({
+          sendingApplication,
+          sendingFacility,
+          messageCount: stats.scores.length,
+          scores: summarizeScores(stats.scores),
+          issues: summarizeIssues(stats.issues),
+        }))
+        .sort((a, b) => b.messageCount - a.messageCount),
+    }
+  }
+
+  return {
+    add,
+    addAll(entries) {
+      for (const entry of entries) {
+        add(entry)
+      }
+    },
+    getReport,
+  }
+}
+
+/**
+ * Aggregates a list of analysis results in one call
+ * @param {Array} entries - analyzeStream items, { message, result } pairs or bare results
+ * @returns {Object} Aggregate quality report (see createQualityAggregator)
+ */
+export function aggregateResults(entries) {
+  const aggregator = createQualityAggregator()
+  aggregator.addAll(entries)
+  return aggregator.getReport()
+}
+
+function createStatsBucket() {
+  return { scores: [], issues: createIssueCounts() }
+}
+
+function createIssueCounts() {
+  return { total: 0, byRule: {}, byCategory: {}, bySeverity: {}, byField: {} }
+}
+
+function addToBucket(bucket, result) {
+  const issues = result.issues || []
+  bucket.scores.push(typeof result.overallScore === 'number' ? result.overallScore : 0)
+  issues.forEach(issue => countIssue(bucket.issues, issue))
+}
+
+function countIssue(counts, issue) {
+  counts.total++
+  increment(counts.byRule, issue.ruleId || 'unknown')
+  increment(counts.byCategory, issue.category || 'Unknown')
+  increment(counts.bySeverity, issue.severity || 'Unknown')
+  increment(counts.byField, issue.field || 'Unknown')
+}
+
+function increment(map, key) {
+  map[key] = (map[key] || 0) + 1
+}
+
+function summarizeIssues(counts) {
+  return {
+    total: counts.total,
+    byRule: sortByCount(counts.byRule),
+    byCategory: orderByKeys(counts.byCategory, Object.values(QUALITY_CATEGORIES)),
+    bySeverity: orderByKeys(counts.bySeverity, Object.values(SEVERITY)),
+    byField: sortByCount(counts.byField),
+  }
+}
+
+function sortByCount(map) {
+  return Object.fromEntries(Object.entries(map).sort((a, b) => b[1] - a[1]))
+}
+
+function orderByKeys(map, keys) {
+  const ordered = {}
+  keys.forEach(key => {
+    if (map[key]) {
+      ordered[key] = map[key]
+    }
+  })
+  Object.keys(map).forEach(key => {
+    if (!(key in ordered)) {
+      ordered[key] = map[key]
+    }
+  })
+  return ordered
+}
+
+/**
+ * Summarizes a list of scores: min, max, mean, median and 95th percentile
+ */
+function summarizeScores(scores) {
+  if (scores.length === 0) {
+    return { min: null, max: null, mean: null, median: null, p95: null }
+  }
+  const sorted = [...scores].sort((a, b) => a - b)
+  const mean = sorted.reduce((sum, score) => sum + score, 0) / sorted.length
+  return {
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean: Math.round(mean * 10) / 10,
+    median: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+  }
+}
+
+/**
+ * Nearest-rank percentile of an ascending list
+ */
+function percentile(sorted, p) {
+  const rank = Math.ceil((p / 100) * sorted.length)
+  return sorted[Math.max(0, rank - 1)]
+}
+
+function getSource(parsed) {
+  const msh = parsed.segments.find(s => s.segmentType === 'MSH')
+  return {
+    sendingApplication: (msh && isPopulated(msh.parsed.field3)) ? String(msh.parsed.field3) : 'Unknown',
+    sendingFacility: (msh && isPopulated(msh.parsed.field4)) ? String(msh.parsed.field4) : 'Unknown',
+  }
+}
+
+function isPopulated(value) {
+  return value !== undefined && value !== null && String(value) !== '' && value !== 'Unknown'
+}
+
+function toPercent(count, total) {
+  return total === 0 ? 0 : Math.round((count / total) * 1000) / 10
+}
@@ -0,0 +1,251 @@
+/**
+ * Auto-Remediation
+ *
+ * Proposes and applies fixes for issues that have an unambiguous correction:
+ * reformatting dates, normalizing SSN punctuation, mapping spelled-out sex
+ * values to HL7 codes and normalizing phone numbers. Every change is recorded
+ * in an audit list with its before and after values.
+ */
+
+import { DATE_FIELDS } from './constants.js'
+import { getEncodingCharacters } from './messageParser.js'
+
+/**
+ * Fixers keyed by the rule whose issues they correct
+ */
+const FIXERS = [
+  {
+    ruleId: 'date-formats',
+    description: 'Reformat date as YYYYMMDD[HHMMSS]',
+    fields: DATE_FIELDS,
+    fix: normalizeDate,
+  },
+  {
+    ruleId: 'identifier-formats',
+    description: 'Normalize SSN as XXX-XX-XXXX',
+    fields: [{ segment: 'PID', field: 19 }],
+    fix: normalizeSSN,
+  },
+  {
+    ruleId: 'pid-completeness',
+    description: 'Map administrative sex to HL7 code',
+    fields: [{ segment: 'PID', field: 8 }],
+    fix: normalizeSex,
+  },
+  {
+    ruleId: 'phone-formats',
+    description: 'Normalize phone number as [1](999)999-9999[X99999]',
+    fields: [
+      { segment: 'PID', field: 13 },
+      { segment: 'PID', field: 14 },
+      { segment: 'NK1', field: 5 },
+      { segment: 'NK1', field: 6 },
+    ],
+    fix: normalizePhone,
+  },
+]
+
+const SEX_CODES = {
+  M: 'M', MALE: 'M', MAN: 'M',
+  F: 'F', FEMALE: 'F', WOMAN: 'F',
+  O: 'O', OTHER: 'O',
+  U: 'U', UNKNOWN: 'U', UNK: 'U',
+  A: 'A', AMBIGUOUS: 'A',
+}
+
+/**
+ * Lists the rules that remediateMessage can fix
+ * @returns {Array} { ruleId, description, fields } for each fixer
+ */
+export function getFixableRules() {
+  return FIXERS.map(({ ruleId, description, fields }) => ({
+    ruleId,
+    description,
+    fields: fields.map(({ segment, field }) => `${segment}-${field}`),
+  }))
+}
+
+/**
+ * Proposes or applies fixes to an HL7 message
+ * @param {string} hl7Message - The HL7 message to remediate
+ * @param {Object} [options] - Remediation options
+ * @param {boolean} [options.dryRun=false] - Only return the proposed changes; the message is returned unchanged
+ * @param {Array<string>} [options.rules] - Rule IDs to fix (defaults to every fixable rule)
+ * @param {string} [options.dateOrder='MDY'] - Order of ambiguous NN/NN/YYYY dates: 'MDY' or 'DMY'
+ * @returns {Object} { message, changes, dryRun } where each change has
+ *   ruleId, field, segmentIndex, repetition, before, after and description
+ */
+export function remediateMessage(hl7Message, { dryRun = false, rules, dateOrder = 'MDY' } = {}) {
+  if (typeof hl7Message !== 'string' || !hl7Message.startsWith('MSH')) {
+    throw new Error('Message must be a string starting with an MSH segment')
+  }
+  if (!['MDY', 'DMY'].includes(dateOrder)) {
+    throw new Error(`Unknown date order "${dateOrder}" (expected MDY or DMY)`)
+  }
+
+  const fixers = rules ? FIXERS.filter(fixer => rules.includes(fixer.ruleId)) : FIXERS
+  const delimiters = getEncodingCharacters(hl7Message)
+
+  // Odd indexes hold the original segment terminators so they are preserved on rejoin
+  const parts = hl7Message.split(/(\r\n|\r|\n)/)
+  const changes = []
+  const occurrences = {}
+
+  for (let i = 0; i < parts.length; i += 2) {
+    const line = parts[i]
+    if (!line) {
+      continue
+    }
+    const fields = line.split(delimiters.field)
+    const segmentType = fields[0]
+    const segmentIndex = occurrences[segmentType] || 0
+    occurrences[segmentType] = segmentIndex + 1
+    let modified = false
+
+    fixers.forEach(fixer => {
+      fixer.fields
+        .filter(target => target.segment === segmentType)
+        .forEach(target => {
+          // MSH-1 is the field separator itself, so MSH field N is at split index N - 1
+          const index = segmentType === 'MSH' ? target.field - 1 : target.field
+          if (!fields[index]) {
+            return
+          }
+          const repetitions = fields[index].split(delimiters.repetition)
+          repetitions.forEach((repetition, repetitionIndex) => {
+            const components = repetition.split(delimiters.component)
+            const before = components[0]
+            const after = before ? fixer.fix(before, { dateOrder, type: target.type }) : null
+            if (after === null || after === undefined || after === before) {
+              return
+            }
+            components[0] = after
+            repetitions[repetitionIndex] = components.join(delimiters.component)
+            changes.push({
+              ruleId: fixer.ruleId,
+              field: `${segmentType}-${target.field}`,
+              segmentIndex,
+              repetition: repetitionIndex,
+              before,
+              after,
+              description: fixer.description,
+            })
+          })
+          const updated = repetitions.join(delimiters.repetition)
+          if (updated !== fields[index]) {
+            fields[index] = updated
+            modified = true
+          }
+        })
+    })
+
+    if (modified) {
+      parts[i] = fields.join(delimiters.field)
+    }
+  }
+
+  return {
+    message: dryRun ? hl7Message : parts.join(''),
+    changes,
+    dryRun,
+  }
+}
+
+/**
+ * Converts common date/time layouts (ISO 8601, YYYY/MM/DD, MM/DD/YYYY) to HL7 DTM, or to a date alone for DT fields
+ * Returns null when the value is not a recognizable, real calendar date.
+ */
+function normalizeDate(value, { dateOrder, type }) {
+  if (/^\d{8}(\d{4}(\d{2}(\.\d{1,4})?)?)?([+-]\d{4})?$/.test(value)) {
+    return null
+  }
+
+  const time = '(?:[T\\s](\\d{1,2}):(\\d{2})(?::(\\d{2}))?(?:\\.\\d+)?)?\\s*(Z|[+-]\\d{2}:?\\d{2})?'
+  let year, month, day
+  let match = new RegExp(`^(\\d{4})[-/.](\\d{1,2})[-/.](\\d{1,2})${time}$`).exec(value)
+  if (match) {
+    [year, month, day] = match.slice(1, 4)
+  } else {
+    match = new RegExp(`^(\\d{1,2})[-/.](\\d{1,2})[-/.](\\d{4})${time}$`).exec(value)
+    if (!match) {
+      return null
+    }
+    const [first, middle, fourDigitYear] = match.slice(1, 4)
+    year = fourDigitYear
+    month = dateOrder === 'DMY' ? middle : first
+    day = dateOrder === 'DMY' ? first : middle
+  }
+  const [hour, minute, second, zone] = match.slice(4)
+
+  const y = Number(year)
+  const m = Number(month)
+  const d = Number(day)
+  const date = new Date(Date.UTC(y, m - 1, d))
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {
+    return null
+  }
+
+  let result = `${year}${pad(m)}${pad(d)}`
+  // DT fields hold a date only
+  if (hour !== undefined && type !== 'DT') {
+    if (Number(hour) > 23 || Number(minute) > 59 || Number(second || 0) > 59) {
+      return null
+    }
+    result += `${pad(Number(hour))}${minute}${second || '00'}`
+    if (zone) {
+      result += zone === 'Z' ? '+0000' : zone.replace(':', '')
+    }
+  }
+  return result
+}
+
+/**
+ * Normalizes a 9-digit SSN written with spaces, dots or slashes to XXX-XX-XXXX
+ */
+function normalizeSSN(value) {
+  if (!/^[\d\s.\-/]+$/.test(value)) {
+    return null
+  }
+  const digits = value.replace(/\D/g, '')
+  if (digits.length !== 9) {
+    return null
+  }
+  const normalized = `${digits.substring(0, 3)}-${digits.substring(3, 5)}-${digits.substring(5)}`
+  return value === digits ? null : normalized
+}
+
+/**
+ * Maps spelled-out or lowercase administrative sex values to HL7 table 0001 codes
+ */
+function normalizeSex(value) {
+  return SEX_CODES[value.trim().toUpperCase()] || null
+}
+
+/**
+ * Normalizes 7, 10 or US 11 digit phone numbers to [1][(999)]999-9999[X99999]
+ */
+function normalizePhone(value) {
+  const match = /^(.*?)(?:\s*(?:x|ext\.?)\s*(\d+))?$/i.exec(value.trim())
+  const number = match[1]
+  const extension = match[2]
+  if (!/^[\d\s().\-+]+$/.test(number)) {
+    return null
+  }
+
+  const digits = number.replace(/\D/g, '')
+  let normalized
+  if (digits.length === 11 && digits.startsWith('1')) {
+    normalized = `1(${digits.substring(1, 4)})${digits.substring(4, 7)}-${digits.substring(7)}`
+  } else if (digits.length === 10) {
+    normalized = `(${digits.substring(0, 3)})${digits.substring(3, 6)}-${digits.substring(6)}`
+  } else if (digits.length === 7) {
+    normalized = `${digits.substring(0, 3)}-${digits.substring(3)}`
+  } else {
+    return null
+  }
+  return extension ? `${normalized}X${extension}` : normalized
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0')
+}
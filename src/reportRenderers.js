@@ -0,0 +1,435 @@
+/**
+ * Report Renderers
+ *
+ * Turns analysis results into shareable reports: a self-contained HTML page
+ * with the analyzed message highlighted per field, a CSV of issues for
+ * spreadsheets, and a Markdown summary for tickets. Each renderer accepts a
+ * single analyzeDataQuality result or an aggregate report from
+ * createQualityAggregator.
+ */
+
+import { QUALITY_CATEGORIES, SEVERITY } from './constants.js'
+import { indexMessage, resolveIssueLocation } from './messageLocator.js'
+
+const CSV_COLUMNS = ['messageIndex', 'ruleId', 'severity', 'category', 'field', 'issue', 'details', 'recommendation']
+
+const SEVERITY_COLORS = {
+  [SEVERITY.CRITICAL]: '#b71c1c',
+  [SEVERITY.HIGH]: '#e65100',
+  [SEVERITY.MEDIUM]: '#f9a825',
+  [SEVERITY.LOW]: '#1565c0',
+  [SEVERITY.INFO]: '#616161',
+}
+
+/**
+ * Renders a result or aggregate report as a self-contained HTML document
+ * @param {Object} input - analyzeDataQuality result or aggregate report
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.message] - The analyzed HL7 message, highlighted per field when provided
+ * @param {string} [options.title='HL7 Data Quality Report'] - Document title
+ * @returns {string} HTML document
+ */
+export function renderHTML(input, { message, title = 'HL7 Data Quality Report' } = {}) {
+  const body = isAggregateReport(input)
+    ? renderAggregateHTML(input)
+    : renderResultHTML(input, message)
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; margin: 2rem; color: #212121; }
+h1 { margin-bottom: 0.25rem; }
+table { border-collapse: collapse; margin: 1rem 0; width: 100%; }
+th, td { border: 1px solid #e0e0e0; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f5f5f5; }
+.summary span { display: inline-block; margin-right: 1.5rem; }
+.score { font-size: 2rem; font-weight: bold; }
+.severity { color: #fff; border-radius: 3px; padding: 0.1rem 0.4rem; font-size: 0.85rem; white-space: nowrap; }
+.message { font-family: Consolas, Menlo, monospace; background: #fafafa; border: 1px solid #e0e0e0; padding: 1rem; overflow-x: auto; white-space: pre; }
+.message mark { border-radius: 2px; padding: 0 1px; cursor: help; }
+${Object.entries(SEVERITY_COLORS).map(([severity, color]) => `.sev-${cssClass(severity)} { background: ${color}; }
+.message mark.sev-${cssClass(severity)} { background: ${color}33; outline: 1px solid ${color}; }`).join('\n')}
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+${body}
+</body>
+</html>
+`
+}
+
+/**
+ * Renders issues as CSV
+ * @param {Object|Array} input - analyzeDataQuality result, or a list of analyzeStream items,
+ *   { index, result } pairs or results (each row then carries its 1-based message number). Entries with a
+ *   `source` property (e.g. a file name) add a leading source column.
+ * @returns {string} CSV with a header row
+ */
+export function renderCSV(input) {
+  const entries = Array.isArray(input) ? input : [{ result: input }]
+  const includeSource = entries.some(entry => entry && entry.source !== undefined)
+  const rows = [includeSource ? ['source', ...CSV_COLUMNS] : CSV_COLUMNS]
+
+  entries.forEach((entry, position) => {
+    if (!entry) {
+      return
+    }
+    const isEnvelope = entry.type === 'batch' || entry.type === 'summary'
+    const result = entry.result || entry
+    // 1-based, like the message numbers of the text report and the CLI
+    const messageIndex = isEnvelope ? '' : (entry.index ?? position) + 1
+    const issues = (isEnvelope ? entry.issues : result.issues) || []
+    issues.forEach(issue => {
+      rows.push([
+        ...(includeSource ? [entry.source ?? ''] : []),
+        messageIndex,
+        issue.ruleId || '',
+        issue.severity,
+        issue.category,
+        issue.field,
+        issue.issue,
+        issue.details,
+        issue.recommendation,
+      ])
+    })
+  })
+
+  return rows.map(row => row.map(escapeCSV).join(',')).join('\r\n') + '\r\n'
+}
+
+/**
+ * Renders a result or aggregate report as a Markdown summary
+ * @param {Object} input - analyzeDataQuality result or aggregate report
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.title='HL7 Data Quality Report'] - Heading
+ * @returns {string} Markdown
+ */
+export function renderMarkdown(input, { title = 'HL7 Data Quality Report' } = {}) {
+  const lines = [`# ${title}`, '']
+
+  if (isAggregateReport(input)) {
+    const { scores, issues } = input
+    lines.push(
+      `**Messages:** ${input.messageCount} (${input.validCount} valid, ${input.invalidCount} invalid)`,
+      '',
+      '## Scores',
+      '',
+      '| Min | Median | Mean | p95 | Max |',
+      '|-----|--------|------|-----|-----|',
+      `| ${formatScore(scores.min)} | ${formatScore(scores.median)} | ${formatScore(scores.mean)} | ${formatScore(scores.p95)} | ${formatScore(scores.max)} |`,
+      '',
+      `## Issues (${issues.total})`,
+      '',
+      ...markdownCountTable('Severity', issues.bySeverity),
+      '',
+      ...markdownCountTable('Category', issues.byCategory),
+      '',
+      ...markdownCountTable('Rule', issues.byRule),
+      '',
+    )
+    if (input.envelopeIssues && input.envelopeIssues.total > 0) {
+      lines.push(`## Batch Envelope Issues (${input.envelopeIssues.total})`, '', ...markdownCountTable('Field', input.envelopeIssues.byField), '')
+    }
+    if (input.bySource.length > 0) {
+      lines.push(
+        '## By Source',
+        '',
+        '| Sending Application | Sending Facility | Messages | Median Score | Issues |',
+        '|---------------------|------------------|----------|--------------|--------|',
+        ...input.bySource.map(source => `| ${escapeMarkdown(source.sendingApplication)} | ${escapeMarkdown(source.sendingFacility)} | ${source.messageCount} | ${formatScore(source.scores.median)} | ${source.issues.total} |`),
+        '',
+      )
+    }
+    const fillRateRows = Object.values(input.fillRates)
+      .flatMap(({ fields }) => Object.entries(fields))
+      .map(([field, { populated, fillRate }]) => `| ${field} | ${populated} | ${fillRate}% |`)
+    if (fillRateRows.length > 0) {
+      lines.push('## Field Fill Rates', '', '| Field | Populated | Fill Rate |', '|-------|-----------|-----------|', ...fillRateRows, '')
+    }
+    return lines.join('\n')
+  }
+
+  lines.push(
+    `**Score:** ${input.overallScore}/100` +
+      (input.grade ? ` | **Grade:** ${escapeMarkdown(input.grade)}` : '') +
+      ` | **Valid:** ${input.isValid ? 'Yes' : 'No'}` +
+      (input.messageType ? ` | **Message Type:** ${escapeMarkdown(input.messageType)}` : '') +
+      (input.totalSegments !== undefined ? ` | **Segments:** ${input.totalSegments}` : ''),
+    '',
+  )
+
+  const issues = input.issues || []
+  if (issues.length === 0) {
+    lines.push('No issues found.', '')
+    return lines.join('\n')
+  }
+
+  lines.push(
+    `## Issues (${issues.length})`,
+    '',
+    ...markdownCountTable('Severity', countBy(issues, 'severity', Object.values(SEVERITY))),
+    '',
+    ...(input.categoryScores
+      ? ['| Category | Score |', '|----------|-------|', ...Object.entries(input.categoryScores).map(([category, score]) => `| ${category} | ${score} |`), '']
+      : []),
+    '| Severity | Category | Field | Issue | Recommendation |',
+    '|----------|----------|-------|-------|----------------|',
+    ...sortIssues(issues).map(issue => `| ${issue.severity} | ${issue.category} | ${escapeMarkdown(issue.field)} | ${escapeMarkdown(issue.issue)} | ${escapeMarkdown(issue.recommendation)} |`),
+    '',
+  )
+  return lines.join('\n')
+}
+
+/**
+ * Renders a result or aggregate report as plain text for terminals and logs
+ * @param {Object} input - analyzeDataQuality result or aggregate report
+ * @returns {string} Plain text
+ */
+export function renderText(input) {
+  if (isAggregateReport(input)) {
+    const { scores, issues } = input
+    const lines = [
+      `Messages: ${input.messageCount} (${input.validCount} valid, ${input.invalidCount} invalid)`,
+      `Scores: min ${formatScore(scores.min)}, median ${formatScore(scores.median)}, mean ${formatScore(scores.mean)}, p95 ${formatScore(scores.p95)}, max ${formatScore(scores.max)}`,
+      `Issues: ${issues.total}`,
+      ...Object.entries(issues.bySeverity).map(([severity, count]) => `  ${severity}: ${count}`),
+    ]
+    if (input.envelopeIssues && input.envelopeIssues.total > 0) {
+      lines.push(`Batch Envelope Issues: ${input.envelopeIssues.total}`)
+    }
+    return lines.join('\n') + '\n'
+  }
+
+  const header = [`Score: ${input.overallScore}/100`, `Valid: ${input.isValid ? 'Yes' : 'No'}`]
+  if (input.grade) {
+    header.splice(1, 0, `Grade: ${input.grade}`)
+  }
+  if (input.messageType) {
+    header.push(`Type: ${input.messageType}`)
+  }
+  if (input.totalSegments !== undefined) {
+    header.push(`Segments: ${input.totalSegments}`)
+  }
+  const issueLines = sortIssues(input.issues || []).map(issue => `  [${issue.severity}] ${issue.field}: ${issue.issue}`)
+  return [header.join('  '), ...issueLines].join('\n') + '\n'
+}
+
+/**
+ * Renders the body of a single-message report
+ */
+function renderResultHTML(result, message) {
+  const issues = sortIssues(result.issues || [])
+  const summary = `<div class="summary">
+<span class="score">${result.overallScore}/100</span>
+${result.grade ? `<span><strong>Grade:</strong> ${escapeHTML(result.grade)}</span>` : ''}
+<span><strong>Valid:</strong> ${result.isValid ? 'Yes' : 'No'}</span>
+${result.messageType ? `<span><strong>Message Type:</strong> ${escapeHTML(result.messageType)}</span>` : ''}
+${result.totalSegments !== undefined ? `<span><strong>Segments:</strong> ${result.totalSegments}</span>` : ''}
+${result.analysisDate ? `<span><strong>Analyzed:</strong> ${escapeHTML(result.analysisDate)}</span>` : ''}
+</div>`
+
+  const countTables = `<h2>Issues (${issues.length})</h2>
+${htmlCountTable('Severity', countBy(issues, 'severity', Object.values(SEVERITY)))}
+${htmlCountTable('Category', countBy(issues, 'category', Object.values(QUALITY_CATEGORIES)))}
+${issues.length > 0 && result.categoryScores ? htmlScoreTable(result.categoryScores) : ''}`
+
+  const issueTable = issues.length === 0
+    ? '<p>No issues found.</p>'
+    : `<table>
+<thead><tr><th>Severity</th><th>Category</th><th>Field</th><th>Issue</th><th>Details</th><th>Recommendation</th></tr></thead>
+<tbody>
+${issues.map(issue => `<tr><td>${severityBadge(issue.severity)}</td><td>${escapeHTML(issue.category)}</td><td>${escapeHTML(issue.field)}</td><td>${escapeHTML(issue.issue)}</td><td>${escapeHTML(issue.details)}</td><td>${escapeHTML(issue.recommendation)}</td></tr>`).join('\n')}
+</tbody>
+</table>`
+
+  const messageSection = message
+    ? `<h2>Message</h2>\n<div class="message">${highlightMessage(message, issues)}</div>`
+    : ''
+
+  return [summary, countTables, issueTable, messageSection].join('\n')
+}
+
+/**
+ * Renders the body of an aggregate report
+ */
+function renderAggregateHTML(report) {
+  const { scores, issues } = report
+  const sections = [
+    `<div class="summary">
+<span class="score">${formatScore(scores.median)}</span>
+<span><strong>Messages:</strong> ${report.messageCount}</span>
+<span><strong>Valid:</strong> ${report.validCount}</span>
+<span><strong>Invalid:</strong> ${report.invalidCount}</span>
+</div>`,
+    `<h2>Scores</h2>
+<table><thead><tr><th>Min</th><th>Median</th><th>Mean</th><th>p95</th><th>Max</th></tr></thead>
+<tbody><tr><td>${formatScore(scores.min)}</td><td>${formatScore(scores.median)}</td><td>${formatScore(scores.mean)}</td><td>${formatScore(scores.p95)}</td><td>${formatScore(scores.max)}</td></tr></tbody></table>`,
+    `<h2>Issues (${issues.total})</h2>
+${htmlCountTable('Severity', issues.bySeverity)}
+${htmlCountTable('Category', issues.byCategory)}
+${htmlCountTable('Rule', issues.byRule)}
+${htmlCountTable('Field', issues.byField)}`,
+  ]
+
+  if (report.envelopeIssues && report.envelopeIssues.total > 0) {
+    sections.push(`<h2>Batch Envelope Issues (${report.envelopeIssues.total})</h2>
+${htmlCountTable('Field', report.envelopeIssues.byField)}`)
+  }
+
+  if (report.bySource.length > 0) {
+    sections.push(`<h2>By Source</h2>
+<table><thead><tr><th>Sending Application</th><th>Sending Facility</th><th>Messages</th><th>Median Score</th><th>p95 Score</th><th>Issues</th></tr></thead>
+<tbody>
+${report.bySource.map(source => `<tr><td>${escapeHTML(source.sendingApplication)}</td><td>${escapeHTML(source.sendingFacility)}</td><td>${source.messageCount}</td><td>${formatScore(source.scores.median)}</td><td>${formatScore(source.scores.p95)}</td><td>${source.issues.total}</td></tr>`).join('\n')}
+</tbody></table>`)
+  }
+
+  const fillRateRows = Object.entries(report.fillRates).flatMap(([segmentType, { segmentCount, fields }]) =>
+    Object.entries(fields).map(([field, { populated, fillRate }]) =>
+      `<tr><td>${escapeHTML(segmentType)}</td><td>${escapeHTML(field)}</td><td>${populated} / ${segmentCount}</td><td>${fillRate}%</td></tr>`))
+  if (fillRateRows.length > 0) {
+    sections.push(`<h2>Field Fill Rates</h2>
+<table><thead><tr><th>Segment</th><th>Field</th><th>Populated</th><th>Fill Rate</th></tr></thead>
+<tbody>
+${fillRateRows.join('\n')}
+</tbody></table>`)
+  }
+
+  return sections.join('\n')
+}
+
+/**
+ * Renders the raw message with each field an issue is located at (or its segment ID, for segment-level
+ * issues) wrapped in a <mark>; related locations, such as the second field of 'PV1-44/45', are marked too
+ */
+function highlightMessage(message, issues) {
+  const index = indexMessage(message)
+  const highlights = new Map()
+  issues.forEach(issue => {
+    const locations = [resolveIssueLocation(issue, index), ...(issue.relatedLocations || []).map(location => resolveIssueLocation({ location }, index))]
+    locations.forEach(location => {
+      if (!location?.segment || !location.sequence) {
+        return
+      }
+      const key = `${location.segment}#${location.sequence}-${location.field || 0}`
+      if (!highlights.has(key)) {
+        highlights.set(key, [])
+      }
+      if (!highlights.get(key).includes(issue)) {
+        highlights.get(key).push(issue)
+      }
+    })
+  })
+
+  const { text } = index
+  const mark = (key, content) => {
+    const fieldIssues = highlights.get(key)
+    if (!fieldIssues) {
+      return escapeHTML(content)
+    }
+    const worst = sortIssues(fieldIssues)[0].severity
+    const tooltip = fieldIssues.map(issue => `[${issue.severity}] ${issue.issue}`).join('\n')
+    return `<mark class="sev-${cssClass(worst)}" title="${escapeHTML(tooltip)}">${escapeHTML(content) || '&nbsp;'}</mark>`
+  }
+
+  return index.segments.map(({ segment, sequence, start, end, fields }) => {
+    const isHeader = segment === 'MSH'
+    // The segment ID ends at the first field separator, which for MSH is MSH-1 itself
+    const idEnd = fields[1] ? (isHeader ? fields[1].start : fields[1].start - 1) : end
+    let html = mark(`${segment}#${sequence}-0`, text.substring(start, idEnd))
+    let cursor = idEnd
+    Object.keys(fields).map(Number).sort((a, b) => a - b).forEach(field => {
+      if (isHeader && field === 1) {
+        return
+      }
+      html += escapeHTML(text.substring(cursor, fields[field].start))
+      html += mark(`${segment}#${sequence}-${field}`, text.substring(fields[field].start, fields[field].end))
+      cursor = fields[field].end
+    })
+    return html + escapeHTML(text.substring(cursor, end))
+  }).join('\n')
+}
+
+function isAggregateReport(input) {
+  return Boolean(input && input.fillRates && input.scores && input.messageCount !== undefined)
+}
+
+function sortIssues(issues) {
+  const order = Object.values(SEVERITY)
+  return [...issues].sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity))
+}
+
+function countBy(issues, key, order) {
+  const counts = {}
+  order.forEach(value => {
+    const count = issues.filter(issue => issue[key] === value).length
+    if (count > 0) {
+      counts[value] = count
+    }
+  })
+  return counts
+}
+
+function htmlCountTable(label, counts) {
+  const entries = Object.entries(counts || {})
+  if (entries.length === 0) {
+    return ''
+  }
+  return `<table><thead><tr><th>${escapeHTML(label)}</th><th>Count</th></tr></thead>
+<tbody>
+${entries.map(([key, count]) => `<tr><td>${label === 'Severity' ? severityBadge(key) : escapeHTML(key)}</td><td>${count}</td></tr>`).join('\n')}
+</tbody></table>`
+}
+
+function htmlScoreTable(categoryScores) {
+  return `<table><thead><tr><th>Category</th><th>Score</th></tr></thead>
+<tbody>
+${Object.entries(categoryScores).map(([category, score]) => `<tr><td>${escapeHTML(category)}</td><td>${score}</td></tr>`).join('\n')}
+</tbody></table>`
+}
+
+function markdownCountTable(label, counts) {
+  const entries = Object.entries(counts || {})
+  if (entries.length === 0) {
+    return []
+  }
+  return [
+    `| ${label} | Count |`,
+    `|${'-'.repeat(label.length + 2)}|-------|`,
+    ...entries.map(([key, count]) => `| ${escapeMarkdown(key)} | ${count} |`),
+  ]
+}
+
+function severityBadge(severity) {
+  return `<span class="severity sev-${cssClass(severity)}">${escapeHTML(severity)}</span>`
+}
+
+function formatScore(score) {
+  return score === null || score === undefined ? 'n/a' : String(score)
+}
+
+function cssClass(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-')
+}
+
+function escapeHTML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+function escapeCSV(value) {
+  const text = String(value ?? '')
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function escapeMarkdown(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n|\r/g, ' ')
+}
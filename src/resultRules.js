@@ -0,0 +1,383 @@
+/**
+ * Result Message Rules
+ *
+ * Quality rules for observation results (ORU/OUL and any message carrying
+ * OBX segments): OBR/OBX grouping and set IDs, value type consistency between
+ * OBX-2 and OBX-5, UCUM units, reference ranges against abnormal flags, and
+ * result status.
+ */
+
+import { QUALITY_CATEGORIES, SEVERITY } from './constants.js'
+import { validateDataType } from './dataTypes.js'
+import { validateUCUM } from './ucum.js'
+import { validateMessageStructure } from './messageStructures.js'
+import { getSegments, getDataTypeOptions, getComponents, groupSegments, createIssue, sumPenalties } from './messageHelpers.js'
+
+/**
+ * OBX-2 value types whose OBX-5 content is validated as that HL7 data type
+ */
+const TYPED_VALUES = ['NM', 'DT', 'TM', 'TS', 'DTM', 'CWE', 'CE', 'CX', 'XPN', 'XAD', 'XTN']
+
+/**
+ * Value types that carry a quantity and therefore need units
+ */
+const QUANTITATIVE_TYPES = ['NM', 'SN']
+
+const LOW_FLAGS = ['L', 'LL', '<']
+const HIGH_FLAGS = ['H', 'HH', '>']
+const GENERIC_ABNORMAL_FLAGS = ['A', 'AA']
+
+/**
+ * Result statuses (table 0085) for which OBX-5 is expected to hold a result
+ */
+const VALUED_STATUSES = ['C', 'F', 'P', 'R', 'S', 'U']
+
+/**
+ * Result statuses that are not yet final
+ */
+const PRELIMINARY_STATUSES = ['I', 'P', 'R', 'S']
+
+/**
+ * Result rules, registered as built-in rules after the general rules
+ */
+export const RESULT_RULES = [
+  { id: 'result-structure', name: 'Result Order Grouping', check: checkResultStructure, category: QUALITY_CATEGORIES.COMPLETENESS, severity: SEVERITY.HIGH, penalty: 5, messageTypes: ['ORU', 'OUL'] },
+  { id: 'result-set-ids', name: 'Result Set ID Sequencing', check: checkResultSetIds, category: QUALITY_CATEGORIES.CONSISTENCY, severity: SEVERITY.LOW, penalty: 1 },
+  { id: 'observation-values', name: 'Observation Value Types', check: checkObservationValues, category: QUALITY_CATEGORIES.CONSISTENCY, severity: SEVERITY.MEDIUM, penalty: 2 },
+  { id: 'observation-units', name: 'Observation Units', check: checkObservationUnits, category: QUALITY_CATEGORIES.FORMATTING, severity: SEVERITY.LOW, penalty: 1 },
+  { id: 'reference-ranges', name: 'Reference Ranges and Abnormal Flags', check: checkReferenceRanges, category: QUALITY_CATEGORIES.CONSISTENCY, severity: SEVERITY.MEDIUM, penalty: 2 },
+  { id: 'result-status', name: 'Result Status', check: checkResultStatus, category: QUALITY_CATEGORIES.COMPLETENESS, severity: SEVERITY.MEDIUM, penalty: 2 },
+]
+
+/**
+ * Groups OBX segments under the OBR that precedes them
+ * OBX segments before the first OBR form a group whose obr is null.
+ * @param {Object} parsed - Parsed HL7 message
+ * @returns {Array} { obr, observations } where obr and each observation are { segment, sequence }
+ */
+export function getResultGroups(parsed) {
+  return groupSegments(parsed, 'OBR', ['OBX']).map(({ parent, children }) => ({ obr: parent, observations: children }))
+}
+
+/**
+ * Parses an OBX-7 reference range: 'a-b', '<b', '<=b', '>a' or '>=a'
+ * @param {string} range - Reference range text
+ * @returns {Object|null} { low, high, lowInclusive, highInclusive } (null bounds are open), or null if unparseable
+ */
+export function parseReferenceRange(range) {
+  const text = String(range ?? '').trim()
+  const number = '(-?\\d+(?:\\.\\d+)?)'
+  let match = new RegExp(`^${number}\\s*-\\s*${number}$`).exec(text)
+  if (match) {
+    const low = Number(match[1])
+    const high = Number(match[2])
+    return low <= high ? { low, high, lowInclusive: true, highInclusive: true } : null
+  }
+  match = new RegExp(`^(<=?|>=?)\\s*${number}$`).exec(text)
+  if (match) {
+    const [, comparator, value] = match
+    const inclusive = comparator.length === 2
+    return comparator.startsWith('<')
+      ? { low: null, high: Number(value), lowInclusive: false, highInclusive: inclusive }
+      : { low: Number(value), high: null, lowInclusive: inclusive, highInclusive: false }
+  }
+  return null
+}
+
+/**
+ * Checks that results are grouped under an order (OBR) with a universal service ID
+ * Missing and misplaced OBR segments are left to the message structure checks for messages with a bundled structure.
+ */
+function checkResultStructure(parsed) {
+  const issues = []
+  const groups = getResultGroups(parsed)
+  const hasStructure = Boolean(validateMessageStructure(parsed).structure)
+
+  if (!hasStructure && !groups.some(group => group.obr)) {
+    issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.HIGH, { segment: 'OBR' },
+      'Missing OBR segment',
+      'Result messages must carry an Observation Request (OBR) segment for each group of results',
+      'Add an OBR segment before the OBX segments it reports on'))
+  }
+
+  const hasOrphans = groups.some(group => !group.obr)
+  groups.forEach(({ obr, observations }, index) => {
+    if (!obr) {
+      if (!hasStructure) {
+        observations.forEach(({ sequence }) => {
+          issues.push(createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.HIGH, { segment: 'OBX', sequence },
+            'Observation outside an order group',
+            `OBX #${sequence} appears before any OBR segment`,
+            'Place every OBX after the OBR of the order it belongs to'))
+        })
+      }
+      return
+    }
+    if (!obr.segment.parsed.field4) {
+      issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.HIGH, { segment: 'OBR', sequence: obr.sequence, field: 4 },
+        'Missing Universal Service Identifier',
+        `OBR #${obr.sequence} has no OBR-4 identifying the ordered test`,
+        'Populate OBR-4 with the ordered service code'))
+    }
+    // Results sent ahead of the first OBR most likely belong to it and are already reported as misplaced
+    const resultsSentEarly = hasOrphans && index === 1
+    if (observations.length === 0 && !resultsSentEarly) {
+      issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.LOW, { segment: 'OBR', sequence: obr.sequence },
+        'Order has no results',
+        `OBR #${obr.sequence} is not followed by any OBX segment`,
+        'Send the results for the order, or omit the OBR until results are available'))
+    }
+  })
+
+  return { issues, scorePenalty: sumPenalties(issues) }
+}
+
+/**
+ * Checks that OBR-1 counts up across the message and OBX-1 counts up from 1 within each order
+ */
+function checkResultSetIds(parsed) {
+  const issues = []
+
+  getSegments(parsed, 'OBR').forEach(({ segment, sequence }) => {
+    checkSetId(issues, 'OBR', sequence, segment.parsed.field1, sequence)
+  })
+  getResultGroups(parsed).forEach(({ observations }) => {
+    observations.forEach(({ segment, sequence }, index) => {
+      checkSetId(issues, 'OBX', sequence, segment.parsed.field1, index + 1)
+    })
+  })
+
+  return { issues, scorePenalty: sumPenalties(issues) }
+}
+
+function checkSetId(issues, segment, sequence, value, expected) {
+  if (value === undefined || value === null || value === '' || String(value) === String(expected)) {
+    return
+  }
+  issues.push(createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.LOW, { segment, sequence, field: 1 },
+    `Out of sequence ${segment} Set ID`,
+    `${segment} #${sequence} has Set ID "${value}" where ${expected} was expected`,
+    segment === 'OBR'
+      ? 'Number OBR-1 sequentially from 1 across the message'
+      : 'Number OBX-1 sequentially from 1 within each OBR group'))
+}
+
+/**
+ * Checks that OBX-5 content matches the value type declared in OBX-2
+ */
+function checkObservationValues(parsed) {
+  const issues = []
+  const options = getDataTypeOptions(parsed)
+
+  getSegments(parsed, 'OBX').forEach(({ segment, sequence }) => {
+    const valueType = String(segment.parsed.field2 || '')
+    const value = segment.parsed.field5
+
+    if (!segment.parsed.field3) {
+      issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.HIGH, { segment: 'OBX', sequence, field: 3 },
+        'Missing Observation Identifier',
+        `OBX #${sequence} does not identify what was observed`,
+        'Populate OBX-3 with a coded observation identifier (e.g. LOINC)'))
+    }
+    if (!value) {
+      return
+    }
+    if (!valueType) {
+      issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.MEDIUM, { segment: 'OBX', sequence, field: 2 },
+        'Missing Value Type',
+        `OBX #${sequence} has an observation value but no OBX-2 value type`,
+        'Populate OBX-2 whenever OBX-5 is valued'))
+      return
+    }
+
+    if (valueType === 'NM' && /^\s*(<=?|>=?)\s*-?\d/.test(String(value))) {
+      issues.push(createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.MEDIUM, { segment: 'OBX', sequence, field: 5 },
+        'Comparator in numeric result',
+        `"${value}" is not a number; NM values cannot carry a comparator`,
+        'Send values such as <5 with value type SN (e.g. <^5)'))
+    } else if (valueType === 'SN') {
+      const error = validateStructuredNumeric(value, options.encoding)
+      if (error) {
+        issues.push(createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.MEDIUM, { segment: 'OBX', sequence, field: 5 },
+          'Invalid structured numeric result',
+          error,
+          'Format SN values as comparator^number^separator^number (e.g. >^100 or ^1^:^128)'))
+      }
+    } else if (TYPED_VALUES.includes(valueType)) {
+      const { isValid, errors } = validateDataType(value, valueType, options)
+      if (!isValid) {
+        const [{ repetition, component, subcomponent }] = errors
+        issues.push(createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.MEDIUM,
+          { segment: 'OBX', sequence, field: 5, repetition, component, subcomponent },
+          `Observation value does not match value type ${valueType}`,
+          errors.map(error => error.message).join('; '),
+          'Correct OBX-5 or declare its actual value type in OBX-2'))
+      }
+    } else if (['ST', 'TX', 'FT'].includes(valueType) && /^-?\d+(\.\d+)?$/.test(String(value).trim())) {
+      issues.push(createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.LOW, { segment: 'OBX', sequence, field: 2 },
+        'Numeric result sent as text',
+        `OBX #${sequence} value "${value}" is numeric but typed ${valueType}`,
+        'Send numeric results with value type NM so receivers can trend and flag them'))
+    }
+  })
+
+  return { issues, scorePenalty: sumPenalties(issues) }
+}
+
+/**
+ * Returns an error message for an invalid SN (structured numeric) value, or null
+ */
+function validateStructuredNumeric(value, encoding) {
+  const [comparator = '', first = '', separator = '', second = ''] = getComponents(value, encoding)
+  const number = /^-?\d+(\.\d+)?$/
+  if (comparator && !['>', '<', '>=', '<=', '=', '<>'].includes(comparator)) {
+    return `"${comparator}" is not an SN comparator (>, <, >=, <=, =, <>)`
+  }
+  if (!number.test(first)) {
+    return `SN number "${first}" is not numeric`
+  }
+  if (separator && !['-', '+', '/', '.', ':'].includes(separator)) {
+    return `"${separator}" is not an SN separator (-, +, /, ., :)`
+  }
+  if (separator && !number.test(second)) {
+    return `SN second number "${second}" is not numeric`
+  }
+  if (!separator && second) {
+    return 'SN second number given without a separator'
+  }
+  return null
+}
+
+/**
+ * Checks that quantitative results have units and that UCUM units are valid
+ */
+function checkObservationUnits(parsed) {
+  const issues = []
+  const { encoding } = getDataTypeOptions(parsed)
+
+  getSegments(parsed, 'OBX').forEach(({ segment, sequence }) => {
+    const valueType = String(segment.parsed.field2 || '')
+    const [unit = '', , codingSystem = ''] = getComponents(segment.parsed.field6, encoding)
+
+    if (QUANTITATIVE_TYPES.includes(valueType) && segment.parsed.field5 && !unit) {
+      issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.LOW, { segment: 'OBX', sequence, field: 6 },
+        'Missing units',
+        `Numeric result in OBX #${sequence} has no units in OBX-6`,
+        'Populate OBX-6 with the UCUM unit (use 1 or {ratio} for unitless results)'))
+      return
+    }
+    // Units from another coding system (ISO+, ANSI, local) are not UCUM expressions
+    if (!unit || (codingSystem && codingSystem !== 'UCUM')) {
+      return
+    }
+    const { isValid, error } = validateUCUM(unit)
+    if (!isValid) {
+      issues.push(createIssue(QUALITY_CATEGORIES.FORMATTING, SEVERITY.LOW,
+        { segment: 'OBX', sequence, field: 6, component: 1 },
+        'Invalid UCUM unit',
+        `"${unit}" is not a valid UCUM expression: ${error}`,
+        'Use case-sensitive UCUM units (e.g. ug rather than mcg, mL rather than cc, /min rather than beats/min)'))
+    }
+  })
+
+  return { issues, scorePenalty: sumPenalties(issues) }
+}
+
+/**
+ * Checks OBX-7 reference ranges against numeric values and OBX-8 abnormal flags
+ */
+function checkReferenceRanges(parsed) {
+  const issues = []
+  const { encoding } = getDataTypeOptions(parsed)
+
+  getSegments(parsed, 'OBX').forEach(({ segment, sequence }) => {
+    const range = segment.parsed.field7
+    const value = String(segment.parsed.field5 || '').trim()
+    if (segment.parsed.field2 !== 'NM' || !range || !/^-?\d+(\.\d+)?$/.test(value)) {
+      return
+    }
+
+    const bounds = parseReferenceRange(range)
+    if (!bounds) {
+      issues.push(createIssue(QUALITY_CATEGORIES.FORMATTING, SEVERITY.LOW, { segment: 'OBX', sequence, field: 7 },
+        'Unparseable reference range',
+        `Reference range "${range}" is not in a recognized form`,
+        'Send numeric reference ranges as low-high, <high, <=high, >low or >=low'))
+      return
+    }
+
+    const number = Number(value)
+    const below = bounds.low !== null && (bounds.lowInclusive ? number < bounds.low : number <= bounds.low)
+    const above = bounds.high !== null && (bounds.highInclusive ? number > bounds.high : number >= bounds.high)
+    const [flag = ''] = getComponents(segment.parsed.field8, encoding)
+    const location = { segment: 'OBX', sequence, field: 8 }
+
+    if (below || above) {
+      const expected = below ? LOW_FLAGS : HIGH_FLAGS
+      const opposite = below ? HIGH_FLAGS : LOW_FLAGS
+      if (!flag || flag === 'N') {
+        issues.push(createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.MEDIUM, location,
+          'Missing abnormal flag',
+          `Value ${value} is ${below ? 'below' : 'above'} reference range ${range} but OBX-8 is ${flag ? '"N"' : 'empty'}`,
+          `Flag the result as ${expected.slice(0, 2).join(' or ')} in OBX-8`))
+      } else if (opposite.includes(flag)) {
+        issues.push(createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.HIGH, location,
+          'Abnormal flag contradicts value',
+          `Value ${value} is ${below ? 'below' : 'above'} reference range ${range} but is flagged "${flag}"`,
+          'Verify the result value, reference range and abnormal flag'))
+      }
+    } else if ([...LOW_FLAGS, ...HIGH_FLAGS, ...GENERIC_ABNORMAL_FLAGS].includes(flag)) {
+      issues.push(createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.MEDIUM, location,
+        'Abnormal flag on normal value',
+        `Value ${value} is within reference range ${range} but is flagged "${flag}"`,
+        'Verify the result value, reference range and abnormal flag'))
+    }
+  })
+
+  return { issues, scorePenalty: sumPenalties(issues) }
+}
+
+/**
+ * Checks OBX-11 result status against the result value and the order status in OBR-25
+ */
+function checkResultStatus(parsed) {
+  const issues = []
+
+  getResultGroups(parsed).forEach(({ obr, observations }) => {
+    observations.forEach(({ segment, sequence }) => {
+      const status = String(segment.parsed.field11 || '')
+      const hasValue = Boolean(segment.parsed.field5)
+      if (!status) {
+        issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.MEDIUM, { segment: 'OBX', sequence, field: 11 },
+          'Missing Observation Result Status',
+          `OBX #${sequence} has no OBX-11 result status`,
+          'Populate OBX-11 (e.g. F for final, P for preliminary, C for corrected)'))
+      } else if (VALUED_STATUSES.includes(status) && !hasValue) {
+        issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.MEDIUM, { segment: 'OBX', sequence, field: 5 },
+          'Result has no value',
+          `OBX #${sequence} has result status "${status}" but OBX-5 is empty`,
+          'Send the result value, or use status X (cannot be obtained), D (deleted) or I (pending)'))
+      } else if (status === 'X' && hasValue) {
+        issues.push(createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.LOW, { segment: 'OBX', sequence, field: 11 },
+          'Value sent for a result that cannot be obtained',
+          `OBX #${sequence} has result status "X" but OBX-5 is valued`,
+          'Clear OBX-5 or correct the result status'))
+      }
+    })
+
+    if (obr && obr.segment.parsed.field25 === 'F') {
+      const pending = observations.filter(({ segment }) => PRELIMINARY_STATUSES.includes(segment.parsed.field11))
+      if (pending.length > 0) {
+        issues.push({
+          ...createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.MEDIUM, { segment: 'OBR', sequence: obr.sequence, field: 25 },
+            'Final order with non-final results',
+            `OBR #${obr.sequence} is final but has non-final results: ${pending.map(({ sequence }) => `OBX #${sequence}`).join(', ')}`,
+            'Send OBR-25 as P (preliminary) until every result is final'),
+          relatedLocations: pending.map(({ sequence }) => ({ segment: 'OBX', sequence, field: 11 })),
+        })
+      }
+    }
+  })
+
+  return { issues, scorePenalty: sumPenalties(issues) }
+}
@@ -0,0 +1,190 @@
+/**
+ * Quality Rule Registry
+ *
+ * Holds the set of quality rules run by analyzeDataQuality. Built-in checks
+ * are registered by the service module; site-specific rules can be added,
+ * removed, enabled or disabled at runtime without editing the library.
+ */
+
+import { QUALITY_CATEGORIES, SEVERITY } from './constants.js'
+import { matchesMessageType } from './messageHelpers.js'
+
+const rules = new Map()
+
+/**
+ * Registers a quality rule
+ * @param {Object} rule - Rule definition
+ * @param {string} rule.id - Unique rule identifier (e.g. 'pid-completeness')
+ * @param {Function} rule.check - Check function receiving the parsed message and analysis context, returning { issues, recommendations, scorePenalty };
+ *   an issue's own penalty property takes precedence over scorePenalty and rule.penalty
+ * @param {string} rule.category - Default category from QUALITY_CATEGORIES for issues that omit one
+ * @param {string} rule.severity - Default severity from SEVERITY for issues that omit one
+ * @param {number} [rule.penalty=0] - Score penalty per issue when the check does not return scorePenalty
+ * @param {string} [rule.name] - Human readable rule name
+ * @param {string} [rule.description] - What the rule verifies
+ * @param {boolean} [rule.enabled=true] - Whether the rule runs by default
+ * @param {Array<string>} [rule.messageTypes] - Only run for these message types from MSH-9: codes ('ORU'),
+ *   code^trigger ('ADT^A03') or structures ('ORU_R01'). Runs for every message when omitted.
+ * @param {Object} [options] - Registration options
+ * @param {boolean} [options.override=false] - Replace an existing rule with the same id
+ * @returns {Object} The registered rule descriptor
+ */
+export function registerRule(rule, { override = false } = {}) {
+  if (!rule || typeof rule.id !== 'string' || rule.id.trim() === '') {
+    throw new Error('Rule must have a non-empty string id')
+  }
+  if (typeof rule.check !== 'function') {
+    throw new Error(`Rule "${rule.id}" must provide a check function`)
+  }
+  if (!Object.values(QUALITY_CATEGORIES).includes(rule.category)) {
+    throw new Error(`Rule "${rule.id}" has unknown category "${rule.category}"`)
+  }
+  if (!Object.values(SEVERITY).includes(rule.severity)) {
+    throw new Error(`Rule "${rule.id}" has unknown severity "${rule.severity}"`)
+  }
+  const penalty = rule.penalty ?? 0
+  if (typeof penalty !== 'number' || penalty < 0) {
+    throw new Error(`Rule "${rule.id}" penalty must be a non-negative number`)
+  }
+  if (rule.messageTypes !== undefined && rule.messageTypes !== null
+    && (!Array.isArray(rule.messageTypes) || !rule.messageTypes.every(type => typeof type === 'string' && type !== ''))) {
+    throw new Error(`Rule "${rule.id}" messageTypes must be an array of message type strings`)
+  }
+  if (rules.has(rule.id) && !override) {
+    throw new Error(`Rule "${rule.id}" is already registered`)
+  }
+
+  const registered = {
+    id: rule.id,
+    name: rule.name || rule.id,
+    description: rule.description || '',
+    category: rule.category,
+    severity: rule.severity,
+    penalty,
+    check: rule.check,
+    messageTypes: rule.messageTypes ? [...rule.messageTypes] : null,
+    enabled: rule.enabled !== false,
+    builtIn: rule.builtIn === true,
+  }
+  rules.set(rule.id, registered)
+  return describeRule(registered)
+}
+
+/**
+ * Removes a rule from the registry
+ * @param {string} id - Rule identifier
+ * @returns {boolean} True if a rule was removed
+ */
+export function unregisterRule(id) {
+  return rules.delete(id)
+}
+
+/**
+ * Enables a registered rule
+ * @param {string} id - Rule identifier
+ */
+export function enableRule(id) {
+  getRegisteredRule(id).enabled = true
+}
+
+/**
+ * Disables a registered rule so analyzeDataQuality skips it
+ * @param {string} id - Rule identifier
+ */
+export function disableRule(id) {
+  getRegisteredRule(id).enabled = false
+}
+
+/**
+ * Gets a registered rule's metadata
+ * @param {string} id - Rule identifier
+ * @returns {Object|null} Rule descriptor, or null if not registered
+ */
+export function getRule(id) {
+  const rule = rules.get(id)
+  return rule ? describeRule(rule) : null
+}
+
+/**
+ * Lists all registered rules in execution order
+ * @param {Object} [filter] - Optional filter
+ * @param {boolean} [filter.enabled] - Only rules with this enabled state
+ * @param {string} [filter.category] - Only rules with this category
+ * @returns {Array} Rule descriptors
+ */
+export function listRules({ enabled, category } = {}) {
+  return [...rules.values()]
+    .filter(rule => enabled === undefined || rule.enabled === enabled)
+    .filter(rule => category === undefined || rule.category === category)
+    .map(describeRule)
+}
+
+/**
+ * Runs every enabled rule that applies to the message type against a parsed message
+ * @param {Object} parsed - Parsed HL7 message
+ * @param {Object} [context] - Analysis options passed through to each check, with rawMessage (decoded text)
+ *   and rawBytes (the input bytes, or null for string input)
+ * @returns {Array} Normalized results: { issues, recommendations, scorePenalty } per rule
+ */
+export function runEnabledRules(parsed, context = {}) {
+  return [...rules.values()]
+    .filter(rule => rule.enabled)
+    .filter(rule => !rule.messageTypes || matchesMessageType(parsed, rule.messageTypes))
+    .map(rule => runRule(rule, parsed, context))
+}
+
+/**
+ * Runs a single rule, filling in rule defaults on the issues it reports
+ */
+function runRule(rule, parsed, context) {
+  let result
+  try {
+    result = rule.check(parsed, context) || {}
+  } catch (error) {
+    return {
+      issues: [{
+        ruleId: rule.id,
+        category: rule.category,
+        severity: SEVERITY.INFO,
+        field: `Rule ${rule.id}`,
+        issue: 'Quality rule failed to run',
+        details: error.message,
+        recommendation: `Review the implementation of rule "${rule.id}"`,
+        penalty: 0,
+      }],
+      recommendations: [],
+      scorePenalty: 0,
+    }
+  }
+
+  const reported = result.issues || []
+  // Issues that carry their own penalty keep it; a scorePenalty returned by the check is shared by the rest
+  const unpenalized = reported.filter(issue => typeof issue.penalty !== 'number')
+  const assignedPenalty = reported.reduce((total, issue) => total + (typeof issue.penalty === 'number' ? issue.penalty : 0), 0)
+  const sharedPenalty = typeof result.scorePenalty === 'number' && unpenalized.length > 0
+    ? Math.max(0, result.scorePenalty - assignedPenalty) / unpenalized.length
+    : rule.penalty
+
+  const issues = reported.map(issue => ({
+    ruleId: rule.id,
+    category: rule.category,
+    severity: rule.severity,
+    penalty: sharedPenalty,
+    ...issue,
+  }))
+  const scorePenalty = issues.reduce((total, issue) => total + issue.penalty, 0)
+
+  return { issues, recommendations: result.recommendations || [], scorePenalty }
+}
+
+function getRegisteredRule(id) {
+  const rule = rules.get(id)
+  if (!rule) {
+    throw new Error(`Rule "${id}" is not registered`)
+  }
+  return rule
+}
+
+function describeRule({ check, ...descriptor }) {
+  return descriptor
+}
@@ -0,0 +1,176 @@
+/**
+ * Scheduling Message Rules
+ *
+ * Quality rules for SIU scheduling messages: appointment identifiers, the
+ * appointment window in SCH-11, durations and their units, resource (AIS,
+ * AIG, AIL, AIP) start times within the appointment, and the filler status
+ * expected for the trigger event.
+ */
+
+import { QUALITY_CATEGORIES, SEVERITY } from './constants.js'
+import { parseDateTime } from './dataTypes.js'
+import { getSegments, getDataTypeOptions, getComponents, getMessageType, createIssue, sumPenalties } from './messageHelpers.js'
+
+/**
+ * Start time, duration and duration units fields of each resource segment
+ */
+const RESOURCE_TIMING = [
+  { segment: 'AIS', name: 'Service', start: 4, duration: 7, units: 8 },
+  { segment: 'AIG', name: 'General Resource', start: 8, duration: 11, units: 12 },
+  { segment: 'AIL', name: 'Location Resource', start: 6, duration: 9, units: 10 },
+  { segment: 'AIP', name: 'Personnel Resource', start: 6, duration: 9, units: 10 },
+]
+
+/**
+ * Milliseconds per duration unit (UCUM codes and common uppercase spellings)
+ */
+const DURATION_UNITS = {
+  s: 1000, SEC: 1000,
+  min: 60000, MIN: 60000,
+  h: 3600000, HR: 3600000,
+  d: 86400000, DAY: 86400000,
+  wk: 604800000, WK: 604800000,
+}
+
+/**
+ * Filler status (SCH-25, table 0278) each trigger event leaves the appointment in
+ */
+const TRIGGER_STATUSES = {
+  S15: 'Cancelled',
+  S17: 'Deleted',
+  S26: 'Noshow',
+}
+
+/**
+ * Scheduling rules, registered as built-in rules after the general rules
+ */
+export const SCHEDULING_RULES = [
+  { id: 'schedule-timing', name: 'Appointment Timing', check: checkScheduleTiming, category: QUALITY_CATEGORIES.CONSISTENCY, severity: SEVERITY.MEDIUM, penalty: 2, messageTypes: ['SIU'] },
+]
+
+/**
+ * Checks appointment identifiers, timing, resources and filler status in SIU messages
+ */
+function checkScheduleTiming(parsed) {
+  const issues = []
+  const { encoding } = getDataTypeOptions(parsed)
+  const { trigger } = getMessageType(parsed)
+  let appointment = null
+
+  getSegments(parsed, 'SCH').forEach(({ segment: sch, sequence }) => {
+    if (!sch.parsed.field1 && !sch.parsed.field2) {
+      issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.HIGH, { segment: 'SCH', sequence, field: 1 },
+        'Missing appointment ID',
+        'SCH carries neither a placer (SCH-1) nor a filler (SCH-2) appointment ID',
+        'Populate SCH-1 or SCH-2 so updates and cancellations can be matched to the appointment'))
+    }
+
+    // SCH-11 is a TQ; components 4 and 5 are the start and end date/time
+    const timing = getComponents(sch.parsed.field11, encoding)
+    const start = parseDateTime(timing[3])
+    const end = parseDateTime(timing[4])
+    if (start && end && end <= start) {
+      issues.push(createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.HIGH, { segment: 'SCH', sequence, field: 11, component: 5 },
+        'Appointment ends before it starts',
+        `Appointment end "${timing[4]}" is not after its start "${timing[3]}"`,
+        'Verify the appointment start and end date/time in SCH-11'))
+    }
+    checkDuration(issues, encoding, { segment: 'SCH', sequence, name: 'Appointment' }, sch.parsed.field9, 9, sch.parsed.field10, 10)
+
+    const [status = ''] = getComponents(sch.parsed.field25, encoding)
+    if (TRIGGER_STATUSES[trigger] && status && status !== TRIGGER_STATUSES[trigger]) {
+      issues.push(createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.MEDIUM, { segment: 'SCH', sequence, field: 25 },
+        'Filler status does not match trigger event',
+        `Trigger event ${trigger} expects filler status "${TRIGGER_STATUSES[trigger]}" but SCH-25 is "${status}"`,
+        `Send SCH-25 as ${TRIGGER_STATUSES[trigger]} for ${trigger} messages`))
+    }
+
+    if (!appointment) {
+      appointment = { sequence, window: start && end && end > start ? { start, end } : null }
+    }
+  })
+
+  // Resources belong to the message, not to each SCH: check them once, against the first appointment's timing
+  if (appointment) {
+    checkResources(issues, parsed, encoding, appointment.window, appointment.sequence)
+  }
+
+  return { issues, scorePenalty: sumPenalties(issues) }
+}
+
+function checkResources(issues, parsed, encoding, window, schSequence) {
+  let resourceCount = 0
+
+  RESOURCE_TIMING.forEach(({ segment: segmentType, name, start, duration, units }) => {
+    getSegments(parsed, segmentType).forEach(({ segment, sequence }) => {
+      resourceCount++
+      checkDuration(issues, encoding, { segment: segmentType, sequence, name }, segment.parsed[`field${duration}`], duration, segment.parsed[`field${units}`], units)
+
+      const startValue = getComponents(segment.parsed[`field${start}`], encoding)[0]
+      const resourceStart = parseDateTime(startValue)
+      if (!window || !resourceStart) {
+        return
+      }
+      const location = { segment: segmentType, sequence, field: start }
+      const relatedLocations = [{ segment: 'SCH', sequence: schSequence, field: 11 }]
+      if (resourceStart < window.start || resourceStart >= window.end) {
+        issues.push({
+          ...createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.MEDIUM, location,
+            `${name} starts outside the appointment`,
+            `${segmentType}-${start} "${startValue}" is not within the appointment window in SCH-11`,
+            'Verify the resource start date/time against the appointment timing'),
+          relatedLocations,
+        })
+        return
+      }
+      const length = durationMilliseconds(segment.parsed[`field${duration}`], segment.parsed[`field${units}`], encoding)
+      if (length !== null && resourceStart.getTime() + length > window.end.getTime()) {
+        issues.push({
+          ...createIssue(QUALITY_CATEGORIES.CONSISTENCY, SEVERITY.MEDIUM, { segment: segmentType, sequence, field: duration },
+            `${name} ends after the appointment`,
+            `${segmentType} #${sequence} starts at "${startValue}" and runs past the appointment end in SCH-11`,
+            'Verify the resource duration against the appointment timing'),
+          relatedLocations,
+        })
+      }
+    })
+  })
+
+  if (resourceCount === 0) {
+    issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.MEDIUM, { segment: 'RGS' },
+      'No scheduled resources',
+      'The message books no service, location, personnel or general resource (AIS, AIL, AIP or AIG)',
+      'Add a resource group (RGS with AIS/AIL/AIP/AIG) for each resource the appointment uses'))
+  }
+}
+
+/**
+ * Checks a duration is a positive number with units
+ */
+function checkDuration(issues, encoding, { segment, sequence, name }, value, field, units, unitsField) {
+  if (value === undefined || value === null || value === '') {
+    return
+  }
+  if (!/^\d+(\.\d+)?$/.test(String(value)) || Number(value) <= 0) {
+    issues.push(createIssue(QUALITY_CATEGORIES.FORMATTING, SEVERITY.MEDIUM, { segment, sequence, field },
+      `Invalid ${name.toLowerCase()} duration`,
+      `${segment}-${field} "${value}" is not a positive number`,
+      `Send ${segment}-${field} as a positive number of the units in ${segment}-${unitsField}`))
+  } else if (!getComponents(units, encoding)[0]) {
+    issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, SEVERITY.LOW, { segment, sequence, field: unitsField },
+      `Missing ${name.toLowerCase()} duration units`,
+      `${segment}-${field} has a duration of ${value} but ${segment}-${unitsField} gives no units`,
+      `Populate ${segment}-${unitsField} (e.g. min)`))
+  }
+}
+
+/**
+ * Converts a duration and its units to milliseconds, or null when the units are not a time unit
+ */
+function durationMilliseconds(value, units, encoding) {
+  const [unit = ''] = getComponents(units, encoding)
+  if (!/^\d+(\.\d+)?$/.test(String(value ?? '')) || !DURATION_UNITS[unit]) {
+    return null
+  }
+  return Number(value) * DURATION_UNITS[unit]
+}
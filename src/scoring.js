@@ -0,0 +1,182 @@
+/**
+ * Scoring Model
+ *
+ * Turns the issues found in a message into an overall score, a sub-score per
+ * quality category and a letter grade. A scoring model can override the
+ * penalty of a severity or of a rule, weight categories against each other
+ * and define its own grade bands; without one, every issue costs the penalty
+ * its rule assigned and all categories weigh the same.
+ */
+
+import { QUALITY_CATEGORIES, SEVERITY, SEVERITY_PENALTIES } from './constants.js'
+import { loadConfigFile } from './configFiles.js'
+
+/**
+ * Default grade bands, highest first: a score earns the first grade whose minScore it reaches
+ */
+export const DEFAULT_GRADES = [
+  { grade: 'A', minScore: 90 },
+  { grade: 'B', minScore: 80 },
+  { grade: 'C', minScore: 70 },
+  { grade: 'D', minScore: 60 },
+  { grade: 'F', minScore: 0 },
+]
+
+const loadedModels = new WeakSet()
+
+/**
+ * Loads and validates a scoring model
+ * @param {Object|string} source - Scoring model object or JSON string
+ * @param {Object} [source.severityPenalties] - Penalty per issue by severity, e.g. { High: 10 }
+ * @param {Object} [source.rulePenalties] - Penalty per issue by rule ID, either a number or a penalty by severity
+ * @param {Object} [source.categoryWeights] - Weight of each category in the overall score (default 1)
+ * @param {Array<Object>} [source.grades] - Grade bands as { grade, minScore }; one must have minScore 0
+ * @returns {Object} Normalized scoring model
+ */
+export function loadScoringModel(source) {
+  if (loadedModels.has(source)) {
+    return source
+  }
+  const raw = typeof source === 'string' ? JSON.parse(source) : source
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Scoring model must be an object')
+  }
+
+  const rulePenalties = {}
+  Object.entries(raw.rulePenalties || {}).forEach(([ruleId, penalty]) => {
+    rulePenalties[ruleId] = typeof penalty === 'object' && penalty !== null
+      ? normalizeSeverityPenalties(penalty, `rule "${ruleId}"`)
+      : validatePenalty(penalty, `rule "${ruleId}"`)
+  })
+
+  const categoryWeights = {}
+  Object.values(QUALITY_CATEGORIES).forEach(category => {
+    categoryWeights[category] = 1
+  })
+  Object.entries(raw.categoryWeights || {}).forEach(([category, weight]) => {
+    if (!Object.values(QUALITY_CATEGORIES).includes(category)) {
+      throw new Error(`Scoring model has a weight for unknown category "${category}"`)
+    }
+    if (typeof weight !== 'number' || weight < 0) {
+      throw new Error(`Scoring model weight for category "${category}" must be a non-negative number`)
+    }
+    categoryWeights[category] = weight
+  })
+
+  const model = {
+    name: raw.name || 'Unnamed Scoring Model',
+    description: raw.description || '',
+    severityPenalties: normalizeSeverityPenalties(raw.severityPenalties || {}, 'severity'),
+    rulePenalties,
+    categoryWeights,
+    grades: normalizeGrades(raw.grades || DEFAULT_GRADES),
+  }
+  loadedModels.add(model)
+  return model
+}
+
+/**
+ * Loads a scoring model from a JSON or YAML file
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Promise<Object>} Normalized scoring model
+ */
+export async function loadScoringModelFile(filePath) {
+  return loadScoringModel(await loadConfigFile(filePath, 'scoring models'))
+}
+
+/**
+ * Scores a list of issues
+ * An issue's penalty comes from the model's rule penalty for its ruleId, then the model's severity penalty,
+ * then the penalty its rule assigned, then SEVERITY_PENALTIES.
+ * @param {Array} issues - Quality issues
+ * @param {Object} [model] - Scoring model (see loadScoringModel; raw objects are normalized)
+ * @returns {Object} { overallScore, categoryScores, grade, issues } where each issue's penalty is the one applied
+ */
+export function scoreIssues(issues, model) {
+  const scoring = loadScoringModel(model || {})
+  const scored = issues.map(issue => ({ ...issue, penalty: getPenalty(issue, scoring) }))
+
+  const categoryPenalties = {}
+  Object.values(QUALITY_CATEGORIES).forEach(category => {
+    categoryPenalties[category] = 0
+  })
+  scored.forEach(issue => {
+    categoryPenalties[issue.category] = (categoryPenalties[issue.category] || 0) + issue.penalty
+  })
+
+  const categoryScores = {}
+  let weightedPenalty = 0
+  Object.entries(categoryPenalties).forEach(([category, penalty]) => {
+    categoryScores[category] = clampScore(100 - penalty)
+    weightedPenalty += penalty * (scoring.categoryWeights[category] ?? 1)
+  })
+
+  const overallScore = clampScore(100 - weightedPenalty)
+  return { overallScore, categoryScores, grade: getGrade(overallScore, scoring), issues: scored }
+}
+
+/**
+ * Gets the grade band a score falls in
+ * @param {number} score - Score from 0-100
+ * @param {Object} [model] - Scoring model whose grades to use (default DEFAULT_GRADES)
+ * @returns {string} Grade, e.g. 'B'
+ */
+export function getGrade(score, model) {
+  const { grades } = loadScoringModel(model || {})
+  return (grades.find(band => score >= band.minScore) || grades[grades.length - 1]).grade
+}
+
+function getPenalty(issue, scoring) {
+  const rulePenalty = scoring.rulePenalties[issue.ruleId]
+  if (Number.isFinite(rulePenalty)) {
+    return rulePenalty
+  }
+  if (rulePenalty && Number.isFinite(rulePenalty[issue.severity])) {
+    return rulePenalty[issue.severity]
+  }
+  if (Number.isFinite(scoring.severityPenalties[issue.severity])) {
+    return scoring.severityPenalties[issue.severity]
+  }
+  if (Number.isFinite(issue.penalty)) {
+    return issue.penalty
+  }
+  return SEVERITY_PENALTIES[issue.severity] || 0
+}
+
+function normalizeSeverityPenalties(penalties, location) {
+  const normalized = {}
+  Object.entries(penalties).forEach(([severity, penalty]) => {
+    if (!Object.values(SEVERITY).includes(severity)) {
+      throw new Error(`Scoring model ${location} penalty has unknown severity "${severity}"`)
+    }
+    normalized[severity] = validatePenalty(penalty, `${location} ${severity}`)
+  })
+  return normalized
+}
+
+function validatePenalty(penalty, location) {
+  if (typeof penalty !== 'number' || penalty < 0) {
+    throw new Error(`Scoring model ${location} penalty must be a non-negative number`)
+  }
+  return penalty
+}
+
+function normalizeGrades(grades) {
+  if (!Array.isArray(grades) || grades.length === 0) {
+    throw new Error('Scoring model grades must be a non-empty array')
+  }
+  const normalized = grades.map(band => {
+    if (!band || typeof band.grade !== 'string' || band.grade === '' || typeof band.minScore !== 'number') {
+      throw new Error('Scoring model grades must be { grade, minScore } objects')
+    }
+    return { grade: band.grade, minScore: band.minScore }
+  }).sort((a, b) => b.minScore - a.minScore)
+  if (normalized[normalized.length - 1].minScore > 0) {
+    throw new Error('Scoring model grades must include a grade with minScore 0')
+  }
+  return normalized
+}
+
+function clampScore(score) {
+  return Math.round(Math.max(0, Math.min(100, score)) * 10) / 10
+}
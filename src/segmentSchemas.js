@@ -0,0 +1,297 @@
+/**
+ * Segment Schemas
+ *
+ * Declarative schemas for Z-segments and other custom or vendor-specific
+ * segments: field names, data types, required flags, lengths and value
+ * tables. Schemas can be written as JSON or YAML and are evaluated by the
+ * built-in 'segment-schemas' rule, which also reports segments that are
+ * neither standard HL7 segments nor covered by a schema.
+ */
+
+import { QUALITY_CATEGORIES, SEVERITY } from './constants.js'
+import { createIssue, getDataTypeOptions } from './messageHelpers.js'
+import { getDataTypes, validateDataType } from './dataTypes.js'
+import { validateCode } from './codeTables.js'
+import { loadConfigFile } from './configFiles.js'
+
+/**
+ * Segment IDs defined by the HL7 v2.x standard (versions 2.1 through 2.8)
+ */
+export const STANDARD_SEGMENTS = new Set([
+  'ABS', 'ACC', 'ADD', 'ADJ', 'AFF', 'AIG', 'AIL', 'AIP', 'AIS', 'AL1', 'APR', 'ARQ', 'ARV', 'AUT',
+  'BHS', 'BLC', 'BLG', 'BPO', 'BPX', 'BTS', 'BTX', 'BUI',
+  'CDM', 'CDO', 'CER', 'CM0', 'CM1', 'CM2', 'CNS', 'CON', 'CSP', 'CSR', 'CSS', 'CTD', 'CTI',
+  'DB1', 'DEV', 'DG1', 'DMI', 'DON', 'DRG', 'DSC', 'DSP',
+  'ECD', 'ECR', 'EDU', 'EQL', 'EQP', 'EQU', 'ERQ', 'ERR', 'EVN',
+  'FAC', 'FHS', 'FT1', 'FTS',
+  'GOL', 'GP1', 'GP2', 'GT1',
+  'IAM', 'IAR', 'IIM', 'ILT', 'IN1', 'IN2', 'IN3', 'INV', 'IPC', 'IPR', 'ISD', 'ITM', 'IVC', 'IVT',
+  'LAN', 'LCC', 'LCH', 'LDP', 'LOC', 'LRL',
+  'MFA', 'MFE', 'MFI', 'MRG', 'MSA', 'MSH',
+  'NCK', 'NDS', 'NK1', 'NPU', 'NSC', 'NST', 'NTE',
+  'OBR', 'OBX', 'ODS', 'ODT', 'OM1', 'OM2', 'OM3', 'OM4', 'OM5', 'OM6', 'OM7', 'ORC', 'ORG', 'OVR',
+  'PAC', 'PCE', 'PCR', 'PD1', 'PDA', 'PDC', 'PEO', 'PES', 'PID', 'PKG', 'PMT', 'PR1', 'PRA', 'PRB', 'PRC', 'PRD',
+  'PRT', 'PSG', 'PSH', 'PSL', 'PSS', 'PTH', 'PV1', 'PV2', 'PYE',
+  'QAK', 'QID', 'QPD', 'QRD', 'QRF', 'QRI',
+  'RCP', 'RDF', 'RDT', 'REL', 'RF1', 'RFI', 'RGS', 'RMI', 'ROL', 'RQ1', 'RQD',
+  'RXA', 'RXC', 'RXD', 'RXE', 'RXG', 'RXO', 'RXR', 'RXV',
+  'SAC', 'SCD', 'SCH', 'SCP', 'SDD', 'SFT', 'SGH', 'SGT', 'SHP', 'SID', 'SLT', 'SPM', 'SPR', 'STF', 'STZ',
+  'TCC', 'TCD', 'TQ1', 'TQ2', 'TXA',
+  'UAC', 'UB1', 'UB2', 'URD', 'URS',
+  'VAR', 'VND', 'VTQ',
+])
+
+/**
+ * Quality rules contributed by this module
+ */
+export const SEGMENT_SCHEMA_RULES = [
+  { id: 'segment-schemas', name: 'Custom Segment Schemas', check: checkSegmentSchemas, category: QUALITY_CATEGORIES.COMPLIANCE, severity: SEVERITY.MEDIUM, penalty: 2 },
+]
+
+const loadedSchemas = new WeakSet()
+
+/**
+ * Loads and validates a set of segment schemas
+ * @param {Object|string} source - Schema set object or JSON string
+ * @param {Object} source.segments - Schemas keyed by segment ID, e.g. { ZPI: { name, fields: { 1: {...} } } }.
+ *   Each field takes name, type (data type), required, repeatable (default true), length (maximum
+ *   length of each repetition), table (HL7 table number, replaceable by a value set), values (allowed
+ *   codes) and severity; a segment may set allowUndeclaredFields: false to report fields it does not declare
+ * @returns {Object} Normalized schema set
+ */
+export function loadSegmentSchemas(source) {
+  if (loadedSchemas.has(source)) {
+    return source
+  }
+  const raw = typeof source === 'string' ? JSON.parse(source) : source
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Segment schema set must be an object')
+  }
+  if (!raw.segments || typeof raw.segments !== 'object') {
+    throw new Error('Segment schema set must declare a "segments" object')
+  }
+
+  const segments = {}
+  Object.entries(raw.segments).forEach(([segmentId, definition]) => {
+    segments[segmentId] = normalizeSegmentSchema(segmentId, definition)
+  })
+
+  const schemas = {
+    name: raw.name || 'Unnamed Segment Schemas',
+    description: raw.description || '',
+    segments,
+  }
+  loadedSchemas.add(schemas)
+  return schemas
+}
+
+/**
+ * Loads a set of segment schemas from a JSON or YAML file
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Promise<Object>} Normalized schema set
+ */
+export async function loadSegmentSchemasFile(filePath) {
+  return loadSegmentSchemas(await loadConfigFile(filePath, 'segment schemas'))
+}
+
+/**
+ * Validates the segments of a parsed message against segment schemas and reports
+ * segments that are neither standard HL7 segments nor declared in a schema
+ * @param {Object} parsed - Parsed HL7 message
+ * @param {Object|Array<Object>} [schemas] - Schema set(s) from loadSegmentSchemas (raw objects are normalized);
+ *   a segment declared in more than one set uses the last declaration
+ * @param {Object} [options] - Evaluation options
+ * @param {Array<Object>} [options.valueSets] - Value sets (see loadValueSet) that replace the tables fields refer to
+ * @returns {Object} { issues, scorePenalty }
+ */
+export function evaluateSegmentSchemas(parsed, schemas = [], { valueSets = [] } = {}) {
+  const issues = []
+  const declared = {}
+  ;[].concat(schemas).map(loadSegmentSchemas).forEach(schemaSet => {
+    Object.entries(schemaSet.segments).forEach(([segmentId, schema]) => {
+      declared[segmentId] = { ...schema, schemaName: schemaSet.name }
+    })
+  })
+  const options = getDataTypeOptions(parsed)
+
+  const occurrences = {}
+  const reported = new Set()
+  parsed.segments.forEach(segment => {
+    const { segmentType } = segment
+    occurrences[segmentType] = (occurrences[segmentType] || 0) + 1
+    const sequence = occurrences[segmentType]
+
+    if (declared[segmentType]) {
+      issues.push(...evaluateSegment(segment, sequence, declared[segmentType], options, valueSets))
+      return
+    }
+    if (STANDARD_SEGMENTS.has(segmentType) || reported.has(segmentType)) {
+      return
+    }
+    reported.add(segmentType)
+    const vendorSegment = segmentType.startsWith('Z')
+    issues.push(createIssue(QUALITY_CATEGORIES.COMPLIANCE, vendorSegment ? SEVERITY.LOW : SEVERITY.MEDIUM,
+      { segment: segmentType, sequence },
+      vendorSegment ? `Undocumented ${segmentType} segment` : `Unknown ${segmentType} segment`,
+      vendorSegment
+        ? `Z-segment ${segmentType} has no schema, so its content cannot be validated`
+        : `${segmentType} is not an HL7 v2.x segment and has no schema`,
+      vendorSegment
+        ? `Declare a schema for ${segmentType} with its fields, data types and value tables`
+        : `Verify the segment ID, or declare a schema for ${segmentType} if it is a site-specific segment`))
+  })
+
+  return { issues, scorePenalty: issues.reduce((total, issue) => total + issue.penalty, 0) }
+}
+
+/**
+ * Checks one segment occurrence against its schema
+ */
+function evaluateSegment(segment, sequence, schema, options, valueSets) {
+  const issues = []
+  const segmentId = segment.segmentType
+  const { encoding, version } = options
+
+  Object.entries(schema.fields).forEach(([fieldNumber, fieldDef]) => {
+    const field = Number(fieldNumber)
+    const fieldId = `${segmentId}-${field}`
+    const label = fieldDef.name ? `${fieldDef.name} (${fieldId})` : fieldId
+    const location = { segment: segmentId, sequence, field }
+    const value = segment.parsed[`field${field}`]
+    const text = value === undefined || value === null ? '' : String(value)
+
+    if (text === '') {
+      if (fieldDef.required) {
+        issues.push(createIssue(QUALITY_CATEGORIES.COMPLETENESS, fieldDef.severity || SEVERITY.HIGH, location,
+          `Missing ${label}`,
+          `Schema "${schema.schemaName}" requires ${fieldId} to be valued`,
+          `Populate ${fieldId}${fieldDef.type ? ` with a ${fieldDef.type} value` : ''}`))
+      }
+      return
+    }
+
+    const repetitions = text.split(encoding.repetition)
+    if (!fieldDef.repeatable && repetitions.length > 1) {
+      issues.push(createIssue(QUALITY_CATEGORIES.FORMATTING, fieldDef.severity || SEVERITY.MEDIUM, { ...location, repetition: 2 },
+        `Repeated ${label}`,
+        `Schema "${schema.schemaName}" does not allow ${fieldId} to repeat, found ${repetitions.length} repetitions`,
+        `Send a single ${fieldId} value`))
+    }
+
+    if (fieldDef.type) {
+      const { isValid, errors } = validateDataType(text, fieldDef.type, { version, encoding })
+      if (!isValid) {
+        const [{ repetition, component, subcomponent }] = errors
+        issues.push(createIssue(QUALITY_CATEGORIES.FORMATTING, fieldDef.severity || SEVERITY.MEDIUM,
+          { ...location, repetition, component, subcomponent },
+          `Invalid ${label} (${fieldDef.type})`,
+          errors.map(error => error.message).join('; '),
+          `Format ${fieldId} as an HL7 ${fieldDef.type} value`))
+      }
+    }
+
+    repetitions.forEach((repetition, index) => {
+      if (fieldDef.length !== null && repetition.length > fieldDef.length) {
+        issues.push(createIssue(QUALITY_CATEGORIES.FORMATTING, fieldDef.severity || SEVERITY.MEDIUM,
+          { ...location, repetition: index + 1 },
+          `${label} too long`,
+          `${fieldId}${index > 0 ? ` (repetition ${index + 1})` : ''} is ${repetition.length} characters; schema "${schema.schemaName}" allows ${fieldDef.length}`,
+          `Shorten ${fieldId} to ${fieldDef.length} characters or fewer`))
+      }
+
+      // Coded values are checked in the first component, as for CWE, CE and CNE fields
+      const code = repetition.split(encoding.component)[0]
+      if (code === '') {
+        return
+      }
+      const codeLocation = { ...location, repetition: index + 1, component: repetition.includes(encoding.component) ? 1 : null }
+      if (fieldDef.values && !fieldDef.values.includes(code)) {
+        issues.push(createIssue(QUALITY_CATEGORIES.ACCURACY, fieldDef.severity || SEVERITY.MEDIUM, codeLocation,
+          `Invalid ${label} code`,
+          `"${code}" is not one of the values schema "${schema.schemaName}" allows for ${fieldId}`,
+          `Use one of: ${fieldDef.values.join(', ')}`))
+      } else if (fieldDef.table) {
+        const { isValid, table } = validateCode(code, fieldDef.table, { version, valueSets })
+        if (!isValid) {
+          issues.push(createIssue(QUALITY_CATEGORIES.ACCURACY, fieldDef.severity || SEVERITY.MEDIUM, codeLocation,
+            `Invalid ${label} code`,
+            `"${code}" is not in table ${fieldDef.table} (${table.name})`,
+            `Use a code from table ${fieldDef.table} (${table.name})`))
+        }
+      }
+    })
+  })
+
+  if (!schema.allowUndeclaredFields) {
+    Object.entries(segment.parsed).forEach(([key, value]) => {
+      const field = Number(key.replace(/^field/, ''))
+      if (value !== undefined && value !== null && String(value) !== '' && !schema.fields[field] && !isDelimiterField(segmentId, field)) {
+        issues.push(createIssue(QUALITY_CATEGORIES.COMPLIANCE, SEVERITY.LOW, { segment: segmentId, sequence, field },
+          `Undeclared field ${segmentId}-${field}`,
+          `Schema "${schema.schemaName}" does not declare ${segmentId}-${field}, but it is valued`,
+          `Leave ${segmentId}-${field} empty or declare it in the schema`))
+      }
+    })
+  }
+
+  return issues
+}
+
+/**
+ * Checks the message against the segment schemas chosen in the analysis options
+ */
+function checkSegmentSchemas(parsed, { segmentSchemas, valueSets } = {}) {
+  return evaluateSegmentSchemas(parsed, segmentSchemas || [], { valueSets })
+}
+
+function isDelimiterField(segmentId, field) {
+  return ['MSH', 'BHS', 'FHS'].includes(segmentId) && field <= 2
+}
+
+function normalizeSegmentSchema(segmentId, definition) {
+  if (!/^[A-Z][A-Z0-9]{2}$/.test(segmentId)) {
+    throw new Error(`Segment schema "${segmentId}" must be keyed by a three-character segment ID`)
+  }
+  if (!definition || typeof definition.fields !== 'object') {
+    throw new Error(`Segment schema "${segmentId}" must declare a "fields" object`)
+  }
+
+  const dataTypes = new Set(getDataTypes().map(({ type }) => type))
+  const fields = {}
+  Object.entries(definition.fields).forEach(([fieldNumber, fieldDef]) => {
+    const fieldId = `${segmentId}-${fieldNumber}`
+    if (!/^[1-9]\d*$/.test(fieldNumber)) {
+      throw new Error(`Segment schema field "${fieldId}" must be keyed by field number`)
+    }
+    const { name, type, required = false, repeatable = true, length, table, values, severity } = fieldDef || {}
+    if (type !== undefined && !dataTypes.has(type)) {
+      throw new Error(`Segment schema field "${fieldId}" has unknown data type "${type}"`)
+    }
+    if (length !== undefined && (!Number.isInteger(length) || length < 1)) {
+      throw new Error(`Segment schema field "${fieldId}" length must be a positive integer`)
+    }
+    if (values !== undefined && (!Array.isArray(values) || values.length === 0)) {
+      throw new Error(`Segment schema field "${fieldId}" values must be a non-empty array`)
+    }
+    if (severity !== undefined && !Object.values(SEVERITY).includes(severity)) {
+      throw new Error(`Segment schema field "${fieldId}" has unknown severity "${severity}"`)
+    }
+    fields[fieldNumber] = {
+      name: name || null,
+      type: type || null,
+      required: Boolean(required),
+      repeatable: Boolean(repeatable),
+      length: length ?? null,
+      table: table ? String(table).padStart(4, '0') : null,
+      values: values ? values.map(String) : null,
+      severity: severity || null,
+    }
+  })
+
+  return {
+    name: definition.name || segmentId,
+    description: definition.description || '',
+    allowUndeclaredFields: definition.allowUndeclaredFields !== false,
+    fields,
+  }
+}
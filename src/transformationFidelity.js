@@ -0,0 +1,323 @@
+/**
+ * Transformation Fidelity
+ *
+ * Compares a message an interface engine received with the message it sent,
+ * following a field mapping spec, to catch what the engine's mappings lose
+ * or change: dropped values, truncations, altered codes and reordered
+ * repetitions. Findings are quality issues located in the outbound message
+ * and scored like those of analyzeDataQuality.
+ */
+
+import { QUALITY_CATEGORIES, SEVERITY } from './constants.js'
+import { parseMessage, validateMessage, unescapeValue } from './messageParser.js'
+import { decodeMessage } from './characterSets.js'
+import { indexMessage, resolveIssueLocation } from './messageLocator.js'
+import { createIssue, getDataTypeOptions } from './messageHelpers.js'
+import { collectPHIValues, redactIssues, redactQuotedText } from './deidentification.js'
+import { loadScoringModel, scoreIssues } from './scoring.js'
+import { loadConfigFile } from './configFiles.js'
+
+const FIDELITY_RULE_ID = 'transformation-fidelity'
+const REPETITION_MODES = ['all', 'first']
+
+const loadedMappings = new WeakSet()
+
+/**
+ * Loads and validates a field mapping spec
+ * @param {Object|string} source - Mapping spec object or JSON string
+ * @param {Array<Object>} source.mappings - Field mappings, each with source and target paths (e.g. 'PID-3.1' and
+ *   'PID-2'), and optionally name, valueMap (source code to target code), default (target code for codes the
+ *   value map does not list; they pass through unchanged otherwise), repetitions ('all' to carry every
+ *   repetition, 'first' for the first only) and severity
+ * @returns {Object} Normalized mapping spec
+ */
+export function loadFieldMapping(source) {
+  if (loadedMappings.has(source)) {
+    return source
+  }
+  const raw = typeof source === 'string' ? JSON.parse(source) : source
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Field mapping spec must be an object')
+  }
+  if (!Array.isArray(raw.mappings) || raw.mappings.length === 0) {
+    throw new Error('Field mapping spec must declare a non-empty "mappings" array')
+  }
+
+  const spec = {
+    name: raw.name || 'Unnamed Field Mapping',
+    description: raw.description || '',
+    mappings: raw.mappings.map(normalizeMapping),
+  }
+  loadedMappings.add(spec)
+  return spec
+}
+
+/**
+ * Loads a field mapping spec from a JSON or YAML file
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Promise<Object>} Normalized mapping spec
+ */
+export async function loadFieldMappingFile(filePath) {
+  return loadFieldMapping(await loadConfigFile(filePath, 'field mappings'))
+}
+
+/**
+ * Compares an inbound message with the outbound message an interface engine produced from it
+ * Each mapping pairs the nth source segment with the nth target segment. Issues are located in the outbound
+ * message; sourceLocation points at the inbound value.
+ * @param {string|Uint8Array} sourceMessage - Message the engine received
+ * @param {string|Uint8Array} targetMessage - Message the engine sent
+ * @param {Object} mapping - Field mapping spec (see loadFieldMapping; raw objects are normalized)
+ * @param {Object} [options] - Comparison options
+ * @param {Object} [options.scoring] - Scoring model (see loadScoringModel)
+ * @param {boolean} [options.redact=false] - Replace PHI values of either message in issue text with [REDACTED]
+ * @returns {Object} Result in the analyzeDataQuality format, plus mapping (spec name) and comparedValues
+ */
+export function compareTransformation(sourceMessage, targetMessage, mapping, options = {}) {
+  const spec = loadFieldMapping(mapping)
+  const scoring = loadScoringModel(options.scoring || {})
+  const source = decodeMessage(sourceMessage).text
+  const target = decodeMessage(targetMessage).text
+
+  const invalid = [['Inbound', source], ['Outbound', target]]
+    .map(([label, text]) => ({ label, validation: validateMessage(text) }))
+    .filter(({ validation }) => !validation.isValid)
+  if (invalid.length > 0) {
+    const issues = invalid.map(({ label, validation }) => {
+      const details = validation.errors?.join('; ') || `${label} message does not conform to HL7 standards`
+      return {
+        ruleId: FIDELITY_RULE_ID,
+        category: QUALITY_CATEGORIES.FORMATTING,
+        severity: SEVERITY.CRITICAL,
+        field: 'Message Structure',
+        location: null,
+        issue: `Invalid ${label.toLowerCase()} message format`,
+        details: options.redact ? redactQuotedText(details) : details,
+        recommendation: 'Ensure both messages start with an MSH segment and contain proper delimiters',
+        penalty: 30,
+      }
+    })
+    return { ...scoreIssues(issues, scoring), recommendations: [], isValid: false }
+  }
+
+  const sourceParsed = parseMessage(source)
+  const targetParsed = parseMessage(target)
+  const sourceEncoding = getDataTypeOptions(sourceParsed).encoding
+  const targetEncoding = getDataTypeOptions(targetParsed).encoding
+
+  const issues = []
+  let comparedValues = 0
+  spec.mappings.forEach(fieldMapping => {
+    const sourceSegments = sourceParsed.segments.filter(s => s.segmentType === fieldMapping.source.segment)
+    const targetSegments = targetParsed.segments.filter(s => s.segmentType === fieldMapping.target.segment)
+    sourceSegments.forEach((sourceSegment, index) => {
+      const sourceValues = readValues(sourceSegment, fieldMapping.source, sourceEncoding)
+      const carried = fieldMapping.repetitions === 'first' ? sourceValues.slice(0, 1) : sourceValues
+      if (carried.every(value => value === '')) {
+        return
+      }
+      comparedValues += carried.filter(value => value !== '').length
+      const targetSegment = targetSegments[index]
+      const targetValues = targetSegment ? readValues(targetSegment, fieldMapping.target, targetEncoding) : []
+      issues.push(...compareValues(fieldMapping, carried, targetValues, { sequence: index + 1, hasTargetSegment: Boolean(targetSegment) }))
+    })
+  })
+
+  // Locate issues in the outbound message and their source values in the inbound one
+  const sourceIndex = indexMessage(source)
+  const targetIndex = indexMessage(target)
+  issues.forEach(issue => {
+    issue.location = resolveIssueLocation(issue, targetIndex)
+    issue.sourceLocation = resolveIssueLocation({ location: issue.sourceLocation }, sourceIndex)
+  })
+
+  const { overallScore, categoryScores, grade, issues: scoredIssues } = scoreIssues(issues, scoring)
+  const phiValues = options.redact ? [...new Set([...collectPHIValues(sourceParsed), ...collectPHIValues(targetParsed)])] : []
+  return {
+    overallScore,
+    categoryScores,
+    grade,
+    issues: options.redact ? redactIssues(scoredIssues, phiValues) : scoredIssues,
+    recommendations: [],
+    isValid: true,
+    messageType: targetParsed.messageType,
+    totalSegments: targetParsed.totalSegments,
+    mapping: spec.name,
+    comparedValues,
+    analysisDate: new Date().toISOString(),
+  }
+}
+
+/**
+ * Compares the values a mapping carries with the target field of one segment occurrence
+ */
+function compareValues(fieldMapping, sourceValues, targetValues, { sequence, hasTargetSegment }) {
+  const { source, target, valueMap } = fieldMapping
+  const sourceId = formatPath(source)
+  const targetId = formatPath(target)
+  const label = fieldMapping.name ? `${fieldMapping.name} (${sourceId} to ${targetId})` : `${sourceId} to ${targetId}`
+  const severity = defaultSeverity => fieldMapping.severity || defaultSeverity
+  const locate = (path, repetition) => ({
+    segment: path.segment,
+    sequence,
+    field: path.field,
+    repetition: repetition ?? null,
+    component: path.component,
+    subcomponent: path.subcomponent,
+  })
+  const withSource = (issue, repetition) => ({ ...issue, ruleId: FIDELITY_RULE_ID, sourceLocation: locate(source, repetition) })
+
+  if (targetValues.every(value => value === '')) {
+    const value = sourceValues.find(sourceValue => sourceValue !== '')
+    return [withSource(createIssue(QUALITY_CATEGORIES.COMPLETENESS, severity(SEVERITY.HIGH),
+      hasTargetSegment ? locate(target) : { segment: target.segment, sequence },
+      `Dropped value: ${label}`,
+      hasTargetSegment
+        ? `${sourceId} "${value}" was not carried to ${targetId}`
+        : `${sourceId} "${value}" was not carried: the outbound message has no ${target.segment} segment #${sequence}`,
+      `Check the engine mapping that populates ${targetId} from ${sourceId}`))]
+  }
+
+  const expected = sourceValues.map(value => (value === '' ? '' : mapValue(value, fieldMapping)))
+  // The same values in another order
+  const carried = expected.filter(value => value !== '')
+  const received = targetValues.filter(value => value !== '')
+  if (carried.length > 1 && isSameValues(carried, received) && carried.join('\u0000') !== received.join('\u0000')) {
+    return [withSource(createIssue(QUALITY_CATEGORIES.CONSISTENCY, severity(SEVERITY.MEDIUM), locate(target),
+      `Reordered repetitions: ${label}`,
+      `${sourceId} repetitions ${carried.map(value => `"${value}"`).join(', ')} arrived in ${targetId} as ${received.map(value => `"${value}"`).join(', ')}`,
+      `Keep the repetition order of ${sourceId}; the first repetition is often the primary value`))]
+  }
+
+  const issues = []
+  expected.forEach((value, index) => {
+    const actual = targetValues[index] ?? ''
+    if (value === '' || actual === value) {
+      return
+    }
+    const repetition = index + 1
+    const sourceValue = sourceValues[index]
+    const position = expected.length > 1 ? ` (repetition ${repetition})` : ''
+    if (actual === '') {
+      issues.push(withSource(createIssue(QUALITY_CATEGORIES.COMPLETENESS, severity(SEVERITY.HIGH), locate(target, repetition),
+        `Dropped value: ${label}`,
+        `${sourceId}${position} "${sourceValue}" was not carried to ${targetId}`,
+        `Check the engine mapping that populates ${targetId} from ${sourceId}`), repetition))
+    } else if (isTruncated(value, actual)) {
+      issues.push(withSource(createIssue(QUALITY_CATEGORIES.ACCURACY, severity(SEVERITY.MEDIUM), locate(target, repetition),
+        `Truncated value: ${label}`,
+        `${targetId}${position} holds "${actual}" (${actual.length} characters) of "${value}" (${value.length} characters)`,
+        `Widen ${targetId} in the engine mapping or the receiving system, or shorten the value at its source`), repetition))
+    } else if (valueMap) {
+      issues.push(withSource(createIssue(QUALITY_CATEGORIES.ACCURACY, severity(SEVERITY.HIGH), locate(target, repetition),
+        `Altered code: ${label}`,
+        `${sourceId}${position} "${sourceValue}" maps to "${value}", but ${targetId} holds "${actual}"`,
+        `Correct the value map for ${sourceId} in the engine, or update the mapping spec if the map changed`), repetition))
+    } else {
+      issues.push(withSource(createIssue(QUALITY_CATEGORIES.ACCURACY, severity(SEVERITY.HIGH), locate(target, repetition),
+        `Altered value: ${label}`,
+        `${sourceId}${position} "${sourceValue}" arrived in ${targetId} as "${actual}"`,
+        `Check the engine mapping from ${sourceId} to ${targetId}, or add a value map for a deliberate recoding`), repetition))
+    }
+  })
+  return issues
+}
+
+function mapValue(value, { valueMap, defaultValue }) {
+  if (!valueMap) {
+    return value
+  }
+  if (Object.prototype.hasOwnProperty.call(valueMap, value)) {
+    return valueMap[value]
+  }
+  return defaultValue ?? value
+}
+
+/**
+ * Reads the unescaped value of a path in every repetition of its field
+ * Components and subcomponents of wider values are rejoined with ^ and &, whatever the message's delimiters,
+ * so messages with different encoding characters compare equal.
+ */
+function readValues(segment, { field, component, subcomponent }, encoding) {
+  const repetitions = segment.fields?.[field] || []
+  return dropTrailingEmpty(repetitions.map(components => {
+    const parts = component ? [components[component - 1] || []] : components
+    if (subcomponent) {
+      return unescapeValue(parts[0][subcomponent - 1] ?? '', encoding)
+    }
+    return dropTrailingEmpty(parts.map(subcomponents => (
+      dropTrailingEmpty((subcomponents || []).map(value => unescapeValue(value, encoding))).join('&')
+    ))).join('^')
+  }))
+}
+
+function dropTrailingEmpty(values) {
+  let end = values.length
+  while (end > 0 && values[end - 1] === '') {
+    end--
+  }
+  return values.slice(0, end)
+}
+
+/**
+ * Checks whether a value was cut short, as a whole or in any of its components and subcomponents
+ */
+function isTruncated(value, actual) {
+  if (value.startsWith(actual)) {
+    return true
+  }
+  const valueParts = value.split(/[\^&]/)
+  const actualParts = actual.split(/[\^&]/)
+  return actualParts.length <= valueParts.length &&
+    value.replace(/[^\^&]/g, '').startsWith(actual.replace(/[^\^&]/g, '')) &&
+    actualParts.every((part, index) => valueParts[index].startsWith(part))
+}
+
+function isSameValues(a, b) {
+  return a.length === b.length && [...a].sort().join('\u0000') === [...b].sort().join('\u0000')
+}
+
+function formatPath({ segment, field, component, subcomponent }) {
+  return `${segment}-${field}${component ? `.${component}` : ''}${subcomponent ? `.${subcomponent}` : ''}`
+}
+
+function parsePath(path, mappingLabel, side) {
+  const match = /^([A-Z][A-Z0-9]{2})-(\d+)(?:\.(\d+))?(?:\.(\d+))?$/.exec(String(path || ''))
+  if (!match || Number(match[2]) < 1) {
+    throw new Error(`Field mapping ${mappingLabel} has invalid ${side} "${path ?? ''}" (expected e.g. PID-3 or PID-3.1)`)
+  }
+  const [, segment, field, component, subcomponent] = match
+  return {
+    segment,
+    field: Number(field),
+    component: component ? Number(component) : null,
+    subcomponent: subcomponent ? Number(subcomponent) : null,
+  }
+}
+
+function normalizeMapping(definition, index) {
+  const mappingLabel = `#${index + 1}`
+  if (!definition || typeof definition !== 'object') {
+    throw new Error(`Field mapping ${mappingLabel} must be an object`)
+  }
+  const { name, valueMap, repetitions = 'all', severity } = definition
+  if (valueMap !== undefined && (!valueMap || typeof valueMap !== 'object' || Array.isArray(valueMap))) {
+    throw new Error(`Field mapping ${mappingLabel} valueMap must be an object of source code to target code`)
+  }
+  if (!REPETITION_MODES.includes(repetitions)) {
+    throw new Error(`Field mapping ${mappingLabel} has unknown repetitions "${repetitions}" (expected ${REPETITION_MODES.join(' or ')})`)
+  }
+  if (severity !== undefined && !Object.values(SEVERITY).includes(severity)) {
+    throw new Error(`Field mapping ${mappingLabel} has unknown severity "${severity}"`)
+  }
+
+  return {
+    name: name || null,
+    source: parsePath(definition.source, mappingLabel, 'source'),
+    target: parsePath(definition.target, mappingLabel, 'target'),
+    valueMap: valueMap ? Object.fromEntries(Object.entries(valueMap).map(([code, mapped]) => [code, String(mapped)])) : null,
+    defaultValue: definition.default !== undefined ? String(definition.default) : null,
+    repetitions,
+    severity: severity || null,
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * UCUM Unit Validation
+ *
+ * Parses unit expressions with the grammar of the Unified Code for Units of
+ * Measure (case-sensitive form) over the atoms used in clinical results, so
+ * OBX-6 units such as mg/dL, 10*3/uL, mm[Hg] or mL/min/{1.73_m2} can be told
+ * apart from local spellings such as mcg, cc or beats/min.
+ */
+
+/**
+ * Unit atoms; metric atoms accept a prefix
+ */
+const METRIC_ATOMS = [
+  // Base and SI derived units
+  'm', 's', 'g', 'rad', 'K', 'C', 'cd', 'mol', 'sr', 'Hz', 'N', 'Pa', 'J', 'W', 'A', 'V', 'F', 'Ohm', 'S',
+  'Wb', 'Cel', 'T', 'H', 'lm', 'lx', 'Bq', 'Gy', 'Sv',
+  // Other metric units
+  'l', 'L', 'ar', 't', 'bar', 'u', 'eV', 'gf', 'cal', 'eq', 'osm', 'g%', 'kat', 'U', 'B', 'Np', 'dyn', 'erg',
+  'P', 'St', 'Ci', 'R', 'RAD', 'REM', 'G', 'Mx', 'Oe', 'Gb', 'sb', 'Lmb', 'ph', 'mho', 'st',
+  'm[Hg]', 'm[H2O]', '[iU]', '[IU]', '[CFU]', '[PFU]', '[FFU]', '[BAU]', '[AU]', '[Amb\'a\'1\'U]', '[PNU]',
+]
+
+const NON_METRIC_ATOMS = [
+  '10*', '10^', '[pi]', '%', '[ppth]', '[ppm]', '[ppb]', '[pptr]',
+  'min', 'h', 'd', 'a', 'wk', 'mo', 'a_t', 'a_j', 'a_g', 'mo_s', 'mo_j', 'mo_g', '\'', '\'\'', 'deg', 'gon',
+  '[in_i]', '[ft_i]', '[yd_i]', '[mi_i]', '[lb_av]', '[oz_av]', '[gr]', '[dr_av]', '[ston_av]',
+  '[gal_us]', '[qt_us]', '[pt_us]', '[foz_us]', '[cup_us]', '[tbs_us]', '[tsp_us]', '[gal_br]', '[foz_br]',
+  '[degF]', '[degR]', 'atm', '[psi]', '[in_i\'Hg]', '[in_i\'H2O]', '[drp]', '[pH]', '[S]', '[HPF]', '[LPF]',
+  '[arb\'U]', '[USP\'U]', '[GPL\'U]', '[MPL\'U]', '[APL\'U]', '[beth\'U]', '[ka\'U]', '[knk\'U]', '[mclg\'U]',
+  '[tb\'U]', '[todd\'U]', '[dye\'U]', '[smgy\'U]', '[bdsk\'U]', '[hp\'_X]', '[hp\'_C]', '[kp_X]', '[kp_C]',
+  '[mesh_i]', '[Ch]', '[diop]', '[car_m]', '[car_Au]', '[lne]', '[bu_us]', '[sct]', '[twp]', '[acr_us]',
+  '[ELU]', '[EU]', '[Lf]', '[D\'ag\'U]', '[TCID_50]', '[CCID_50]', '[nmol\'/mL\'ClonU]',
+]
+
+const ATOMS = new Map([
+  ...METRIC_ATOMS.map(atom => [atom, true]),
+  ...NON_METRIC_ATOMS.map(atom => [atom, false]),
+])
+
+const PREFIXES = ['da', 'Ki', 'Mi', 'Gi', 'Ti', 'Y', 'Z', 'E', 'P', 'T', 'G', 'M', 'k', 'h', 'd', 'c', 'm', 'u', 'n', 'p', 'f', 'a', 'z', 'y']
+
+/**
+ * Validates a UCUM unit expression
+ * @param {string} unit - Unit expression, e.g. 'mg/dL'
+ * @returns {Object} { isValid, error } where error describes the first problem found
+ */
+export function validateUCUM(unit) {
+  const text = String(unit ?? '')
+  if (text === '') {
+    return { isValid: false, error: 'Unit is empty' }
+  }
+  if (/\s/.test(text)) {
+    return { isValid: false, error: 'UCUM units cannot contain spaces' }
+  }
+  try {
+    const parser = { text, position: 0 }
+    if (text[0] === '/') {
+      parser.position++
+    }
+    parseTerm(parser)
+    if (parser.position < text.length) {
+      throw new Error(`Unexpected "${text[parser.position]}" at position ${parser.position + 1}`)
+    }
+    return { isValid: true, error: null }
+  } catch (error) {
+    return { isValid: false, error: error.message }
+  }
+}
+
+function parseTerm(parser) {
+  parseComponent(parser)
+  while (parser.text[parser.position] === '.' || parser.text[parser.position] === '/') {
+    parser.position++
+    parseComponent(parser)
+  }
+}
+
+function parseComponent(parser) {
+  const { text } = parser
+  if (text[parser.position] === '(') {
+    parser.position++
+    parseTerm(parser)
+    if (text[parser.position] !== ')') {
+      throw new Error('Missing closing parenthesis')
+    }
+    parser.position++
+    return
+  }
+
+  const symbol = readSymbol(parser)
+  if (symbol !== '') {
+    // Split a trailing exponent (m2, s-1, 10*3) from the unit symbol
+    const { unit, exponent } = splitExponent(symbol)
+    if (unit === '' && exponent.startsWith('-')) {
+      throw new Error(`"${symbol}" is not a valid factor`)
+    }
+    if (unit !== '' && !isSimpleUnit(unit)) {
+      throw new Error(`"${unit}" is not a UCUM unit`)
+    }
+  }
+  if (text[parser.position] === '{') {
+    const end = text.indexOf('}', parser.position)
+    if (end === -1) {
+      throw new Error('Missing closing brace in annotation')
+    }
+    if (/[^\x21-\x7e]|{/.test(text.substring(parser.position + 1, end))) {
+      throw new Error('Annotation contains invalid characters')
+    }
+    parser.position = end + 1
+  } else if (symbol === '') {
+    throw new Error(parser.position < text.length ? `Unexpected "${text[parser.position]}" at position ${parser.position + 1}` : 'Unit ends unexpectedly')
+  }
+}
+
+/**
+ * Reads a unit symbol up to the next operator, parenthesis or annotation; square brackets are read whole
+ */
+function readSymbol(parser) {
+  const { text } = parser
+  const start = parser.position
+  while (parser.position < text.length && !'./(){}'.includes(text[parser.position])) {
+    if (text[parser.position] === '[') {
+      const end = text.indexOf(']', parser.position)
+      if (end === -1) {
+        throw new Error('Missing closing square bracket')
+      }
+      parser.position = end + 1
+    } else {
+      parser.position++
+    }
+  }
+  return text.substring(start, parser.position)
+}
+
+function splitExponent(symbol) {
+  const match = /^(.*?)([+-]?\d+)?$/.exec(symbol)
+  // 10* and 10^ are atoms that always take an exponent
+  if (match[1] === '' || /[\]*^a-zA-Z%'_]$/.test(match[1])) {
+    return { unit: match[1], exponent: match[2] || '' }
+  }
+  return { unit: symbol, exponent: '' }
+}
+
+function isSimpleUnit(unit) {
+  if (ATOMS.has(unit)) {
+    return true
+  }
+  return PREFIXES.some(prefix => unit.startsWith(prefix) && ATOMS.get(unit.substring(prefix.length)) === true)
+}
@@ -0,0 +1,63 @@
+import { strict as assert } from 'assert'
+import { test } from './harness.js'
+import { analyzeDataQuality, createAcknowledgement } from '../src/hl7DataQualityService.js'
+import { SEVERITY } from '../src/constants.js'
+
+const TIMESTAMP = new Date(Date.UTC(2024, 0, 2, 3, 4, 5))
+
+function adtMessage({ version = '2.5', acknowledgementTypes = '', pid = 'PID|1||MRN1^^^HOSP^MR||DOE^JOHN||19800101|M' } = {}) {
+  return [
+    `MSH|^~\\&|ADT|HOSP|EHR|HOSP|20240101120000||ADT^A01|MSG1|P|${version}${acknowledgementTypes}`,
+    'EVN|A01|20240101120000',
+    pid,
+    'PV1|1|I',
+  ].join('\r')
+}
+
+function acknowledge(hl7Message, options = {}) {
+  return createAcknowledgement(hl7Message, analyzeDataQuality(hl7Message), { controlId: 'ACK1', timestamp: TIMESTAMP, ...options })
+}
+
+test('accepts a clean message with a header addressed back to the sender', () => {
+  const { message, code, mode } = acknowledge(adtMessage())
+  assert.equal(code, 'AA')
+  assert.equal(mode, 'original')
+  assert.deepEqual(message.split('\r'), ['MSH|^~\\&|EHR|HOSP|ADT|HOSP|20240102030405||ACK^A01^ACK|ACK1|P|2.5', 'MSA|AA|MSG1'])
+})
+
+test('leaves the message structure out of MSH-9 before v2.3.1', () => {
+  assert.equal(acknowledge(adtMessage({ version: '2.3' })).message.split('\r')[0].split('|')[8], 'ACK^A01')
+  assert.equal(acknowledge(adtMessage({ version: '2.5.1' })).message.split('\r')[0].split('|')[8], 'ACK^A01^ACK')
+})
+
+test('returns an error with an ERR segment per issue', () => {
+  const { message, code } = acknowledge(adtMessage({ pid: 'PID|1||||DOE^JOHN||19800101|M' }))
+  assert.equal(code, 'AE')
+  const [, msa, err] = message.split('\r')
+  assert.equal(msa, 'MSA|AE|MSG1')
+  assert.equal(err.split('|').slice(1, 6).join('|'), '|PID^1^3|101^Required field missing^HL70357|E|pid-completeness^Missing Patient Identifier^HL70533')
+})
+
+test('reports lower severities as warnings and honours the thresholds', () => {
+  const hl7Message = adtMessage({ pid: 'PID|1||MRN1^^^HOSP^MR||DOE^JOHN||1980-01-01|M' })
+  const accepted = acknowledge(hl7Message)
+  assert.equal(accepted.code, 'AA')
+  assert.deepEqual(accepted.message.split('\r').slice(2).map(err => err.split('|')[4]), ['W', 'W'])
+  assert.equal(acknowledge(hl7Message, { errorAt: SEVERITY.MEDIUM }).code, 'AE')
+  assert.equal(acknowledge(hl7Message, { rejectAt: SEVERITY.MEDIUM }).code, 'AR')
+  assert.equal(acknowledge(hl7Message, { minSeverity: SEVERITY.HIGH }).message.split('\r').length, 2)
+})
+
+test('follows the enhanced mode acknowledgement conditions', () => {
+  const hl7Message = adtMessage({ acknowledgementTypes: '|||AL|NE' })
+  assert.deepEqual(acknowledge(hl7Message), { message: null, code: 'AA', mode: 'enhanced', level: 'application' })
+  const accept = acknowledge(hl7Message, { level: 'accept' })
+  assert.equal(accept.code, 'CA')
+  assert.equal(accept.message.split('\r')[1], 'MSA|CA|MSG1')
+})
+
+test('rejects unknown levels, severities and missing results', () => {
+  assert.throws(() => createAcknowledgement(adtMessage(), { issues: [] }, { level: 'commit' }), /Unknown acknowledgement level "commit"/)
+  assert.throws(() => createAcknowledgement(adtMessage(), { issues: [] }, { errorAt: 'Severe' }), /Unknown severity "Severe"/)
+  assert.throws(() => createAcknowledgement(adtMessage()), /An analyzeDataQuality result is required/)
+})
@@ -0,0 +1,77 @@
+import { strict as assert } from 'assert'
+import { test } from './harness.js'
+import { ADT_RULES } from '../src/adtRules.js'
+
+/**
+ * Builds the parsed message model the rules receive: one entry per segment with fieldN properties
+ */
+function parse(...segments) {
+  return {
+    segments: segments.map(text => {
+      const [segmentType, ...fields] = text.split('|')
+      const values = segmentType === 'MSH' ? ['|', ...fields] : fields
+      const parsed = {}
+      values.forEach((value, index) => {
+        parsed[`field${index + 1}`] = value
+      })
+      return { segmentType, parsed }
+    }),
+  }
+}
+
+/**
+ * Builds a segment from a map of field number to value
+ */
+function segment(segmentType, fields) {
+  const values = []
+  Object.entries(fields).forEach(([field, value]) => {
+    values[Number(field) - 1] = value
+  })
+  return [segmentType, ...Array.from(values, value => value ?? '')].join('|')
+}
+
+const PID = 'PID|1||MRN1^^^HOSP^MR||DOE^JOHN||19800101|M'
+
+function adtIssues(ruleId, trigger, ...segments) {
+  const msh = `MSH|^~\\&|ADT|HOSP|EHR|HOSP|20240101120000||ADT^${trigger}|1|P|2.5`
+  const rule = ADT_RULES.find(({ id }) => id === ruleId)
+  return rule.check(parse(msh, ...segments)).issues
+    .map(({ issue, location }) => `${issue} @ ${location.segment}${location.field ? `-${location.field}` : ''}`)
+}
+
+test('checks discharge details by trigger event', () => {
+  assert.deepEqual(adtIssues('adt-events', 'A03', PID, segment('PV1', { 1: '1', 2: 'I' })), [
+    'Missing discharge date @ PV1-45',
+    'Missing discharge disposition @ PV1-36',
+  ])
+  assert.deepEqual(adtIssues('adt-events', 'A03', PID, segment('PV1', { 1: '1', 2: 'I', 36: '01', 45: '202401021200' })), [])
+  assert.deepEqual(adtIssues('adt-events', 'A01', PID, segment('PV1', { 1: '1', 2: 'I', 45: '202401021200' })), [
+    'Discharge date on admission @ PV1-45',
+  ])
+})
+
+test('expects outpatient or emergency classes on registration', () => {
+  assert.deepEqual(adtIssues('adt-events', 'A04', PID, 'PV1|1|I'), ['Unexpected patient class for registration @ PV1-2'])
+  assert.deepEqual(adtIssues('adt-events', 'A04', PID, 'PV1|1|R'), [])
+})
+
+test('flags identifier changes in A08 updates', () => {
+  assert.deepEqual(adtIssues('adt-events', 'A08', 'PID|1||MRN1^^^HOSP^MR~MRN2^^^HOSP^MR~MRN3^^^CLINIC^MR', 'MRG|MRN0^^^HOSP^MR'), [
+    'Identifier change in update @ MRG',
+    'Conflicting medical record numbers in update @ PID-3',
+  ])
+})
+
+test('requires the prior identifiers each merge event uses', () => {
+  assert.deepEqual(adtIssues('adt-events', 'A40', PID), ['Missing MRG segment @ MRG'])
+  assert.deepEqual(adtIssues('adt-events', 'A36', PID, 'MRG|MRN1^^^HOSP^MR'), [
+    'Missing Prior Patient Account Number @ MRG-3',
+    'Record merged into itself @ MRG-1',
+  ])
+  assert.deepEqual(adtIssues('adt-events', 'A40', PID, 'MRG|MRN0^^^HOSP^MR'), [])
+})
+
+test('checks EVN-1 against the trigger event', () => {
+  assert.deepEqual(adtIssues('event-type', 'A01', 'EVN|A08|20240101120000', PID), ['Event type does not match trigger event @ EVN-1'])
+  assert.deepEqual(adtIssues('event-type', 'A01', 'EVN||20240101120000', PID), [])
+})
@@ -0,0 +1,105 @@
+import { strict as assert } from 'assert'
+import { test } from './harness.js'
+import { createMessageSplitter, analyzeMessageStream, analyzeMessageBatch } from '../src/batchAnalysis.js'
+import { decodeMessage } from '../src/characterSets.js'
+
+const ADT = 'MSH|^~\\&|ADT|HOSP|EHR|HOSP|20240101120000||ADT^A01|1|P|2.5\rPID|1||MRN1'
+const ORU = 'MSH|^~\\&|LAB|HOSP|EHR|HOSP|20240101120000||ORU^R01|2|P|2.5\rOBX|1|NM'
+
+const analyzeStub = message => ({ overallScore: 100, segments: decodeMessage(message).text.split('\r').length })
+
+function messagesOf(events) {
+  return events.filter(event => event.type === 'message').map(event => event.message)
+}
+
+async function collect(source) {
+  const items = []
+  for await (const item of analyzeMessageStream(source, analyzeStub)) {
+    items.push(item)
+  }
+  return items
+}
+
+test('splits newline-delimited archives with CRLF, LF and CR segment separators', () => {
+  const splitter = createMessageSplitter()
+  const events = [
+    ...splitter.write(ADT.replace('\r', '\r\n') + '\r\n\r\n'),
+    ...splitter.write(ORU.replace('\r', '\n')),
+    ...splitter.end(),
+  ]
+  assert.deepEqual(messagesOf(events), [ADT, ORU])
+})
+
+test('splits MLLP framed dumps', () => {
+  const splitter = createMessageSplitter()
+  const framed = `\x0b${ADT}\r\x1c\r\x0b${ORU}\r\x1c\r`
+  assert.deepEqual(messagesOf([...splitter.write(framed), ...splitter.end()]), [ADT, ORU])
+})
+
+test('keeps a CRLF split across chunks together', () => {
+  const splitter = createMessageSplitter()
+  const text = `${ADT}\r\n${ORU}`.replace(/\r(?!\n)/g, '\r\n')
+  const middle = text.indexOf('\n', 10)
+  const events = [...splitter.write(text.slice(0, middle)), ...splitter.write(text.slice(middle)), ...splitter.end()]
+  assert.deepEqual(messagesOf(events), [ADT, ORU])
+})
+
+test('reports segments before the first MSH as orphans', () => {
+  const splitter = createMessageSplitter()
+  const events = [...splitter.write(`PID|1||MRN0\r${ADT}`), ...splitter.end()]
+  assert.deepEqual(events.filter(event => event.type === 'orphan').map(event => event.segmentType), ['PID'])
+  assert.equal(splitter.orphanSegments, 1)
+})
+
+test('analyzes each message of a batch and checks the envelope counts', async () => {
+  const text = ['FHS|^~\\&', 'BHS|^~\\&', ADT, ORU, 'BTS|3', 'FTS|1'].join('\r')
+  const { results, batches, summary } = await analyzeMessageBatch(text, analyzeStub)
+
+  assert.deepEqual(results.map(({ index, batchIndex, result }) => [index, batchIndex, result.segments]), [[0, 0, 2], [1, 0, 2]])
+  assert.equal(batches.length, 1)
+  assert.equal(batches[0].messageCount, 2)
+  assert.equal(batches[0].declaredCount, 3)
+  assert.deepEqual(batches[0].issues.map(issue => issue.issue), ['Batch message count mismatch'])
+  assert.deepEqual(summary.issues, [])
+  assert.equal(summary.messageCount, 2)
+  assert.equal(summary.batchCount, 1)
+})
+
+test('counts the messages before a BTS that has no BHS', async () => {
+  const { batches } = await analyzeMessageBatch([ADT, ORU, 'BTS|2'].join('\r'), analyzeStub)
+  assert.equal(batches[0].messageCount, 2)
+  assert.deepEqual(batches[0].issues.map(issue => issue.issue), ['Batch trailer without header'])
+})
+
+test('reports unterminated batches and file envelopes', async () => {
+  const { batches, summary } = await analyzeMessageBatch(['FHS|^~\\&', 'BHS|^~\\&', ADT].join('\r'), analyzeStub)
+  assert.deepEqual(batches[0].issues.map(issue => issue.issue), ['Missing batch trailer'])
+  assert.deepEqual(summary.issues.map(issue => issue.issue), ['Missing file trailer'])
+})
+
+test('decodes byte chunks split inside a multi-byte character', async () => {
+  const utf8 = ADT.replace('|2.5', '|2.5||||||UNICODE UTF-8').replace('MRN1', 'MRN1|MÜLLER')
+  const bytes = new TextEncoder().encode(utf8)
+  const split = bytes.indexOf(0xc3) + 1
+  const items = await collect([bytes.slice(0, split), bytes.slice(split)])
+  assert.deepEqual(messagesOf(items), [utf8])
+  assert.equal(items.at(-1).type, 'summary')
+})
+
+test('passes messages read from bytes to the analysis as bytes so MSH-18 decides their encoding', async () => {
+  const latin1 = `${ADT.replace('|2.5', '|2.5||||||8859/1')}|MÜLLER`
+  const bytes = Uint8Array.from(latin1, character => character.charCodeAt(0))
+  const inputs = []
+  const items = []
+  for await (const item of analyzeMessageStream([bytes], message => inputs.push(message) && {})) {
+    items.push(item)
+  }
+  assert.ok(inputs[0] instanceof Uint8Array)
+  assert.deepEqual([...inputs[0]], [...bytes])
+  assert.equal(decodeMessage(inputs[0]).characterSet, '8859/1')
+  assert.deepEqual(messagesOf(items), [latin1])
+})
+
+test('rejects unsupported sources', async () => {
+  await assert.rejects(collect(42), /file path, readable stream or iterable/)
+})
@@ -0,0 +1,55 @@
+import { strict as assert } from 'assert'
+import { test } from './harness.js'
+import { analyzeDataQuality, decodeMessage, getDeclaredCharacterSet } from '../src/hl7DataQualityService.js'
+
+function message(characterSet, familyName, ...segments) {
+  return [
+    `MSH|^~\\&|ADT|HOSP|EHR|HOSP|20240101120000||ADT^A01|1|P|2.5||||||${characterSet}`,
+    `PID|1||MRN1^^^HOSP^MR||${familyName}^JOHN||19800101|M`,
+    ...segments,
+  ].join('\r')
+}
+
+/**
+ * Returns the character set issues raised for a message as 'issue @ segment-field'
+ */
+function characterIssues(input) {
+  return analyzeDataQuality(input).issues
+    .filter(issue => issue.ruleId === 'character-set')
+    .map(issue => `${issue.issue} @ ${issue.location.segment}-${issue.location.field}`)
+}
+
+test('reads MSH-18 as a table 0211 code, accepting common aliases', () => {
+  assert.deepEqual(getDeclaredCharacterSet(message('', 'DOE')), { value: '', code: 'ASCII', alias: false })
+  assert.deepEqual(getDeclaredCharacterSet(message('UTF-8', 'DOE')), { value: 'UTF-8', code: 'UNICODE UTF-8', alias: true })
+  assert.deepEqual(characterIssues(message('UTF-8', 'DOE')), ['Non-standard character set name @ MSH-18'])
+  assert.deepEqual(characterIssues(message('KLINGON', 'DOE')), ['Unknown character set @ MSH-18'])
+})
+
+test('decodes bytes with the declared character set', () => {
+  const { text, bytes, characterSet } = decodeMessage(Buffer.from(message('8859/1', 'MÜLLER'), 'latin1'))
+  assert.equal(characterSet, '8859/1')
+  assert.ok(bytes instanceof Uint8Array)
+  assert.ok(text.includes('MÜLLER^JOHN'))
+  assert.deepEqual(characterIssues(Buffer.from(message('8859/1', 'MÜLLER'), 'latin1')), [])
+  assert.deepEqual(decodeMessage('MSH|^~\\&').bytes, null)
+})
+
+test('flags bytes and characters the declared character set cannot hold', () => {
+  assert.deepEqual(characterIssues(message('', 'MÜLLER')), ['Character outside declared character set @ PID-5'])
+  assert.deepEqual(characterIssues(Buffer.from(message('', 'MÜLLER'), 'utf8')), ['Byte outside declared character set @ PID-5'])
+  assert.deepEqual(characterIssues(Buffer.from(message('UNICODE UTF-8', 'MÜLLER'), 'latin1')), ['Invalid UTF-8 byte sequence @ PID-5'])
+  assert.deepEqual(characterIssues(message('8859/1', 'MÜLLER')), [])
+})
+
+test('reports the byte and character offset of each finding', () => {
+  const input = Buffer.from(message('', 'MÜLLER'), 'utf8')
+  const [issue] = analyzeDataQuality(input).issues.filter(({ ruleId }) => ruleId === 'character-set')
+  assert.equal(issue.details, 'Bytes C3 9C at byte 89 are not ASCII (MSH-18 is empty, so ASCII applies)')
+  assert.equal(issue.location.start, 89)
+})
+
+test('flags unknown escape sequences and control characters', () => {
+  assert.deepEqual(characterIssues(message('', 'DOE\\Q\\X')), ['Unknown escape sequence @ PID-5'])
+  assert.deepEqual(characterIssues(message('', 'DOE', 'PV1|1|I\u0007')), ['Control character in message @ PV1-2'])
+})
@@ -0,0 +1,119 @@
+import { strict as assert } from 'assert'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { Readable, Writable } from 'stream'
+import { test } from './harness.js'
+import { runCLI, EXIT_CODES } from '../src/cli.js'
+
+const ADT = [
+  'MSH|^~\\&|ADT|HOSP|EHR|HOSP|20240101120000||ADT^A01|1|P|2.5',
+  'EVN|A01|20240101120000',
+  'PID|1||MRN1^^^HOSP^MR||DOE^JOHN||19800101|M',
+  'PV1|1|I|W^1^A',
+].join('\r')
+const ADT_WITHOUT_PID = ADT.split('\r').filter(segment => !segment.startsWith('PID')).join('\r')
+
+function createOutput() {
+  const chunks = []
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk)
+      callback()
+    },
+  })
+  stream.text = () => Buffer.concat(chunks.map(chunk => Buffer.from(chunk))).toString('utf8')
+  return stream
+}
+
+/**
+ * Runs the CLI against files written to a temporary directory
+ */
+async function run(args, files = {}, stdinText = '') {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'hl7-dq-cli-'))
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(directory, name)), { recursive: true })
+      await fs.writeFile(path.join(directory, name), content)
+    }
+    const stdout = createOutput()
+    const stderr = createOutput()
+    const resolvedArgs = args.map(arg => arg.replace('{dir}', directory))
+    const exitCode = await runCLI(resolvedArgs, { stdin: Readable.from([stdinText]), stdout, stderr })
+    return { exitCode, stdout: stdout.text().split(directory).join('{dir}'), stderr: stderr.text().split(directory).join('{dir}') }
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true })
+  }
+}
+
+test('prints usage with --help', async () => {
+  const { exitCode, stdout } = await run(['--help'])
+  assert.equal(exitCode, EXIT_CODES.SUCCESS)
+  assert.ok(stdout.startsWith('Usage: hl7-dq'))
+})
+
+test('rejects unknown options and invalid values with exit code 2', async () => {
+  for (const args of [['--verbose'], ['--min-score', '120'], ['--fail-on', 'urgent'], ['--format', 'xml'], ['--profile']]) {
+    const { exitCode, stderr } = await run(args)
+    assert.equal(exitCode, EXIT_CODES.USAGE_ERROR, args.join(' '))
+    assert.ok(stderr.includes('Usage: hl7-dq'), args.join(' '))
+  }
+})
+
+test('exits 2 when an input cannot be read', async () => {
+  const { exitCode, stderr } = await run(['{dir}/missing.hl7'])
+  assert.equal(exitCode, EXIT_CODES.USAGE_ERROR)
+  assert.equal(stderr, 'hl7-dq: Cannot read "{dir}/missing.hl7": no such file or directory\n')
+})
+
+test('exits 1 when a message breaches --fail-on or --min-score', async () => {
+  const files = { 'good.hl7': ADT, 'bad.hl7': ADT_WITHOUT_PID }
+  const failOn = await run(['--fail-on', 'critical', '{dir}'], files)
+  assert.equal(failOn.exitCode, EXIT_CODES.THRESHOLD_BREACHED)
+  assert.match(failOn.stderr, /^hl7-dq: \{dir\}\/bad\.hl7#1 has \d+ issue\(s\) at or above Critical severity\n$/)
+
+  const minScore = await run(['--min-score', '100', '{dir}/bad.hl7'], files)
+  assert.equal(minScore.exitCode, EXIT_CODES.THRESHOLD_BREACHED)
+  assert.match(minScore.stderr, /bad\.hl7#1 scored \d+, below minimum 100/)
+
+  assert.equal((await run(['--min-score', '0', '{dir}'], files)).exitCode, EXIT_CODES.SUCCESS)
+})
+
+test('expands directories and globs and writes JSON reports', async () => {
+  const files = { 'a.hl7': ADT, 'feed/b.hl7': `${ADT}\r\n${ADT}`, 'feed/notes.txt': 'not a message' }
+  const { exitCode, stdout } = await run(['--format', 'json', '{dir}/**/*.hl7'], files)
+  assert.equal(exitCode, EXIT_CODES.SUCCESS)
+  const report = JSON.parse(stdout)
+  assert.deepEqual(report.messages.map(({ source, index }) => `${source}#${index}`), ['{dir}/a.hl7#0', '{dir}/feed/b.hl7#0', '{dir}/feed/b.hl7#1'])
+  assert.equal(report.summary.messageCount, 3)
+})
+
+test('reads stdin when no inputs are given', async () => {
+  const { exitCode, stdout } = await run(['--format', 'csv', '--fail-on', 'critical'], {}, ADT_WITHOUT_PID)
+  assert.equal(exitCode, EXIT_CODES.THRESHOLD_BREACHED)
+  const [header, firstRow] = stdout.split('\r\n')
+  assert.ok(header.startsWith('source,messageIndex,ruleId,severity'))
+  assert.ok(firstRow.startsWith('stdin,1,'))
+})
+
+test('prints a text report per message followed by the summary', async () => {
+  const { exitCode, stdout } = await run(['--format', 'text'], {}, `${ADT}\r\n${ADT_WITHOUT_PID}`)
+  assert.equal(exitCode, EXIT_CODES.SUCCESS)
+  const [first, second, summary] = stdout.split('\n\n')
+  assert.ok(first.startsWith('stdin#1\n  Score: 100/100'))
+  assert.ok(second.startsWith('stdin#2\n  Score: '))
+  assert.ok(summary.startsWith('Messages: 2 (2 valid, 0 invalid)\n'))
+})
+
+test('writes the report to --output', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'hl7-dq-cli-out-'))
+  try {
+    const output = path.join(directory, 'report.html')
+    const { exitCode, stdout } = await run(['--format', 'html', '--output', output, '-'], {}, ADT)
+    assert.equal(exitCode, EXIT_CODES.SUCCESS)
+    assert.equal(stdout, '')
+    assert.ok((await fs.readFile(output, 'utf8')).includes('HL7 Data Quality Report: stdin'))
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true })
+  }
+})
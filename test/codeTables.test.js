@@ -0,0 +1,97 @@
+import { strict as assert } from 'assert'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { test } from './harness.js'
+import { getCodeTable, listCodeTables, validateCode, loadValueSet, loadValueSetFile, evaluateCodes } from '../src/codeTables.js'
+
+/**
+ * Builds the parsed message model the rules receive: one entry per segment with fieldN properties
+ */
+function parse(...segments) {
+  return {
+    segments: segments.map(text => {
+      const [segmentType, ...fields] = text.split('|')
+      const values = segmentType === 'MSH' ? ['|', ...fields] : fields
+      const parsed = {}
+      values.forEach((value, index) => {
+        parsed[`field${index + 1}`] = value
+      })
+      return { segmentType, parsed }
+    }),
+  }
+}
+
+function describe(issues) {
+  return issues.map(issue => `${issue.field}: ${issue.issue}`)
+}
+
+const MSH = 'MSH|^~\\&|LAB|HOSP|EHR|HOSP|20240101120000||ORU^R01|1|P|2.5'
+const PID = 'PID|1||MRN1^^^HOSP^MR||DOE^JOHN||19800101|M'
+
+test('filters table codes by version', () => {
+  const codes = version => getCodeTable('0001', { version }).codes.map(({ code }) => code)
+  assert.ok(codes('2.5').includes('N'))
+  assert.ok(!codes('2.3').includes('N'))
+  assert.ok(codes().includes('N'))
+  assert.equal(getCodeTable('9999'), null)
+  assert.ok(listCodeTables().some(table => table.id === '0001' && table.name === 'Administrative Sex'))
+})
+
+test('validates codes against a table or the value set replacing it', () => {
+  assert.equal(validateCode('F', '0001').isValid, true)
+  assert.equal(validateCode('X', '0001').isValid, false)
+  const valueSets = [{ id: 'site-sex', table: '1', codes: ['F', 'M', 'X'] }]
+  assert.equal(validateCode('X', '0001', { valueSets }).isValid, true)
+  assert.equal(validateCode('O', '0001', { valueSets }).isValid, false)
+  assert.throws(() => validateCode('A', '9999'), /Unknown code table "9999"/)
+})
+
+test('rejects malformed value sets', () => {
+  assert.throws(() => loadValueSet({ codes: ['A'], table: '0001' }), /must have an "id"/)
+  assert.throws(() => loadValueSet({ id: 'vs', table: '0001', codes: [] }), /must list its "codes"/)
+  assert.throws(() => loadValueSet({ id: 'vs', codes: ['A'] }), /replace a "table" or bind "fields"/)
+  assert.throws(() => loadValueSet({ id: 'vs', fields: ['PID10'], codes: ['A'] }), /invalid field "PID10"/)
+  assert.throws(() => loadValueSet({ id: 'vs', table: '0001', codes: ['A'], severity: 'Urgent' }), /unknown severity/)
+})
+
+test('reports invalid table codes, unknown coding systems and malformed codes', () => {
+  const parsed = parse(
+    MSH.replace('|P|2.5', '|X|2.5'),
+    `${PID}||2106-3^White^XYZ`,
+    'OBX|1|NM|2093-4^Cholesterol^LN||180|mg/dL||N|||F',
+  )
+  assert.deepEqual(describe(evaluateCodes(parsed).issues), [
+    'MSH-11: Invalid Processing ID code',
+    'PID-10.3: Unknown coding system',
+    'OBX-3: Malformed LN code',
+  ])
+})
+
+test('checks fields bound to site value sets', () => {
+  const valueSets = [{ id: 'site-race', name: 'Site Race', fields: ['PID-10'], codingSystem: 'HL70005', codes: ['2106-3', '2054-5'] }]
+  const result = evaluateCodes(parse(MSH, `${PID}||2131-1^Other^HL70005~2106-3^White^99RAC`), { valueSets })
+  assert.deepEqual(describe(result.issues), [
+    'PID-10: Code not in value set Site Race',
+    'PID-10: Unexpected coding system for Site Race',
+  ])
+  assert.equal(result.issues[1].location.repetition, 2)
+  assert.equal(result.scorePenalty, 4)
+})
+
+test('loads value sets from JSON and CSV files', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'hl7-dq-value-sets-'))
+  try {
+    const jsonPath = path.join(directory, 'sex.json')
+    await fs.writeFile(jsonPath, JSON.stringify({ id: 'site-sex', table: '0001', codes: ['F', 'M'] }))
+    assert.equal((await loadValueSetFile(jsonPath)).table, '0001')
+
+    const csvPath = path.join(directory, 'race.csv')
+    await fs.writeFile(csvPath, 'code,display\r\n2106-3,White\r\n"2054-5","Black, or African American"\r\n')
+    const valueSet = await loadValueSetFile(csvPath, { id: 'site-race', fields: ['PID-10'] })
+    assert.deepEqual(valueSet.codes, [{ code: '2106-3', display: 'White' }, { code: '2054-5', display: 'Black, or African American' }])
+    assert.deepEqual(valueSet.fields, [{ segment: 'PID', field: 10, component: 1 }])
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true })
+  }
+})
@@ -0,0 +1,125 @@
+import { strict as assert } from 'assert'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { test } from './harness.js'
+import { loadProfile, loadProfileFile, evaluateProfile } from '../src/conformanceProfiles.js'
+import { analyzeDataQuality } from '../src/hl7DataQualityService.js'
+
+const PROFILE = {
+  name: 'Site ADT',
+  allowUndeclaredSegments: false,
+  messages: {
+    'ADT^A01': {
+      segments: {
+        EVN: { usage: 'R' },
+        PID: {
+          usage: 'R',
+          max: 1,
+          fields: {
+            3: { usage: 'R', name: 'Patient Identifier List' },
+            5: { usage: 'R', components: [1, 2] },
+            19: { usage: 'X' },
+          },
+        },
+        PV1: { usage: 'R' },
+        NK1: { usage: 'X' },
+      },
+    },
+    ADT: { segments: { PID: { usage: 'R' } } },
+  },
+}
+
+/**
+ * Builds the parsed message model the rules receive: one entry per segment with fieldN properties
+ */
+function parse(...segments) {
+  return {
+    segments: segments.map(text => {
+      const [segmentType, ...fields] = text.split('|')
+      const values = segmentType === 'MSH' ? ['|', ...fields] : fields
+      const parsed = {}
+      values.forEach((value, index) => {
+        parsed[`field${index + 1}`] = value
+      })
+      return { segmentType, parsed }
+    }),
+  }
+}
+
+function titles(parsed, profile = PROFILE) {
+  return evaluateProfile(parsed, profile).issues.map(issue => issue.issue)
+}
+
+const MSH = 'MSH|^~\\&|ADT|HOSP|EHR|HOSP|20240101120000||ADT^A01|1|P|2.5'
+const EVN = 'EVN|A01|20240101120000'
+const PID = 'PID|1||MRN1^^^HOSP^MR||DOE^JOHN||19800101|M'
+const PV1 = 'PV1|1|I'
+
+test('a conforming message has no issues', () => {
+  assert.deepEqual(evaluateProfile(parse(MSH, EVN, PID, PV1), PROFILE), { issues: [], scorePenalty: 0 })
+})
+
+test('reports missing segments, fields and components', () => {
+  assert.deepEqual(titles(parse(MSH, EVN, 'PID|1||||DOE', PV1.replace('PV1', 'PV2'))), [
+    'Missing required field Patient Identifier List (PID-3)',
+    'Missing required component PID-5.2',
+    'Missing required PV1 segment',
+    'Undeclared PV2 segment',
+  ])
+})
+
+test('reports forbidden segments and fields and too many occurrences', () => {
+  const pidWithSSN = `${PID}|||||||||||123-45-6789`
+  assert.deepEqual(titles(parse(MSH, EVN, pidWithSSN, PID, PV1, 'NK1|1|DOE^JANE')), [
+    'Too many PID segments',
+    'Forbidden field PID-19 populated',
+    'Forbidden NK1 segment present',
+  ])
+})
+
+test('uses the most specific message definition', () => {
+  const a08 = parse(MSH.replace('ADT^A01', 'ADT^A08'), PID)
+  assert.deepEqual(titles(a08), [])
+  assert.deepEqual(titles(parse(MSH.replace('ADT^A01', 'ORU^R01'), PID)), ['Message type not covered by profile'])
+})
+
+test('penalizes messages the profile does not cover and undeclared segments', () => {
+  const message = [MSH.replace('ADT^A01', 'ORU^R01'), PID, 'OBR|1'].join('\r')
+  const result = analyzeDataQuality(message, { profile: PROFILE })
+  const profileIssues = result.issues.filter(issue => issue.ruleId === 'profile-conformance')
+  assert.deepEqual(profileIssues.map(issue => [issue.issue, issue.penalty]), [['Message type not covered by profile', 2]])
+  assert.ok(Number.isFinite(result.overallScore))
+
+  const { issues, scorePenalty } = evaluateProfile(parse(MSH, EVN, PID, PV1, 'ZPI|1'), PROFILE)
+  assert.deepEqual(issues.map(issue => [issue.issue, issue.penalty]), [['Undeclared ZPI segment', 1]])
+  assert.equal(scorePenalty, 1)
+})
+
+test('honours per-element severity overrides in the penalty', () => {
+  const profile = loadProfile({ messages: { '*': { segments: { PV1: { usage: 'R', severity: 'Low' } } } } })
+  const result = evaluateProfile(parse(MSH, PID), profile)
+  assert.equal(result.issues[0].severity, 'Low')
+  assert.equal(result.scorePenalty, 1)
+})
+
+test('rejects malformed profiles', () => {
+  assert.throws(() => loadProfile({}), /"messages" object/)
+  assert.throws(() => loadProfile({ messages: { ADT: {} } }), /"segments" object/)
+  assert.throws(() => loadProfile({ messages: { ADT: { segments: { PID: { usage: 'M' } } } } }), /unknown usage/)
+  assert.throws(() => loadProfile({ messages: { ADT: { segments: { PID: { min: 2, max: 1 } } } } }), /invalid max/)
+  assert.throws(() => loadProfile({ messages: { ADT: { segments: { PID: { fields: { a: {} } } } } } }), /keyed by field number/)
+})
+
+test('loads JSON profile files', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'hl7-dq-profile-'))
+  try {
+    const filePath = path.join(directory, 'profile.json')
+    await fs.writeFile(filePath, JSON.stringify(PROFILE))
+    const profile = await loadProfileFile(filePath)
+    assert.equal(profile.name, 'Site ADT')
+    assert.deepEqual(Object.keys(profile.messages), ['ADT^A01', 'ADT'])
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true })
+  }
+})
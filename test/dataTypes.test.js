@@ -0,0 +1,81 @@
+import { strict as assert } from 'assert'
+import { test } from './harness.js'
+import { validateDataType, getDataTypes, PRECISION } from '../src/dataTypes.js'
+import { parseVersion, compareVersions } from '../src/messageHelpers.js'
+
+function errorsOf(value, type, options) {
+  return validateDataType(value, type, options).errors.map(error => error.message)
+}
+
+test('accepts real dates and times at any precision', () => {
+  for (const value of ['2024', '202402', '20240229', '202402291230', '20240229123045.1234+0100', '']) {
+    assert.deepEqual(errorsOf(value, 'DTM'), [], value)
+  }
+  assert.deepEqual(errorsOf('19800101', 'DT'), [])
+  assert.deepEqual(errorsOf('2359', 'TM'), [])
+})
+
+test('rejects impossible dates, times and zones', () => {
+  assert.deepEqual(errorsOf('20230229', 'DTM'), ['"20230229" is not a valid date/time: day 29 does not exist in 2023-02'])
+  assert.deepEqual(errorsOf('202413', 'DT'), ['"202413" is not a valid date: month 13 is out of range'])
+  assert.deepEqual(errorsOf('2460', 'TM'), ['"2460" is not a valid time: hour 24 is out of range'])
+  assert.deepEqual(errorsOf('20240101120000-1300', 'TS'), ['"20240101120000-1300" is not a valid date/time: time zone -1300 is out of range'])
+  assert.deepEqual(errorsOf('2024-01-01', 'DTM'), ['"2024-01-01" is not a valid date/time (YYYY[MM[DD[HH[MM[SS[.S[S[S[S]]]]]]]]][+/-ZZZZ])'])
+})
+
+test('enforces a minimum date/time precision', () => {
+  assert.deepEqual(errorsOf('202401011200', 'DTM', { minPrecision: PRECISION.SECOND }), [
+    '"202401011200" is less precise than required (at least to the second)',
+  ])
+  assert.deepEqual(errorsOf('20240101', 'DT', { minPrecision: PRECISION.DAY }), [])
+})
+
+test('validates numbers', () => {
+  assert.deepEqual(errorsOf('-12.5', 'NM'), [])
+  assert.deepEqual(errorsOf('1,000', 'NM'), ['"1,000" is not a valid number'])
+})
+
+test('validates each repetition and component of a composite with its position', () => {
+  const { isValid, errors } = validateDataType('MRN1^^^HOSP^MR~^^^HOSP^MR', 'CX')
+  assert.equal(isValid, false)
+  assert.deepEqual(errors, [{ repetition: 2, component: null, subcomponent: null, message: 'Identifier has no ID number (component 1)' }])
+
+  const [error] = validateDataType('DOE^JOHN^^^^^L^^^^^2024-01-01', 'XPN').errors
+  assert.equal(error.component, 12)
+})
+
+test('checks telecommunication numbers and coded values', () => {
+  assert.deepEqual(errorsOf('(555)123-4567^PRN^PH', 'XTN'), [])
+  assert.deepEqual(errorsOf('^NET^Internet^jdoe@example', 'XTN'), ['Email address "jdoe@example" is not valid'])
+  assert.deepEqual(errorsOf('^Glucose^LN', 'CWE'), ['Coding system "LN" given without an identifier'])
+})
+
+test('allows components by the declared version and checks lengths', () => {
+  const address = ['1 MAIN ST', '', 'TOWN', 'ST', '12345', 'USA', 'H', ...Array(7).fill(''), 'MOVED'].join('^')
+  assert.deepEqual(errorsOf(address, 'XAD', { version: '2.6' }), [])
+  assert.deepEqual(errorsOf(address, 'XAD', { version: '2.5.1' }), ['XAD has 15 components, at most 14 allowed in v2.5.1'])
+  assert.deepEqual(errorsOf('X'.repeat(16), 'CX'), ['ID Number is 16 characters, longer than the 15 allowed'])
+  assert.deepEqual(errorsOf('X'.repeat(16), 'CX', { checkLength: false }), [])
+})
+
+test('uses the message encoding characters', () => {
+  assert.deepEqual(errorsOf('MRN1#MRN2*', 'CX', { encoding: { component: '*', repetition: '#' } }), [])
+  assert.deepEqual(errorsOf('MRN1#***HOSP', 'CX', { encoding: { component: '*', repetition: '#' } }), ['Identifier has no ID number (component 1)'])
+})
+
+test('lists the supported data types and rejects unknown ones', () => {
+  const types = getDataTypes().map(({ type }) => type)
+  for (const type of ['TS', 'DTM', 'DT', 'NM', 'XPN', 'XAD', 'XTN', 'CX', 'CWE', 'CE']) {
+    assert.ok(types.includes(type), type)
+  }
+  assert.throws(() => validateDataType('x', 'ZZZ'), /Unknown data type "ZZZ"/)
+})
+
+test('parses and compares HL7 versions', () => {
+  assert.deepEqual(parseVersion('2.5.1^USA'), [2, 5, 1])
+  assert.deepEqual(parseVersion('2.5'), [2, 5])
+  assert.equal(parseVersion('v2'), null)
+  assert.ok(compareVersions([2, 5, 1], [2, 5]) > 0)
+  assert.equal(compareVersions([2, 5, 0], [2, 5]), 0)
+  assert.ok(compareVersions([2, 3], [2, 5, 1]) < 0)
+})
@@ -0,0 +1,90 @@
+import { strict as assert } from 'assert'
+import { test } from './harness.js'
+import { deidentifyMessage, redactText, collectPHIValues, REDACTED } from '../src/deidentification.js'
+import { analyzeDataQuality } from '../src/hl7DataQualityService.js'
+
+const MESSAGE = [
+  'MSH|^~\\&|ADT|HOSP|EHR|HOSP|20240101120000||ADT^A01|1|P|2.5',
+  'PID|1||MRN12345^^^HOSP^MR||DOE^JOHN^Q||19800315|M|||12 MAIN ST^^SPRINGFIELD^IL^62704||(217)555-0199^PRN^PH~^NET^Internet^jdoe@example.com',
+  'PV1|1|I|W^1^A||||||||||||||||V98765|||||||||||||||||||||||||20240101100000',
+].join('\r')
+
+/**
+ * Builds the parsed message model the rules receive: one entry per segment with fieldN properties
+ */
+function parse(message) {
+  return {
+    segments: message.split('\r').map(text => {
+      const [segmentType, ...fields] = text.split('|')
+      const values = segmentType === 'MSH' ? ['|', ...fields] : fields
+      const parsed = {}
+      values.forEach((value, index) => {
+        parsed[`field${index + 1}`] = value
+      })
+      return { segmentType, parsed }
+    }),
+  }
+}
+
+function fieldOf(message, segmentType, field) {
+  const fields = message.split('\r').find(line => line.startsWith(`${segmentType}|`)).split('|')
+  return fields[segmentType === 'MSH' ? field - 1 : field]
+}
+
+test('replaces names, addresses and contact details', async () => {
+  const { message, changes } = await deidentifyMessage(MESSAGE, { key: 'secret' })
+  assert.equal(fieldOf(message, 'PID', 5), 'REDACTED^REDACTED^REDACTED')
+  assert.equal(fieldOf(message, 'PID', 11), 'REDACTED^^REDACTED^IL^627')
+  assert.equal(fieldOf(message, 'PID', 13), '(000)000-0000^PRN^PH~^NET^Internet^redacted@example.com')
+  assert.equal(fieldOf(message, 'MSH', 9), 'ADT^A01')
+  assert.deepEqual(changes.map(({ field }) => field), ['PID-3', 'PID-5', 'PID-7', 'PID-11', 'PID-13', 'PV1-19', 'PV1-44'])
+})
+
+test('shifts dates and hashes identifiers consistently for the same key', async () => {
+  const first = await deidentifyMessage(MESSAGE, { key: 'secret', maxShiftDays: 30 })
+  const second = await deidentifyMessage(MESSAGE, { key: 'secret', maxShiftDays: 30 })
+  assert.equal(first.message, second.message)
+  assert.ok(first.dateShiftDays >= 1 && first.dateShiftDays <= 30)
+
+  const birthDate = fieldOf(first.message, 'PID', 7)
+  const days = (Date.UTC(1980, 2, 15) - Date.UTC(Number(birthDate.slice(0, 4)), Number(birthDate.slice(4, 6)) - 1, Number(birthDate.slice(6, 8)))) / 86400000
+  assert.equal(days, first.dateShiftDays)
+  assert.match(fieldOf(first.message, 'PID', 3), /^[A-Z]{3}\d{5}\^\^\^HOSP\^MR$/)
+  assert.notEqual(fieldOf(first.message, 'PID', 3), 'MRN12345^^^HOSP^MR')
+
+  const other = await deidentifyMessage(MESSAGE, { key: 'other', maxShiftDays: 30 })
+  assert.notEqual(fieldOf(other.message, 'PID', 3), fieldOf(first.message, 'PID', 3))
+})
+
+test('rejects input that is not an HL7 message and bad date shifts', async () => {
+  await assert.rejects(deidentifyMessage('PID|1'), /starting with an MSH segment/)
+  await assert.rejects(deidentifyMessage(MESSAGE, { maxShiftDays: 0 }), /maxShiftDays must be a positive whole number/)
+})
+
+test('redacts PHI values only as whole tokens', () => {
+  const values = collectPHIValues(parse(MESSAGE))
+  assert.ok(values.includes('MRN12345'))
+  assert.ok(values.includes('DOE'))
+  assert.ok(!values.includes('Q'))
+  assert.equal(redactText('PID-3 "MRN12345" for DOE^JOHN^Q', values), `PID-3 "${REDACTED}" for ${REDACTED}`)
+  assert.equal(redactText('Visit V987650 is open', values), 'Visit V987650 is open')
+})
+
+test('analysis redacts PHI from issue text on request', () => {
+  const message = MESSAGE.replace('19800315', '1980-03-15')
+  const quoted = analyzeDataQuality(message).issues.filter(issue => issue.field === 'PID-7')
+  assert.ok(quoted.some(issue => issue.details.includes('1980-03-15')))
+  const redacted = analyzeDataQuality(message, { redact: true }).issues.filter(issue => issue.field === 'PID-7')
+  assert.ok(redacted.length > 0)
+  assert.ok(redacted.every(issue => !issue.details.includes('1980-03-15')))
+})
+
+test('analysis redacts segment text quoted by errors of messages that cannot be parsed', () => {
+  // A line break inside PID-11 leaves the rest of the address as a segment of its own
+  const message = MESSAGE.replace('12 MAIN ST^^SPRINGFIELD', '\r12 MAIN ST^^SPRINGFIELD')
+  const [quoted] = analyzeDataQuality(message).issues
+  assert.match(quoted.details, /"12 MAIN S/)
+  const [redacted] = analyzeDataQuality(message, { redact: true }).issues
+  assert.equal(redacted.issue, 'Invalid HL7 message format')
+  assert.equal(redacted.details, `Segment 3 does not start with a valid segment ID: ${REDACTED}`)
+})
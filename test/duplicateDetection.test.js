@@ -0,0 +1,51 @@
+import { strict as assert } from 'assert'
+import { test } from './harness.js'
+import { createDuplicateDetector, findDuplicates } from '../src/duplicateDetection.js'
+
+function adtMessage(controlId, { timestamp = '20240101120000', patient = 'MRN1', name = 'DOE^JOHN', dateOfBirth = '19800101', sex = 'M', ssn = '123-45-6789' } = {}) {
+  return [
+    `MSH|^~\\&|ADT|HOSP|EHR|HOSP|${timestamp}||ADT^A08|${controlId}|P|2.5`,
+    `PID|1||${patient}^^^HOSP^MR||${name}||${dateOfBirth}|${sex}|||1 MAIN ST^^TOWN^ST^12345||||||||${ssn}`,
+  ].join('\r')
+}
+
+test('finds identical messages, reused control IDs and resent messages', () => {
+  const report = findDuplicates([
+    adtMessage('1'),
+    adtMessage('1'),
+    adtMessage('1', { sex: 'F' }),
+    adtMessage('2', { timestamp: '20240101130000' }),
+  ])
+  assert.equal(report.messageCount, 4)
+  assert.deepEqual(report.duplicateMessages.map(({ index, relatedMessage }) => [index, relatedMessage.index]), [[1, 0]])
+  assert.deepEqual(report.duplicateControlIds.map(({ index, relatedMessage }) => [index, relatedMessage.index]), [[2, 0]])
+  assert.deepEqual(report.resentMessages.map(({ index, relatedMessage }) => [index, relatedMessage.index]), [[3, 0]])
+  assert.equal(report.duplicateControlIds[0].location.field, 10)
+})
+
+test('matches patients with different identifiers on their demographics', () => {
+  const detector = createDuplicateDetector()
+  assert.deepEqual(detector.add(adtMessage('1')), [])
+  const [issue] = detector.add(adtMessage('2', { patient: 'MRN2', name: 'DOE^J' }))
+  assert.equal(issue.issue, 'Possible duplicate patient')
+  assert.equal(issue.ruleId, 'duplicate-detection')
+  assert.equal(issue.match.patientKey, 'MRN1^HOSP')
+  assert.match(issue.details, /on name \(first initial only\), date of birth, sex, SSN, address \(score 0.88\)/)
+  assert.deepEqual(detector.add(adtMessage('3', { patient: 'MRN3', name: 'ROE^JANE', dateOfBirth: '19900101', sex: 'F', ssn: '' })), [])
+  assert.equal(detector.getReport().duplicatePatients.length, 1)
+})
+
+test('applies the match threshold and validates options', () => {
+  const messages = [adtMessage('1'), adtMessage('2', { patient: 'MRN2', ssn: '' })]
+  assert.equal(findDuplicates(messages).duplicatePatients[0].match.score, 0.75)
+  assert.equal(findDuplicates(messages, { patientMatchThreshold: 0.8 }).duplicatePatients.length, 0)
+  const conflicting = [adtMessage('1'), adtMessage('2', { patient: 'MRN2', ssn: '987-65-4321' })]
+  assert.equal(findDuplicates(conflicting).duplicatePatients.length, 0)
+  assert.throws(() => createDuplicateDetector({ patientMatchThreshold: 1.5 }), /patientMatchThreshold must be greater than 0/)
+  assert.throws(() => createDuplicateDetector({ weights: { name: 0, dateOfBirth: 0, sex: 0, ssn: 0, address: 0 } }), /must add up to more than 0/)
+})
+
+test('skips errors and summary items from analyzeStream', () => {
+  const report = findDuplicates([{ type: 'error', index: 0 }, { type: 'message', index: 1, message: adtMessage('1') }, { type: 'summary' }])
+  assert.equal(report.messageCount, 1)
+})
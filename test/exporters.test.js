@@ -0,0 +1,72 @@
+import { strict as assert } from 'assert'
+import { test } from './harness.js'
+import { analyzeDataQuality, toOperationOutcome, toSARIF } from '../src/hl7DataQualityService.js'
+
+const MESSAGE = [
+  'MSH|^~\\&|ADT|HOSP|EHR|HOSP|20240101120000||ADT^A01|1|P|2.5',
+  'PID|1||MRN1^^^HOSP^MR||DOE^JOHN||1980-01-01|M',
+].join('\r')
+
+test('maps each issue to an OperationOutcome issue', () => {
+  const outcome = toOperationOutcome(analyzeDataQuality(MESSAGE))
+  assert.equal(outcome.resourceType, 'OperationOutcome')
+  const dateIssue = outcome.issue.find(issue => issue.details.coding[0].code === 'date-formats')
+  assert.equal(dateIssue.severity, 'warning')
+  assert.equal(dateIssue.code, 'value')
+  assert.equal(dateIssue.details.coding[0].system, 'urn:hl7-data-quality:rule')
+  assert.deepEqual(dateIssue.location, ['PID-7'])
+  assert.deepEqual(dateIssue.expression, ['PID[1]-7[1].1'])
+  assert.equal(dateIssue.extension[0].url, 'urn:hl7-data-quality:recommendation')
+  assert.equal(outcome.issue.find(issue => issue.details.coding[0].code === 'required-segments').severity, 'error')
+})
+
+test('reports a clean result as informational and several results as a Bundle', () => {
+  assert.deepEqual(toOperationOutcome({ issues: [] }).issue, [{ severity: 'information', code: 'informational', diagnostics: 'No data quality issues found' }])
+  const bundle = toOperationOutcome([{ result: { issues: [] } }, { result: analyzeDataQuality(MESSAGE) }], { system: 'urn:example' })
+  assert.equal(bundle.resourceType, 'Bundle')
+  assert.equal(bundle.type, 'collection')
+  assert.equal(bundle.entry.length, 2)
+  assert.equal(bundle.entry[1].resource.issue[0].details.coding[0].system, 'urn:example:rule')
+})
+
+test('builds a SARIF log with rules, fingerprints and regions', () => {
+  const log = toSARIF([{ source: 'in\\adt.hl7', index: 0, message: MESSAGE, result: analyzeDataQuality(MESSAGE) }], { toolVersion: '1.0.0' })
+  assert.equal(log.version, '2.1.0')
+  const [run] = log.runs
+  assert.equal(run.tool.driver.version, '1.0.0')
+  assert.deepEqual(run.tool.driver.rules[0], {
+    id: 'required-segments',
+    name: 'RequiredSegments',
+    shortDescription: { text: 'Required Segments' },
+    defaultConfiguration: { level: 'error', enabled: true },
+    properties: { category: 'Completeness', severity: 'Critical' },
+  })
+
+  const result = run.results.find(entry => entry.ruleId === 'date-formats')
+  assert.equal(result.level, 'warning')
+  assert.equal(run.tool.driver.rules[result.ruleIndex].id, 'date-formats')
+  assert.deepEqual(result.partialFingerprints, { 'hl7Issue/v1': 'date-formats|PID-7|Invalid Date of Birth format' })
+  const [location] = result.locations
+  assert.equal(location.physicalLocation.artifactLocation.uri, 'in/adt.hl7')
+  assert.deepEqual(location.physicalLocation.region, { startLine: 2, startColumn: 34, endLine: 2, endColumn: 44 })
+  assert.deepEqual(location.logicalLocations, [{ fullyQualifiedName: 'PID[1]-7[1].1', kind: 'element' }])
+  assert.equal(result.properties.messageIndex, 0)
+})
+
+test('leaves out regions when a source holds several messages', () => {
+  const entries = [0, 1].map(index => ({ source: 'batch.hl7', index, message: MESSAGE, result: analyzeDataQuality(MESSAGE) }))
+  const [result] = toSARIF(entries).runs[0].results
+  assert.equal(result.locations[0].physicalLocation.region, undefined)
+})
+
+test('reports messages that cannot be parsed under a message format rule', () => {
+  const result = analyzeDataQuality('PID|1')
+  const [outcomeIssue] = toOperationOutcome(result).issue
+  assert.equal(outcomeIssue.severity, 'fatal')
+  assert.equal(outcomeIssue.code, 'structure')
+  assert.equal(outcomeIssue.details.coding[0].code, 'message-format')
+  const [run] = toSARIF(result).runs
+  assert.deepEqual(run.tool.driver.rules, [{ id: 'message-format', shortDescription: { text: 'Message Format' } }])
+  assert.equal(run.results[0].level, 'error')
+  assert.ok(run.results[0].partialFingerprints['hl7Issue/v1'].startsWith('message-format|'))
+})
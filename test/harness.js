@@ -0,0 +1,16 @@
+/**
+ * Test Harness
+ *
+ * Collects the cases registered by the *.test.js files for run.js.
+ */
+
+export const cases = []
+
+/**
+ * Registers a test case
+ * @param {string} name - Case name
+ * @param {Function} fn - Case body; may be async and fails by throwing
+ */
+export function test(name, fn) {
+  cases.push({ name, fn })
+}
@@ -0,0 +1,65 @@
+import { strict as assert } from 'assert'
+import { test } from './harness.js'
+import { IMMUNIZATION_RULES } from '../src/immunizationRules.js'
+
+/**
+ * Builds the parsed message model the rules receive: one entry per segment with fieldN properties
+ */
+function parse(...segments) {
+  return {
+    segments: segments.map(text => {
+      const [segmentType, ...fields] = text.split('|')
+      const values = segmentType === 'MSH' ? ['|', ...fields] : fields
+      const parsed = {}
+      values.forEach((value, index) => {
+        parsed[`field${index + 1}`] = value
+      })
+      return { segmentType, parsed }
+    }),
+  }
+}
+
+/**
+ * Builds a segment from a map of field number to value
+ */
+function segment(segmentType, fields) {
+  const values = []
+  Object.entries(fields).forEach(([field, value]) => {
+    values[Number(field) - 1] = value
+  })
+  return [segmentType, ...Array.from(values, value => value ?? '')].join('|')
+}
+
+const MSH = 'MSH|^~\\&|EHR|CLINIC|IIS|STATE|20240101120000||VXU^V04|1|P|2.5.1'
+
+const RXA = { 1: '0', 2: '1', 3: '20240101', 5: '08^HepB^CVX', 6: '0.5', 7: 'mL^^UCUM', 15: 'LOT1', 17: 'MSD^Merck^MVX' }
+
+function immunizationIssues(birthDate, ...segments) {
+  const pid = segment('PID', { 1: '1', 3: 'MRN1^^^HOSP^MR', 5: 'DOE^JOHN', 7: birthDate, 8: 'M' })
+  return IMMUNIZATION_RULES[0].check(parse(MSH, pid, ...segments)).issues
+    .map(({ issue, location }) => `${issue} @ ${location.segment}${location.field ? `-${location.field}` : ''}`)
+}
+
+test('a well-documented adult vaccination passes', () => {
+  assert.deepEqual(immunizationIssues('19800101', segment('RXA', RXA)), [])
+})
+
+test('checks vaccine coding, dose details and refusals', () => {
+  assert.deepEqual(immunizationIssues('19800101',
+    segment('RXA', { ...RXA, 5: '90746^HepB^CPT', 15: '' }),
+    segment('RXA', { ...RXA, 6: '0', 15: '', 17: '', 20: 'RE' }),
+    segment('RXA', { ...RXA, 9: '01', 15: '', 17: '' }),
+  ), [
+    'Vaccine not coded with CVX @ RXA-5',
+    'Missing Substance Lot Number @ RXA-15',
+    'Missing refusal reason @ RXA-18',
+  ])
+})
+
+test('checks dates against the date of birth and requires a guardian for minors', () => {
+  assert.deepEqual(immunizationIssues('20230601', segment('RXA', { ...RXA, 3: '20230501' })), [
+    'Vaccination before date of birth @ RXA-3',
+    'Missing next of kin for minor @ NK1',
+  ])
+  assert.deepEqual(immunizationIssues('20230601', segment('RXA', RXA), 'NK1|1|DOE^JANE|MTH^Mother^HL70063'), [])
+})
@@ -0,0 +1,99 @@
+import { strict as assert } from 'assert'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { test } from './harness.js'
+import { createLongitudinalAnalyzer } from '../src/hl7DataQualityService.js'
+import { createFileStore } from '../src/longitudinalStores.js'
+
+function adtMessage(trigger, timestamp, { patient = 'MRN1', visit = 'V1', dateOfBirth = '19800101', sex = 'M' } = {}) {
+  return [
+    `MSH|^~\\&|ADT|HOSP|EHR|HOSP|${timestamp}||ADT^${trigger}|${trigger}${timestamp}|P|2.5`,
+    `EVN|${trigger}|${timestamp}`,
+    `PID|1||${patient}^^^HOSP^MR||DOE^JOHN||${dateOfBirth}|${sex}`,
+    `PV1|1|I|W^1^A||||||||||||||||${visit}`,
+  ].join('\r')
+}
+
+/**
+ * Sends the messages through one analyzer and returns the history issue titles raised by each
+ */
+async function analyzeSequence(messages) {
+  const analyzer = createLongitudinalAnalyzer()
+  try {
+    const titles = []
+    for (const message of messages) {
+      const result = await analyzer.analyze(message)
+      titles.push(result.issues.filter(issue => issue.ruleId === 'longitudinal-consistency').map(issue => issue.issue))
+    }
+    return titles
+  } finally {
+    await analyzer.close()
+  }
+}
+
+test('admit, discharge and readmit raise no issues', async () => {
+  const titles = await analyzeSequence([
+    adtMessage('A01', '20240102120000'),
+    adtMessage('A03', '20240103120000'),
+    adtMessage('A01', '20240104120000'),
+  ])
+  assert.deepEqual(titles, [[], [], []])
+})
+
+test('flags a second admission of an admitted visit', async () => {
+  const titles = await analyzeSequence([adtMessage('A01', '20240102120000'), adtMessage('A01', '20240103120000')])
+  assert.deepEqual(titles[1], ['Duplicate admission'])
+})
+
+test('flags a discharge without an admission', async () => {
+  const titles = await analyzeSequence([adtMessage('A03', '20240103120000')])
+  assert.deepEqual(titles[0], ['Discharge without prior admission'])
+})
+
+test('a late message does not roll back the visit status', async () => {
+  const titles = await analyzeSequence([
+    adtMessage('A01', '20240102120000'),
+    adtMessage('A03', '20240103120000'),
+    adtMessage('A01', '20240101120000'),
+    adtMessage('A01', '20240104120000'),
+  ])
+  assert.deepEqual(titles, [[], [], ['Message out of order'], []])
+})
+
+test('a late message does not overwrite newer demographics', async () => {
+  const titles = await analyzeSequence([
+    adtMessage('A08', '20240102120000', { dateOfBirth: '19800101' }),
+    adtMessage('A08', '20240101120000', { dateOfBirth: '19790101' }),
+    adtMessage('A08', '20240103120000', { dateOfBirth: '19800101' }),
+  ])
+  assert.deepEqual(titles[1], ['Message out of order', 'Date of birth changed'])
+  assert.deepEqual(titles[2], [])
+})
+
+test('flags changed demographics and a visit number reused for another patient', async () => {
+  const titles = await analyzeSequence([
+    adtMessage('A01', '20240102120000'),
+    adtMessage('A08', '20240103120000', { sex: 'F' }),
+    adtMessage('A08', '20240104120000', { patient: 'MRN2' }),
+  ])
+  assert.deepEqual(titles[1], ['Administrative sex changed'])
+  assert.deepEqual(titles[2], ['Visit number reused for another patient'])
+})
+
+test('the file store keeps history between analyzers', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'hl7-dq-history-'))
+  try {
+    const filePath = path.join(directory, 'state.json')
+    const first = createLongitudinalAnalyzer({ store: createFileStore(filePath) })
+    await first.analyze(adtMessage('A01', '20240102120000'))
+    await first.close()
+
+    const second = createLongitudinalAnalyzer({ store: createFileStore(filePath) })
+    const result = await second.analyze(adtMessage('A01', '20240103120000'))
+    await second.close()
+    assert.deepEqual(result.issues.filter(issue => issue.ruleId === 'longitudinal-consistency').map(issue => issue.issue), ['Duplicate admission'])
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true })
+  }
+})
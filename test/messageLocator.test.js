@@ -0,0 +1,72 @@
+import { strict as assert } from 'assert'
+import { test } from './harness.js'
+import { indexMessage, locateInMessage, parseFieldReference, resolveIssueLocation, createLocation } from '../src/messageLocator.js'
+import { analyzeDataQuality } from '../src/hl7DataQualityService.js'
+
+const MESSAGE = [
+  'MSH|^~\\&|ADT|HOSP|EHR|HOSP|20240101120000||ADT^A01|1|P|2.5',
+  'PID|1||MRN1^^^HOSP^MR~MRN2^^^CLINIC&1.2.3&ISO^MR||DOE^JOHN||19800101|M',
+  'NK1|1|DOE^JANE',
+  'NK1|2|DOE^JIM',
+].join('\r\n')
+
+function textAt(location) {
+  const span = locateInMessage(indexMessage(MESSAGE), location)
+  return span && MESSAGE.substring(span.start, span.end)
+}
+
+test('indexes every segment occurrence across line terminators', () => {
+  const { delimiters, segments } = indexMessage(MESSAGE)
+  const { field, component, repetition, escape, subcomponent } = delimiters
+  assert.deepEqual([field, component, repetition, escape, subcomponent], ['|', '^', '~', '\\', '&'])
+  assert.deepEqual(segments.map(({ segment, sequence }) => `${segment}#${sequence}`), ['MSH#1', 'PID#1', 'NK1#1', 'NK1#2'])
+})
+
+test('locates fields, repetitions, components and subcomponents', () => {
+  assert.equal(textAt({ segment: 'PID', field: 3 }), 'MRN1^^^HOSP^MR~MRN2^^^CLINIC&1.2.3&ISO^MR')
+  assert.equal(textAt({ segment: 'PID', field: 3, repetition: 2 }), 'MRN2^^^CLINIC&1.2.3&ISO^MR')
+  assert.equal(textAt({ segment: 'PID', field: 3, component: 4 }), 'HOSP')
+  assert.equal(textAt({ segment: 'PID', field: 3, repetition: 2, component: 4, subcomponent: 2 }), '1.2.3')
+  assert.equal(textAt({ segment: 'NK1', sequence: 2, field: 2 }), 'DOE^JIM')
+})
+
+test('numbers MSH fields from the field separator', () => {
+  assert.equal(textAt({ segment: 'MSH', field: 1 }), '|')
+  assert.equal(textAt({ segment: 'MSH', field: 2, component: 1 }), '^~\\&')
+  assert.equal(textAt({ segment: 'MSH', field: 9, component: 2 }), 'A01')
+})
+
+test('absent elements are zero-width and absent segments are not found', () => {
+  const index = indexMessage(MESSAGE)
+  const pidEnd = index.segments[1].end
+  assert.deepEqual(locateInMessage(index, { segment: 'PID', field: 30 }), { start: pidEnd, end: pidEnd })
+  assert.equal(textAt({ segment: 'PID', field: 5, component: 3 }), '')
+  assert.equal(locateInMessage(index, { segment: 'PV1', field: 2 }), null)
+  assert.equal(locateInMessage(index, { segment: 'NK1', sequence: 3 }), null)
+})
+
+test('parses issue field references', () => {
+  assert.deepEqual(parseFieldReference('PID-5.1'), createLocation({ segment: 'PID', field: 5, component: 1 }))
+  assert.deepEqual(parseFieldReference('PV1-44/45'), createLocation({ segment: 'PV1', field: 44 }))
+  assert.deepEqual(parseFieldReference('OBX'), createLocation({ segment: 'OBX' }))
+  assert.equal(parseFieldReference('Message Structure'), null)
+})
+
+test('resolves issue locations to offsets, defaulting to the first occurrence', () => {
+  const index = indexMessage(MESSAGE)
+  const location = resolveIssueLocation({ field: 'PID-8' }, index)
+  assert.equal(location.sequence, 1)
+  assert.equal(MESSAGE.substring(location.start, location.end), 'M')
+
+  const second = resolveIssueLocation({ field: 'NK1-2', location: { segment: 'NK1', sequence: 2, field: 2 } }, index)
+  assert.equal(MESSAGE.substring(second.start, second.end), 'DOE^JIM')
+  assert.equal(resolveIssueLocation({ field: 'Message Structure' }, index), null)
+})
+
+test('analysis checks every occurrence of a segment and reports where each issue is', () => {
+  const message = [MESSAGE, 'NK1|3|DOE^JILL||||||2024-01-01'].join('\r')
+  const [issue] = analyzeDataQuality(message).issues.filter(issue => issue.field === 'NK1-8')
+  assert.equal(issue.location.sequence, 3)
+  assert.equal(issue.location.field, 8)
+  assert.equal(message.substring(issue.location.start, issue.location.end), '2024-01-01')
+})
@@ -0,0 +1,89 @@
+import { strict as assert } from 'assert'
+import { test } from './harness.js'
+import {
+  parseMessage,
+  validateMessage,
+  getEncodingCharacters,
+  getFieldValue,
+  unescapeValue,
+  escapeValue,
+  setParserAdapter,
+  createHL7ParserAdapter,
+  DEFAULT_ENCODING,
+} from '../src/messageParser.js'
+import { analyzeDataQuality } from '../src/hl7DataQualityService.js'
+
+const MESSAGE = [
+  'MSH|^~\\&|ADT|HOSP|EHR|HOSP|20240101120000||ADT^A01|1|P|2.5',
+  'PID|1||MRN1^^^HOSP^MR~MRN2^^^CLINIC&1.2.3&ISO^MR||DOE^JOHN||19800101|M|||CORNER OF 1ST \\T\\ MAIN^^TOWN',
+].join('\r\n')
+
+test('numbers header fields from the field separator and splits every element', () => {
+  const { segments, messageType, totalSegments, encoding } = parseMessage(MESSAGE)
+  const [msh, pid] = segments
+  assert.equal(msh.parsed.field1, '|')
+  assert.equal(msh.parsed.field2, '^~\\&')
+  assert.equal(messageType, 'ADT^A01')
+  assert.equal(totalSegments, 2)
+  assert.deepEqual(encoding, DEFAULT_ENCODING)
+  assert.equal(pid.parsed.field3, 'MRN1^^^HOSP^MR~MRN2^^^CLINIC&1.2.3&ISO^MR')
+  assert.equal(getFieldValue(pid, 3, { repetition: 2, component: 4, subcomponent: 2 }, encoding), '1.2.3')
+  assert.equal(getFieldValue(pid, 11, {}, encoding), 'CORNER OF 1ST & MAIN')
+  assert.equal(getFieldValue(pid, 30, {}, encoding), '')
+})
+
+test('reads the delimiters each message declares', () => {
+  const message = 'MSH#$*\\@^#ADT#HOSP\nPID#1##MRN1$$$HOSP$MR*MRN2##DOE$JOHN\n\n'
+  const encoding = getEncodingCharacters(message)
+  assert.deepEqual(encoding, { field: '#', component: '$', repetition: '*', escape: '\\', subcomponent: '@', truncation: '^' })
+  const [, pid] = parseMessage(message).segments
+  assert.equal(getFieldValue(pid, 3, { repetition: 2 }, encoding), 'MRN2')
+  assert.equal(getFieldValue(pid, 5, { component: 2 }, encoding), 'JOHN')
+  assert.equal(parseMessage(message).totalSegments, 2)
+})
+
+test('validates the header, encoding characters and segment IDs', () => {
+  assert.deepEqual(validateMessage(MESSAGE), { isValid: true, errors: [] })
+  assert.deepEqual(validateMessage(''), { isValid: false, errors: ['Message is empty'] })
+  assert.deepEqual(validateMessage('PID|1').errors, ['Message must start with an MSH segment'])
+  assert.match(validateMessage('MSH|^~|ADT').errors[0], /MSH-2 must declare 4 encoding characters/)
+  assert.match(validateMessage('MSH|^^\\&|ADT').errors[0], /must be distinct punctuation characters/)
+  assert.match(validateMessage(`${MESSAGE}\rpid|2`).errors[0], /Segment 3 does not start with a valid segment ID/)
+})
+
+test('escapes and unescapes delimiters, hex data and highlighting', () => {
+  assert.equal(escapeValue('A|B^C&D~E\\F'), 'A\\F\\B\\S\\C\\T\\D\\R\\E\\E\\F')
+  assert.equal(unescapeValue(escapeValue('A|B^C&D~E\\F')), 'A|B^C&D~E\\F')
+  assert.equal(unescapeValue('\\H\\Bold\\N\\ text\\.br\\'), 'Bold text\\.br\\')
+  assert.equal(unescapeValue('Z\\XC3BC\\rich'), 'Zürich')
+  assert.equal(unescapeValue('\\XE9\\'), 'é')
+  assert.equal(unescapeValue('no escapes', { ...DEFAULT_ENCODING, escape: null }), 'no escapes')
+})
+
+test('normalizes the output of a plugged-in parser', () => {
+  const parseHL7Message = () => ({
+    segments: [
+      { segmentType: 'MSH', parsed: { field1: '|', field2: '^~\\&', field9: 'ADT^A01', field12: '2.5' } },
+      { segmentType: 'PID', parsed: { field3: 'MRN1^^^HOSP^MR', field5: 'DOE^JOHN' } },
+    ],
+  })
+  try {
+    setParserAdapter(createHL7ParserAdapter({ parseHL7Message }))
+    const parsed = parseMessage('ignored')
+    assert.equal(parsed.messageType, 'ADT^A01')
+    assert.equal(getFieldValue(parsed.segments[1], 5, { component: 2 }, parsed.encoding), 'JOHN')
+    assert.equal(validateMessage('PID|1').isValid, false)
+  } finally {
+    setParserAdapter(null)
+  }
+  assert.throws(() => setParserAdapter({}), /must provide a parse\(hl7Message\) function/)
+  assert.throws(() => createHL7ParserAdapter({}), /must export parseHL7Message/)
+})
+
+test('analysis accepts any declared delimiters and line terminators', () => {
+  const message = MESSAGE.replace(/\|/g, '#').replace('^~\\&', '$*\\@').replace(/\^/g, '$').replace('~', '*').replace('&1.2.3&', '@1.2.3@')
+  const standard = analyzeDataQuality(MESSAGE)
+  const custom = analyzeDataQuality(message)
+  assert.equal(custom.isValid, true)
+  assert.equal(custom.overallScore, standard.overallScore)
+})
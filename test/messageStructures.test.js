@@ -0,0 +1,96 @@
+import { strict as assert } from 'assert'
+import { test } from './harness.js'
+import { analyzeDataQuality, parseMessage, validateMessageStructure } from '../src/hl7DataQualityService.js'
+
+const HEADER = 'MSH|^~\\&|LAB|HOSP|EHR|HOSP|20240101120000||ORU^R01^ORU_R01|1|P|2.5'
+const PID = 'PID|1||MRN1^^^HOSP^MR||DOE^JOHN||19800101|M'
+const OBR = 'OBR|1|ORD1|FIL1|24331-1^Lipid Panel^LN'
+const OBX = 'OBX|1|NM|2093-3^Cholesterol^LN||180|mg/dL^^UCUM|<200|N|||F'
+
+function validate(...segments) {
+  return validateMessageStructure(parseMessage(segments.join('\r')))
+}
+
+function describe(issues) {
+  return issues.map(issue => `${issue.issue} @ ${issue.location.segment}#${issue.location.sequence}`)
+}
+
+test('a well-formed ORU_R01 has no findings', () => {
+  const { structure, version, issues, missing } = validate(HEADER, PID, OBR, OBX, OBX.replace('OBX|1', 'OBX|2'))
+  assert.equal(structure, 'ORU_R01')
+  assert.equal(version, '2.5')
+  assert.deepEqual(issues, [])
+  assert.deepEqual(missing, [])
+})
+
+test('reports an OBX sent before its OBR as out of order, not the OBR as missing', () => {
+  const { issues, missing } = validate(HEADER, PID, OBX, OBR)
+  assert.deepEqual(describe(issues), ['OBX segment out of order @ OBX#1'])
+  assert.deepEqual(missing, [])
+})
+
+test('an OBX before its OBR is penalized once across the rules', () => {
+  const message = [HEADER, PID, OBX, OBR].join('\r')
+  const titles = analyzeDataQuality(message).issues
+    .filter(issue => ['required-segments', 'message-structure', 'result-structure'].includes(issue.ruleId))
+    .map(issue => `${issue.ruleId}: ${issue.issue}`)
+  assert.deepEqual(titles, ['message-structure: OBX segment out of order'])
+})
+
+test('reports a missing OBR where it belongs', () => {
+  const { missing } = validate(HEADER, PID, OBX)
+  assert.deepEqual(missing, [{ segment: 'OBR', group: 'ORDER_OBSERVATION', before: { segment: 'OBX', sequence: 1 } }])
+
+  const issue = analyzeDataQuality([HEADER, PID, OBX].join('\r')).issues.find(issue => issue.issue === 'Missing OBR segment')
+  assert.equal(issue.ruleId, 'required-segments')
+  assert.equal(issue.penalty, 5)
+})
+
+test('locates a missing OBR of a later order group at that group', () => {
+  const issue = analyzeDataQuality([HEADER, PID, 'ORC|RE|ORD1', OBR, OBX, 'ORC|RE|ORD2', OBX].join('\r')).issues
+    .find(issue => issue.issue === 'Missing OBR segment')
+  assert.equal(issue.location.segment, 'OBX')
+  assert.equal(issue.location.sequence, 2)
+})
+
+test('lists missing required segments and reports them once', () => {
+  const segments = ['MSH|^~\\&|ADT|HOSP|EHR|HOSP|20240101120000||ADT^A01|1|P|2.5', 'EVN|A01|20240101120000', PID]
+  assert.deepEqual(validate(...segments).missing, [{ segment: 'PV1', group: null, before: null }])
+  const titles = analyzeDataQuality(segments.join('\r')).issues
+    .filter(issue => ['required-segments', 'message-structure'].includes(issue.ruleId))
+    .map(issue => `${issue.ruleId}: ${issue.issue}`)
+  assert.deepEqual(titles, ['required-segments: Missing PV1 segment'])
+})
+
+test('has no structure for message types it does not bundle', () => {
+  const { structure, issues, missing } = validate('MSH|^~\\&|LAB|HOSP|EHR|HOSP|20240101120000||ZZZ^Z01|1|P|2.5', PID)
+  assert.equal(structure, null)
+  assert.deepEqual(issues, [])
+  assert.deepEqual(missing, [])
+})
+
+test('reports a segment outside its group as out of order', () => {
+  const { issues } = validate(HEADER, PID, OBR, OBX, 'PV1|1|O')
+  assert.deepEqual(describe(issues), ['PV1 segment out of order @ PV1#1'])
+})
+
+test('reports repeated and unexpected segments', () => {
+  const { structure, issues } = validate(
+    'MSH|^~\\&|ADT|HOSP|EHR|HOSP|20240101120000||ADT^A01|1|P|2.5',
+    'EVN|A01|20240101120000',
+    PID,
+    'PV1|1|I',
+    'PV1|2|I',
+    'RXA|0|1|20240101',
+  )
+  assert.equal(structure, 'ADT_A01')
+  assert.deepEqual(describe(issues), ['Repeated PV1 segment @ PV1#2', 'Unexpected RXA segment @ RXA#1'])
+})
+
+test('reports withdrawn fields for the declared version', () => {
+  const message = [HEADER.replace('|2.5', '|2.7'), `${PID}|||||||||||123-45-6789`, OBR, OBX].join('\r')
+  const titles = analyzeDataQuality(message).issues
+    .filter(issue => issue.ruleId === 'version-compliance')
+    .map(issue => issue.issue)
+  assert.ok(titles.includes('Withdrawn field PID-19'))
+})
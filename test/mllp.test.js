@@ -0,0 +1,114 @@
+import { strict as assert } from 'assert'
+import net from 'net'
+import { mkdtemp, readdir, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import path from 'path'
+import { test } from './harness.js'
+import { createMLLPClient, getSampleADTMessage, startMLLPServer } from '../src/hl7DataQualityService.js'
+
+const message = getSampleADTMessage()
+const withoutPatientName = message.replace('DOE^JOHN^MIDDLE^JR^^L', '')
+
+/**
+ * Starts a gate with the given options, sends each message and returns the ACKs and onMessage events
+ */
+async function exchange(options, messages) {
+  const events = []
+  const errors = []
+  const gate = await startMLLPServer({
+    ...options,
+    onMessage: event => events.push(event),
+    onError: error => errors.push(error),
+  })
+  const client = createMLLPClient({ port: gate.port, timeout: 5000 })
+  try {
+    const acks = []
+    for (const hl7Message of messages) {
+      acks.push(await client.send(hl7Message))
+    }
+    return { acks, events, errors }
+  } finally {
+    await client.close()
+    await gate.close()
+  }
+}
+
+function getSegment(ack, segmentType) {
+  return ack.split('\r').find(segment => segment.startsWith(`${segmentType}|`))
+}
+
+test('accepts a passing message with AA', async () => {
+  const { acks, events } = await exchange({}, [message])
+  assert.equal(getSegment(acks[0], 'MSA'), 'MSA|AA|12345')
+  assert.equal(events[0].action, 'accepted')
+})
+
+test('rejects a failing message with AE and ERR segments', async () => {
+  const { acks, events } = await exchange({}, [withoutPatientName])
+  assert.equal(getSegment(acks[0], 'MSA'), 'MSA|AE|12345')
+  assert.match(getSegment(acks[0], 'ERR'), /PID\^1\^5/)
+  assert.equal(events[0].action, 'rejected')
+})
+
+test('answers a message failing only minScore with AE naming the threshold', async () => {
+  const { acks, events } = await exchange({ minScore: 101 }, [message])
+  assert.equal(getSegment(acks[0], 'MSA'), 'MSA|AE|12345')
+  assert.match(getSegment(acks[0], 'ERR'), /mllp-min-score\^Quality score below threshold/)
+  assert.match(getSegment(acks[0], 'ERR'), /below the minimum score of 101/)
+  assert.equal(events[0].action, 'rejected')
+  assert.equal(events[0].code, 'AE')
+})
+
+test('answers with AE and code 207 when quarantining fails', async () => {
+  const { acks, events, errors } = await exchange({ minScore: 101, quarantineDir: '/dev/null/quarantine' }, [message, message])
+  acks.forEach(ack => {
+    assert.equal(getSegment(ack, 'MSA'), 'MSA|AE|12345')
+    assert.match(ack, /ERR\|\|\|207\^Application internal error\^HL70357\|E\|mllp-processing/)
+  })
+  assert.deepEqual(events.map(event => event.action), ['failed', 'failed'])
+  assert.equal(errors.length, 2)
+})
+
+test('quarantines failing messages and forwards passing ones', async () => {
+  const quarantineDir = await mkdtemp(path.join(tmpdir(), 'hl7-test-'))
+  const downstreamEvents = []
+  const downstream = await startMLLPServer({ onMessage: event => downstreamEvents.push(event) })
+  try {
+    const { acks, events } = await exchange({ forward: { port: downstream.port }, quarantineDir }, [message, withoutPatientName])
+    assert.deepEqual(events.map(event => event.action), ['forwarded', 'quarantined'])
+    assert.equal(getSegment(acks[0], 'MSA'), 'MSA|AA|12345')
+    assert.equal(downstreamEvents.length, 1)
+    const files = await readdir(quarantineDir)
+    assert.equal(files.filter(file => file.endsWith('.hl7')).length, 1)
+    assert.equal(files.filter(file => file.endsWith('.json')).length, 1)
+  } finally {
+    await downstream.close()
+    await rm(quarantineDir, { recursive: true })
+  }
+})
+
+test('answers with AE when the downstream endpoint is unreachable', async () => {
+  const closed = net.createServer()
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve))
+  const { port } = closed.address()
+  await new Promise(resolve => closed.close(resolve))
+
+  const { acks, events } = await exchange({ forward: { port, timeout: 1000 } }, [message])
+  assert.equal(getSegment(acks[0], 'MSA'), 'MSA|AE|12345')
+  assert.match(acks[0], /mllp-forward/)
+  assert.equal(events[0].action, 'undelivered')
+})
+
+test('client rejects on a missing ACK and still closes', async () => {
+  const sockets = []
+  const silent = net.createServer(socket => sockets.push(socket))
+  await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve))
+  const client = createMLLPClient({ port: silent.address().port, timeout: 200 })
+  try {
+    await assert.rejects(client.send(message), /Timed out waiting for an ACK/)
+    await client.close()
+  } finally {
+    sockets.forEach(socket => socket.destroy())
+    await new Promise(resolve => silent.close(resolve))
+  }
+})
@@ -0,0 +1,67 @@
+import { strict as assert } from 'assert'
+import { test } from './harness.js'
+import { ORDER_RULES } from '../src/orderRules.js'
+
+/**
+ * Builds the parsed message model the rules receive: one entry per segment with fieldN properties
+ */
+function parse(...segments) {
+  return {
+    segments: segments.map(text => {
+      const [segmentType, ...fields] = text.split('|')
+      const values = segmentType === 'MSH' ? ['|', ...fields] : fields
+      const parsed = {}
+      values.forEach((value, index) => {
+        parsed[`field${index + 1}`] = value
+      })
+      return { segmentType, parsed }
+    }),
+  }
+}
+
+const MSH = 'MSH|^~\\&|CPOE|HOSP|LAB|HOSP|20240101120000||ORM^O01|1|P|2.5'
+const PID = 'PID|1||MRN1^^^HOSP^MR||DOE^JOHN||19800101|M'
+
+function orderIssues(ruleId, ...segments) {
+  const rule = ORDER_RULES.find(({ id }) => id === ruleId)
+  return rule.check(parse(MSH, PID, ...segments)).issues
+    .map(issue => `${issue.issue} @ ${issue.location.segment}#${issue.location.sequence}`)
+}
+
+test('a well-formed order passes the order rules', () => {
+  const segments = ['ORC|NW|ORD1^CPOE', 'OBR|1|ORD1^CPOE||24331-1^Lipid Panel^LN']
+  assert.deepEqual(orderIssues('order-control', ...segments), [])
+  assert.deepEqual(orderIssues('order-numbers', ...segments), [])
+})
+
+test('requires the order numbers each order control code needs', () => {
+  assert.deepEqual(orderIssues('order-control',
+    'ORC|',
+    'ORC|NW',
+    'OBR|1|||24331-1^Lipid Panel^LN',
+    'ORC|CA',
+    'ORC|SC|ORD4^CPOE',
+  ), [
+    'Missing Order Control @ ORC#1',
+    'Missing Placer Order Number @ ORC#2',
+    'Missing order number @ ORC#3',
+    'Missing Order Status @ ORC#4',
+  ])
+})
+
+test('checks ORC/OBR grouping and placer and filler numbers', () => {
+  assert.deepEqual(orderIssues('order-numbers',
+    'OBR|1|ORD0^CPOE',
+    'ORC|NW|ORD1^CPOE',
+    'ORC|NW|ORD2^CPOE|FIL2^LAB',
+    'OBR|1|ORD2^CPOE|FIL9^LAB',
+    'OBR|2|ORD2^CPOE|FIL2^LAB',
+    'ORC|XO|ORD2^CPOE',
+  ), [
+    'Order detail outside an order @ OBR#1',
+    'New order has no order detail @ ORC#1',
+    'Multiple order details in one order @ OBR#3',
+    'Filler Order Number mismatch @ OBR#2',
+    'Duplicate Placer Order Number @ ORC#3',
+  ])
+})
@@ -0,0 +1,74 @@
+import { strict as assert } from 'assert'
+import { test } from './harness.js'
+import { PHARMACY_RULES } from '../src/pharmacyRules.js'
+
+/**
+ * Builds the parsed message model the rules receive: one entry per segment with fieldN properties
+ */
+function parse(...segments) {
+  return {
+    segments: segments.map(text => {
+      const [segmentType, ...fields] = text.split('|')
+      const values = segmentType === 'MSH' ? ['|', ...fields] : fields
+      const parsed = {}
+      values.forEach((value, index) => {
+        parsed[`field${index + 1}`] = value
+      })
+      return { segmentType, parsed }
+    }),
+  }
+}
+
+/**
+ * Builds a segment from a map of field number to value
+ */
+function segment(segmentType, fields) {
+  const values = []
+  Object.entries(fields).forEach(([field, value]) => {
+    values[Number(field) - 1] = value
+  })
+  return [segmentType, ...Array.from(values, value => value ?? '')].join('|')
+}
+
+const MSH = 'MSH|^~\\&|PHARM|HOSP|EHR|HOSP|20240101120000||RDE^O11|1|P|2.5'
+const PID = 'PID|1||MRN1^^^HOSP^MR||DOE^JOHN||19800101|M'
+
+function doseIssues(...segments) {
+  return PHARMACY_RULES[0].check(parse(MSH, PID, ...segments)).issues
+    .map(({ issue, location }) => `${issue} @ ${location.segment}-${location.field}`)
+}
+
+test('a well-formed give instruction and administration pass', () => {
+  assert.deepEqual(doseIssues(
+    segment('RXE', { 2: '197361^Amlodipine 5 MG^RXNORM', 3: '5', 5: 'mg^^UCUM' }),
+    segment('RXA', { 1: '0', 2: '1', 3: '202401021000', 5: '197361^Amlodipine 5 MG^RXNORM', 6: '5', 7: 'mg^^UCUM' }),
+  ), [])
+})
+
+test('checks the give code, amounts and units of RXE', () => {
+  assert.deepEqual(doseIssues(
+    segment('RXE', { 3: '10', 4: '5', 5: 'mcg^^UCUM' }),
+    segment('RXE', { 2: '197361^Amlodipine 5 MG^RXNORM', 3: 'five', 10: '30' }),
+  ), [
+    'Missing Give Code @ RXE-2',
+    'Maximum dose below minimum dose @ RXE-4',
+    'Invalid UCUM unit @ RXE-5',
+    'Invalid Give Amount @ RXE-3',
+    'Missing Give Units @ RXE-5',
+    'Missing Dispense Units @ RXE-11',
+  ])
+})
+
+test('checks administration times and the amount given', () => {
+  assert.deepEqual(doseIssues(
+    segment('RXA', { 3: '202401021000', 4: '202401020900', 6: '5' }),
+    segment('RXA', { 5: '08^HepB^CVX', 6: '0.5', 20: 'RE' }),
+    segment('RXA', { 3: '202401021000', 5: '08^HepB^CVX', 6: '999' }),
+  ), [
+    'Administration ends before it starts @ RXA-4',
+    'Missing Administered Code @ RXA-5',
+    'Missing Administered Units @ RXA-7',
+    'Missing administration date/time @ RXA-3',
+    'Amount recorded for a dose not given @ RXA-6',
+  ])
+})
@@ -0,0 +1,67 @@
+import { strict as assert } from 'assert'
+import { test } from './harness.js'
+import { createQualityAggregator, aggregateResults } from '../src/qualityAggregator.js'
+
+function result(overallScore, issues = [], isValid = true) {
+  return { overallScore, issues, isValid }
+}
+
+function issue(ruleId, severity, field, category = 'Completeness') {
+  return { ruleId, severity, field, category, issue: `${field} issue` }
+}
+
+test('summarizes scores and validity across results', () => {
+  const report = aggregateResults([result(100), result(80), result(60), result(0, [], false)])
+  assert.equal(report.messageCount, 4)
+  assert.equal(report.validCount, 3)
+  assert.equal(report.invalidCount, 1)
+  assert.deepEqual(report.scores, { min: 0, max: 100, mean: 60, median: 60, p95: 100 })
+})
+
+test('an empty aggregate has no score statistics', () => {
+  const report = createQualityAggregator().getReport()
+  assert.equal(report.messageCount, 0)
+  assert.deepEqual(report.scores, { min: null, max: null, mean: null, median: null, p95: null })
+})
+
+test('counts issues by rule, category, severity and field, most frequent first', () => {
+  const report = aggregateResults([
+    result(90, [issue('pid-completeness', 'High', 'PID-3'), issue('date-formats', 'Medium', 'PID-7', 'Formatting')]),
+    result(95, [issue('pid-completeness', 'High', 'PID-3')]),
+  ])
+  assert.equal(report.issues.total, 3)
+  assert.deepEqual(Object.entries(report.issues.byRule), [['pid-completeness', 2], ['date-formats', 1]])
+  assert.deepEqual(report.issues.byCategory, { Completeness: 2, Formatting: 1 })
+  assert.deepEqual(report.issues.bySeverity, { High: 2, Medium: 1 })
+  assert.deepEqual(report.issues.byField, { 'PID-3': 2, 'PID-7': 1 })
+})
+
+test('computes field fill rates and per-source breakdowns from the raw messages', () => {
+  const message = (facility, name) => [
+    `MSH|^~\\&|ADT|${facility}|EHR|HOSP|20240101120000||ADT^A01|1|P|2.5`,
+    `PID|1||MRN1||${name}`,
+  ].join('\r')
+  const report = aggregateResults([
+    { message: message('NORTH', 'DOE^JOHN'), result: result(100) },
+    { message: message('NORTH', ''), result: result(80) },
+    { message: message('SOUTH', 'ROE^JANE'), result: result(90) },
+  ])
+
+  assert.equal(report.fillRates.PID.segmentCount, 3)
+  assert.deepEqual(report.fillRates.PID.fields['PID-3'], { populated: 3, fillRate: 100 })
+  assert.deepEqual(report.fillRates.PID.fields['PID-5'], { populated: 2, fillRate: 66.7 })
+  assert.deepEqual(report.bySource.map(source => [source.sendingFacility, source.messageCount, source.scores.mean]), [
+    ['NORTH', 2, 90],
+    ['SOUTH', 1, 90],
+  ])
+})
+
+test('collects envelope issues from batch and summary stream items', () => {
+  const aggregator = createQualityAggregator()
+  aggregator.add({ type: 'batch', issues: [issue('batch-envelope', 'High', 'BTS-1', 'Compliance')] })
+  aggregator.add({ type: 'summary', issues: [issue('batch-envelope', 'High', 'FTS', 'Compliance')] })
+  const report = aggregator.getReport()
+  assert.equal(report.messageCount, 0)
+  assert.equal(report.envelopeIssues.total, 2)
+  assert.deepEqual(report.envelopeIssues.byField, { 'BTS-1': 1, FTS: 1 })
+})
@@ -0,0 +1,95 @@
+import { strict as assert } from 'assert'
+import { test } from './harness.js'
+import { remediateMessage, getFixableRules } from '../src/remediation.js'
+import { analyzeDataQuality } from '../src/hl7DataQualityService.js'
+
+const MSH = 'MSH|^~\\&|ADT|HOSP|EHR|HOSP|2024-01-01T12:30:00Z||ADT^A08|1|P|2.5'
+
+function pid(overrides = {}) {
+  const fields = Object.assign(['PID', '1', '', 'MRN1', '', 'DOE^JOHN', '', '19800101', 'M'], overrides)
+  return fields.map(value => value ?? '').join('|')
+}
+
+function segment(type, values) {
+  const fields = [type]
+  Object.entries(values).forEach(([field, value]) => {
+    fields[field] = value
+  })
+  return Array.from(fields, value => value ?? '').join('|')
+}
+
+function fixedFields(result) {
+  return result.changes.map(change => `${change.field}: ${change.before} -> ${change.after}`)
+}
+
+test('reformats dates and records each change', () => {
+  const result = remediateMessage([MSH, pid({ 7: '1980-02-29' })].join('\r'))
+  assert.deepEqual(fixedFields(result), [
+    'MSH-7: 2024-01-01T12:30:00Z -> 20240101123000+0000',
+    'PID-7: 1980-02-29 -> 19800229',
+  ])
+  assert.equal(result.message.split('\r')[1], pid({ 7: '19800229' }))
+  assert.equal(result.changes[1].ruleId, 'date-formats')
+  assert.equal(result.changes[1].segmentIndex, 0)
+})
+
+test('fixes every date field the date-formats rule checks', () => {
+  const message = [
+    MSH,
+    pid({ 7: '1980-02-29' }),
+    segment('NK1', { 1: '1', 2: 'DOE^JANE', 3: 'SPO', 8: '2020-01-15 08:00' }),
+    segment('OBX', { 1: '1', 2: 'NM', 3: 'GLU', 5: '5.4', 11: 'F', 14: '2024-01-01T10:15:00' }),
+    segment('DG1', { 1: '1', 3: 'I10^Hypertension^I10', 5: '2023-12-31' }),
+    segment('IN1', { 1: '1', 2: 'PLAN1', 12: '2024-01-01', 13: '2024-12-31' }),
+  ].join('\r')
+  const flagged = text => analyzeDataQuality(text).issues.filter(issue => issue.ruleId === 'date-formats').map(issue => issue.field)
+  const result = remediateMessage(message, { rules: ['date-formats'] })
+  assert.deepEqual(result.changes.map(change => change.field).sort(), flagged(message).sort())
+  assert.ok(fixedFields(result).includes('NK1-8: 2020-01-15 08:00 -> 20200115'))
+  assert.ok(fixedFields(result).includes('OBX-14: 2024-01-01T10:15:00 -> 20240101101500'))
+  assert.deepEqual(flagged(result.message), [])
+})
+
+test('leaves impossible and already valid dates alone', () => {
+  const message = [MSH.replace('2024-01-01T12:30:00Z', '20240101123000'), pid({ 7: '1981-02-29' })].join('\r')
+  assert.deepEqual(remediateMessage(message).changes, [])
+})
+
+test('reads ambiguous day/month dates in the requested order', () => {
+  const message = [MSH, pid({ 7: '03/04/1980' })].join('\r')
+  assert.equal(remediateMessage(message, { rules: ['date-formats'] }).changes[1].after, '19800304')
+  assert.equal(remediateMessage(message, { rules: ['date-formats'], dateOrder: 'DMY' }).changes[1].after, '19800403')
+})
+
+test('normalizes sex codes, SSNs and every repetition of a phone number', () => {
+  const message = [MSH, pid({ 8: 'female', 13: '555.123.4567 ext 12~1 800 555 0000', 19: '123 45 6789' })].join('\r')
+  assert.deepEqual(fixedFields(remediateMessage(message, { rules: ['identifier-formats', 'pid-completeness', 'phone-formats'] })), [
+    'PID-19: 123 45 6789 -> 123-45-6789',
+    'PID-8: female -> F',
+    'PID-13: 555.123.4567 ext 12 -> (555)123-4567X12',
+    'PID-13: 1 800 555 0000 -> 1(800)555-0000',
+  ])
+})
+
+test('a dry run proposes changes without applying them', () => {
+  const message = [MSH, pid({ 8: 'male' })].join('\r\n')
+  const result = remediateMessage(message, { dryRun: true })
+  assert.equal(result.dryRun, true)
+  assert.equal(result.message, message)
+  assert.equal(result.changes.length, 2)
+})
+
+test('keeps the original segment terminators', () => {
+  const message = `${MSH}\r\n${pid({ 8: 'male' })}\n`
+  assert.equal(remediateMessage(message).message, `${MSH.replace('2024-01-01T12:30:00Z', '20240101123000+0000')}\r\n${pid()}\n`)
+})
+
+test('rejects input that is not an HL7 message and unknown date orders', () => {
+  assert.throws(() => remediateMessage('PID|1'), /starting with an MSH segment/)
+  assert.throws(() => remediateMessage(MSH, { dateOrder: 'YMD' }), /Unknown date order/)
+})
+
+test('lists the fixable rules and their fields', () => {
+  assert.deepEqual(getFixableRules().map(rule => rule.ruleId), ['date-formats', 'identifier-formats', 'pid-completeness', 'phone-formats'])
+  assert.deepEqual(getFixableRules().find(rule => rule.ruleId === 'identifier-formats').fields, ['PID-19'])
+})
@@ -0,0 +1,138 @@
+import { strict as assert } from 'assert'
+import { test } from './harness.js'
+import { renderHTML, renderCSV, renderMarkdown, renderText } from '../src/reportRenderers.js'
+
+const MESSAGE = 'MSH|^~\\&|ADT|HOSP|EHR|HOSP|20240101120000||ADT^A01|1|P|2.5\rPID|1||MRN1||DOE^JOHN||1980-01-01|M'
+
+const RESULT = {
+  overallScore: 82,
+  isValid: true,
+  messageType: 'ADT^A01',
+  totalSegments: 2,
+  issues: [
+    {
+      ruleId: 'date-formats',
+      category: 'Formatting',
+      severity: 'Medium',
+      field: 'PID-7',
+      issue: 'Invalid date format',
+      details: 'Date "1980-01-01" is not YYYYMMDD',
+      recommendation: 'Use <YYYYMMDD>, e.g. "19800101"',
+    },
+    {
+      ruleId: 'pid-completeness',
+      category: 'Completeness',
+      severity: 'Critical',
+      field: 'PID-3',
+      issue: 'Missing patient ID',
+      details: 'PID-3 | identifier list',
+      recommendation: 'Populate PID-3',
+    },
+  ],
+}
+
+const REPORT = {
+  messageCount: 2,
+  validCount: 2,
+  invalidCount: 0,
+  scores: { min: 80, max: 100, mean: 90, median: 80, p95: 100 },
+  issues: { total: 1, byRule: { 'date-formats': 1 }, byCategory: { Formatting: 1 }, bySeverity: { Medium: 1 }, byField: { 'PID-7': 1 } },
+  envelopeIssues: { total: 0, byRule: {}, byCategory: {}, bySeverity: {}, byField: {} },
+  fillRates: { PID: { segmentCount: 2, fields: { 'PID-5': { populated: 1, fillRate: 50 } } } },
+  bySource: [{ sendingApplication: 'ADT', sendingFacility: 'HOSP', messageCount: 2, scores: { median: 80, p95: 100 }, issues: { total: 1 } }],
+}
+
+test('renders CSV rows with a header and quotes values that need it', () => {
+  const lines = renderCSV(RESULT).trimEnd().split('\r\n')
+  assert.equal(lines[0], 'messageIndex,ruleId,severity,category,field,issue,details,recommendation')
+  assert.equal(lines[1], '1,date-formats,Medium,Formatting,PID-7,Invalid date format,"Date ""1980-01-01"" is not YYYYMMDD","Use <YYYYMMDD>, e.g. ""19800101"""')
+  assert.equal(lines.length, 3)
+})
+
+test('numbers CSV rows by 1-based message and includes batch envelope issues', () => {
+  const rows = renderCSV([
+    { type: 'message', index: 0, result: { issues: [RESULT.issues[0]] } },
+    { type: 'batch', issues: [{ ruleId: 'batch-envelope', severity: 'High', category: 'Compliance', field: 'BTS-1', issue: 'Batch message count mismatch' }] },
+    { type: 'message', index: 1, result: { issues: [RESULT.issues[1]] } },
+    { type: 'summary', issues: [] },
+  ]).trimEnd().split('\r\n').slice(1)
+  assert.deepEqual(rows.map(row => row.split(',').slice(0, 2).join(',')), ['1,date-formats', ',batch-envelope', '2,pid-completeness'])
+})
+
+test('renders a Markdown summary with escaped table cells, most severe first', () => {
+  const markdown = renderMarkdown(RESULT, { title: 'ADT feed' })
+  assert.ok(markdown.startsWith('# ADT feed\n\n**Score:** 82/100 | **Valid:** Yes | **Message Type:** ADT^A01 | **Segments:** 2'))
+  const rows = markdown.split('\n').filter(line => /^\| (Critical|Medium) \| [A-Z]/.test(line))
+  assert.deepEqual(rows, [
+    '| Critical | Completeness | PID-3 | Missing patient ID | Populate PID-3 |',
+    '| Medium | Formatting | PID-7 | Invalid date format | Use <YYYYMMDD>, e.g. "19800101" |',
+  ])
+  assert.ok(renderMarkdown({ overallScore: 100, isValid: true, issues: [] }).includes('No issues found.'))
+})
+
+test('renders aggregate reports in Markdown', () => {
+  const markdown = renderMarkdown(REPORT)
+  assert.ok(markdown.includes('**Messages:** 2 (2 valid, 0 invalid)'))
+  assert.ok(markdown.includes('| 80 | 80 | 90 | 100 | 100 |'))
+  assert.ok(markdown.includes('| ADT | HOSP | 2 | 80 | 1 |'))
+  assert.ok(markdown.includes('| PID-5 | 1 | 50% |'))
+})
+
+test('renders escaped HTML and highlights the fields issues refer to', () => {
+  const html = renderHTML(RESULT, { message: MESSAGE, title: 'Report <ADT>' })
+  assert.ok(html.includes('<title>Report &lt;ADT&gt;</title>'))
+  assert.ok(html.includes('<td>Use &lt;YYYYMMDD&gt;, e.g. &quot;19800101&quot;</td>'))
+  assert.ok(html.includes('<mark class="sev-medium" title="[Medium] Invalid date format">1980-01-01</mark>'))
+  assert.ok(html.includes('<mark class="sev-critical" title="[Critical] Missing patient ID">MRN1</mark>'))
+  assert.ok(!html.includes('<mark class="sev-medium" title="[Medium] Invalid date format">M</mark>'))
+})
+
+test('highlights the segment occurrence and related fields an issue is located at', () => {
+  const message = [
+    'MSH|^~\\&|ADT|HOSP|EHR|HOSP|20240101120000||ADT^A01|1|P|2.5',
+    'NK1|1|DOE^JANE|SPO',
+    'NK1|2|DOE^JIM|CHD',
+    `PV1|1|I${'|'.repeat(42)}20240101|20230101`,
+  ].join('\r')
+  const html = renderHTML({
+    overallScore: 90,
+    isValid: true,
+    issues: [
+      { severity: 'Medium', field: 'NK1-3', issue: 'Invalid relationship', location: { segment: 'NK1', sequence: 2, field: 3 } },
+      {
+        severity: 'High',
+        field: 'PV1-44/45',
+        issue: 'Discharge before admission',
+        location: { segment: 'PV1', sequence: 1, field: 44 },
+        relatedLocations: [{ segment: 'PV1', sequence: 1, field: 45 }],
+      },
+    ],
+  }, { message })
+  assert.ok(html.includes('NK1|1|DOE^JANE|SPO\n'))
+  assert.ok(html.includes('NK1|2|DOE^JIM|<mark class="sev-medium" title="[Medium] Invalid relationship">CHD</mark>'))
+  const admission = '<mark class="sev-high" title="[High] Discharge before admission">'
+  assert.ok(html.includes(`|${admission}20240101</mark>|${admission}20230101</mark>`))
+})
+
+test('renders aggregate reports in HTML', () => {
+  const html = renderHTML(REPORT)
+  assert.ok(html.includes('<span><strong>Messages:</strong> 2</span>'))
+  assert.ok(html.includes('<tr><td>PID</td><td>PID-5</td><td>1 / 2</td><td>50%</td></tr>'))
+  assert.ok(!html.includes('class="message"'))
+})
+
+test('renders plain text for terminals, most severe first', () => {
+  assert.equal(renderText(RESULT), [
+    'Score: 82/100  Valid: Yes  Type: ADT^A01  Segments: 2',
+    '  [Critical] PID-3: Missing patient ID',
+    '  [Medium] PID-7: Invalid date format',
+    '',
+  ].join('\n'))
+  assert.ok(renderText(REPORT).startsWith('Messages: 2 (2 valid, 0 invalid)\nScores: min 80, median 80, mean 90, p95 100, max 100\nIssues: 1\n  Medium: 1\n'))
+})
+
+test('adds a source column when entries carry one', () => {
+  const lines = renderCSV([{ source: 'feed.hl7', index: 0, result: { issues: [RESULT.issues[0]] } }]).split('\r\n')
+  assert.ok(lines[0].startsWith('source,messageIndex,ruleId'))
+  assert.ok(lines[1].startsWith('feed.hl7,1,date-formats'))
+})
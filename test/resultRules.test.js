@@ -0,0 +1,102 @@
+import { strict as assert } from 'assert'
+import { test } from './harness.js'
+import { analyzeDataQuality, parseReferenceRange, validateUCUM } from '../src/hl7DataQualityService.js'
+
+const RESULT_RULE_IDS = ['result-structure', 'result-set-ids', 'observation-values', 'observation-units', 'reference-ranges', 'result-status']
+
+const HEADER = [
+  'MSH|^~\\&|LAB|HOSP|EHR|HOSP|20240101120000||ORU^R01^ORU_R01|1|P|2.5',
+  'PID|1||MRN1^^^HOSP^MR||DOE^JOHN||19800101|M',
+]
+const OBR = 'OBR|1|ORD1|FIL1|24331-1^Lipid Panel^LN|||20240101110000||||||||||||||||||F'
+
+function obx(setId, { type = 'NM', value = '180', units = 'mg/dL', range = '<200', flag = 'N', status = 'F' } = {}) {
+  return `OBX|${setId}|${type}|2093-3^Cholesterol^LN||${value}|${units}|${range}|${flag}|||${status}`
+}
+
+/**
+ * Returns the result rule issues raised for a message as 'ruleId: issue @ segment#sequence'
+ */
+function resultIssues(...segments) {
+  return analyzeDataQuality([...HEADER, ...segments].join('\r')).issues
+    .filter(issue => RESULT_RULE_IDS.includes(issue.ruleId))
+    .map(issue => `${issue.ruleId}: ${issue.issue} @ ${issue.location.segment}#${issue.location.sequence}`)
+}
+
+test('a well-formed result message passes every result rule', () => {
+  assert.deepEqual(resultIssues(OBR, obx(1), obx(2, { value: '45', range: '40-60' })), [])
+})
+
+test('checks set IDs within each order group', () => {
+  assert.deepEqual(resultIssues(OBR, obx(1), obx(3)), ['result-set-ids: Out of sequence OBX Set ID @ OBX#2'])
+})
+
+test('checks values against OBX-2 and units against UCUM', () => {
+  assert.deepEqual(resultIssues(
+    OBR,
+    obx(1, { value: 'high' }),
+    obx(2, { type: 'ST' }),
+    obx(3, { units: 'milligrams' }),
+    obx(4, { units: '' }),
+    obx(5, { value: '>200' }),
+  ), [
+    'observation-values: Observation value does not match value type NM @ OBX#1',
+    'observation-values: Numeric result sent as text @ OBX#2',
+    'observation-values: Comparator in numeric result @ OBX#5',
+    'observation-units: Invalid UCUM unit @ OBX#3',
+    'observation-units: Missing units @ OBX#4',
+  ])
+})
+
+test('compares abnormal flags with the reference range', () => {
+  assert.deepEqual(resultIssues(
+    OBR,
+    obx(1, { value: '250', flag: 'L' }),
+    obx(2, { value: '250', flag: '' }),
+    obx(3, { value: '150', flag: 'H' }),
+    obx(4, { range: 'normal' }),
+  ), [
+    'reference-ranges: Abnormal flag contradicts value @ OBX#1',
+    'reference-ranges: Missing abnormal flag @ OBX#2',
+    'reference-ranges: Abnormal flag on normal value @ OBX#3',
+    'reference-ranges: Unparseable reference range @ OBX#4',
+  ])
+})
+
+test('checks result status against the value and the order status', () => {
+  assert.deepEqual(resultIssues(
+    OBR,
+    obx(1, { status: 'P' }),
+    obx(2, { value: '' }),
+    obx(3, { status: '' }),
+    obx(4, { status: 'X' }),
+  ), [
+    'result-status: Result has no value @ OBX#2',
+    'result-status: Missing Observation Result Status @ OBX#3',
+    'result-status: Value sent for a result that cannot be obtained @ OBX#4',
+    'result-status: Final order with non-final results @ OBR#1',
+  ])
+})
+
+test('requires a service identifier and results for each order', () => {
+  assert.deepEqual(resultIssues(OBR.replace('24331-1^Lipid Panel^LN', ''), obx(1), 'OBR|2|ORD2|FIL2|24331-1^Lipid Panel^LN'), [
+    'result-structure: Missing Universal Service Identifier @ OBR#1',
+    'result-structure: Order has no results @ OBR#2',
+  ])
+})
+
+test('parses reference ranges', () => {
+  assert.deepEqual(parseReferenceRange('3.5-5.0'), { low: 3.5, high: 5, lowInclusive: true, highInclusive: true })
+  assert.deepEqual(parseReferenceRange('<=200'), { low: null, high: 200, lowInclusive: false, highInclusive: true })
+  assert.deepEqual(parseReferenceRange('>10'), { low: 10, high: null, lowInclusive: false, highInclusive: false })
+  assert.equal(parseReferenceRange('normal'), null)
+  assert.equal(parseReferenceRange('5-3'), null)
+})
+
+test('validates UCUM units', () => {
+  for (const unit of ['mg/dL', '10*3/uL', 'mmol/L']) {
+    assert.equal(validateUCUM(unit).isValid, true, unit)
+  }
+  assert.deepEqual(validateUCUM('milligrams'), { isValid: false, error: '"milligrams" is not a UCUM unit' })
+  assert.equal(validateUCUM('').error, 'Unit is empty')
+})
@@ -0,0 +1,91 @@
+import { strict as assert } from 'assert'
+import { test } from './harness.js'
+import { QUALITY_CATEGORIES, SEVERITY } from '../src/constants.js'
+import {
+  registerRule,
+  unregisterRule,
+  enableRule,
+  disableRule,
+  getRule,
+  listRules,
+  runEnabledRules,
+} from '../src/ruleRegistry.js'
+
+function siteRule(overrides = {}) {
+  return {
+    id: 'test-site-rule',
+    category: QUALITY_CATEGORIES.BUSINESS_RULES,
+    severity: SEVERITY.MEDIUM,
+    penalty: 3,
+    check: () => ({ issues: [{ field: 'PID-3', issue: 'Site rule issue' }] }),
+    ...overrides,
+  }
+}
+
+/**
+ * Registers a rule for the duration of fn and returns the results reported under its id
+ */
+function runWith(rule, fn = () => {}) {
+  registerRule(rule)
+  try {
+    fn()
+    return runEnabledRules({ segments: [] }).filter(result => result.issues.some(issue => issue.ruleId === rule.id))
+  } finally {
+    unregisterRule(rule.id)
+  }
+}
+
+test('fills in rule defaults and the per-issue penalty', () => {
+  const [result] = runWith(siteRule())
+  assert.deepEqual(result.issues, [{
+    ruleId: 'test-site-rule',
+    category: QUALITY_CATEGORIES.BUSINESS_RULES,
+    severity: SEVERITY.MEDIUM,
+    field: 'PID-3',
+    issue: 'Site rule issue',
+    penalty: 3,
+  }])
+  assert.equal(result.scorePenalty, 3)
+})
+
+test('disabled rules are listed but not run', () => {
+  const results = runWith(siteRule(), () => {
+    disableRule('test-site-rule')
+    assert.equal(getRule('test-site-rule').enabled, false)
+    assert.ok(listRules({ enabled: false }).some(rule => rule.id === 'test-site-rule'))
+  })
+  assert.deepEqual(results, [])
+})
+
+test('re-enabled rules run again', () => {
+  const results = runWith(siteRule({ enabled: false }), () => enableRule('test-site-rule'))
+  assert.equal(results.length, 1)
+})
+
+test('a rule that throws reports an informational issue instead of failing the analysis', () => {
+  const [result] = runWith(siteRule({ check: () => { throw new Error('boom') } }))
+  assert.equal(result.issues[0].issue, 'Quality rule failed to run')
+  assert.equal(result.issues[0].severity, SEVERITY.INFO)
+  assert.equal(result.issues[0].details, 'boom')
+  assert.equal(result.scorePenalty, 0)
+})
+
+test('rejects duplicate ids unless overriding', () => {
+  registerRule(siteRule())
+  try {
+    assert.throws(() => registerRule(siteRule()), /already registered/)
+    assert.equal(registerRule(siteRule({ penalty: 7 }), { override: true }).penalty, 7)
+  } finally {
+    unregisterRule('test-site-rule')
+  }
+  assert.equal(getRule('test-site-rule'), null)
+})
+
+test('rejects invalid rule definitions', () => {
+  assert.throws(() => registerRule(siteRule({ id: ' ' })), /non-empty string id/)
+  assert.throws(() => registerRule(siteRule({ check: undefined })), /check function/)
+  assert.throws(() => registerRule(siteRule({ category: 'Style' })), /unknown category/)
+  assert.throws(() => registerRule(siteRule({ severity: 'Urgent' })), /unknown severity/)
+  assert.throws(() => registerRule(siteRule({ penalty: -1 })), /non-negative/)
+  assert.equal(getRule('test-site-rule'), null)
+})
@@ -0,0 +1,48 @@
+/**
+ * Assertion test runner
+ *
+ * Imports every *.test.js file in this directory; each registers its cases
+ * with test() from harness.js. Cases run one after another, each failing
+ * after 20 seconds, and the process exits non-zero when any of them fails.
+ */
+
+import { readdir } from 'fs/promises'
+import { fileURLToPath, pathToFileURL } from 'url'
+import path from 'path'
+import { cases } from './harness.js'
+
+const CASE_TIMEOUT = 20000
+
+const directory = path.dirname(fileURLToPath(import.meta.url))
+const files = (await readdir(directory)).filter(file => file.endsWith('.test.js')).sort()
+for (const file of files) {
+  const start = cases.length
+  await import(pathToFileURL(path.join(directory, file)).href)
+  cases.slice(start).forEach(testCase => {
+    testCase.name = `${file.replace(/\.test\.js$/, '')}: ${testCase.name}`
+  })
+}
+
+let failed = 0
+for (const { name, fn } of cases) {
+  let timer
+  try {
+    // A case waiting on a reply that never comes fails instead of hanging the run
+    await Promise.race([
+      fn(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${CASE_TIMEOUT} ms`)), CASE_TIMEOUT)
+      }),
+    ])
+    console.log(`ok - ${name}`)
+  } catch (error) {
+    failed++
+    console.log(`not ok - ${name}`)
+    console.log(String(error.stack || error).split('\n').map(line => `  ${line}`).join('\n'))
+  } finally {
+    clearTimeout(timer)
+  }
+}
+console.log(`\n${cases.length - failed} of ${cases.length} passed`)
+// Exit explicitly: a failed case may leave sockets or timers open
+process.exit(failed > 0 ? 1 : 0)
@@ -0,0 +1,76 @@
+import { strict as assert } from 'assert'
+import { test } from './harness.js'
+import { SCHEDULING_RULES } from '../src/schedulingRules.js'
+
+/**
+ * Builds the parsed message model the rules receive: one entry per segment with fieldN properties
+ */
+function parse(...segments) {
+  return {
+    segments: segments.map(text => {
+      const [segmentType, ...fields] = text.split('|')
+      const values = segmentType === 'MSH' ? ['|', ...fields] : fields
+      const parsed = {}
+      values.forEach((value, index) => {
+        parsed[`field${index + 1}`] = value
+      })
+      return { segmentType, parsed }
+    }),
+  }
+}
+
+/**
+ * Builds a segment from a map of field number to value
+ */
+function segment(segmentType, fields) {
+  const values = []
+  Object.entries(fields).forEach(([field, value]) => {
+    values[Number(field) - 1] = value
+  })
+  return [segmentType, ...Array.from(values, value => value ?? '')].join('|')
+}
+
+function msh(trigger) {
+  return `MSH|^~\\&|SCHED|HOSP|EHR|HOSP|20240101120000||SIU^${trigger}|1|P|2.5`
+}
+
+const SCH = segment('SCH', { 1: 'APT1', 9: '30', 10: 'min', 11: '^^^202401021000^202401021030', 25: 'Booked' })
+
+function schedulingIssues(trigger, ...segments) {
+  return SCHEDULING_RULES[0].check(parse(msh(trigger), ...segments)).issues
+    .map(({ issue, location }) => `${issue} @ ${location.segment}${location.sequence ? `#${location.sequence}` : ''}`)
+}
+
+test('a well-formed appointment passes the scheduling rules', () => {
+  assert.deepEqual(schedulingIssues('S12', SCH, 'RGS|1', segment('AIS', { 1: '1', 3: 'CONSULT', 4: '202401021000', 7: '30', 8: 'min' })), [])
+})
+
+test('checks the appointment ID, window, durations and filler status', () => {
+  const sch = segment('SCH', { 9: '-5', 11: '^^^202401021030^202401021000', 25: 'Booked' })
+  assert.deepEqual(schedulingIssues('S15', sch, 'RGS|1', segment('AIL', { 1: '1', 3: 'ROOM1', 9: '15' })), [
+    'Missing appointment ID @ SCH#1',
+    'Appointment ends before it starts @ SCH#1',
+    'Invalid appointment duration @ SCH#1',
+    'Filler status does not match trigger event @ SCH#1',
+    'Missing location resource duration units @ AIL#1',
+  ])
+})
+
+test('checks resources fall within the appointment', () => {
+  assert.deepEqual(schedulingIssues('S12', SCH, 'RGS|1',
+    segment('AIS', { 1: '1', 3: 'CONSULT', 4: '202401020930' }),
+    segment('AIP', { 1: '1', 3: 'DR^WHO', 6: '202401021015', 9: '1', 10: 'h' }),
+  ), [
+    'Service starts outside the appointment @ AIS#1',
+    'Personnel Resource ends after the appointment @ AIP#1',
+  ])
+  assert.deepEqual(schedulingIssues('S12', SCH), ['No scheduled resources @ RGS'])
+})
+
+test('checks the resources once when a message carries several SCH segments', () => {
+  const second = SCH.replace('APT1', 'APT2')
+  assert.deepEqual(schedulingIssues('S12', SCH, second, 'RGS|1', segment('AIL', { 1: '1', 3: 'ROOM1', 9: '15' })), [
+    'Missing location resource duration units @ AIL#1',
+  ])
+  assert.deepEqual(schedulingIssues('S12', SCH, second), ['No scheduled resources @ RGS'])
+})
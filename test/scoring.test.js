@@ -0,0 +1,69 @@
+import { strict as assert } from 'assert'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { test } from './harness.js'
+import { loadScoringModel, loadScoringModelFile, scoreIssues, getGrade } from '../src/scoring.js'
+import { QUALITY_CATEGORIES, SEVERITY } from '../src/constants.js'
+
+const ISSUES = [
+  { ruleId: 'date-formats', category: QUALITY_CATEGORIES.FORMATTING, severity: SEVERITY.MEDIUM, penalty: 4 },
+  { ruleId: 'pid-completeness', category: QUALITY_CATEGORIES.COMPLETENESS, severity: SEVERITY.HIGH },
+  { ruleId: 'pid-completeness', category: QUALITY_CATEGORIES.COMPLETENESS, severity: SEVERITY.LOW },
+]
+
+test('charges each issue its rule penalty, falling back to the severity penalty', () => {
+  const { overallScore, categoryScores, grade, issues } = scoreIssues(ISSUES)
+  assert.deepEqual(issues.map(issue => issue.penalty), [4, 5, 1])
+  assert.equal(overallScore, 90)
+  assert.equal(categoryScores[QUALITY_CATEGORIES.FORMATTING], 96)
+  assert.equal(categoryScores[QUALITY_CATEGORIES.COMPLETENESS], 94)
+  assert.equal(categoryScores[QUALITY_CATEGORIES.ACCURACY], 100)
+  assert.equal(grade, 'A')
+})
+
+test('applies rule and severity overrides and category weights', () => {
+  const model = {
+    rulePenalties: { 'date-formats': 1, 'pid-completeness': { High: 20 } },
+    severityPenalties: { Low: 0 },
+    categoryWeights: { Completeness: 2 },
+  }
+  const { overallScore, issues } = scoreIssues(ISSUES, model)
+  assert.deepEqual(issues.map(issue => issue.penalty), [1, 20, 0])
+  assert.equal(overallScore, 59)
+})
+
+test('falls back to the severity penalty when an issue penalty is not a finite number', () => {
+  const { overallScore, issues } = scoreIssues([{ ...ISSUES[0], penalty: NaN }, { ...ISSUES[1], penalty: undefined }])
+  assert.deepEqual(issues.map(issue => issue.penalty), [2, 5])
+  assert.equal(overallScore, 93)
+})
+
+test('grades scores with the default or custom bands', () => {
+  assert.equal(getGrade(90), 'A')
+  assert.equal(getGrade(89.9), 'B')
+  assert.equal(getGrade(0), 'F')
+  const model = { grades: [{ grade: 'Fail', minScore: 0 }, { grade: 'Pass', minScore: 75 }] }
+  assert.equal(getGrade(80, model), 'Pass')
+  assert.equal(getGrade(74, model), 'Fail')
+})
+
+test('rejects invalid scoring models', () => {
+  assert.throws(() => loadScoringModel({ severityPenalties: { Urgent: 5 } }), /unknown severity "Urgent"/)
+  assert.throws(() => loadScoringModel({ rulePenalties: { 'date-formats': -1 } }), /rule "date-formats" penalty must be a non-negative number/)
+  assert.throws(() => loadScoringModel({ categoryWeights: { Style: 1 } }), /unknown category "Style"/)
+  assert.throws(() => loadScoringModel({ grades: [{ grade: 'A', minScore: 90 }] }), /must include a grade with minScore 0/)
+})
+
+test('loads scoring models from JSON files', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'hl7-dq-scoring-'))
+  try {
+    const filePath = path.join(directory, 'model.json')
+    await fs.writeFile(filePath, JSON.stringify({ name: 'Strict', severityPenalties: { Medium: 8 } }))
+    const model = await loadScoringModelFile(filePath)
+    assert.equal(model.name, 'Strict')
+    assert.equal(scoreIssues([ISSUES[0]], model).overallScore, 92)
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true })
+  }
+})
@@ -0,0 +1,83 @@
+import { strict as assert } from 'assert'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { test } from './harness.js'
+import { loadSegmentSchemas, loadSegmentSchemasFile, evaluateSegmentSchemas } from '../src/segmentSchemas.js'
+import { parseMessage } from '../src/messageParser.js'
+import { analyzeDataQuality } from '../src/hl7DataQualityService.js'
+
+const SCHEMAS = {
+  name: 'Site Segments',
+  segments: {
+    ZPI: {
+      name: 'Patient Extras',
+      allowUndeclaredFields: false,
+      fields: {
+        1: { name: 'Set ID', type: 'NM', required: true },
+        2: { name: 'Preferred Pharmacy', length: 10, repeatable: false },
+        3: { name: 'Consent', values: ['Y', 'N'] },
+        4: { name: 'Sex', table: '1' },
+      },
+    },
+  },
+}
+
+function message(...segments) {
+  return [
+    'MSH|^~\\&|ADT|HOSP|EHR|HOSP|20240101120000||ADT^A01|1|P|2.5',
+    'PID|1||MRN1^^^HOSP^MR||DOE^JOHN||19800101|M',
+    ...segments,
+  ].join('\r')
+}
+
+function schemaIssues(hl7Message, schemas = SCHEMAS) {
+  return evaluateSegmentSchemas(parseMessage(hl7Message), schemas).issues.map(issue => issue.issue)
+}
+
+test('a segment that matches its schema passes', () => {
+  assert.deepEqual(schemaIssues(message('ZPI|1|PHARM1|Y|F')), [])
+})
+
+test('checks required, repeated, long, coded and undeclared fields', () => {
+  assert.deepEqual(schemaIssues(message('ZPI||PHARMACY123~PHARM2|MAYBE|Q|EXTRA')), [
+    'Missing Set ID (ZPI-1)',
+    'Repeated Preferred Pharmacy (ZPI-2)',
+    'Preferred Pharmacy (ZPI-2) too long',
+    'Invalid Consent (ZPI-3) code',
+    'Invalid Sex (ZPI-4) code',
+    'Undeclared field ZPI-5',
+  ])
+  assert.deepEqual(schemaIssues(message('ZPI|one')), ['Invalid Set ID (ZPI-1) (NM)'])
+})
+
+test('reports undocumented Z-segments and unknown segments once each', () => {
+  const issues = evaluateSegmentSchemas(parseMessage(message('ZXX|1', 'ZXX|2', 'QQQ|1'))).issues
+  assert.deepEqual(issues.map(({ issue, severity }) => `${issue} (${severity})`), [
+    'Undocumented ZXX segment (Low)',
+    'Unknown QQQ segment (Medium)',
+  ])
+})
+
+test('rejects malformed schemas', () => {
+  assert.throws(() => loadSegmentSchemas({}), /must declare a "segments" object/)
+  assert.throws(() => loadSegmentSchemas({ segments: { Z1: { fields: {} } } }), /keyed by a three-character segment ID/)
+  assert.throws(() => loadSegmentSchemas({ segments: { ZPI: { fields: { 1: { type: 'XYZ' } } } } }), /unknown data type "XYZ"/)
+  assert.throws(() => loadSegmentSchemas({ segments: { ZPI: { fields: { 1: { length: 0 } } } } }), /length must be a positive integer/)
+  assert.throws(() => loadSegmentSchemas({ segments: { ZPI: { fields: { one: {} } } } }), /must be keyed by field number/)
+})
+
+test('analysis applies schemas loaded from a file', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'hl7-dq-schemas-'))
+  try {
+    const filePath = path.join(directory, 'schemas.json')
+    await fs.writeFile(filePath, JSON.stringify(SCHEMAS))
+    const segmentSchemas = await loadSegmentSchemasFile(filePath)
+    const issues = analyzeDataQuality(message('ZPI|1|PHARM1|MAYBE'), { segmentSchemas }).issues
+      .filter(issue => issue.ruleId === 'segment-schemas')
+    assert.deepEqual(issues.map(issue => issue.issue), ['Invalid Consent (ZPI-3) code'])
+    assert.equal(issues[0].location.field, 3)
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true })
+  }
+})
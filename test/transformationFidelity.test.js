@@ -0,0 +1,84 @@
+import { strict as assert } from 'assert'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { test } from './harness.js'
+import { compareTransformation, loadFieldMapping, loadFieldMappingFile } from '../src/transformationFidelity.js'
+import { SEVERITY } from '../src/constants.js'
+
+const MSH = 'MSH|^~\\&|SENDER|FAC|RECEIVER|FAC|20240101||ADT^A01|1|P|2.5'
+const INBOUND = [MSH, 'PID|1||123~456||DOE^JOHNATHAN||19800101|M'].join('\r')
+const OUTBOUND = [MSH, 'PID|1||456~123||DOE^JOHN||19800101|X'].join('\r')
+
+const MAPPING = {
+  name: 'ADT outbound',
+  mappings: [
+    { source: 'PID-3', target: 'PID-3' },
+    { source: 'PID-5.2', target: 'PID-5.2', name: 'Given name' },
+    { source: 'PID-8', target: 'PID-8', valueMap: { M: 'male', F: 'female' } },
+    { source: 'PID-7', target: 'PID-29' },
+  ],
+}
+
+function describe(issue) {
+  return `${issue.issue} @ ${issue.field}`
+}
+
+test('reports nothing when every mapped value is carried', () => {
+  const mapping = { mappings: [{ source: 'PID-3', target: 'PID-3' }, { source: 'PID-7', target: 'PID-7' }] }
+  const result = compareTransformation(INBOUND, INBOUND, mapping)
+  assert.deepEqual(result.issues, [])
+  assert.equal(result.comparedValues, 3)
+  assert.equal(result.overallScore, 100)
+})
+
+test('reports reordered, truncated, altered and dropped values', () => {
+  const result = compareTransformation(INBOUND, OUTBOUND, MAPPING)
+  assert.deepEqual(result.issues.map(describe), [
+    'Reordered repetitions: PID-3 to PID-3 @ PID-3',
+    'Truncated value: Given name (PID-5.2 to PID-5.2) @ PID-5.2',
+    'Altered code: PID-8 to PID-8 @ PID-8',
+    'Dropped value: PID-7 to PID-29 @ PID-29',
+  ])
+  assert.equal(result.issues[1].details, 'PID-5.2 holds "JOHN" (4 characters) of "JOHNATHAN" (9 characters)')
+  assert.equal(result.issues[3].severity, SEVERITY.HIGH)
+  assert.equal(result.issues[3].sourceLocation.field, 7)
+  assert.equal(result.mapping, 'ADT outbound')
+  assert.equal(result.isValid, true)
+})
+
+test('redacts PHI values of either message', () => {
+  const result = compareTransformation(INBOUND, OUTBOUND, MAPPING, { redact: true })
+  assert.equal(result.issues[1].details, 'PID-5.2 holds "[REDACTED]" (4 characters) of "[REDACTED]" (9 characters)')
+  assert.equal(result.issues[2].details, 'PID-8 "M" maps to "male", but PID-8 holds "X"')
+})
+
+test('reports messages that cannot be parsed and redacts the text their errors quote', () => {
+  const result = compareTransformation('PID|1', OUTBOUND, MAPPING)
+  assert.equal(result.isValid, false)
+  assert.deepEqual(result.issues.map(issue => [issue.issue, issue.severity]), [['Invalid inbound message format', SEVERITY.CRITICAL]])
+
+  const wrapped = INBOUND.replace('DOE^JOHNATHAN', '\rDOE^JOHNATHAN')
+  assert.match(compareTransformation(wrapped, OUTBOUND, MAPPING).issues[0].details, /"DOE\^JOHNAT/)
+  assert.equal(compareTransformation(wrapped, OUTBOUND, MAPPING, { redact: true }).issues[0].details,
+    'Segment 3 does not start with a valid segment ID: [REDACTED]')
+})
+
+test('rejects invalid mapping specs', () => {
+  assert.throws(() => loadFieldMapping({}), /non-empty "mappings" array/)
+  assert.throws(() => loadFieldMapping({ mappings: [{ source: 'PID3', target: 'PID-3' }] }), /#1 has invalid source "PID3"/)
+  assert.throws(() => loadFieldMapping({ mappings: [{ source: 'PID-3', target: 'PID-3', repetitions: 'last' }] }), /unknown repetitions "last"/)
+})
+
+test('loads mapping specs from JSON files', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'hl7-dq-mapping-'))
+  try {
+    const filePath = path.join(directory, 'mapping.json')
+    await fs.writeFile(filePath, JSON.stringify(MAPPING))
+    const spec = await loadFieldMappingFile(filePath)
+    assert.equal(spec.name, 'ADT outbound')
+    assert.deepEqual(spec.mappings[0].source, { segment: 'PID', field: 3, component: null, subcomponent: null })
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true })
+  }
+})